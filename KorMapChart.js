@@ -2,7 +2,18 @@
 /**
  * KorMapChart v2 (vanilla JS)
  * - 하나의 클래스 + 하나의 entry 메서드(render)
- * - mode: 'normal' | 'rate+bars' | 'count+callouts' (필수)
+ * - render는 차트 인스턴스를 반환: update(newOpts) / setData(data) / select(names) / clearSelection() / getSelection() / getDiagnostics() / drillDown(name) / drillUp()
+ *   / setPeriod(period) / getPeriod() / play() / pause() / toSVG() / toPNG({ scale }) / download(filename) / destroy()
+ * - renderToString(codeMap, svgText, opts): 브라우저 없이 (Node) 같은 옵션으로 완성된 SVG 문자열 생성
+ * - geometry: path d 기하 도구 (bbox / rings / centroid / pole / contains), 라벨·파이·callout 핀 기준점에 사용
+ * - registerGlyph(type, render, size): opts.glyphs에서 쓸 glyph type 추가 (내장: bars / sparkline / stacked / icon)
+ * - parseTable(input, columns): CSV/TSV 문자열·행 배열 → { data, pieChartData } (opts.data에 표를 직접 넘기고 opts.columns로 열 지정도 가능)
+ * - registerMode(name, { validate, paint, render, update, destroy, markup, side }): opts.mode 추가 (내장 mode도 같은 registry 사용)
+ * - mode: 'normal' | 'rate+bars' | 'count+callouts' | 'bivariate' | 'bubbles' | registerMode로 등록한 이름 (필수)
+ * - responsive: mount 너비에 맞춰 지도 크기·bar 배치(breakpoint 미만이면 아래로)·라벨·파이·glyph·callout·bubble 크기를 다시 계산 (ResizeObserver)
+ * - SVG 원본: svgUrl 또는 svg(URL·인라인 마크업·<svg> 요소), URL별 해석 결과 캐시(clearSvgCache), HTTP/해석 오류 reject, signal(AbortSignal)로 취소
+ * - 진단: codeMap·SVG·data 불일치와 잘못된 값을 events.onWarning / chart.getDiagnostics()로 알림 (strict: true면 throw)
+ * - 기존 차트의 라벨 위치를 바꾸는 배치 기능(labels.collision, callouts.stack)은 기본 꺼짐 (옵션으로 켬)
  * - 공통 개선:
  *   - SVG 원본 fill/styles 제거 일관화
  *   - 안전한 CSS setter(setCss)
@@ -87,13 +98,126 @@
  *     hoverStyle: { opacity: 0.9, cursor: 'pointer' }
  *   }
  * });
+ *
+ * // 내장 지도 - codeMap 대신 map key, data 키는 별칭(서울특별시/KR-11/11)도 가능
+ * KorMapChart.render('sido', '#mount', {
+ *   mode: 'normal',
+ *   mapBaseUrl: '/vendor/kor_map/',
+ *   data: { '서울특별시': 0.87, 'KR-41': 0.63, 28: 0.80 }
+ * });
+ * KorMapChart.render('seoul-sigungu', '#mount2', { mode: 'normal', data: { 강남구: 0.7, 11110: 0.4 } });
+ *
+ * // 드릴다운 - 시도 클릭 시 같은 mount에 시군구 지도 + 하위 data, 상단 breadcrumb로 복귀
+ * KorMapChart.render('sido', '#mount', {
+ *   mode: 'normal',
+ *   data: { 서울: 0.87, 경기: 0.63 },
+ *   drillDown: {
+ *     data: { 경기: { 수원시: 0.71, 성남시: 0.64 } },  // 또는 async (name, mapKey) => fetchSigungu(name)
+ *     breadcrumb: { rootLabel: '전국' }
+ *   },
+ *   events: {
+ *     onDrillDown: (name, mapKey) => console.log('down', name, mapKey),
+ *     onDrillUp: (name) => console.log('up from', name),
+ *     onDrillError: (err, name) => console.warn(name, err.message)
+ *   }
+ * });
+ *
+ * // 색상 스케일 - 연속 보간 / 분위수 / 중간값 기준 발산형 (0–1이 아닌 값도 가능)
+ * KorMapChart.render('sido', '#mount', {
+ *   mode: 'rate+bars',
+ *   data: { 서울: -2.4, 경기: 3.1, 부산: -0.8 },  // 증감률(%)
+ *   scale: { type: 'diverging', colors: ['#D7301F', '#F7F7F7', '#1F48FF'], midpoint: 0, symmetric: true },
+ *   bar: { width: 180 }
+ * });
+ * // scale: { type: 'sequential', colors: ['#E8EEFF', '#00085A'], domain: [0, 100] }
+ * // scale: { type: 'quantile', colors: ['#99d9f2', '#79a1ee', '#1F48FF', '#00085A'] }
+ *
+ * // 범례 - 단계 스케일은 '80% 이상', '60%–80%' 견본, 연속 스케일은 그라디언트
+ * KorMapChart.render('sido', '#mount', {
+ *   mode: 'normal',
+ *   data: { 서울: 0.87, 경기: 0.63 },
+ *   legend: { position: 'bottom-right', title: '확보율', formatter: (v) => `${Math.round(v * 100)}%` }
+ * });
+ *
+ * // 인스턴스 재사용 - SVG를 다시 받지 않고 제자리에서 갱신
+ * const chart = await KorMapChart.render(codeMap, '#mount', { mode: 'normal', svgUrl: '/maps/kr_sido.svg', data });
+ * chart.setData({ 서울: 0.91, 경기: 0.66 });       // data만 교체
+ * await chart.update({ rates: [0.9, 0.7, 0.5, 0.3] });  // 옵션 일부 변경 (얕은 병합)
+ * const svgText = chart.toSVG();                      // 보고서용 독립 SVG 문자열
+ * await chart.download('map.png', { scale: 3 });      // PNG 저장 (확장자로 형식 결정)
+ * chart.destroy();                                    // 리스너/필터/DOM 제거
+ *
+ * // 서버/배치 - DOM 없이 SVG 문자열 생성 (Node: const KorMapChart = require('./KorMapChart.js'))
+ * const markup = KorMapChart.renderToString('sido', fs.readFileSync('map/전국_시도_경계.svg', 'utf8'), { mode: 'normal', data });
  */
 class KorMapChart {
-  static async #loadSVG(url) {
-    const res = await fetch(url);
-    const txt = await res.text();
-    const doc = new DOMParser().parseFromString(txt, 'image/svg+xml');
-    return doc.documentElement;
+  static #SVG_CACHE_MAX = 32;
+  static #svgCache = new Map();  // URL → 해석한 <svg> (최근 사용 순, 꺼낼 때마다 복제, 실패한 로드는 저장하지 않음)
+
+  static #isSvgElement(v) {
+    return v != null && typeof v === 'object' && v.nodeType === 1 && String(v.localName).toLowerCase() === 'svg';
+  }
+
+  // AbortSignal이나 더 최근 호출로 취소된 경우의 오류 (name: 'AbortError')
+  static #abortError(caller, reason) {
+    const err = new Error(`${caller}: ${reason}`);
+    err.name = 'AbortError';
+    return err;
+  }
+
+  /**
+   * SVG 원본 → mount에 붙일 새 <svg> 요소 (같은 URL은 한 번만 받아 해석하고 복제해서 반환)
+   * @param {string|SVGSVGElement} source - URL, 인라인 마크업('<'로 시작) 또는 <svg> 요소 (요소도 복제해서 사용)
+   * @param {{ signal?: AbortSignal, caller?: string }} [options]
+   * @returns {Promise<SVGSVGElement>}
+   */
+  static async #loadSVG(source, { signal, caller = 'KorMapChart' } = {}) {
+    if (signal?.aborted) throw this.#abortError(caller, 'signal로 취소되었습니다.');
+    if (this.#isSvgElement(source)) return source.cloneNode(true);
+    if (typeof source !== 'string' || !source.trim()) {
+      throw new Error(`${caller}: svg(URL·마크업·<svg> 요소) 또는 svgUrl이 필요합니다. (내장 map key를 쓰면 생략 가능)`);
+    }
+
+    // 인라인 마크업은 매번 해석 (마크업 문자열을 캐시 키로 쌓아 두지 않음)
+    if (source.trim().startsWith('<')) return this.#parseSvg(source, '인라인 마크업', caller);
+
+    let template = this.#svgCache.get(source);
+    if (template) this.#svgCache.delete(source);
+    else template = this.#parseSvg(await this.#fetchSvgText(source, signal, caller), source, caller);
+    // 방금 쓴 URL을 맨 뒤로 옮기고, 넘치면 가장 오래 안 쓴 URL부터 버림
+    this.#svgCache.set(source, template);
+    if (this.#svgCache.size > this.#SVG_CACHE_MAX) this.#svgCache.delete(this.#svgCache.keys().next().value);
+    return template.cloneNode(true);
+  }
+
+  // HTTP 오류(404 페이지 등)는 해석하지 않고 throw
+  static async #fetchSvgText(url, signal, caller) {
+    let res, text;
+    try {
+      res = await fetch(url, signal ? { signal } : undefined);
+      if (res.ok) text = await res.text();
+    } catch (e) {
+      if (signal?.aborted) throw this.#abortError(caller, 'signal로 취소되었습니다.');
+      throw new Error(`${caller}: SVG를 불러오지 못했습니다. (${url}: ${e?.message ?? e})`);
+    }
+    // fetch가 signal을 따르지 않아도 (폴리필 등) 취소는 반영
+    if (signal?.aborted) throw this.#abortError(caller, 'signal로 취소되었습니다.');
+    if (!res.ok) {
+      throw new Error(`${caller}: SVG를 불러오지 못했습니다. (${url}: HTTP ${res.status}${res.statusText ? ` ${res.statusText}` : ''})`);
+    }
+    return text;
+  }
+
+  // XML 오류가 있거나 루트가 <svg>가 아니면 throw
+  static #parseSvg(text, label, caller) {
+    const doc = new DOMParser().parseFromString(text, 'image/svg+xml');
+    const root = doc.documentElement;
+    const error = doc.getElementsByTagName('parsererror')[0];
+    if (error || root?.localName !== 'svg') {
+      const detail = error ? error.textContent.trim().split('\n')[0] : `루트 요소가 <${root?.localName}>입니다.`;
+      throw new Error(`${caller}: SVG를 해석하지 못했습니다. (${label}: ${detail})`);
+    }
+    return root;
   }
 
   static #setCss(el, prop, v) {
@@ -116,17 +240,244 @@ class KorMapChart {
     return Math.min(1, Math.max(0, n));
   }
 
-  static #makeColorForRate(thresholds, colors) {
-    const th = Array.isArray(thresholds) && thresholds.length ? thresholds : [0.8, 0.6, 0.4, 0.2];
-    const cs = Array.isArray(colors) && colors.length ? colors : ['#00085A', '#1F48FF', '#79a1ee', '#99d9f2', '#D7D7D7'];
-    const fallback = cs.at(-1) ?? '#D7D7D7';
-    return (rRaw) => {
-      const r = this.#clamp01(rRaw);
-      if (r == null) return fallback;
-      for (let i = 0; i < th.length; i++) {
-        if (r >= th[i]) return cs[i] ?? fallback;
+  static #toNumber(v) {
+    if (v == null || v === '') return null;
+    const n = Number(v);
+    return Number.isFinite(n) ? n : null;
+  }
+
+  static #parseColor(c) {
+    const str = String(c ?? '').trim();
+    const hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(str);
+    if (hex) {
+      const h = (hex[1].length === 3) ? hex[1].replace(/./g, (x) => x + x) : hex[1];
+      return [0, 2, 4].map((i) => parseInt(h.slice(i, i + 2), 16));
+    }
+    const rgb = /^rgba?\(([^)]+)\)$/i.exec(str);
+    if (rgb) return rgb[1].split(',').slice(0, 3).map((x) => Number.parseFloat(x));
+    return null;
+  }
+
+  static #lerpColor(a, b, t) {
+    const ca = this.#parseColor(a);
+    const cb = this.#parseColor(b);
+    if (!ca || !cb) return (t < 0.5) ? a : b;  // 이름 색상 등은 보간 불가
+    return '#' + ca.map((v, i) => Math.round(v + (cb[i] - v) * t).toString(16).padStart(2, '0')).join('');
+  }
+
+  // colors를 0–1 구간에 균등 배치한 stop으로 보고 t 위치의 색을 보간
+  static #interpolateStops(colors, t) {
+    if (colors.length === 1) return colors[0];
+    const x = Math.min(1, Math.max(0, t)) * (colors.length - 1);
+    const i = Math.min(colors.length - 2, Math.floor(x));
+    return this.#lerpColor(colors[i], colors[i + 1], x - i);
+  }
+
+  static #quantile(sorted, p) {
+    if (!sorted.length) return null;
+    const h = (sorted.length - 1) * p;
+    const i = Math.floor(h);
+    return sorted[i] + ((sorted[i + 1] ?? sorted[i]) - sorted[i]) * (h - i);
+  }
+
+  static #SCALE_TYPES = ['threshold', 'sequential', 'quantile', 'diverging'];
+
+  /**
+   * 색상 스케일 생성 - 지역 fill과 bar 색상이 같은 객체를 공유
+   * @returns {{ type:string, color:(v:any)=>string, domain:[number,number], missingColor:string,
+   *   bins?: { min:number, max:number, color:string }[],              // threshold/quantile (오름차순)
+   *   stops?: { offset:number, value:number, color:string }[] }}      // sequential/diverging
+   */
+  static #makeScale(opts, values = []) {
+    const spec = opts?.scale || {};
+    const type = spec.type ?? 'threshold';
+    const nonEmpty = (arr) => (Array.isArray(arr) && arr.length) ? arr : null;
+
+    const nums = values.map((v) => this.#toNumber(v)).filter((v) => v != null);
+    const dataMin = nums.length ? Math.min(...nums) : 0;
+    const dataMax = nums.length ? Math.max(...nums) : 1;
+
+    if (type === 'threshold') {
+      // 기존 rates/colors 규칙: 내림차순 임계값, v >= th[i]이면 colors[i], 나머지는 마지막 색
+      const th = nonEmpty(spec.thresholds) ?? nonEmpty(opts?.rates) ?? [0.8, 0.6, 0.4, 0.2];
+      const cs = nonEmpty(spec.colors) ?? nonEmpty(opts?.colors) ?? ['#00085A', '#1F48FF', '#79a1ee', '#99d9f2', '#D7D7D7'];
+      const fallback = cs.at(-1) ?? '#D7D7D7';
+      const missingColor = spec.missingColor ?? fallback;
+
+      const bins = th.map((t, i) => ({ min: t, max: i ? th[i - 1] : Infinity, color: cs[i] ?? fallback }));
+      bins.push({ min: -Infinity, max: th.at(-1), color: fallback });
+
+      return {
+        type,
+        domain: [dataMin, dataMax],
+        missingColor,
+        bins: bins.reverse(),
+        color: (raw) => {
+          const v = this.#toNumber(raw);
+          if (v == null) return missingColor;
+          for (let i = 0; i < th.length; i++) {
+            if (v >= th[i]) return cs[i] ?? fallback;
+          }
+          return fallback;
+        }
+      };
+    }
+
+    const missingColor = spec.missingColor ?? '#D7D7D7';
+
+    if (type === 'quantile') {
+      // 데이터 분위수로 구간 경계 계산 (colors는 낮은 값 → 높은 값 순)
+      const cs = nonEmpty(spec.colors) ?? ['#99d9f2', '#79a1ee', '#1F48FF', '#00085A'];
+      const sorted = [...nums].sort((a, b) => a - b);
+      const breaks = cs.slice(1).map((_, i) => this.#quantile(sorted, (i + 1) / cs.length) ?? dataMin);
+
+      return {
+        type,
+        domain: [dataMin, dataMax],
+        missingColor,
+        breaks,
+        bins: cs.map((color, i) => ({ min: i ? breaks[i - 1] : dataMin, max: breaks[i] ?? dataMax, color })),
+        color: (raw) => {
+          const v = this.#toNumber(raw);
+          if (v == null) return missingColor;
+          return cs[breaks.filter((b) => v >= b).length];
+        }
+      };
+    }
+
+    if (type === 'sequential') {
+      // colors를 domain 전체에 균등 배치한 stop으로 보간
+      const cs = nonEmpty(spec.colors) ?? ['#E8EEFF', '#00085A'];
+      const [d0, d1] = spec.domain ?? [dataMin, dataMax];
+
+      return {
+        type,
+        domain: [d0, d1],
+        missingColor,
+        stops: cs.map((color, i) => {
+          const offset = (cs.length > 1) ? i / (cs.length - 1) : 0;
+          return { offset, value: d0 + (d1 - d0) * offset, color };
+        }),
+        color: (raw) => {
+          const v = this.#toNumber(raw);
+          if (v == null) return missingColor;
+          return this.#interpolateStops(cs, (d1 === d0) ? 1 : (v - d0) / (d1 - d0));
+        }
+      };
+    }
+
+    // diverging: midpoint 아래/위를 각각 colors 앞/뒤 절반으로 보간 (예: 증감률)
+    const cs = nonEmpty(spec.colors) ?? ['#D7301F', '#F7F7F7', '#1F48FF'];
+    const mid = spec.midpoint ?? 0;
+    let [d0, d1] = spec.domain ?? [Math.min(dataMin, mid), Math.max(dataMax, mid)];
+    if (spec.symmetric) {
+      const ext = Math.max(Math.abs(d0 - mid), Math.abs(d1 - mid));
+      [d0, d1] = [mid - ext, mid + ext];
+    }
+
+    const position = (v) => (v < mid)
+      ? 0.5 - 0.5 * Math.min(1, (mid - v) / ((mid - d0) || 1))
+      : 0.5 + 0.5 * Math.min(1, (v - mid) / ((d1 - mid) || 1));
+
+    return {
+      type,
+      domain: [d0, d1],
+      midpoint: mid,
+      missingColor,
+      stops: cs.map((color, i) => {
+        const offset = (cs.length > 1) ? i / (cs.length - 1) : 0;
+        const value = (offset <= 0.5) ? d0 + (mid - d0) * offset * 2 : mid + (d1 - mid) * (offset - 0.5) * 2;
+        return { offset, value, color };
+      }),
+      color: (raw) => {
+        const v = this.#toNumber(raw);
+        if (v == null) return missingColor;
+        return this.#interpolateStops(cs, position(v));
       }
-      return fallback;
+    };
+  }
+
+  // 'rate' | 'count' | 필드명 | (name, datum) => number → (name, datum) => number | null (숫자 datum은 rate로 봄)
+  static #valueGetter(valueOpt) {
+    return (typeof valueOpt === 'function')
+      ? (name, datum) => this.#toNumber(valueOpt(name, datum))
+      : (name, datum) => this.#toNumber((typeof datum === 'number') ? (valueOpt === 'rate' ? datum : null) : datum?.[valueOpt]);
+  }
+
+  // 아래(y 낮음) 행부터, 각 행은 왼쪽(x 낮음)부터
+  static #BIVARIATE_COLORS = [
+    ['#E8E8E8', '#ACE4E4', '#5AC8C8'],
+    ['#DFB0D6', '#A5ADD3', '#5698B9'],
+    ['#BE64AC', '#8C62AA', '#3B4994']
+  ];
+  static #FIELD_LABELS = { rate: '비율', count: '건수' };
+
+  /**
+   * bivariate 스케일 - 두 값(x, y)을 각각 n단계로 나눠 n×n 색상표에서 색을 고름
+   * - bivOpts.x / y: 'rate' | 'count' | 필드명 | (name, datum) => number
+   * - 경계: bivOpts.breaks.x / y (오름차순 n-1개), 없으면 dataMaps 전체 값의 분위수
+   * - bivOpts.colors[y][x] (기본: 3×3 색상표, 다른 n은 네 모서리 색을 보간)
+   * color(datum, name)는 datum 전체를 받음 (#paintRegions의 dataGetter가 datum을 반환)
+   * @returns {{ type:'bivariate', n:number, colors:string[][], missingColor:string, color:(datum, name)=>string,
+   *   classify:(datum, name)=>[number, number]|null, describe:(datum, name)=>string[],
+   *   x: { label, format, breaks, domain }, y: { label, format, breaks, domain } }}
+   */
+  static #makeBivariateScale(bivOpts, dataMaps = []) {
+    const n = bivOpts.n ?? bivOpts.colors?.length ?? 3;
+    const base = this.#BIVARIATE_COLORS;
+    const colors = bivOpts.colors ?? ((n === 3) ? base : Array.from({ length: n }, (_, yi) => {
+      const left = this.#lerpColor(base[0][0], base[2][0], yi / (n - 1));
+      const right = this.#lerpColor(base[0][2], base[2][2], yi / (n - 1));
+      return Array.from({ length: n }, (_, xi) => this.#lerpColor(left, right, xi / (n - 1)));
+    }));
+    const missingColor = bivOpts.missingColor ?? '#D7D7D7';
+
+    const axis = (key) => {
+      const field = bivOpts[key];
+      const get = this.#valueGetter(field);
+      const values = dataMaps.flatMap((d) => Object.entries(d || {}).map(([name, datum]) => get(name, datum)))
+        .filter((v) => v != null)
+        .sort((a, b) => a - b);
+      const domain = values.length ? [values[0], values.at(-1)] : [0, 1];
+      const breaks = bivOpts.breaks?.[key]
+        ?? Array.from({ length: n - 1 }, (_, i) => this.#quantile(values, (i + 1) / n) ?? domain[0]);
+      const isRate = [...domain, ...breaks].every((v) => v >= 0 && v <= 1);
+      return {
+        get,
+        breaks,
+        domain,
+        label: bivOpts.labels?.[key] ?? ((typeof field === 'string') ? (this.#FIELD_LABELS[field] ?? field) : key),
+        format: bivOpts.formatters?.[key]
+          ?? (isRate ? (v) => this.#fmtPct(v) : (v) => Number(v).toLocaleString('ko-KR', { maximumFractionDigits: 2 }))
+      };
+    };
+    const x = axis('x');
+    const y = axis('y');
+
+    const classify = (datum, name) => {
+      const vx = x.get(name, datum);
+      const vy = y.get(name, datum);
+      if (vx == null || vy == null) return null;
+      return [x.breaks.filter((b) => vx >= b).length, y.breaks.filter((b) => vy >= b).length];
+    };
+
+    return {
+      type: 'bivariate',
+      n,
+      colors,
+      missingColor,
+      x,
+      y,
+      classify,
+      color: (datum, name) => {
+        const c = classify(datum, name);
+        return c ? colors[c[1]][c[0]] : missingColor;
+      },
+      // 툴팁·aria-label에 쓸 두 값 (예: ['비율 87%', '1인당 건수 3.2'])
+      describe: (datum, name) => [x, y]
+        .map((a) => [a, a.get(name, datum)])
+        .filter(([, v]) => v != null)
+        .map(([a, v]) => `${a.label} ${a.format(v)}`)
     };
   }
 
@@ -142,10 +493,14 @@ class KorMapChart {
   }
 
   static #computeBBox(svg) {
-    const paths = svg.querySelectorAll('path');
+    return this.#unionBBox([...svg.querySelectorAll('path')].map((p) => p.getBBox()));
+  }
+
+  // 여러 경계 상자({x, y, width, height})를 합친 영역
+  static #unionBBox(boxes) {
     let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
-    paths.forEach((p) => {
-      const b = p.getBBox();
+    boxes.forEach((b) => {
+      if (!b) return;
       minX = Math.min(minX, b.x);
       minY = Math.min(minY, b.y);
       maxX = Math.max(maxX, b.x + b.width);
@@ -154,13 +509,71 @@ class KorMapChart {
     return { x: minX, y: minY, w: maxX - minX, h: maxY - minY, cx: (minX + maxX) / 2 };
   }
 
+  static #geometryCache = new WeakMap();  // 지역 요소 → { d, 기준점 }
+
+  // svg 안의 id → { box, d, cache } (라벨/callout 배치용, renderToString은 SVG 문자열에서 같은 형태를 만듦)
+  static #domRegions(svg) {
+    return (id) => {
+      const el = svg.getElementById(id);
+      if (!el) return null;
+
+      let cache = this.#geometryCache.get(el);
+      if (!cache) {
+        cache = { d: this.#elementPathData(el) };
+        this.#geometryCache.set(el, cache);
+      }
+      return { box: el.getBBox(), d: cache.d, cache };
+    };
+  }
+
+  /** ---------- SVG 노드 ---------- */
+  // 라벨·파이·callout·SVG bar는 { tag, attrs, children, text } 노드로 만들고
+  // 브라우저에서는 #realize로 DOM 요소를, renderToString에서는 #serialize로 문자열을 만듦
+  static #node(tag, attrs = {}, children = [], text = null) {
+    return { tag, attrs, children, text };
+  }
+
+  // 만든 요소는 node.el에 기록 (전환 애니메이션이 node.tween과 함께 사용)
+  static #realize(node) {
+    const el = document.createElementNS('http://www.w3.org/2000/svg', node.tag);
+    node.el = el;
+    for (const [k, v] of Object.entries(node.attrs)) {
+      if (v != null) el.setAttribute(k, v);
+    }
+    if (node.text != null) el.textContent = node.text;
+    node.children.forEach((child) => el.appendChild(this.#realize(child)));
+    return el;
+  }
+
+  static #escapeXml(v) {
+    return String(v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+  }
+
+  static #openTag(tag, attrs, selfClose = false) {
+    const text = Object.entries(attrs)
+      .filter(([, v]) => v != null)
+      .map(([k, v]) => ` ${k}="${this.#escapeXml(v)}"`).join('');
+    return `<${tag}${text}${selfClose ? '/' : ''}>`;
+  }
+
+  static #serialize(node) {
+    const inner = ((node.text != null) ? this.#escapeXml(node.text) : '') + node.children.map((c) => this.#serialize(c)).join('');
+    return inner ? `${this.#openTag(node.tag, node.attrs)}${inner}</${node.tag}>` : this.#openTag(node.tag, node.attrs, true);
+  }
+
+  /**
+   * 파이(innerRadius > 0이면 도넛) 노드
+   * opts.explode: hover 시 조각을 바깥으로 밀어낼 거리 (조각마다 data-kmc-explode="dx,dy"로 기록)
+   * opts.center: 도넛 가운데 라벨 { value: 'total' | 조각 index | (data, total) => string, fontSize, fontWeight, color }
+   */
   static #createPieChart(cx, cy, data, opts = {}) {
     const radius = opts.radius ?? 20;
     const innerRadius = opts.innerRadius ?? 0;
     const strokeWidth = opts.strokeWidth ?? 1;
     const strokeColor = opts.strokeColor ?? '#ffffff';
+    const explode = opts.explode ?? 0;
 
-    const g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+    const g = this.#node('g');
 
     // 데이터 합계 계산
     const total = data.reduce((sum, item) => sum + (item.data || 0), 0);
@@ -168,15 +581,13 @@ class KorMapChart {
 
     let currentAngle = -90;  // 12시 방향에서 시작
 
-    data.forEach((item) => {
+    data.forEach((item, i) => {
       const value = item.data || 0;
       const percentage = value / total;
       const angle = percentage * 360;
 
       if (angle === 0) return;
 
-      const path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-
       const startAngleRad = (currentAngle * Math.PI) / 180;
       const endAngleRad = ((currentAngle + angle) * Math.PI) / 180;
 
@@ -187,7 +598,10 @@ class KorMapChart {
 
       let d;
 
-      if (innerRadius > 0) {
+      if (angle >= 360) {
+        // 한 조각이 100%면 호의 시작점과 끝점이 같아 그려지지 않으므로 반원 두 개로 원(도넛은 고리)을 그림
+        d = this.#ringPath(cx, cy, radius, innerRadius);
+      } else if (innerRadius > 0) {
         const ix1 = cx + innerRadius * Math.cos(startAngleRad);
         const iy1 = cy + innerRadius * Math.sin(startAngleRad);
         const ix2 = cx + innerRadius * Math.cos(endAngleRad);
@@ -211,136 +625,628 @@ class KorMapChart {
         ].join(' ');
       }
 
-      path.setAttribute('d', d);
-      path.setAttribute('fill', item.color || '#cccccc');
-      path.setAttribute('stroke', strokeColor);
-      path.setAttribute('stroke-width', strokeWidth);
+      const path = this.#node('path', {
+        d,
+        fill: item.color || '#cccccc',
+        stroke: strokeColor,
+        'stroke-width': strokeWidth,
+        'data-kmc-slice': i  // tooltip·조각 이벤트에서 조각 식별
+      });
+      if (explode && angle < 360) {
+        const mid = ((currentAngle + angle / 2) * Math.PI) / 180;
+        const round = (v) => Math.round(v * 100) / 100;
+        path.attrs['data-kmc-explode'] = `${round(explode * Math.cos(mid))},${round(explode * Math.sin(mid))}`;
+      }
 
-      if (item.label) {
-        const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
-        title.textContent = `${item.label}: ${Math.round(percentage * 100)}%`;
-        path.appendChild(title);
+      // tooltip 사용 시에는 브라우저 기본 title 툴팁과 겹치지 않도록 생략
+      if (item.label && opts.title !== false) {
+        path.children.push(this.#node('title', {}, [], `${item.label}: ${Math.round(percentage * 100)}%`));
       }
 
-      g.appendChild(path);
+      g.children.push(path);
       currentAngle += angle;
     });
 
+    if (opts.center && innerRadius > 0) {
+      g.children.push(this.#node('text', {
+        x: cx,
+        y: cy,
+        'text-anchor': 'middle',
+        'dominant-baseline': 'central',
+        'font-size': opts.center.fontSize ?? Math.max(8, Math.round(innerRadius * 0.8)),
+        'font-weight': opts.center.fontWeight ?? 600,
+        fill: opts.center.color ?? '#111827',
+        'pointer-events': 'none',
+        'data-kmc-pie-center': ''
+      }, [], this.#pieCenterText(opts.center.value, data, total)));
+    }
+
+    return g;
+  }
+
+  // 시작·끝 각도가 같은 한 바퀴: 12시에서 반원 두 개, 도넛은 안쪽 원을 반대 방향으로 그려 구멍을 냄
+  static #ringPath(cx, cy, r, innerR = 0) {
+    const outer = `M ${cx} ${cy - r} A ${r} ${r} 0 1 1 ${cx} ${cy + r} A ${r} ${r} 0 1 1 ${cx} ${cy - r} Z`;
+    if (!(innerR > 0)) return outer;
+    return `${outer} M ${cx} ${cy - innerR} A ${innerR} ${innerR} 0 1 0 ${cx} ${cy + innerR} A ${innerR} ${innerR} 0 1 0 ${cx} ${cy - innerR} Z`;
+  }
+
+  // 도넛 가운데 라벨: 'total'(합계) / 조각 index(그 조각 비율) / 함수
+  static #pieCenterText(value = 'total', data, total) {
+    if (typeof value === 'function') return String(value(data, total) ?? '');
+    if (typeof value === 'number') return data[value] ? this.#fmtPct((data[value].data || 0) / total) : '';
+    return this.#fmtInt(Math.round(total));
+  }
+
+  // 파이 조각 정보 (tooltip formatter·조각 이벤트에 전달), 없으면 null
+  static #sliceInfo(pieData, index) {
+    const item = pieData?.[index];
+    if (!item) return null;
+    const total = pieData.reduce((sum, d) => sum + (d.data || 0), 0);
+    return {
+      index,
+      label: item.label,
+      value: item.data,
+      color: item.color,
+      percentage: total ? (item.data || 0) / total : 0
+    };
+  }
+
+  // labels.pieChart.centerLabel → #createPieChart의 opts.center
+  static #pieCenterOpts(centerLabel) {
+    if (centerLabel == null || centerLabel === false) return null;
+    if (typeof centerLabel === 'object') return centerLabel;
+    return { value: (centerLabel === true) ? 'total' : centerLabel };
+  }
+
+
+  /** ---------- glyphs ---------- */
+  // 지역 라벨 옆 작은 그림 (opts.glyphs). 파이와 같은 위치 규칙으로 배치하고, 그리는 함수만 type별로 다름
+  static #GLYPH_SIZES = { bars: [30, 20], sparkline: [40, 16], stacked: [40, 8], icon: [16, 16] };
+  static #GLYPH_COLORS = ['#1F48FF', '#79a1ee', '#00085A', '#99d9f2', '#D7D7D7'];
+  static #customGlyphs = new Map();  // registerGlyph로 등록한 type → { render, width, height }
+
+  /**
+   * glyph type 등록: opts.glyphs의 { type: name }을 render로 그림
+   * @param {string} type - 'bars' | 'sparkline' | 'stacked' | 'icon' 외의 이름
+   * @param {(glyph, ctx) => Object|null} render - ctx: { name, x, y, left, top, width, height, titles, node(tag, attrs, children, text) }
+   *   { tag, attrs, children, text } 형태의 노드(또는 null)를 반환하면 화면과 renderToString에 같이 사용
+   * @param {{ width?: number, height?: number }} [size] - 기본 크기 (기본 20×20)
+   */
+  static registerGlyph(type, render, size = {}) {
+    if (typeof type !== 'string' || !type) throw new Error('KorMapChart.registerGlyph: type은 문자열이어야 합니다.');
+    if (type in this.#GLYPH_SIZES) throw new Error(`KorMapChart.registerGlyph: 내장 type과 같은 이름은 등록할 수 없습니다. ("${type}")`);
+    if (typeof render !== 'function') throw new Error('KorMapChart.registerGlyph: render는 함수여야 합니다.');
+    this.#customGlyphs.set(type, { render, width: size.width ?? 20, height: size.height ?? 20 });
+  }
+
+  static #glyphRenderer(type) {
+    if (typeof type === 'function') return type;
+    switch (type) {
+      case 'bars': return (glyph, ctx) => this.#barsGlyph(glyph, ctx);
+      case 'sparkline': return (glyph, ctx) => this.#sparklineGlyph(glyph, ctx);
+      case 'stacked': return (glyph, ctx) => this.#stackedGlyph(glyph, ctx);
+      case 'icon': return (glyph, ctx) => this.#iconGlyph(glyph, ctx);
+      default: return this.#customGlyphs.get(type)?.render ?? null;
+    }
+  }
+
+  // glyph 크기 [w, h]: glyph.width/height → labels.glyphs.width/height → type 기본값에 labels.glyphs.scale을 곱함
+  static #glyphSize(glyph, glyphOpts = {}) {
+    const custom = this.#customGlyphs.get(glyph.type);
+    const [w, h] = this.#GLYPH_SIZES[glyph.type] ?? (custom ? [custom.width, custom.height] : [20, 20]);
+    const s = glyphOpts.scale ?? 1;
+    return [(glyph.width ?? glyphOpts.width ?? w) * s, (glyph.height ?? glyphOpts.height ?? h) * s];
+  }
+
+  // 사용자 renderer가 돌려준 { tag, attrs, children, text } 객체를 노드로 정리
+  static #asNode(obj) {
+    if (!obj || typeof obj !== 'object' || !obj.tag) return null;
+    return this.#node(obj.tag, { ...obj.attrs }, (obj.children || []).map((c) => this.#asNode(c)).filter(Boolean), obj.text);
+  }
+
+  // (cx, cy) 중심에 w×h로 glyph를 그린 노드 (요소는 g[data-kmc-glyph][data-kmc-region])
+  static #glyphNode(name, glyph, cx, cy, w, h, titles = true) {
+    const g = this.#node('g', {
+      'data-kmc-glyph': (typeof glyph.type === 'function') ? 'custom' : glyph.type,
+      'data-kmc-region': name  // tooltip에서 지역 식별
+    });
+    if (titles && glyph.title) g.children.push(this.#node('title', {}, [], glyph.title));
+
+    const render = this.#glyphRenderer(glyph.type);
+    const ctx = {
+      name, x: cx, y: cy, left: cx - w / 2, top: cy - h / 2, width: w, height: h, titles,
+      node: (tag, attrs, children, text) => this.#node(tag, attrs, children, text)
+    };
+    const out = this.#asNode(render?.(glyph, ctx));
+    if (out) g.children.push(out);
+    return g;
+  }
+
+  // [숫자 | { label, data, color }] → [{ label, value, color }]
+  static #glyphItems(glyph) {
+    return (glyph.data || []).map((d, i) => {
+      const item = (d != null && typeof d === 'object') ? d : { data: d };
+      return { label: item.label, value: this.#toNumber(item.data), color: item.color ?? glyph.colors?.[i] };
+    });
+  }
+
+  // 미니 막대 차트: 0 기준선에서 위(음수는 아래)로, domain 기본은 0과 값 범위
+  static #barsGlyph(glyph, { left, top, width, height, titles, node }) {
+    const items = this.#glyphItems(glyph);
+    if (!items.length) return null;
+    const values = items.map((d) => d.value ?? 0);
+    const [lo, hi] = glyph.domain ?? [Math.min(0, ...values), Math.max(0, ...values)];
+    const clamp = (v) => Math.max(lo, Math.min(hi, v));
+    const y = (v) => top + height - ((clamp(v) - lo) / ((hi - lo) || 1)) * height;
+    const gap = glyph.gap ?? 1;
+    const bw = Math.max(0.5, (width - gap * (items.length - 1)) / items.length);
+    const base = y(0);
+
+    const g = node('g');
+    items.forEach((d, i) => {
+      const vy = y(values[i]);
+      const rect = node('rect', {
+        x: left + i * (bw + gap), y: Math.min(base, vy), width: bw, height: Math.abs(vy - base),
+        fill: d.color ?? glyph.color ?? this.#GLYPH_COLORS[0]
+      });
+      if (titles && d.label != null) rect.children.push(node('title', {}, [], `${d.label}: ${this.#fmtInt(d.value)}`));
+      g.children.push(rect);
+    });
+    return g;
+  }
+
+  // 선 그래프: 결측(null)에서 선이 끊기고, 마지막 값에 점 (glyph.dot: false면 생략), glyph.area면 아래를 옅게 채움
+  static #sparklineGlyph(glyph, { left, top, width, height, node }) {
+    const values = this.#glyphItems(glyph).map((d) => d.value);
+    const present = values.filter((v) => v != null);
+    if (!present.length) return null;
+
+    const color = glyph.color ?? this.#GLYPH_COLORS[0];
+    const sw = glyph.strokeWidth ?? 1.5;
+    const dotR = (glyph.dot === false) ? 0 : sw + 0.5;
+    const pad = Math.max(sw / 2, dotR);
+    const [lo, hi] = glyph.domain ?? [Math.min(...present), Math.max(...present)];
+    const x = (i) => left + pad + ((values.length > 1) ? i * (width - 2 * pad) / (values.length - 1) : (width - 2 * pad) / 2);
+    const y = (v) => (hi === lo) ? top + height / 2 : top + pad + (1 - (Math.max(lo, Math.min(hi, v)) - lo) / (hi - lo)) * (height - 2 * pad);
+
+    const points = values.map((v, i) => (v == null) ? null : [x(i), y(v)]);
+    const line = points.map((p, i) => p && `${(i && points[i - 1]) ? 'L' : 'M'}${p[0]},${p[1]}`).filter(Boolean).join(' ');
+    const drawn = points.filter(Boolean);
+
+    const g = node('g');
+    if (glyph.area) {
+      const bottom = top + height;
+      const area = `M${drawn[0][0]},${bottom} ${drawn.map(([px, py]) => `L${px},${py}`).join(' ')} L${drawn[drawn.length - 1][0]},${bottom} Z`;
+      g.children.push(node('path', { d: area, fill: color, 'fill-opacity': 0.2, stroke: 'none' }));
+    }
+    g.children.push(node('path', {
+      d: line, fill: 'none', stroke: color, 'stroke-width': sw, 'stroke-linejoin': 'round', 'stroke-linecap': 'round'
+    }));
+    if (dotR) {
+      const [lx, ly] = drawn[drawn.length - 1];
+      g.children.push(node('circle', { cx: lx, cy: ly, r: dotR, fill: color }));
+    }
+    return g;
+  }
+
+  // 100% 누적 가로 막대: 항목 비율만큼 나눠 칠함 (합계가 0이면 배경만)
+  static #stackedGlyph(glyph, { left, top, width, height, titles, node }) {
+    const items = this.#glyphItems(glyph);
+    const total = items.reduce((sum, d) => sum + Math.max(0, d.value ?? 0), 0);
+
+    const g = node('g');
+    g.children.push(node('rect', { x: left, y: top, width, height, fill: glyph.background ?? '#E5E7EB' }));
+    let x = left;
+    items.forEach((d, i) => {
+      const w = total ? (Math.max(0, d.value ?? 0) / total) * width : 0;
+      if (!w) return;
+      const rect = node('rect', {
+        x, y: top, width: w, height,
+        fill: d.color ?? this.#GLYPH_COLORS[i % this.#GLYPH_COLORS.length]
+      });
+      if (titles && d.label != null) rect.children.push(node('title', {}, [], `${d.label}: ${this.#fmtPct(d.value / total)}`));
+      g.children.push(rect);
+      x += w;
+    });
     return g;
   }
 
-  static #placeRegionLabels(svg, codeMap, labelOpts = {}, pieChartData = {}) {
-    const layer = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-    svg.appendChild(layer);
+  // 아이콘: href(이미지) / path(viewBox 크기 기준 path d, 기본 24) / text(글자·이모지) 중 하나
+  static #iconGlyph(glyph, { x, y, left, top, width, height, node }) {
+    const color = glyph.color ?? '#374151';
+    if (glyph.href) {
+      return node('image', { href: glyph.href, x: left, y: top, width, height, preserveAspectRatio: 'xMidYMid meet' });
+    }
+    if (glyph.path) {
+      const vb = glyph.viewBox ?? 24;
+      const k = Math.min(width, height) / vb;
+      return node('path', {
+        d: glyph.path,
+        fill: color,
+        transform: `translate(${left + (width - vb * k) / 2},${top + (height - vb * k) / 2}) scale(${k})`
+      });
+    }
+    if (glyph.text != null) {
+      return node('text', {
+        x, y, 'text-anchor': 'middle', 'dominant-baseline': 'central', 'font-size': height, fill: color
+      }, [], String(glyph.text));
+    }
+    return null;
+  }
+
+  // 라벨 레이어 노드 반환 (요소는 node.el)
+  static #placeRegionLabels(svg, codeMap, labelOpts = {}, pieChartData = {}, glyphData = {}, sliceTitles = true, onDrop = null) {
+    const node = this.#labelsNode(codeMap, this.#domRegions(svg), labelOpts, pieChartData, glyphData, sliceTitles, onDrop);
+    svg.appendChild(this.#realize(node));
+    return node;
+  }
+
+  // 글자 폭 추정 (DOM 없이도 같은 배치가 나오도록 측정 대신 사용): 한글·한자·전각 1em, 공백 0.3em, 그 외 0.6em
+  static #textWidth(text, fontSize) {
+    let em = 0;
+    for (const ch of String(text)) {
+      const c = ch.codePointAt(0);
+      const wide = (c >= 0x1100 && c <= 0x11FF) || (c >= 0x2E80 && c <= 0xD7A3) || (c >= 0xF900 && c <= 0xFAFF) || (c >= 0xFF00 && c <= 0xFF60);
+      em += wide ? 1 : (ch === ' ') ? 0.3 : 0.6;
+    }
+    return em * fontSize;
+  }
+
+  static #boxesOverlap(a, b, pad = 0) {
+    return a.x < b.x + b.w + pad && b.x < a.x + a.w + pad && a.y < b.y + b.h + pad && b.y < a.y + a.h + pad;
+  }
+
+  static #PIE_POSITIONS = ['right', 'bottom', 'left', 'top'];
+
+  // 라벨 중심에서 position 방향으로 gap + (그 방향 절반 크기) 떨어진 파이·glyph 중심
+  static #glyphCenter(x, y, position, gap, w, h) {
+    switch (position) {
+      case 'top': return [x, y - gap - h / 2];
+      case 'bottom': return [x, y + gap + h / 2];
+      case 'left': return [x - gap - w / 2, y];
+      case 'right': return [x + gap + w / 2, y];
+      default: return [x, y];
+    }
+  }
+
+  // 라벨을 밀어 볼 위치: 제자리 → step 간격 동심원의 8방향 (위/아래/좌/우 먼저)
+  static #nudgeOffsets(step, maxDist) {
+    const dirs = [[0, -1], [0, 1], [1, 0], [-1, 0], [1, -1], [-1, -1], [1, 1], [-1, 1]];
+    const out = [[0, 0]];
+    for (let r = step; r <= maxDist + 1e-9; r += step) {
+      dirs.forEach(([dx, dy]) => {
+        const k = (dx && dy) ? r / Math.SQRT2 : r;
+        out.push([dx * k, dy * k]);
+      });
+    }
+    return out;
+  }
+
+  /**
+   * 라벨/파이(glyph) 충돌 회피. 큰 지역부터 자리를 잡고, 이미 놓인 라벨·파이와 겹치면
+   * 1) 파이 위치를 top/bottom/left/right 중에서 바꿔 보고 (positions로 지정한 지역은 고정)
+   * 2) 라벨을 maxNudge 안에서 조금씩 밀고
+   * 3) 더 멀리(maxLeader 이내) 옮기면 기준점에서 지시선을 긋고
+   * 4) 그래도 자리가 없으면 생략 (placed: false)
+   * items: [{ x, y, w, h, area, glyph?: { w, h, gap, offset, positions: string[] } }] → 각 item에 결과(lx, ly, position, leader, placed) 기록
+   */
+  static #layoutLabels(items, layoutOpts) {
+    const pad = layoutOpts.padding;
+    const placed = [];
+    const fits = (boxes) => boxes.every((b) => placed.every((p) => !this.#boxesOverlap(b, p, pad)));
+
+    [...items].sort((a, b) => b.area - a.area).forEach((item) => {
+      const maxDist = layoutOpts.leaderLines ? Math.max(layoutOpts.maxNudge, layoutOpts.maxLeader) : layoutOpts.maxNudge;
+      const candidates = this.#nudgeOffsets(item.h / 2, maxDist);
+
+      for (const [dx, dy] of candidates) {
+        const lx = item.x + dx, ly = item.y + dy;
+        const labelBox = { x: lx - item.w / 2, y: ly - item.h / 2, w: item.w, h: item.h };
+
+        for (const position of (item.glyph ? item.glyph.positions : [null])) {
+          const boxes = [labelBox];
+          if (position) {
+            const { w, h, gap, offset } = item.glyph;
+            const [gx, gy] = this.#glyphCenter(lx, ly, position, gap, w, h);
+            boxes.push({ x: gx + offset[0] - w / 2, y: gy + offset[1] - h / 2, w, h });
+          }
+          if (!fits(boxes)) continue;
+
+          placed.push(...boxes);
+          Object.assign(item, { lx, ly, position, placed: true, leader: Math.hypot(dx, dy) > layoutOpts.maxNudge });
+          return;
+        }
+      }
+      item.placed = false;
+    });
+  }
+
+  // getRegion: SVG id → { box, d, cache? } (없으면 null)
+  // onDrop(name, reason): 표시하지 못한 라벨 보고 ('size': minWidth/minHeight 미만, 'collision': 자리 없음)
+  static #labelsNode(codeMap, getRegion, labelOpts = {}, pieChartData = {}, glyphData = {}, sliceTitles = true, onDrop = null) {
+    const layer = this.#node('g');
+    const leaders = this.#node('g');
+    layer.children.push(leaders);
 
     const minW = labelOpts.minWidth ?? 16;
     const minH = labelOpts.minHeight ?? 12;
+    const fontSize = labelOpts.fontSize ?? 12;
+    const strokeWidth = labelOpts.strokeWidth ?? 2.5;
+    const pieOpts = labelOpts.pieChart || {};
+    const glyphOpts = labelOpts.glyphs || {};
 
+    const items = [];
     for (const [name, code] of Object.entries(codeMap || {})) {
-      const path = svg.getElementById(code);
-      if (!path) continue;
+      const region = getRegion(code);
+      if (!region) continue;
 
-      const b = path.getBBox();
-      if (b.width < minW || b.height < minH) continue;
+      const b = region.box;
+      if (b.width < minW || b.height < minH) {
+        onDrop?.(name, 'size');
+        continue;
+      }
 
-      let cx = b.x + b.width / 2;
-      let cy = b.y + b.height / 2;
+      // 기본은 내부 극점 (경기처럼 가운데가 비거나 충남처럼 굽은 지역도 지역 안에 표시), offsets는 그 위에 더함
+      let [cx, cy] = this.#anchorPoint(region, labelOpts.anchor);
 
       const off = (labelOpts.offsets && labelOpts.offsets[name]) || [0, 0];
       cx += off[0]; cy += off[1];
 
-      const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-      label.setAttribute('x', cx);
-      label.setAttribute('y', cy);
-      label.setAttribute('text-anchor', 'middle');
-      label.setAttribute('dominant-baseline', 'central');
-      label.setAttribute('font-size', labelOpts.fontSize ?? 12);
-      label.setAttribute('font-weight', labelOpts.fontWeight ?? 400);
-      label.setAttribute('fill', labelOpts.color ?? '#111827');
-      label.setAttribute('style', [
-        'pointer-events:none',
-        'paint-order:stroke',
-        'stroke:#FFFFFF',
-        `stroke-width:${labelOpts.strokeWidth ?? 2.5}px`
-      ].join(';'));
-      label.textContent = name;
-      layer.appendChild(label);
+      const item = {
+        name, x: cx, y: cy, lx: cx, ly: cy, placed: true, leader: false,
+        w: this.#textWidth(name, fontSize) + strokeWidth,
+        h: fontSize * 1.2,
+        area: b.width * b.height
+      };
 
-      if (pieChartData?.[name]) {
-        const pieOpts = labelOpts.pieChart || {};
-        const position = pieOpts.positions?.[name] || pieOpts.position || 'right';
-        const gap = pieOpts.gap ?? 15;
+      // 파이(pieChartData)가 있으면 파이, 없으면 glyphs의 glyph (위치 규칙은 labels.pieChart / labels.glyphs)
+      const pie = pieChartData?.[name];
+      const glyph = pie ? null : glyphData?.[name];
+      if (pie || glyph) {
+        const placeOpts = pie ? pieOpts : glyphOpts;
+        const fixed = placeOpts.positions?.[name];
+        const preferred = fixed || placeOpts.position || 'right';
         const radius = pieOpts.radius ?? 15;
+        const [w, h] = pie ? [radius * 2, radius * 2] : this.#glyphSize(glyph, glyphOpts);
+        item.position = preferred;
+        item.glyph = {
+          w, h,
+          gap: placeOpts.gap ?? 15,
+          offset: placeOpts.offsets?.[name] || [0, 0],
+          positions: fixed ? [fixed] : [preferred, ...this.#PIE_POSITIONS.filter((p) => p !== preferred)]
+        };
+      }
+      items.push(item);
+    }
 
-        let pieX = cx;
-        let pieY = cy;
-
-        switch (position) {
-          case 'top':
-            pieY -= (gap + radius);
-            break;
-          case 'bottom':
-            pieY += (gap + radius);
-            break;
-          case 'left':
-            pieX -= (gap + radius);
-            break;
-          case 'right':
-            pieX += (gap + radius);
-            break;
-        }
+    // 기존 차트의 라벨·파이가 옮겨지거나 사라지지 않도록 opt-in (labels.collision: true | {...})
+    const collision = labelOpts.collision ?? false;
+    const layoutOpts = (typeof collision === 'object') ? collision : {};
+    if (collision) {
+      this.#layoutLabels(items, {
+        padding: layoutOpts.padding ?? 2,
+        maxNudge: layoutOpts.maxNudge ?? fontSize,
+        leaderLines: layoutOpts.leaderLines ?? true,
+        maxLeader: layoutOpts.maxLeader ?? fontSize * 5
+      });
+    }
+
+    items.forEach((item) => {
+      const { name } = item;
+      if (!item.placed) {
+        onDrop?.(name, 'collision');
+        return;
+      }
+
+      if (item.leader) {
+        // 기준점에서 라벨 상자의 가장 가까운 점까지
+        const tx = Math.max(item.lx - item.w / 2, Math.min(item.x, item.lx + item.w / 2));
+        const ty = Math.max(item.ly - item.h / 2, Math.min(item.y, item.ly + item.h / 2));
+        leaders.children.push(this.#node('path', {
+          d: `M${item.x},${item.y} L${tx},${ty}`,
+          fill: 'none',
+          stroke: layoutOpts.leaderColor ?? '#6B7280',
+          'stroke-width': layoutOpts.leaderWidth ?? 0.75,
+          'pointer-events': 'none'
+        }));
+        leaders.children.push(this.#node('circle', {
+          cx: item.x, cy: item.y, r: 1.5, fill: layoutOpts.leaderColor ?? '#6B7280', 'pointer-events': 'none'
+        }));
+      }
 
-        const pieOffset = pieOpts.offsets?.[name] || [0, 0];
-        pieX += pieOffset[0];
-        pieY += pieOffset[1];
+      layer.children.push(this.#node('text', {
+        x: item.lx,
+        y: item.ly,
+        'text-anchor': 'middle',
+        'dominant-baseline': 'central',
+        'font-size': fontSize,
+        'font-weight': labelOpts.fontWeight ?? 400,
+        fill: labelOpts.color ?? '#111827',
+        style: [
+          'pointer-events:none',
+          'paint-order:stroke',
+          'stroke:#FFFFFF',
+          `stroke-width:${strokeWidth}px`
+        ].join(';')
+      }, [], name));
 
-        const pie = this.#createPieChart(pieX, pieY, pieChartData[name], {
-          radius: radius,
+      if (item.glyph) {
+        const { w, h, gap, offset } = item.glyph;
+        const [gx, gy] = this.#glyphCenter(item.lx, item.ly, item.position, gap, w, h);
+        const px = gx + offset[0];
+        const py = gy + offset[1];
+
+        const slices = pieChartData?.[name];
+        if (!slices) {
+          layer.children.push(this.#glyphNode(name, glyphData[name], px, py, w, h, sliceTitles));
+          return;
+        }
+        const sliceOpts = {
+          radius: w / 2,
           innerRadius: pieOpts.innerRadius ?? 0,
           strokeWidth: pieOpts.strokeWidth ?? 0.5,
-          strokeColor: pieOpts.strokeColor ?? '#ffffff'
-        });
+          strokeColor: pieOpts.strokeColor ?? '#ffffff',
+          explode: (pieOpts.hover === false) ? 0 : (pieOpts.hover?.explode ?? 0),
+          center: this.#pieCenterOpts(pieOpts.centerLabel),
+          title: sliceTitles
+        };
+        const pie = this.#createPieChart(px, py, slices, sliceOpts);
+        pie.attrs['data-kmc-region'] = name;
+        // 전환 애니메이션: 조각 값을 보간해 다시 그림
+        pie.tween = {
+          kind: 'pie',
+          name,
+          value: slices.map((s) => s.data || 0),
+          render: (values) => this.#createPieChart(px, py, slices.map((s, i) => ({ ...s, data: values[i] })), sliceOpts)
+        };
 
-        layer.appendChild(pie);
+        layer.children.push(pie);
       }
-    }
+    });
+
+    return layer;
   }
 
-  static #paintRegions(svg, codeMap, dataGetter, colorForRate) {
+  static #paintRegions(svg, codeMap, dataGetter, scale) {
     for (const [name, code] of Object.entries(codeMap || {})) {
       const path = svg.getElementById(code);
       if (!path) continue;
 
-      const rate = dataGetter(name);
-      path.style.setProperty('fill', colorForRate(rate), 'important');
+      path.style.setProperty('fill', scale.color(dataGetter(name), name), 'important');
+    }
+  }
+
+  static #BAR_SORTS = ['desc', 'asc', 'name', 'none'];
+  static #BAR_VALUES = ['rate', 'count'];
+
+  /**
+   * bar 목록 모델 (HTML bar와 SVG 내보내기가 공유)
+   * - 값: barOpts.value ('rate' | 'count' | (name, datum) => number), 길이는 domain으로 자른 값 × barOpts.width
+   *   domain이 0을 포함하면 bar는 0 위치(x)에서 시작 (음수는 왼쪽으로, negative: true)
+   * - 정렬: barOpts.sort ('desc' | 'asc' | 'name' | 'none' | 지역명 배열 | (a, b) => number), 값 없는 행은 항상 끝
+   * - barOpts.limit: 상위 N개만, 나머지는 others 행 하나로 합침 (others: false면 버림)
+   * - 값 없는 행은 '-' (missing: 'hide'면 생략), bar 색은 지도 채우기와 같은 scale.color(rate)
+   * → { rows: [{ name, x, width, color, text, negative?, missing?, others? }], references: [{ x, label, color, dash, width }], domain: [min, max] }
+   */
+  static #barModel(dataMap, scale, barOpts = {}) {
+    const valueOpt = barOpts.value ?? 'rate';
+    const getValue = this.#valueGetter(valueOpt);
+    const getRate = (datum) => (typeof datum === 'number') ? datum : datum?.rate;
+
+    let entries = Object.entries(dataMap || {}).map(([name, datum]) => ({ name, datum, value: getValue(name, datum) }));
+    const present = entries.filter((e) => e.value != null);
+    const missing = (barOpts.missing === 'hide') ? [] : entries.filter((e) => e.value == null);
+
+    const sort = barOpts.sort ?? 'desc';
+    if (typeof sort === 'function') {
+      present.sort(sort);
+    } else if (Array.isArray(sort)) {
+      // 배열에 없는 지역은 뒤에 값 내림차순
+      const rank = (name) => { const i = sort.indexOf(name); return i < 0 ? Infinity : i; };
+      present.sort((a, b) => (rank(a.name) - rank(b.name)) || (b.value - a.value));
+    } else if (sort === 'asc') {
+      present.sort((a, b) => a.value - b.value);
+    } else if (sort === 'name') {
+      present.sort((a, b) => a.name.localeCompare(b.name, 'ko'));
+    } else if (sort === 'desc') {
+      present.sort((a, b) => b.value - a.value);
+    }
+    entries = [...present, ...missing];
+
+    const formatter = barOpts.formatter
+      ?? ((v) => (valueOpt === 'rate') ? this.#fmtPct(v) : this.#fmtInt(v));
+
+    let rest = [];
+    if (barOpts.limit != null && present.length > barOpts.limit) {
+      rest = present.slice(barOpts.limit);
+      entries = entries.filter((e) => !rest.includes(e));
+    }
+
+    const othersOpt = barOpts.others ?? true;
+    const o = (typeof othersOpt === 'object') ? othersOpt : {};
+    let others = null;
+    if (rest.length && othersOpt) {
+      const aggregate = o.aggregate ?? ((valueOpt === 'rate') ? 'mean' : 'sum');
+      const sum = rest.reduce((acc, e) => acc + e.value, 0);
+      others = {
+        name: (typeof othersOpt === 'string') ? othersOpt : (o.label ?? `기타 (${rest.length})`),
+        value: (typeof aggregate === 'function') ? aggregate(rest.map((e) => e.value), rest.map((e) => e.name))
+          : (aggregate === 'mean') ? sum / rest.length : sum
+      };
+    }
+
+    // 0과 표시되는 값(others 포함) 범위를 포함하는 구간 (rate는 모든 값이 0–1이면 [0, 1])
+    const values = entries.filter((e) => e.value != null).map((e) => e.value).concat(others ? [others.value] : []);
+    const isRate = (valueOpt === 'rate') && values.every((v) => v >= 0 && v <= 1);
+    const [d0, d1] = barOpts.domain ?? (isRate ? [0, 1] : [Math.min(0, ...values), Math.max(0, ...values)]);
+    const full = barOpts.width ?? 100;
+    const toX = (v) => (d1 === d0) ? 0 : full * (Math.min(d1, Math.max(d0, v)) - d0) / (d1 - d0);
+    // bar 기준점: domain이 0을 포함하면 0, 아니면 domain 시작
+    const zero = toX(0);
+    const span = (v) => {
+      const x = toX(v);
+      return (x < zero) ? { x, width: zero - x, negative: true } : { x: zero, width: x - zero };
+    };
+
+    const rows = entries.map(({ name, datum, value }) => (value == null)
+      ? { name, x: zero, width: 0, color: scale.color(null), text: '-', missing: true }
+      : { name, ...span(value), color: scale.color(this.#toNumber(getRate(datum))), text: formatter(value, name, datum) });
+
+    if (others) {
+      // 값 없는 행보다 앞에
+      rows.splice(rows.length - missing.length, 0, {
+        name: others.name, ...span(others.value), color: o.color ?? '#9CA3AF',
+        text: formatter(others.value, others.name, null), others: true
+      });
     }
+
+    const refOpt = barOpts.reference;
+    const references = (refOpt == null ? [] : [].concat(refOpt)).map((r) => {
+      const ref = (typeof r === 'number') ? { value: r } : r;
+      return {
+        x: toX(ref.value),
+        label: ref.label ?? null,
+        color: ref.color ?? '#374151',
+        dash: ref.dash ?? '4 3',
+        width: ref.width ?? 1
+      };
+    });
+
+    return { rows, references, domain: [d0, d1] };
+  }
+
+  // 기준선 라벨이 있으면 목록 아래에 둘 공간 (px)
+  static #barRefLabelSpace(references, barOpts = {}) {
+    return references.some((r) => r.label != null) ? (barOpts.referenceLabelSize ?? 11) + 6 : 0;
   }
 
-  static #buildBars(wrap, dataMap, colorForRate, barOpts = {}) {
+  static #buildBars(wrap, dataMap, scale, barOpts = {}) {
+    const { rows, references } = this.#barModel(dataMap, scale, barOpts);
+    const labelWidth = barOpts.labelWidth ?? 56;
+    const rowGap = barOpts.rowGap ?? 8;
+
     const list = document.createElement('div');
     list.style.display = 'flex';
     list.style.flexDirection = 'column';
     list.style.gap = (barOpts.gap != null) ? `${barOpts.gap}px` : '20px';
     this.#setCss(list, 'padding-top', (barOpts.paddingTop != null) ? `${barOpts.paddingTop}px` : null);
 
-    const entries = Object.entries(dataMap || {}).map(([name, v]) => {
-      const rate = (typeof v === 'number') ? v : v?.rate;
-      return [name, (rate == null ? -Infinity : rate)];
-    }).sort((a, b) => b[1] - a[1]);
-
-    for (const [name, rRaw] of entries) {
-      const r = this.#clamp01(rRaw) ?? 0;
-
+    for (const { name, x, width, color, text, negative, missing, others } of rows) {
       const row = document.createElement('div');
+      if (others) row.setAttribute('data-kmc-others', '');
+      else row.setAttribute('data-kmc-region', name);
+      if (missing) row.setAttribute('data-kmc-missing', '');
+      if (negative) row.setAttribute('data-kmc-negative', '');
       row.style.display = 'flex';
       row.style.alignItems = 'center';
-      row.style.gap = (barOpts.rowGap != null) ? `${barOpts.rowGap}px` : '8px';
+      row.style.gap = `${rowGap}px`;
       row.style.height = (barOpts.height != null) ? `${barOpts.height}px` : '20px';
 
       const label = document.createElement('span');
       label.style.display = 'inline-block';
       label.style.flexShrink = '0';
-      label.style.width = (barOpts.labelWidth != null) ? `${barOpts.labelWidth}px` : '56px';
+      label.style.width = `${labelWidth}px`;
       label.style.fontSize = (barOpts.labelSize != null) ? `${barOpts.labelSize}px` : '12px';
       label.style.fontWeight = (barOpts.labelWeight != null) ? `${barOpts.labelWeight}` : '600';
       label.style.color = barOpts.labelColor ?? '#111827';
@@ -351,9 +1257,9 @@ class KorMapChart {
       const bar = document.createElement('div');
       bar.style.height = '100%';
       bar.style.borderRadius = (barOpts.rounded != null) ? `${barOpts.rounded}px` : '4px';
-      bar.style.background = colorForRate(r);
-      const bw = ((barOpts.width ?? 100) * r);
-      bar.style.width = `${bw}px`;
+      bar.style.background = color;
+      bar.style.width = `${width}px`;
+      this.#setCss(bar, 'margin-left', x ? `${x}px` : null);
       row.appendChild(bar);
 
       const val = document.createElement('span');
@@ -363,88 +1269,365 @@ class KorMapChart {
       val.style.fontWeight = (barOpts.valueWeight != null) ? `${barOpts.valueWeight}` : '600';
       val.style.color = barOpts.valueColor ?? '#111827';
       val.style.textAlign = 'left';
-      val.textContent = this.#fmtPct(r);
+      val.textContent = text;
       row.appendChild(val);
 
       list.appendChild(row);
     }
 
+    // 기준선 (예: 전국 평균): bar 시작점 + 값 위치에 세로선, 라벨은 목록 아래
+    if (references.length) {
+      const labelSpace = this.#barRefLabelSpace(references, barOpts);
+      list.style.position = 'relative';
+      this.#setCss(list, 'padding-bottom', labelSpace ? `${labelSpace}px` : null);
+
+      references.forEach((ref) => {
+        const line = document.createElement('div');
+        line.setAttribute('data-kmc-reference', '');
+        line.style.position = 'absolute';
+        line.style.top = '0';
+        line.style.bottom = `${labelSpace}px`;
+        line.style.left = `${labelWidth + rowGap + ref.x}px`;
+        line.style.width = '0';
+        line.style.borderLeft = `${ref.width}px ${ref.dash ? 'dashed' : 'solid'} ${ref.color}`;
+        line.style.pointerEvents = 'none';
+        list.appendChild(line);
+
+        if (ref.label != null) {
+          const label = document.createElement('span');
+          label.style.position = 'absolute';
+          label.style.bottom = '0';
+          label.style.left = `${labelWidth + rowGap + ref.x}px`;
+          label.style.transform = 'translateX(-50%)';
+          label.style.whiteSpace = 'nowrap';
+          label.style.fontSize = `${barOpts.referenceLabelSize ?? 11}px`;
+          label.style.color = ref.color;
+          label.style.pointerEvents = 'none';
+          label.textContent = ref.label;
+          list.appendChild(label);
+        }
+      });
+    }
+
     wrap.appendChild(list);
+    return list;
   }
 
+  // callout 노드 반환 (요소는 node.el)
   static #buildCallouts(svg, codeMap, dataMap, bbox, calloutOpts = {}) {
-    const vbStr = svg.getAttribute('viewBox');
-    let vx, vy, vw, vh;
-    if (vbStr) {
-      [vx, vy, vw, vh] = vbStr.split(/\s+/).map(Number);
-    } else {
-      vx = bbox.x; vy = bbox.y; vw = bbox.w; vh = bbox.h;
-      svg.setAttribute('viewBox', `${vx} ${vy} ${vw} ${vh}`);
-    }
+    const { node, viewBox } = this.#calloutsNode(codeMap, this.#domRegions(svg), dataMap, bbox, svg.getAttribute('viewBox'), calloutOpts);
+    svg.setAttribute('viewBox', viewBox);
 
-    const pad = (calloutOpts.padding ?? 0);
-    const extra = (calloutOpts.margin ?? 0);
+    svg.appendChild(this.#realize(node));
+    return node;
+  }
+
+  /**
+   * 한 쪽 callout 라벨의 y 배치. targets는 정렬된 희망 y, 간격 gap 이상을 유지하며 [lo, hi] 안에 쌓는다.
+   * 겹치는 라벨끼리 묶어 묶음 희망 y의 평균에 가운데 맞추므로 순서가 유지되고 (지시선이 교차하지 않음)
+   * 이동 거리가 한쪽으로 쏠리지 않음. 공간이 모자라면 [lo, hi]를 균등 분할.
+   * fixed(bypass 라벨의 y)는 움직이지 않는 라벨로 보고, 그 위아래 gap 안에는 라벨을 두지 않음.
+   */
+  static #stackCallouts(targets, gap, lo, hi, fixed = []) {
+    // fixed 사이의 빈 구간과 각 구간에 들어가는 라벨 수
+    const open = [];
+    let from = lo;
+    [...fixed].sort((a, b) => a - b).forEach((f) => {
+      open.push([from, Math.min(f - gap, hi)]);
+      from = Math.max(from, f + gap);
+    });
+    open.push([from, hi]);
+    const ranges = open.filter(([a, b]) => b >= a);
+    const room = ranges.map(([a, b]) => Math.floor((b - a) / gap) + 1);
+    // 다 못 넣으면 fixed를 무시하고 균등 분할
+    if (room.reduce((sum, r) => sum + r, 0) < targets.length) return this.#stackRange(targets, gap, lo, hi);
+
+    // 희망 y에서 가장 가까운 구간에 넣고, 넘치는 라벨은 순서를 지키며 이웃 구간으로 밀어냄
+    const dist = (t, [a, b]) => Math.max(a - t, t - b, 0);
+    const slot = targets.map((t) => ranges.reduce((best, r, i) => (dist(t, r) < dist(t, ranges[best]) ? i : best), 0));
+    const overflow = (i) => slot.filter((s) => s === i).length - room[i];
+    for (let i = 0; i < ranges.length - 1; i++) {
+      for (let j = slot.length - 1, over = overflow(i); over > 0; j--) {
+        if (slot[j] === i) { slot[j] = i + 1; over--; }
+      }
+    }
+    for (let i = ranges.length - 1; i > 0; i--) {
+      for (let j = 0, over = overflow(i); over > 0; j++) {
+        if (slot[j] === i) { slot[j] = i - 1; over--; }
+      }
+    }
+
+    return ranges.flatMap(([a, b], i) => this.#stackRange(targets.filter((_, j) => slot[j] === i), gap, a, b));
+  }
+
+  // #stackCallouts의 한 구간 배치 (targets는 정렬된 희망 y)
+  static #stackRange(targets, gap, lo, hi) {
+    const n = targets.length;
+    if (!n) return [];
+    if ((n - 1) * gap > hi - lo) {
+      return targets.map((_, i) => (n === 1) ? (lo + hi) / 2 : lo + (hi - lo) * i / (n - 1));
+    }
+
+    const clamp = (c) => {
+      const mean = c.sum / c.count;
+      c.top = Math.min(Math.max(mean - (c.count - 1) * gap / 2, lo), hi - (c.count - 1) * gap);
+    };
+    const clusters = [];
+    targets.forEach((t) => {
+      const c = { sum: t, count: 1 };
+      clamp(c);
+      clusters.push(c);
+      while (clusters.length > 1) {
+        const last = clusters[clusters.length - 1];
+        const prev = clusters[clusters.length - 2];
+        if (prev.top + prev.count * gap <= last.top) break;
+        prev.sum += last.sum;
+        prev.count += last.count;
+        clamp(prev);
+        clusters.pop();
+      }
+    });
+
+    const out = [];
+    clusters.forEach((c) => { for (let i = 0; i < c.count; i++) out.push(c.top + i * gap); });
+    return out;
+  }
+
+  // callout 노드와 좌우 여백을 더한 viewBox 문자열 (vbStr이 없으면 지도 bbox 기준)
+  // callouts.stack이면 라벨을 좌/우 별로 정렬해 minGap 간격으로 쌓고 꺾인 지시선으로 연결 (아니면 지역 높이 그대로)
+  // bypass 지역은 수동 경로 그대로 cy + dy 높이에 두고, 자동 라벨이 그 높이를 피해 쌓임
+  static #calloutsNode(codeMap, getRegion, dataMap, bbox, vbStr, calloutOpts = {}) {
+    let vx, vy, vw, vh;
+    if (vbStr) {
+      [vx, vy, vw, vh] = vbStr.trim().split(/[\s,]+/).map(Number);
+    } else {
+      vx = bbox.x; vy = bbox.y; vw = bbox.w; vh = bbox.h;
+    }
+
+    const pad = (calloutOpts.padding ?? 0);
+    const extra = (calloutOpts.margin ?? 0);
     const padding = pad + extra;
 
-    svg.setAttribute('viewBox', `${vx - padding} ${vy} ${vw + (padding * 2)} ${vh}`);
+    const viewBox = `${vx - padding} ${vy} ${vw + (padding * 2)} ${vh}`;
 
     const leftX = bbox.x - pad;
     const rightX = bbox.x + bbox.w + pad;
+    const textSize = calloutOpts.textSize ?? 12;
 
-    const group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-    svg.appendChild(group);
-
+    const items = [];
     for (const [name, code] of Object.entries(codeMap || {})) {
-      const path = svg.getElementById(code);
-      if (!path) continue;
+      const region = getRegion(code);
+      if (!region) continue;
 
-      const b = path.getBBox();
-      let cx = b.x + b.width / 2;
-      let cy = b.y + b.height / 2;
+      let [cx, cy] = this.#anchorPoint(region, calloutOpts.anchor);
 
       const off = (calloutOpts.offsets && calloutOpts.offsets[name]) || [0, 0];
-      const bypass = (calloutOpts.bypass && calloutOpts.bypass[name]);
       cx += off[0]; cy += off[1];
 
       const leftSide = cx < bbox.cx;
-      const startX = cx;
+      const bypass = calloutOpts.bypass?.[name] || null;
+      items.push({ name, cx, cy, leftSide, bypass, ly: cy + (bypass?.[1] || 0) });
+    }
+
+    // 자동 배치: bypass 라벨은 움직이지 않고 자동 라벨과 겹치지 않도록 장애물로만 넘김
+    if (calloutOpts.stack) {
+      const gap = calloutOpts.minGap ?? textSize + 4;
+      [true, false].forEach((leftSide) => {
+        const side = items.filter((it) => it.leftSide === leftSide);
+        const auto = side.filter((it) => !it.bypass).sort((a, b) => a.cy - b.cy);
+        const fixed = side.filter((it) => it.bypass).map((it) => it.ly);
+        const ys = this.#stackCallouts(auto.map((it) => it.cy), gap, vy + textSize / 2, vy + vh - textSize / 2, fixed);
+        auto.forEach((it, i) => { it.ly = ys[i]; it.stacked = true; });
+      });
+    }
+
+    const group = this.#node('g');
+
+    items.forEach(({ name, cx, cy, leftSide, bypass, ly, stacked }) => {
       const endX = leftSide ? leftX : rightX;
-      const bend = bypass ? `L${startX + bypass[0]},${cy + bypass[1]}` : '';
       const textDx = (calloutOpts.textOffset ?? 0) * (leftSide ? -1 : +1);
 
-      const line = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-      const d = `M${cx},${cy} L${startX},${cy} ${bend} L${endX + textDx},${cy + (bypass?.[1] || 0)}`;
-      line.setAttribute('d', d);
-      line.setAttribute('fill', 'none');
-      line.setAttribute('stroke', calloutOpts.lineColor ?? '#9CA3AF');
-      line.setAttribute('stroke-width', calloutOpts.lineWidth ?? 1);
-      line.setAttribute('stroke-dasharray', calloutOpts.lineDash ?? '0');
-      group.appendChild(line);
-
-      const pin = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-      pin.setAttribute('cx', cx);
-      pin.setAttribute('cy', cy);
-      pin.setAttribute('r', calloutOpts.pinSize ?? '2');
-      pin.setAttribute('fill', calloutOpts.pinColor ?? '#1B4EFF');
-      group.appendChild(pin);
-
-      const label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-      label.setAttribute('x', endX);
-      label.setAttribute('y', cy + (bypass?.[1] || 0));
-      label.setAttribute('text-anchor', leftSide ? 'end' : 'start');
-      label.setAttribute('dominant-baseline', 'middle');
-      label.setAttribute('font-size', calloutOpts.textSize ?? 12);
-      label.setAttribute('font-weight', calloutOpts.textWeight ?? 400);
-      label.setAttribute('fill', calloutOpts.textColor ?? '#6B7280');
+      let d;
+      if (stacked) {
+        // 핀 → 지도 가장자리까지 수평 → 라벨 열과의 중간에서 라벨 높이로 꺾임 → 라벨 (순서가 같으므로 서로 교차하지 않음)
+        const edgeX = leftSide ? Math.min(bbox.x, cx) : Math.max(bbox.x + bbox.w, cx);
+        const elbowX = (edgeX + endX) / 2;
+        d = `M${cx},${cy} L${edgeX},${cy} L${elbowX},${ly} L${endX + textDx},${ly}`;
+      } else {
+        const bend = bypass ? `L${cx + bypass[0]},${cy + bypass[1]}` : '';
+        d = `M${cx},${cy} L${cx},${cy} ${bend} L${endX + textDx},${ly}`;
+      }
+      group.children.push(this.#node('path', {
+        d,
+        fill: 'none',
+        stroke: calloutOpts.lineColor ?? '#9CA3AF',
+        'stroke-width': calloutOpts.lineWidth ?? 1,
+        'stroke-dasharray': calloutOpts.lineDash ?? '0'
+      }));
+
+      group.children.push(this.#node('circle', {
+        cx,
+        cy,
+        r: calloutOpts.pinSize ?? '2',
+        fill: calloutOpts.pinColor ?? '#1B4EFF'
+      }));
 
       const dv = dataMap?.[name];
       const count = (typeof dv === 'number') ? null : dv?.count;
-      label.textContent = calloutOpts.formatter
-        ? calloutOpts.formatter(name, count)
-        : `${name} : ${this.#fmtInt(count)}`;
+      const format = (c) => calloutOpts.formatter
+        ? calloutOpts.formatter(name, c)
+        : `${name} : ${this.#fmtInt(c)}`;
+
+      const label = this.#node('text', {
+        x: endX,
+        y: ly,
+        'text-anchor': leftSide ? 'end' : 'start',
+        'dominant-baseline': 'middle',
+        'font-size': textSize,
+        'font-weight': calloutOpts.textWeight ?? 400,
+        fill: calloutOpts.textColor ?? '#6B7280'
+      }, [], format(count));
+      // 전환 애니메이션: 건수를 세어 올라감
+      if (Number.isFinite(count)) label.tween = { kind: 'count', name, value: count, render: format };
+      group.children.push(label);
+    });
+
+    return { node: group, viewBox };
+  }
+
+  static #defaultTooltip(name, datum, pieData, slice, fmtRate, labels = {}, axes = null) {
+    const box = document.createElement('div');
+    const line = (text, bold = false) => {
+      const row = document.createElement('div');
+      if (bold) row.style.fontWeight = '600';
+      row.textContent = text;
+      box.appendChild(row);
+    };
+
+    if (slice) {
+      line(slice.label ? `${name} · ${slice.label}` : name, true);
+      line(`${this.#fmtInt(slice.value)} (${this.#fmtPct(slice.percentage)})`);
+      return box;
+    }
 
-      group.appendChild(label);
+    line(name, true);
+    if (axes) {
+      // bivariate: 분류에 쓴 두 값
+      axes.forEach((text) => line(text));
+    } else {
+      const rate = (typeof datum === 'number') ? datum : datum?.rate;
+      const count = (typeof datum === 'number') ? null : datum?.count;
+      if (rate != null) line(`${labels.rate ?? '비율'} ${fmtRate(rate)}`);
+      if (count != null) line(`${labels.count ?? '건수'} ${this.#fmtInt(count)}`);
     }
+
+    const total = (pieData || []).reduce((sum, item) => sum + (item.data || 0), 0);
+    (pieData || []).forEach((item) => {
+      const pct = total ? this.#fmtPct((item.data || 0) / total) : '-';
+      line(`${item.label ?? ''} ${this.#fmtInt(item.data)} (${pct})`);
+    });
+
+    return box;
+  }
+
+  // mount 기준으로 포인터를 따라다니는 HTML 툴팁 (지역 path / 파이 조각 / bar 행)
+  static #bindTooltip(el, codeMap, tooltipOpts, getDatum, getPieData, getScale) {
+    const formatter = tooltipOpts.formatter;
+    const [ox, oy] = tooltipOpts.offset ?? [12, 12];
+    const codeToName = new Map(Object.entries(codeMap || {}).map(([name, code]) => [code, name]));
+
+    const tip = document.createElement('div');
+    tip.className = tooltipOpts.className ?? 'kor-map-chart-tooltip';
+    tip.style.position = 'absolute';
+    tip.style.zIndex = '2';
+    tip.style.pointerEvents = 'none';
+    tip.style.display = 'none';
+    tip.style.maxWidth = (tooltipOpts.maxWidth != null) ? `${tooltipOpts.maxWidth}px` : '240px';
+    tip.style.padding = '6px 8px';
+    tip.style.borderRadius = '4px';
+    tip.style.whiteSpace = 'pre-line';
+    tip.style.lineHeight = '1.5';
+    tip.style.fontSize = (tooltipOpts.fontSize != null) ? `${tooltipOpts.fontSize}px` : '12px';
+    tip.style.color = tooltipOpts.color ?? '#FFFFFF';
+    tip.style.background = tooltipOpts.background ?? 'rgba(17,24,39,0.9)';
+    Object.assign(tip.style, tooltipOpts.style || {});
+    el.appendChild(tip);
+
+    // 이벤트 대상에서 위로 올라가며 지역명과 파이 조각 index를 찾음
+    const resolve = (target) => {
+      let sliceIndex = null;
+      for (let node = target; node && node !== el && node.getAttribute; node = node.parentNode) {
+        if (sliceIndex == null && node.hasAttribute('data-kmc-slice')) {
+          sliceIndex = Number(node.getAttribute('data-kmc-slice'));
+        }
+        const name = node.getAttribute('data-kmc-region') ?? codeToName.get(node.id);
+        if (name != null) return { name, sliceIndex };
+      }
+      return null;
+    };
+
+    let currentKey = null;
+
+    const hide = () => {
+      currentKey = null;
+      tip.style.display = 'none';
+    };
+
+    const render = ({ name, sliceIndex }) => {
+      const datum = getDatum(name);
+      const pieData = getPieData(name);
+      const slice = (sliceIndex != null) ? this.#sliceInfo(pieData, sliceIndex) : null;
+
+      const content = formatter
+        ? formatter(name, datum, pieData, slice)
+        : this.#defaultTooltip(name, datum, pieData, slice, this.#legendFormatter(getScale()), tooltipOpts.labels,
+          getScale().describe?.(datum, name));
+
+      tip.textContent = '';
+      if (content == null || content === '') return false;
+      if (typeof content === 'string') tip.textContent = content;
+      else tip.appendChild(content);
+      return true;
+    };
+
+    // 포인터 오른쪽/아래에 두되 넘치면 반대편으로 뒤집고, 그래도 넘치면 mount 안으로 고정
+    const place = (e) => {
+      const rect = el.getBoundingClientRect();
+      const px = e.clientX - rect.left - el.clientLeft;
+      const py = e.clientY - rect.top - el.clientTop;
+      const maxX = el.clientWidth - tip.offsetWidth;
+      const maxY = el.clientHeight - tip.offsetHeight;
+
+      let x = px + ox;
+      let y = py + oy;
+      if (x > maxX) x = px - ox - tip.offsetWidth;
+      if (y > maxY) y = py - oy - tip.offsetHeight;
+
+      tip.style.left = `${Math.max(0, Math.min(x, maxX))}px`;
+      tip.style.top = `${Math.max(0, Math.min(y, maxY))}px`;
+    };
+
+    const onMove = (e) => {
+      const hit = resolve(e.target);
+      if (!hit) { hide(); return; }
+
+      const key = `${hit.name}|${hit.sliceIndex}`;
+      if (key !== currentKey) {
+        currentKey = key;
+        if (!render(hit)) { tip.style.display = 'none'; return; }
+        tip.style.display = 'block';
+      }
+      if (tip.style.display !== 'none') place(e);
+    };
+
+    el.addEventListener('mousemove', onMove);
+    el.addEventListener('mouseleave', hide);
+
+    return () => {
+      el.removeEventListener('mousemove', onMove);
+      el.removeEventListener('mouseleave', hide);
+      tip.remove();
+    };
   }
 
   static #createShadowFilter(svg, shadowOpts = {}) {
@@ -476,12 +1659,76 @@ class KorMapChart {
     return filterId;
   }
 
-  static #bindRegionEvents(svg, codeMap, opts, getDatum) {
+  // 포커스된 요소를 DOM에서 옮기면 포커스가 풀리므로, 그 경우 뒤따르는 형제들을 앞으로 옮겨 같은 z-순서를 만듦
+  static #raise(node) {
+    const parent = node?.parentNode;
+    if (!parent) return;
+    if (node !== document.activeElement) parent.appendChild(node);
+    else while (node.nextSibling) parent.insertBefore(node.nextSibling, node);
+  }
+
+  static #ARROW_KEYS = {
+    ArrowRight: [1, 0],
+    ArrowLeft: [-1, 0],
+    ArrowDown: [0, 1],
+    ArrowUp: [0, -1]
+  };
+
+  // 방향키 이동: 진행 방향 앞쪽에 있는 지역 중 (진행 거리 + 2 × 옆 거리)가 가장 작은 지역
+  static #nearestRegion(from, paths, [dx, dy]) {
+    const center = (p) => {
+      const b = p.getBBox();
+      return [b.x + b.width / 2, b.y + b.height / 2];
+    };
+    const [fx, fy] = center(from);
+
+    let best = null;
+    let bestScore = Infinity;
+    paths.forEach((p) => {
+      if (p === from) return;
+      const [x, y] = center(p);
+      const along = (x - fx) * dx + (y - fy) * dy;
+      if (along <= 0) return;
+      const across = Math.abs((x - fx) * dy) + Math.abs((y - fy) * dx);
+      const score = along + across * 2;
+      if (score < bestScore) {
+        bestScore = score;
+        best = p;
+      }
+    });
+    return best;
+  }
+
+  static #SELECTION_MODES = ['single', 'multi'];
+
+  // opts.selection 정규화: 'single' | 'multi' | { mode, selectedStyle, dimUnselected } → { mode|null, ... }
+  static #selectionOpts(opts) {
+    const sel = opts?.selection;
+    if (!sel) return { mode: null };
+    if (typeof sel === 'string') return { mode: sel };
+    return { ...sel, mode: sel.mode ?? 'single' };
+  }
+
+  /**
+   * 지역 path의 hover/focus/선택 이벤트를 연결
+   * 스타일은 [원래 스타일] → [선택 또는 흐림] → [hover/focus] 순서로 매번 다시 계산하므로
+   * mouseleave 후에도 선택 스타일이 유지됨
+   * @returns {{ unbind: Function, refresh: Function, repaint: Function }}
+   *   refresh: 선택이 바뀐 뒤 스타일 재계산 / repaint: #paintRegions로 fill이 바뀐 뒤 원래 fill 갱신
+   */
+  static #bindRegionEvents(svg, codeMap, opts, getDatum, selection, getPieData = () => null) {
     const ev = opts?.events || {};
     const hoverStyle = ev.hoverStyle || { opacity: 0.8, cursor: 'pointer' };
     const regionHoverStyles = ev.regionHoverStyles || {};  // 지역별 커스텀 hover 스타일
     const shadow = ev.shadow;  // boolean 또는 object
     const innerCities = opts?.innerCities || [];
+    const keyboard = opts?.a11y !== false && opts?.a11y?.keyboard !== false;
+
+    const selOpts = this.#selectionOpts(opts);
+    const dimOpacity = (typeof selOpts.dimUnselected === 'number') ? selOpts.dimUnselected : 0.35;
+    const hoverLook = (name) => regionHoverStyles[name] || hoverStyle;
+    // selectedStyle이 없으면 선택된 지역은 hover와 같은 모양(그림자 포함)
+    const selectedLook = (name) => selOpts.selectedStyle || hoverLook(name);
 
     let shadowFilterId = null;
     if (shadow) {
@@ -504,149 +1751,3585 @@ class KorMapChart {
       });
     };
 
-    for (const [name, code] of Object.entries(codeMap || {})) {
-      const p = svg.getElementById(code);
-      if (!p) continue;
+    const restore = (p, orig) => {
+      apply(p, orig);
 
-      const orig = {
-        stroke: p.style.stroke,
-        strokeWidth: p.style.strokeWidth,
-        opacity: p.style.opacity,
-        cursor: p.style.cursor,
-        filter: p.style.filter,
-        fill: p.style.fill  // 배경색 저장
-      };
+      if (orig.fill !== undefined) {
+        p.style.setProperty('fill', orig.fill || '', 'important');
+      }
 
-      p.style.pointerEvents = 'auto';
+      if (shadow) {
+        p.style.filter = orig.filter || '';
+      }
+    };
 
-      p.addEventListener('mouseenter', (e) => {
-        // SVG에서 요소를 맨 위로 올리기 (z-index 효과)
-        p.parentNode.appendChild(p);
+    // 꾸밈 스타일이 건드리는 속성 (원래 값 저장/복원 대상)
+    const keys = new Set(['stroke', 'strokeWidth', 'opacity', 'cursor', 'filter', 'fill']);
+    [hoverStyle, selOpts.selectedStyle || {}, ...Object.values(regionHoverStyles)]
+      .forEach((style) => Object.keys(style).forEach((k) => keys.add(k)));
 
-        // 내륙 도시들을 항상 맨 위에 유지
-        for (const [innerName, innerCode] of Object.entries(codeMap || {})) {
-          if (innerCities.includes(innerName) && innerName !== name) {
-            const innerPath = svg.getElementById(innerCode);
-            if (innerPath && innerPath.parentNode) {
-              innerPath.parentNode.appendChild(innerPath);
-            }
-          }
-        }
+    // 해제 시 정리할 리스너, 꾸밈 전 원래 스타일, 강조 중인 지역 (mouse hover / keyboard focus)
+    const listeners = [];
+    const base = new Map();     // path → 원래 스타일
+    const hovered = new Map();  // path → Set<'mouse' | 'focus'>
+    const on = (target, type, fn) => {
+      target.addEventListener(type, fn);
+      listeners.push([target, type, fn]);
+    };
 
-        // 지역별 커스텀 스타일 또는 전역 스타일 적용
-        const styleToApply = regionHoverStyles[name] || hoverStyle;
-        apply(p, styleToApply);
+    const regions = Object.entries(codeMap || {})
+      .map(([name, code]) => [name, svg.getElementById(code)])
+      .filter(([, p]) => p);
+    const paths = regions.map(([, p]) => p);
 
-        if (shadow && shadowFilterId) {
-          p.style.filter = `url(#${shadowFilterId})`;
-        }
+    // 내륙 도시들을 항상 맨 위에 유지 (bubbles 원은 그보다 위)
+    const raiseInnerCities = (except) => {
+      regions.forEach(([name, p]) => {
+        if (innerCities.includes(name) && name !== except) this.#raise(p);
+      });
+      svg.querySelectorAll('[data-kmc-bubbles]').forEach((layer) => this.#raise(layer));
+    };
+
+    const refreshPath = (name, p) => {
+      const selected = selection.has(name);
+      const lit = hovered.has(p);
+      const layers = [];
+      if (selected) layers.push(selectedLook(name));
+      else if (selOpts.dimUnselected && selection.size()) layers.push({ opacity: dimOpacity });
+      if (lit) layers.push(hoverLook(name));
+
+      if (!layers.length) {
+        if (base.has(p)) restore(p, base.get(p));
+        base.delete(p);
+        return;
+      }
+
+      // setData()로 fill이 바뀔 수 있으므로 처음 꾸미기 직전 스타일을 저장
+      if (!base.has(p)) {
+        const orig = {};
+        keys.forEach((k) => { orig[k] = p.style[k]; });
+        base.set(p, orig);
+      }
+
+      restore(p, base.get(p));
+      layers.forEach((style) => apply(p, style));
+
+      if (shadowFilterId && (lit || (selected && !selOpts.selectedStyle))) {
+        p.style.filter = `url(#${shadowFilterId})`;
+      }
+    };
+
+    const refresh = () => {
+      regions.forEach(([name, p]) => {
+        refreshPath(name, p);
+        // 선택된 지역은 테두리가 가려지지 않도록 위로
+        if (selection.has(name)) this.#raise(p);
+      });
+      raiseInnerCities();
+    };
+
+    const highlight = (p, name, source) => {
+      const sources = hovered.get(p);
+      if (sources) {
+        sources.add(source);
+        return;
+      }
+      hovered.set(p, new Set([source]));
+
+      // SVG에서 요소를 맨 위로 올리기 (z-index 효과)
+      this.#raise(p);
+      raiseInnerCities(name);
+
+      // 지역별 커스텀 스타일 또는 전역 스타일 적용 (키보드 포커스도 같은 스타일)
+      refreshPath(name, p);
+    };
+
+    const unhighlight = (p, name, source) => {
+      const sources = hovered.get(p);
+      if (!sources) return;
+      sources.delete(source);
+      if (sources.size) return;
+
+      hovered.delete(p);
+      refreshPath(name, p);
+    };
+
+    // 키보드 이동 순서는 codeMap 순서 (hover로 DOM 순서가 바뀌어도 일정)
+    // roving tabindex: 지도 안에서는 Tab/방향키로 이동하고, 지도 밖으로는 한 번의 Tab으로 나감
+    const moveFocus = (from, to) => {
+      if (!to) return;
+      from.setAttribute('tabindex', '-1');
+      to.setAttribute('tabindex', '0');
+      to.focus();
+    };
+
+    const activateRegion = (name, p, e) => {
+      if (selOpts.mode) selection.click(name, e);
+      ev.onRegionClick?.(name, p, getDatum(name), e);
+    };
+
+    regions.forEach(([name, p], i) => {
+      p.style.pointerEvents = 'auto';
+
+      const activate = (e) => activateRegion(name, p, e);
+
+      on(p, 'mouseenter', (e) => {
+        highlight(p, name, 'mouse');
         ev.onRegionEnter?.(name, p, getDatum(name), e);
       });
 
-      p.addEventListener('mouseleave', (e) => {
-        apply(p, orig);
+      on(p, 'mouseleave', (e) => {
+        unhighlight(p, name, 'mouse');
+        ev.onRegionLeave?.(name, p, getDatum(name), e);
+      });
+
+      on(p, 'click', activate);
 
-        if (orig.fill !== undefined) {
-          p.style.setProperty('fill', orig.fill || '', 'important');
-        }
+      if (!keyboard) return;
+
+      p.setAttribute('tabindex', i === 0 ? '0' : '-1');
+      p.setAttribute('role', 'button');
+      if (selOpts.mode) p.setAttribute('aria-pressed', String(selection.has(name)));
 
-        if (shadow) {
-          p.style.filter = orig.filter || '';
+      on(p, 'focus', () => {
+        paths.forEach((other) => other.setAttribute('tabindex', other === p ? '0' : '-1'));
+        highlight(p, name, 'focus');
+      });
+
+      on(p, 'blur', () => unhighlight(p, name, 'focus'));
+
+      on(p, 'keydown', (e) => {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          activate(e);
+        } else if (e.key === 'Tab') {
+          // 첫/마지막 지역에서는 기본 동작으로 지도 밖으로 이동
+          const next = paths[i + (e.shiftKey ? -1 : 1)];
+          if (next) {
+            e.preventDefault();
+            moveFocus(p, next);
+          }
+        } else if (e.key === 'Home' || e.key === 'End') {
+          e.preventDefault();
+          moveFocus(p, (e.key === 'Home') ? paths[0] : paths[paths.length - 1]);
+        } else if (this.#ARROW_KEYS[e.key]) {
+          e.preventDefault();
+          moveFocus(p, this.#nearestRegion(p, paths, this.#ARROW_KEYS[e.key]));
         }
-        ev.onRegionLeave?.(name, p, getDatum(name), e);
       });
+    });
+
+    // bubbles 원은 해당 지역 path와 같은 hover/클릭 동작 (setData로 다시 그려도 동작하도록 svg에 위임)
+    const bubbleRegion = (target) => {
+      const name = target?.hasAttribute?.('data-kmc-bubble') ? target.getAttribute('data-kmc-region') : null;
+      return (name != null) ? regions.find(([n]) => n === name) ?? null : null;
+    };
+    on(svg, 'mouseover', (e) => {
+      const hit = bubbleRegion(e.target);
+      if (!hit) return;
+      const [name, p] = hit;
+      highlight(p, name, 'bubble');
+      ev.onRegionEnter?.(name, p, getDatum(name), e);
+    });
+    on(svg, 'mouseout', (e) => {
+      const hit = bubbleRegion(e.target);
+      if (!hit) return;
+      const [name, p] = hit;
+      unhighlight(p, name, 'bubble');
+      ev.onRegionLeave?.(name, p, getDatum(name), e);
+    });
+    on(svg, 'click', (e) => {
+      const hit = bubbleRegion(e.target);
+      if (hit) activateRegion(hit[0], hit[1], e);
+    });
+
+    // 파이 조각 hover: 나머지 조각을 흐리게 + explode 방향으로 이동, 도넛 가운데 라벨은 그 조각 비율로
+    const pieHover = opts?.labels?.pieChart?.hover ?? true;
+    const sliceDim = pieHover?.dimOpacity ?? 0.5;
+    let centerText = null;  // hover 전 도넛 가운데 라벨
+    const sliceAt = (target) => {
+      if (!target?.hasAttribute?.('data-kmc-slice')) return null;
+      const name = target.parentNode?.getAttribute?.('data-kmc-region');
+      if (name == null) return null;
+      return { el: target, name, slice: this.#sliceInfo(getPieData(name), Number(target.getAttribute('data-kmc-slice'))) };
+    };
+    const lightSlice = (hit, lit) => {
+      if (!pieHover) return;
+      const pie = hit.el.parentNode;
+      pie.querySelectorAll('[data-kmc-slice]').forEach((s) => {
+        s.style.opacity = (lit && s !== hit.el) ? String(sliceDim) : '';
+      });
+      const offset = hit.el.getAttribute('data-kmc-explode');
+      if (offset && lit) hit.el.setAttribute('transform', `translate(${offset})`);
+      else hit.el.removeAttribute('transform');
+
+      const center = pie.querySelector('[data-kmc-pie-center]');
+      if (!center || !hit.slice) return;
+      if (lit) {
+        centerText = center.textContent;
+        center.textContent = this.#fmtPct(hit.slice.percentage);
+      } else if (centerText != null) {
+        center.textContent = centerText;
+        centerText = null;
+      }
+    };
+    on(svg, 'mouseover', (e) => {
+      const hit = sliceAt(e.target);
+      if (!hit) return;
+      lightSlice(hit, true);
+      ev.onSliceEnter?.(hit.name, hit.slice, e);
+    });
+    on(svg, 'mouseout', (e) => {
+      const hit = sliceAt(e.target);
+      if (!hit) return;
+      lightSlice(hit, false);
+      ev.onSliceLeave?.(hit.name, hit.slice, e);
+    });
+    on(svg, 'click', (e) => {
+      const hit = sliceAt(e.target);
+      if (hit) ev.onSliceClick?.(hit.name, hit.slice, e);
+    });
 
-      p.addEventListener('click', (e) => {
-        ev.onRegionClick?.(name, p, getDatum(name), e);
+    // 지도 빈 곳 클릭 시 선택 해제
+    if (selOpts.mode) {
+      on(svg, 'click', (e) => {
+        if (e.target === svg) selection.clear();
       });
     }
+
+    refresh();
+
+    return {
+      refresh: () => {
+        refresh();
+        if (keyboard && selOpts.mode) {
+          regions.forEach(([name, p]) => p.setAttribute('aria-pressed', String(selection.has(name))));
+        }
+      },
+
+      repaint: () => {
+        base.forEach((orig, p) => { orig.fill = p.style.fill; });
+        regions.forEach(([name, p]) => refreshPath(name, p));
+      },
+
+      // 리스너/그림자 필터/포커스 속성 제거
+      unbind: () => {
+        listeners.forEach(([target, type, fn]) => target.removeEventListener(type, fn));
+        base.forEach((orig, p) => restore(p, orig));
+        base.clear();
+        hovered.clear();
+        if (keyboard) {
+          paths.forEach((p) => {
+            p.removeAttribute('tabindex');
+            p.removeAttribute('role');
+            p.removeAttribute('aria-pressed');
+          });
+        }
+        if (shadowFilterId) svg.getElementById(shadowFilterId)?.remove();
+      }
+    };
   }
 
+  // 지역별 aria-label과 SVG <title>/<desc>(데이터 요약)를 설정, 다시 그릴 때 제거할 요소 반환
+  static #describeRegions(svg, codeMap, dataMap, fmtRate, a11yOpts = {}, describe = null) {
+    const valueText = (datum, name) => {
+      if (describe) {
+        const parts = describe(datum, name);
+        return parts.length ? parts.join(', ') : '자료 없음';
+      }
+      const rate = (typeof datum === 'number') ? datum : datum?.rate;
+      const count = (typeof datum === 'number') ? null : datum?.count;
+      const parts = [];
+      if (rate != null) parts.push(fmtRate(rate));
+      if (count != null) parts.push(this.#fmtInt(count));
+      return parts.length ? parts.join(', ') : '자료 없음';
+    };
 
-  /** ---------- 메인 엔트리 ---------- */
-  /**
-   * @param {Object.<string,string>} codeMap - 지역명 → SVG id (예: { '서울':'KR-11', ... })
-   * @param {string|HTMLElement|SVGElement} mount - 렌더링 대상(셀렉터/DOM)
-   * @param {Object} opts - 옵션(아래 참조)
-   *   - mode: 'normal' | 'rate+bars' | 'count+callouts' (필수)
-   *   - svgUrl: string
-   *   - data: Record<string, number | { count?:number, rate?:number }>
-   *   - rates?: number[]
-   *   - colors?: string[]
-   *   - gap?: number
-   *   - map?: { width?:number, height?:number }
-   *   - labels?: { ... see original ... }
-   *   - bar?: { ... see original ... }    // mode가 'rate+bars'일 때
-   *   - callouts?: { ... see original ... } // mode가 'count+callouts'일 때
-   *   - pieChartData?: { [지역명]: [{label: string, data: number, color: string}] }
-   *   - labels.pieChart?: {
-   *       position?: 'top' | 'bottom' | 'left' | 'right',
-   *       positions?: { [지역명]: 'top' | 'bottom' | 'left' | 'right' },
-   *       gap?: number,
-   *       radius?: number,
-   *       innerRadius?: number,  // 도넛 차트를 위한 내부 반지름
-   *       offsets?: { [지역명]: [x, y] },
-   *       strokeWidth?: number,
-   *       strokeColor?: string
-   *     }
-   *   - innerCities?: string[]  // hover 시에도 항상 최상단에 유지될 지역 목록 (기본: ['광주', '대전', '세종', '서울'])
-   */
-  static async render(codeMap, mount, opts) {
-    const el = this.#ensureMount(mount);
+    const values = [];
+    let total = 0;
+    for (const [name, code] of Object.entries(codeMap || {})) {
+      const path = svg.getElementById(code);
+      if (!path) continue;
+      total++;
 
-    if (!el) throw new Error('KorMapChart.render: mount 요소를 찾을 수 없음');
+      const datum = dataMap?.[name];
+      path.setAttribute('aria-label', a11yOpts.labelFormatter
+        ? a11yOpts.labelFormatter(name, datum)
+        : `${name} ${valueText(datum, name)}`);
 
-    el.innerHTML = '';
-    this.#setCss(el, 'position', 'relative');
-    this.#setCss(el, 'display', 'flex');
-    this.#setCss(el, 'align-items', opts?.mode === 'count+callouts' ? 'center' : null);
-    this.#setCss(el, 'justify-content', opts?.mode === 'count+callouts' ? 'center' : null);
-    this.#setCss(el, 'flex-shrink', '0');
-    this.#setCss(el, 'gap', (opts?.gap != null) ? `${opts.gap}px` : null);
+      const rate = (typeof datum === 'number') ? datum : datum?.rate;
+      const v = this.#toNumber(rate ?? datum?.count);
+      if (v != null) values.push([name, v, datum]);
+    }
 
-    const svg = await this.#loadSVG(opts.svgUrl);
-    this.#setCss(svg, 'width', (opts?.map?.width != null) ? `${opts.map.width}px` : null);
-    this.#setCss(svg, 'height', (opts?.map?.height != null) ? `${opts.map.height}px` : null);
-    el.appendChild(svg);
+    let summary = `${total}개 지역 중 ${values.length}개 지역 자료`;
+    if (values.length) {
+      const sorted = [...values].sort((a, b) => b[1] - a[1]);
+      const [maxName, , maxDatum] = sorted[0];
+      const [minName, , minDatum] = sorted[sorted.length - 1];
+      summary += `, 최고 ${maxName} ${valueText(maxDatum, maxName)}, 최저 ${minName} ${valueText(minDatum, minName)}`;
+    }
 
-    this.#clearSvgFillStyles(svg);
+    const uid = Math.random().toString(36).substr(2, 9);
+    const title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+    title.setAttribute('id', `kmc-title-${uid}`);
+    title.textContent = a11yOpts.title ?? '지역별 지도';
+    const desc = document.createElementNS('http://www.w3.org/2000/svg', 'desc');
+    desc.setAttribute('id', `kmc-desc-${uid}`);
+    desc.textContent = a11yOpts.description ?? summary;
 
-    const colorForRate = this.#makeColorForRate(opts?.rates, opts?.colors);
+    // <title>은 SVG의 첫 자식이어야 접근성 이름으로 쓰임
+    svg.insertBefore(desc, svg.firstChild);
+    svg.insertBefore(title, desc);
+    svg.setAttribute('role', 'group');
+    svg.setAttribute('aria-labelledby', title.id);
+    svg.setAttribute('aria-describedby', desc.id);
 
-    // mode는 필수
-    if (!opts?.mode) {
-      throw new Error('KorMapChart.render: mode는 필수입니다. ("normal" | "rate+bars" | "count+callouts")');
+    return [title, desc];
+  }
+
+  // update({ a11y: false }) 시 이전에 설정한 aria 속성 제거
+  static #clearDescriptions(svg, codeMap) {
+    ['role', 'aria-labelledby', 'aria-describedby'].forEach((attr) => svg.removeAttribute(attr));
+    for (const code of Object.values(codeMap || {})) {
+      svg.getElementById(code)?.removeAttribute('aria-label');
     }
+  }
 
-    const mode = opts.mode;
+  // 구간 경계가 모두 0–1이면 비율(%)로, 아니면 숫자로 표시
+  static #legendFormatter(scale) {
+    const bounds = scale.bins ? scale.bins.flatMap((b) => [b.min, b.max]) : (scale.stops ?? []).map((st) => st.value);
+    const isRate = bounds.filter(Number.isFinite).every((v) => v >= 0 && v <= 1);
+    return isRate
+      ? (v) => this.#fmtPct(v)
+      : (v) => Number(v).toLocaleString('ko-KR', { maximumFractionDigits: 2 });
+  }
 
-    // mode별 필수 옵션 검증
-    if (mode === 'rate+bars' && !opts?.bar) {
-      throw new Error('KorMapChart.render: "rate+bars" 모드에서는 bar 옵션이 필수입니다.');
+  static #rangeLabel(bin, fmt) {
+    if (bin.max === Infinity) return `${fmt(bin.min)} 이상`;
+    if (bin.min === -Infinity) return `${fmt(bin.max)} 미만`;
+    return `${fmt(bin.min)}–${fmt(bin.max)}`;
+  }
+
+  static #LEGEND_INSIDE = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+  // 범례 상자 위치: 지도 위 모서리(겹침) 또는 mount flex 안에서 지도/bar 앞뒤·별도 줄
+  static #placeLegend(box, position, legendOpts = {}) {
+    if (this.#LEGEND_INSIDE.includes(position)) {
+      // 지도 위 모서리에 겹쳐 표시
+      const [vSide, hSide] = position.split('-');
+      box.style.position = 'absolute';
+      box.style[vSide] = '8px';
+      box.style[hSide] = '8px';
+      box.style.padding = '6px 8px';
+      box.style.borderRadius = '4px';
+      box.style.background = legendOpts.background ?? 'rgba(255,255,255,0.85)';
+    } else {
+      // mount flex 안에서 지도/bar 앞뒤 또는 별도 줄에 배치
+      box.style.order = (position === 'left' || position === 'top') ? '-1' : '1';
+      box.style.alignSelf = 'center';
+      if (position === 'top' || position === 'bottom') box.style.flexBasis = '100%';
     }
+  }
+
+  static #buildLegend(el, scale, legendOpts = {}) {
+    const position = legendOpts.position ?? 'right';
+    const defaultOrientation = (position === 'top' || position === 'bottom') ? 'horizontal' : 'vertical';
+    const vertical = (legendOpts.orientation ?? defaultOrientation) === 'vertical';
+    const fmt = legendOpts.formatter ?? this.#legendFormatter(scale);
+    const swatchSize = legendOpts.swatchSize ?? 12;
 
-    if (mode === 'count+callouts' && !opts?.callouts) {
-      throw new Error('KorMapChart.render: "count+callouts" 모드에서는 callouts 옵션이 필수입니다.');
+    const box = document.createElement('div');
+    box.style.display = 'flex';
+    box.style.flexDirection = 'column';
+    box.style.gap = '6px';
+    box.style.flexShrink = '0';
+    box.style.fontSize = (legendOpts.fontSize != null) ? `${legendOpts.fontSize}px` : '12px';
+    box.style.color = legendOpts.color ?? '#374151';
+
+    this.#placeLegend(box, position, legendOpts);
+
+    if (legendOpts.title) {
+      const title = document.createElement('div');
+      title.style.fontWeight = '600';
+      title.textContent = legendOpts.title;
+      box.appendChild(title);
     }
 
-    const getRate = (name) => {
-      const v = opts?.data?.[name];
-      if (v == null) return null;
-      return (typeof v === 'number') ? v : v.rate;
+    const swatch = (color) => {
+      const sw = document.createElement('span');
+      sw.style.display = 'inline-block';
+      sw.style.flexShrink = '0';
+      sw.style.width = `${swatchSize}px`;
+      sw.style.height = `${swatchSize}px`;
+      sw.style.borderRadius = '2px';
+      sw.style.background = color;
+      return sw;
+    };
+
+    const item = (color, text) => {
+      const row = document.createElement('div');
+      row.style.display = 'flex';
+      row.style.alignItems = 'center';
+      row.style.gap = '6px';
+      row.appendChild(swatch(color));
+      const label = document.createElement('span');
+      label.textContent = text;
+      row.appendChild(label);
+      return row;
     };
 
-    this.#paintRegions(svg, codeMap, getRate.bind(this), colorForRate);
-    this.#placeRegionLabels(svg, codeMap, opts?.labels, opts?.pieChartData);
+    if (scale.type === 'bivariate') {
+      // n×n 정사각 색상표: 오른쪽으로 x, 위로 y가 커짐 (칸에 마우스를 올리면 두 값의 범위)
+      const n = scale.n;
+      const cell = legendOpts.swatchSize ?? 16;
+      const range = (a, i) => this.#rangeLabel({
+        min: i ? a.breaks[i - 1] : -Infinity,
+        max: (i < n - 1) ? a.breaks[i] : Infinity
+      }, a.format);
+
+      const grid = document.createElement('div');
+      grid.style.display = 'grid';
+      grid.style.gridTemplateColumns = `auto repeat(${n}, ${cell}px)`;
+      grid.style.gridTemplateRows = `repeat(${n}, ${cell}px) auto`;
+      grid.style.gap = '1px';
+
+      const yLabel = document.createElement('span');
+      yLabel.textContent = `${scale.y.label} →`;
+      yLabel.style.gridColumn = '1';
+      yLabel.style.gridRow = `1 / span ${n}`;
+      yLabel.style.writingMode = 'vertical-rl';
+      yLabel.style.transform = 'rotate(180deg)';
+      yLabel.style.justifySelf = 'center';
+      yLabel.style.marginRight = '4px';
+      grid.appendChild(yLabel);
+
+      for (let yi = 0; yi < n; yi++) {
+        for (let xi = 0; xi < n; xi++) {
+          const sw = swatch(scale.colors[yi][xi]);
+          sw.setAttribute('data-kmc-class', `${xi},${yi}`);
+          sw.title = `${scale.x.label} ${range(scale.x, xi)} · ${scale.y.label} ${range(scale.y, yi)}`;
+          sw.style.width = `${cell}px`;
+          sw.style.height = `${cell}px`;
+          sw.style.borderRadius = '0';
+          sw.style.gridColumn = String(xi + 2);
+          sw.style.gridRow = String(n - yi);
+          grid.appendChild(sw);
+        }
+      }
+
+      const xLabel = document.createElement('span');
+      xLabel.textContent = `${scale.x.label} →`;
+      xLabel.style.gridColumn = `2 / span ${n}`;
+      xLabel.style.gridRow = String(n + 1);
+      xLabel.style.marginTop = '4px';
+      grid.appendChild(xLabel);
+
+      box.appendChild(grid);
+    } else if (scale.bins) {
+      // 단계 스케일: 구간별 색상 견본 + 범위 라벨 (세로는 높은 값이 위)
+      const list = document.createElement('div');
+      list.style.display = 'flex';
+      list.style.flexDirection = vertical ? 'column' : 'row';
+      list.style.flexWrap = 'wrap';
+      list.style.gap = vertical ? '4px' : '12px';
+
+      const bins = vertical ? [...scale.bins].reverse() : scale.bins;
+      bins.forEach((bin) => list.appendChild(item(bin.color, this.#rangeLabel(bin, fmt))));
+      box.appendChild(list);
+    } else {
+      // 연속 스케일: 그라디언트 막대 + 최솟값/(중간값)/최댓값 라벨
+      const length = legendOpts.length ?? 120;
+      const thickness = legendOpts.thickness ?? swatchSize;
+      const gradient = scale.stops.map((st) => `${st.color} ${Math.round(st.offset * 100)}%`).join(', ');
 
-    this.#bindRegionEvents(svg, codeMap, opts, (n) => opts?.data?.[n]);
+      const wrap = document.createElement('div');
+      wrap.style.display = 'flex';
+      wrap.style.flexDirection = vertical ? 'row' : 'column';
+      wrap.style.gap = '6px';
 
-    if (mode === 'rate+bars') {
-      this.#buildBars(el, opts?.data, colorForRate, opts?.bar);
-    } else if (mode === 'count+callouts') {
-      const bbox = this.#computeBBox(svg);
+      const bar = document.createElement('div');
+      bar.style.width = `${vertical ? thickness : length}px`;
+      bar.style.height = `${vertical ? length : thickness}px`;
+      bar.style.borderRadius = '2px';
+      bar.style.background = `linear-gradient(to ${vertical ? 'top' : 'right'}, ${gradient})`;
+      wrap.appendChild(bar);
 
-      this.#buildCallouts(svg, codeMap, opts?.data, bbox, opts?.callouts);
+      const ticks = [scale.domain[0], ...(scale.midpoint != null ? [scale.midpoint] : []), scale.domain[1]];
+      const labels = document.createElement('div');
+      labels.style.display = 'flex';
+      labels.style.flexDirection = vertical ? 'column-reverse' : 'row';
+      labels.style.justifyContent = 'space-between';
+      labels.style.width = vertical ? 'auto' : `${length}px`;
+      labels.style.height = vertical ? `${length}px` : 'auto';
+      ticks.forEach((v) => {
+        const t = document.createElement('span');
+        t.textContent = fmt(v);
+        labels.appendChild(t);
+      });
+      wrap.appendChild(labels);
+      box.appendChild(wrap);
     }
-    // mode === 'normal'일 때는 지도만 표시하고 추가 요소 없음
+
+    if (legendOpts.missingLabel) box.appendChild(item(scale.missingColor, legendOpts.missingLabel));
+
+    el.appendChild(box);
+    return box;
   }
-}
+
+  // 파이 범주: pieChartData 전체에서 처음 나온 순서대로 label과 그 색상
+  static #pieCategories(pieChartData) {
+    const colors = new Map();
+    Object.values(pieChartData || {}).forEach((slices) => (slices || []).forEach((s) => {
+      if (s.label != null && !colors.has(s.label)) colors.set(s.label, s.color || '#cccccc');
+    }));
+    return [...colors].map(([label, color]) => ({ label, color }));
+  }
+
+  // 모든 파이가 함께 쓰는 범주 범례 (labels.pieChart.legend)
+  static #buildPieLegend(el, pieChartData, legendOpts = {}) {
+    const position = legendOpts.position ?? 'right';
+    const defaultOrientation = (position === 'top' || position === 'bottom') ? 'horizontal' : 'vertical';
+    const vertical = (legendOpts.orientation ?? defaultOrientation) === 'vertical';
+    const swatchSize = legendOpts.swatchSize ?? 12;
+
+    const box = document.createElement('div');
+    box.setAttribute('data-kmc-pie-legend', '');
+    box.style.display = 'flex';
+    box.style.flexDirection = 'column';
+    box.style.gap = '6px';
+    box.style.flexShrink = '0';
+    box.style.fontSize = (legendOpts.fontSize != null) ? `${legendOpts.fontSize}px` : '12px';
+    box.style.color = legendOpts.color ?? '#374151';
+    this.#placeLegend(box, position, legendOpts);
+
+    if (legendOpts.title) {
+      const title = document.createElement('div');
+      title.style.fontWeight = '600';
+      title.textContent = legendOpts.title;
+      box.appendChild(title);
+    }
+
+    const list = document.createElement('div');
+    list.style.display = 'flex';
+    list.style.flexDirection = vertical ? 'column' : 'row';
+    list.style.flexWrap = 'wrap';
+    list.style.gap = vertical ? '4px' : '12px';
+    this.#pieCategories(pieChartData).forEach(({ label, color }) => {
+      const row = document.createElement('div');
+      row.style.display = 'flex';
+      row.style.alignItems = 'center';
+      row.style.gap = '6px';
+      const sw = document.createElement('span');
+      sw.style.display = 'inline-block';
+      sw.style.flexShrink = '0';
+      sw.style.width = `${swatchSize}px`;
+      sw.style.height = `${swatchSize}px`;
+      sw.style.borderRadius = '50%';
+      sw.style.background = color;
+      row.appendChild(sw);
+      const text = document.createElement('span');
+      text.textContent = label;
+      row.appendChild(text);
+      list.appendChild(row);
+    });
+    box.appendChild(list);
+
+    el.appendChild(box);
+    return box;
+  }
+
+  static #buildBreadcrumb(el, regionName, onUp, crumbOpts = {}) {
+    const nav = document.createElement('div');
+    nav.style.position = 'absolute';
+    nav.style.top = '0';
+    nav.style.left = '0';
+    nav.style.zIndex = '1';
+    nav.style.display = 'flex';
+    nav.style.alignItems = 'center';
+    nav.style.gap = '4px';
+    nav.style.fontSize = (crumbOpts.fontSize != null) ? `${crumbOpts.fontSize}px` : '13px';
+    nav.style.color = crumbOpts.color ?? '#111827';
+
+    // 상위(전국) 지도로 돌아가는 링크
+    const back = document.createElement('button');
+    back.type = 'button';
+    back.textContent = crumbOpts.rootLabel ?? '전국';
+    back.style.border = '0';
+    back.style.padding = '0';
+    back.style.background = 'none';
+    back.style.font = 'inherit';
+    back.style.cursor = 'pointer';
+    back.style.color = crumbOpts.linkColor ?? '#1B4EFF';
+    back.addEventListener('click', onUp);
+    nav.appendChild(back);
+
+    const sep = document.createElement('span');
+    sep.textContent = crumbOpts.separator ?? '›';
+    nav.appendChild(sep);
+
+    const current = document.createElement('span');
+    current.style.fontWeight = '600';
+    current.textContent = regionName;
+    nav.appendChild(current);
+
+    el.appendChild(nav);
+    return nav;
+  }
+
+
+  /** ---------- bubbles ---------- */
+  // 원 크기 기준 최댓값: bubbles.maxValue, 없으면 dataMaps(timeline이면 모든 기간) 전체 값의 최댓값
+  static #bubbleMax(bubbleOpts = {}, dataMaps = []) {
+    if (bubbleOpts.maxValue != null) return bubbleOpts.maxValue;
+    const getValue = this.#valueGetter(bubbleOpts.value ?? 'count');
+    const values = dataMaps.flatMap((d) => Object.entries(d || {}).map(([name, datum]) => getValue(name, datum)));
+    return Math.max(0, ...values.filter((v) => v != null));
+  }
+
+  // 값 → 반지름: 면적이 값에 비례 (maxRadius × √(값 / 최댓값)), 0 이하·결측은 0
+  static #bubbleRadius(bubbleOpts, maxValue) {
+    const maxRadius = bubbleOpts.maxRadius ?? 24;
+    const minRadius = bubbleOpts.minRadius ?? 0;
+    return (v) => (v == null || v <= 0 || !(maxValue > 0))
+      ? 0
+      : Math.max(minRadius, maxRadius * Math.sqrt(Math.min(v, maxValue) / maxValue));
+  }
+
+  static #bubbleFormatter(bubbleOpts) {
+    if (bubbleOpts.formatter) return bubbleOpts.formatter;
+    return ((bubbleOpts.value ?? 'count') === 'rate')
+      ? (v) => this.#fmtPct(v)
+      : (v) => Number(v).toLocaleString('ko-KR', { maximumFractionDigits: 2 });
+  }
+
+  /**
+   * bubbles 레이어 노드: 지역 기준점(bubbles.anchor, 기본 'pole')에 값(기본 count)에 면적이 비례하는 원
+   * 큰 원부터 그려 겹쳐도 작은 원이 위에 남아 가리키거나 클릭할 수 있음
+   * fill: 색상 문자열 또는 'scale' (지역 색상 스케일로 rate를 칠함)
+   */
+  static #bubblesNode(codeMap, getRegion, dataMap, scale, bubbleOpts = {}, maxValue = 0, titles = true) {
+    const getValue = this.#valueGetter(bubbleOpts.value ?? 'count');
+    const radius = this.#bubbleRadius(bubbleOpts, maxValue);
+    const fmt = this.#bubbleFormatter(bubbleOpts);
+    const fill = bubbleOpts.fill ?? '#1F48FF';
+
+    const items = [];
+    for (const [name, code] of Object.entries(codeMap || {})) {
+      const region = getRegion(code);
+      if (!region) continue;
+
+      const datum = dataMap?.[name];
+      const value = getValue(name, datum);
+      const r = radius(value);
+      if (!r) continue;
+
+      let [cx, cy] = this.#anchorPoint(region, bubbleOpts.anchor);
+      const off = (bubbleOpts.offsets && bubbleOpts.offsets[name]) || [0, 0];
+      cx += off[0]; cy += off[1];
+
+      const color = (fill === 'scale')
+        ? scale.color((typeof datum === 'number') ? datum : datum?.rate, name)
+        : fill;
+      items.push({ name, cx, cy, r, value, color });
+    }
+    items.sort((a, b) => b.r - a.r);
+
+    const group = this.#node('g', { 'data-kmc-bubbles': '' });
+    items.forEach(({ name, cx, cy, r, value, color }) => {
+      const circle = this.#node('circle', {
+        cx, cy, r,
+        fill: color,
+        'fill-opacity': bubbleOpts.fillOpacity ?? 0.7,
+        stroke: bubbleOpts.stroke ?? '#FFFFFF',
+        'stroke-width': bubbleOpts.strokeWidth ?? 1,
+        cursor: 'pointer',
+        'data-kmc-region': name,  // tooltip·지역 이벤트에서 지역 식별
+        'data-kmc-bubble': ''
+      });
+      if (titles) circle.children.push(this.#node('title', {}, [], `${name}: ${fmt(value)}`));
+      circle.tween = { kind: 'bubble', name, value: r };
+      group.children.push(circle);
+    });
+    return group;
+  }
+
+  // 원 레이어를 SVG 맨 위에 추가하고 노드 반환 (요소는 node.el)
+  static #buildBubbles(svg, codeMap, dataMap, scale, bubbleOpts, maxValue, titles) {
+    const node = this.#bubblesNode(codeMap, this.#domRegions(svg), dataMap, scale, bubbleOpts, maxValue, titles);
+    svg.appendChild(this.#realize(node));
+    return node;
+  }
+
+  // 크기 범례: 아래쪽을 맞춘 겹친 원 + 지시선 + 값 (기본 최댓값과 그 1/2, 1/10을 보기 좋은 수로 반올림)
+  static #buildBubbleLegend(el, bubbleOpts, maxValue, legendOpts = {}) {
+    const radius = this.#bubbleRadius(bubbleOpts, maxValue);
+    const fmt = legendOpts.formatter ?? this.#bubbleFormatter(bubbleOpts);
+    const fontSize = legendOpts.fontSize ?? 12;
+    const nice = (v) => {
+      const p = 10 ** Math.floor(Math.log10(v));
+      return Math.round(v / p) * p;
+    };
+    const values = (legendOpts.values ?? ((maxValue > 0) ? [maxValue, maxValue / 2, maxValue / 10].map(nice) : []))
+      .filter((v, i, arr) => radius(v) > 0 && arr.indexOf(v) === i)
+      .sort((a, b) => b - a);
+
+    const box = document.createElement('div');
+    box.setAttribute('data-kmc-bubble-legend', '');
+    box.style.display = 'flex';
+    box.style.flexDirection = 'column';
+    box.style.gap = '6px';
+    box.style.flexShrink = '0';
+    box.style.fontSize = `${fontSize}px`;
+    box.style.color = legendOpts.color ?? '#374151';
+    this.#placeLegend(box, legendOpts.position ?? 'right', legendOpts);
+
+    if (legendOpts.title) {
+      const title = document.createElement('div');
+      title.style.fontWeight = '600';
+      title.textContent = legendOpts.title;
+      box.appendChild(title);
+    }
+
+    const maxR = values.length ? radius(values[0]) : 0;
+    const lineEnd = maxR * 2 + 6;
+    const labelWidth = Math.max(0, ...values.map((v) => this.#textWidth(fmt(v), fontSize)));
+    const width = lineEnd + 4 + labelWidth;
+    // 가장 큰 원 위의 라벨이 잘리지 않도록 글자 절반만큼 여백
+    const height = maxR * 2 + fontSize / 2 + 2;
+    const base = height - 1;
+
+    const svg = this.#node('svg', { width, height, viewBox: `0 0 ${width} ${height}` });
+    values.forEach((v) => {
+      const r = radius(v);
+      const top = base - 2 * r;
+      svg.children.push(
+        this.#node('circle', {
+          cx: maxR, cy: base - r, r,
+          fill: 'none', stroke: legendOpts.stroke ?? '#6B7280', 'stroke-width': 1
+        }),
+        this.#node('line', {
+          x1: maxR, y1: top, x2: lineEnd, y2: top,
+          stroke: legendOpts.stroke ?? '#6B7280', 'stroke-width': 0.5, 'stroke-dasharray': '2 2'
+        }),
+        this.#node('text', {
+          x: lineEnd + 4, y: top, 'dominant-baseline': 'middle', 'font-size': fontSize, fill: 'currentColor'
+        }, [], fmt(v))
+      );
+    });
+    box.appendChild(this.#realize(svg));
+
+    el.appendChild(box);
+    return box;
+  }
+
+
+  /** ---------- 표 데이터 ---------- */
+  static #PIE_COLORS = ['#ff6384', '#36a2eb', '#ffce56', '#4bc0c0', '#9966ff', '#ff9f40'];
+  static #NEGATIVE_SIGNS = ['-', '△', '▼', '\u2212', '\uFF0D'];  // 통계표의 감소 표시, 유니코드 빼기 기호와 전각 하이픈
+  static #tables = new WeakMap();  // opts → 변환 결과 { input, columns, result } (기간 이동 등 다시 그릴 때마다 파싱하지 않도록, 차트마다 따로)
+
+  // CSV/TSV 문자열 → 칸 배열의 배열 (따옴표 안의 구분자·줄바꿈과 "" 이스케이프 지원, 빈 줄 무시)
+  static #parseDelimited(text, delimiter) {
+    const src = String(text).replace(/^\uFEFF/, '');
+    const sep = delimiter ?? (src.split(/\r?\n/, 1)[0].includes('\t') ? '\t' : ',');
+    const grid = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const endRow = () => {
+      row.push(field);
+      if (row.some((f) => f.trim() !== '')) grid.push(row);
+      row = [];
+      field = '';
+    };
+
+    for (let i = 0; i < src.length; i++) {
+      const ch = src[i];
+      if (quoted) {
+        if (ch === '"' && src[i + 1] === '"') {
+          field += '"';
+          i++;
+        } else if (ch === '"') {
+          quoted = false;
+        } else {
+          field += ch;
+        }
+      } else if (ch === '"' && field.trim() === '') {
+        // 따옴표 앞의 공백(', "서울, 중구"')은 버림
+        quoted = true;
+        field = '';
+      } else if (ch === sep) {
+        row.push(field);
+        field = '';
+      } else if (ch === '\n' || ch === '\r') {
+        if (ch === '\r' && src[i + 1] === '\n') i++;
+        endRow();
+      } else {
+        field += ch;
+      }
+    }
+    endRow();
+    return grid;
+  }
+
+  // 표 입력 → { fields: 열 이름 목록, rows: 행 객체 배열 }
+  static #tableRows(input, delimiter) {
+    const grid = (typeof input === 'string') ? this.#parseDelimited(input, delimiter)
+      : (Array.isArray(input[0]) ? input : null);
+    if (!grid) {
+      const fields = [...new Set(input.flatMap((row) => Object.keys(row || {})))];
+      return { fields, rows: input.filter(Boolean) };
+    }
+    const [header = [], ...body] = grid;
+    const fields = header.map((h) => String(h ?? '').trim());
+    return { fields, rows: body.map((cells) => Object.fromEntries(fields.map((f, i) => [f, cells[i]]))) };
+  }
+
+  // 표의 숫자: 4339 / '4,339' / '87.5%'(→ 0.875) / '△12'·'▼12'·'−12'·'－12'(→ -12) / '▲12'(→ 12) / '1,234명'(단위 무시),
+  // '-' '…' 'x' 등은 결측(null)
+  static #parseNumber(v) {
+    if (typeof v === 'number') return Number.isFinite(v) ? v : null;
+    if (v == null) return null;
+    const m = /^([-+△▲▼\u2212\uFF0D]?)(\d*\.?\d+(?:e[-+]?\d+)?)(%?)/i.exec(String(v).replace(/[,\s]/g, ''));
+    if (!m) return null;
+    const n = Number(m[2]) * (this.#NEGATIVE_SIGNS.includes(m[1]) ? -1 : 1);
+    return m[3] ? n / 100 : n;
+  }
+
+  static #parseTable(input, columns, caller) {
+    const { fields, rows } = this.#tableRows(input, columns.delimiter);
+    const col = (option, ref) => {
+      if (ref == null) return null;
+      const field = (typeof ref === 'number') ? fields[ref] : String(ref);
+      if (field == null || !fields.includes(field)) {
+        throw new Error(`${caller}: 알 수 없는 columns.${option} "${ref}" (열: ${fields.join(', ')})`);
+      }
+      return field;
+    };
+
+    const key = col('key', columns.key ?? 0);
+    const rate = col('rate', columns.rate);
+    const count = col('count', columns.count);
+    const period = col('period', columns.period);
+    const extra = (columns.fields || []).map((f) => col('fields', f));
+    const pie = columns.pie;
+    const wide = Array.isArray(pie) ? pie.map((f) => col('pie', f)) : null;
+    const long = (pie && !wide) ? { category: col('pie.category', pie.category), value: col('pie.value', pie.value) } : null;
+
+    // 범주 색: pieColors(범주별 객체 또는 등장 순서 배열) → 기본 색 반복
+    const categories = [];
+    const colorOf = (label) => {
+      let i = categories.indexOf(label);
+      if (i === -1) i = categories.push(label) - 1;
+      const colors = columns.pieColors;
+      return (Array.isArray(colors) ? colors[i] : colors?.[label]) ?? this.#PIE_COLORS[i % this.#PIE_COLORS.length];
+    };
+
+    const data = {};
+    const pieChartData = {};
+    rows.forEach((row) => {
+      const name = String(row[key] ?? '').trim();
+      if (!name) return;
+
+      if (rate || count || extra.length) {
+        let target = data;
+        if (period) {
+          const p = String(row[period] ?? '').trim();
+          target = data[p] || (data[p] = {});
+        }
+        // rate만 있으면 숫자, 아니면 { rate, count, ...fields }
+        if (rate && !count && !extra.length) {
+          target[name] = this.#parseNumber(row[rate]);
+        } else {
+          const datum = {};
+          if (rate) datum.rate = this.#parseNumber(row[rate]);
+          if (count) datum.count = this.#parseNumber(row[count]);
+          extra.forEach((f) => { datum[f] = this.#parseNumber(row[f]); });
+          target[name] = datum;
+        }
+      }
+
+      // 같은 지역(세로 형식은 같은 지역·범주)이 여러 행이면 마지막 행
+      if (wide) {
+        pieChartData[name] = wide.map((f) => ({ label: f, data: this.#parseNumber(row[f]), color: colorOf(f) }));
+      } else if (long) {
+        const label = String(row[long.category] ?? '').trim();
+        const slice = { label, data: this.#parseNumber(row[long.value]), color: colorOf(label) };
+        const slices = pieChartData[name] || (pieChartData[name] = []);
+        const i = slices.findIndex((s) => s.label === label);
+        if (i === -1) slices.push(slice);
+        else slices[i] = slice;
+      }
+    });
+    return { data, pieChartData: pie ? pieChartData : null };
+  }
+
+  /**
+   * 표 형식 데이터(CSV/TSV 문자열, 행 배열)를 render의 data / pieChartData 형식으로 변환
+   * render / update / setData에 표를 그대로 data로 넘기면 opts.columns로 같은 변환을 함
+   * @param {string|Object[]|Array[]} input - CSV/TSV(첫 줄 머리글) | 행 객체 배열 | 첫 행이 머리글인 2차원 배열
+   * @param {Object} [columns] - 열 이름 또는 0부터 시작하는 열 번호
+   *   - key: 지역 열 (지역명·약칭·행정구역 코드 등 data 키로 쓸 수 있는 값, 기본 첫 열)
+   *   - rate / count: 값 열 (rate만 있으면 숫자, 그 외에는 { rate, count, ... })
+   *   - fields: datum에 숫자로 함께 넣을 열 목록 (bivariate.x/y, bubbles.value의 필드명 등)
+   *   - period: 기간 열 → data는 { 기간: { 지역: 값 } } (opts.timeline과 함께 사용)
+   *   - pie: 범주별 열 목록 (가로 형식) | { category, value } (세로 형식: 지역·범주마다 한 행)
+   *   - pieColors: { 범주: 색상 } | 색상 배열 (범주 등장 순서, 없으면 기본 6색 반복)
+   *   - delimiter: 구분자 (기본: 첫 줄에 탭이 있으면 탭, 아니면 쉼표)
+   *   숫자 칸은 '4,339' / '87.5%'(→ 0.875) / '△12'·'▼12'·'−12'·'－12'(→ -12) / '▲12' / '1,234명'도 가능, '-' 등 숫자가 아니면 결측
+   * @returns {{ data: Object, pieChartData: Object|null }} pieChartData는 columns.pie가 있을 때만
+   * @example
+   * const { data, pieChartData } = KorMapChart.parseTable(csvText, { key: '행정구역코드', rate: '확보율', pie: ['초등학교', '중학교'] });
+   */
+  static parseTable(input, columns = {}) {
+    if (typeof input !== 'string' && !Array.isArray(input)) {
+      throw new Error('KorMapChart.parseTable: input은 CSV/TSV 문자열 또는 행 배열이어야 합니다.');
+    }
+    return this.#parseTable(input, columns || {}, 'KorMapChart.parseTable');
+  }
+
+  static #isTable(v) {
+    return typeof v === 'string' || Array.isArray(v);
+  }
+
+  // 그릴 data / pieChartData: opts.data가 표이면 opts.columns로 변환 (opts.pieChartData를 주면 그쪽 우선)
+  static #sourceData(opts, caller = 'KorMapChart') {
+    if (!this.#isTable(opts?.data)) return { data: opts?.data, pieChartData: opts?.pieChartData };
+
+    const cached = this.#tables.get(opts);
+    let table = (cached?.input === opts.data && cached.columns === opts.columns) ? cached.result : null;
+    if (!table) {
+      table = this.#parseTable(opts.data, opts.columns || {}, caller);
+      this.#tables.set(opts, { input: opts.data, columns: opts.columns, result: table });
+    }
+    return { data: table.data, pieChartData: opts.pieChartData ?? table.pieChartData };
+  }
+
+
+  /** ---------- 기간 재생 ---------- */
+  static #TIMELINE_POSITIONS = ['bottom', 'top'];
+
+  static #timelineOpts(opts) {
+    return (typeof opts?.timeline === 'object') ? opts.timeline : {};
+  }
+
+  // opts.timeline이면 기간 목록 (timeline.periods, 없으면 data 키를 숫자 인식 정렬: '2015' < '2016', '2024-2' < '2024-10')
+  static #periodsOf(opts) {
+    if (!opts?.timeline) return null;
+    const periods = this.#timelineOpts(opts).periods;
+    if (periods) return periods.map(String);
+    return Object.keys(this.#sourceData(opts).data || {}).sort((a, b) => a.localeCompare(b, 'ko', { numeric: true }));
+  }
+
+  // opts.timeline이면 data는 { 기간: { 지역: 값 } } → { periods, period, data: 현재 기간, all: 기간별 data } (아니면 null)
+  // period가 목록에 없으면 timeline.initial 또는 첫 기간
+  static #seriesOf(opts, aliases, period = null) {
+    const periods = this.#periodsOf(opts);
+    if (!periods) return null;
+
+    const initial = this.#timelineOpts(opts).initial;
+    const current = periods.includes(period) ? period
+      : (initial != null && periods.includes(String(initial))) ? String(initial) : (periods[0] ?? null);
+    const data = this.#sourceData(opts).data;
+    const all = periods.map((p) => this.#resolveKeys(data?.[p], aliases));
+    return { periods, period: current, data: all[periods.indexOf(current)] ?? null, all };
+  }
+
+  // 모든 기간의 rate (기간 사이에 같은 색상 스케일을 쓰도록)
+  static #seriesRates(series) {
+    return series.all.flatMap((d) => Object.values(d || {}).map((v) => (v == null || typeof v === 'number') ? v : v.rate));
+  }
+
+  // 기간을 넘겨도 bar 길이 기준이 바뀌지 않도록 모든 기간의 bar 구간을 합침 (bar.domain을 주면 그대로)
+  static #seriesBarOpts(barOpts = {}, series, scale) {
+    if (!series?.all.length || barOpts.domain) return barOpts;
+    const domains = series.all.map((d) => this.#barModel(d, scale, barOpts).domain);
+    return { ...barOpts, domain: [Math.min(...domains.map((d) => d[0])), Math.max(...domains.map((d) => d[1]))] };
+  }
+
+  // 재생/일시정지 버튼 + 기간 슬라이더 + 현재 기간 → { el, sync(index, playing) }
+  static #buildTimeline(el, periods, handlers, timelineOpts = {}) {
+    const fmt = timelineOpts.formatter ?? String;
+
+    const box = document.createElement('div');
+    box.setAttribute('data-kmc-timeline', '');
+    box.setAttribute('role', 'group');
+    box.setAttribute('aria-label', timelineOpts.ariaLabel ?? '기간 선택');
+    box.style.display = 'flex';
+    box.style.alignItems = 'center';
+    box.style.gap = '8px';
+    box.style.flexBasis = '100%';
+    // 위/아래 범례보다 바깥 줄에 배치
+    box.style.order = (timelineOpts.position === 'top') ? '-2' : '2';
+    box.style.fontSize = (timelineOpts.fontSize != null) ? `${timelineOpts.fontSize}px` : '13px';
+    box.style.color = timelineOpts.color ?? '#374151';
+
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.style.border = '0';
+    button.style.padding = '0';
+    button.style.width = '24px';
+    button.style.background = 'none';
+    button.style.font = 'inherit';
+    button.style.cursor = 'pointer';
+    button.addEventListener('click', () => handlers.toggle());
+    box.appendChild(button);
+
+    const slider = document.createElement('input');
+    slider.type = 'range';
+    slider.min = '0';
+    slider.max = String(Math.max(0, periods.length - 1));
+    slider.step = '1';
+    slider.setAttribute('aria-label', '기간');
+    slider.style.flex = '1';
+    slider.style.minWidth = '0';
+    if (timelineOpts.accentColor) slider.style.accentColor = timelineOpts.accentColor;
+    slider.addEventListener('input', () => handlers.seek(Number(slider.value)));
+    box.appendChild(slider);
+
+    const label = document.createElement('span');
+    label.setAttribute('aria-live', 'polite');
+    label.style.minWidth = '4em';
+    label.style.fontWeight = '600';
+    label.style.fontVariantNumeric = 'tabular-nums';
+    box.appendChild(label);
+
+    el.appendChild(box);
+
+    const sync = (index, playing) => {
+      const text = (index >= 0) ? fmt(periods[index]) : '';
+      slider.value = String(Math.max(0, index));
+      slider.setAttribute('aria-valuetext', text);
+      label.textContent = text;
+      button.textContent = playing ? '❚❚' : '▶';
+      button.setAttribute('aria-label', playing ? '일시정지' : '재생');
+    };
+    return { el: box, sync };
+  }
+
+  /** ---------- modes ---------- */
+  // mode 이름 → 정의 (registerMode와 같은 형식, 내장 mode도 이 registry로 그림)
+  static #modes = new Map([
+    // 지도(+라벨·파이)만 표시하고 추가 요소 없음
+    ['normal', {}],
+    ['rate+bars', {
+      validate: (opts, caller) => {
+        if (!opts.bar) throw new Error(`${caller}: "rate+bars" 모드에서는 bar 옵션이 필수입니다.`);
+      },
+      render: (ctx) => {
+        ctx.addLayer(KorMapChart.#buildBars(ctx.mount, ctx.data, ctx.scale, KorMapChart.#seriesBarOpts(ctx.opts.bar, ctx.series, ctx.scale)));
+      },
+      side: (ctx) => {
+        const barOpts = KorMapChart.#seriesBarOpts(ctx.opts.bar, ctx.series, ctx.scale);
+        const { g, width, height } = KorMapChart.#buildBarsSvg(KorMapChart.#barModel(ctx.data, ctx.scale, barOpts), barOpts);
+        return { node: g, width, height };
+      }
+    }],
+    ['count+callouts', {
+      center: true,
+      // callout 열은 viewBox 좌우에 padding + margin만큼 추가됨
+      inset: (opts) => (opts.callouts?.padding ?? 0) + (opts.callouts?.margin ?? 0),
+      validate: (opts, caller) => {
+        if (!opts.callouts) throw new Error(`${caller}: "count+callouts" 모드에서는 callouts 옵션이 필수입니다.`);
+      },
+      render: (ctx) => {
+        ctx.addLayer(KorMapChart.#buildCallouts(ctx.svg, ctx.codeMap, ctx.data, ctx.bbox(), ctx.opts.callouts));
+      },
+      markup: (ctx) => {
+        const { node, viewBox } = KorMapChart.#calloutsNode(ctx.codeMap, ctx.regions, ctx.data, ctx.bbox(), ctx.viewBox, ctx.opts.callouts);
+        return { layers: [node], viewBox };
+      }
+    }],
+    ['bivariate', {
+      validate: (opts, caller) => KorMapChart.#validateBivariate(opts.bivariate, caller),
+      // datum 전체를 두 값으로 분류
+      paint: (ctx) => ({
+        scale: KorMapChart.#makeBivariateScale(ctx.opts.bivariate, ctx.frames),
+        value: (name) => ctx.data?.[name]
+      })
+    }],
+    ['bubbles', {
+      // bubbles.regionFill: 지역은 한 색으로 칠하고 색상 스케일은 원에만 사용
+      paint: (ctx) => ({ scale: ctx.defaultScale(), fill: ctx.opts.bubbles?.regionFill }),
+      render: (ctx) => {
+        // 원 크기 기준은 timeline이면 모든 기간 값으로 공유
+        const bubbleOpts = ctx.opts.bubbles || {};
+        const maxValue = KorMapChart.#bubbleMax(bubbleOpts, ctx.frames);
+        ctx.addLayer(KorMapChart.#buildBubbles(ctx.svg, ctx.codeMap, ctx.data, ctx.scale, bubbleOpts, maxValue, ctx.titles));
+        if (bubbleOpts.legend !== false) {
+          const sizeLegendOpts = (typeof bubbleOpts.legend === 'object') ? bubbleOpts.legend : {};
+          // 크기 범례는 화면 px로 그리므로 responsive 배율을 되돌림
+          const k = ctx.fit?.k ?? 1;
+          const legendBubbles = { ...bubbleOpts, maxRadius: (bubbleOpts.maxRadius ?? 24) / k, minRadius: (bubbleOpts.minRadius ?? 0) / k };
+          ctx.addLayer(KorMapChart.#buildBubbleLegend(ctx.mount, legendBubbles, maxValue, sizeLegendOpts));
+        }
+      },
+      markup: (ctx) => {
+        const bubbleOpts = ctx.opts.bubbles || {};
+        const maxValue = KorMapChart.#bubbleMax(bubbleOpts, ctx.frames);
+        return { layers: [KorMapChart.#bubblesNode(ctx.codeMap, ctx.regions, ctx.data, ctx.scale, bubbleOpts, maxValue, ctx.titles)] };
+      }
+    }]
+  ]);
+  static #BUILTIN_MODES = [...KorMapChart.#modes.keys()];
+
+  /**
+   * mode 등록: render / update / renderToString의 opts.mode에 name을 지정해 사용
+   * 한 번 그릴 때마다 지역 칠하기(paint) → 라벨·파이 → render 또는 update → 범례 순서로 호출
+   * @param {string} name - 내장 mode('normal' | 'rate+bars' | 'count+callouts' | 'bivariate' | 'bubbles') 외의 이름
+   * @param {Object} def
+   *   - validate?: (opts, caller) => void  // opts 검증, 잘못되면 Error throw
+   *   - paint?: (ctx) => { scale, value?: (name) => any, fill?: string }  // 지역 색: fill 또는 scale.color(value(name), name)
+   *       (기본: ctx.defaultScale()와 rate), scale은 범례·툴팁·bar에도 사용
+   *   - render: (ctx) => state  // 지도 위/옆 요소를 그림, 반환값은 update/destroy에 전달
+   *   - update?: (ctx, state) => state  // 같은 mode로 다시 그릴 때 (없으면 destroy 후 render)
+   *   - destroy?: (state) => void  // mode나 지도가 바뀌거나 차트를 destroy할 때
+   *   - markup?: (ctx) => { layers?: node[], viewBox?: string }  // renderToString에서 지도 위에 놓을 { tag, attrs, children, text } 노드
+   *   - side?: (ctx) => { node, width, height }  // toSVG / toPNG / renderToString에서 지도 오른쪽에 붙일 SVG 노드
+   *   - center?: boolean  // mount 안에서 지도와 부가 요소를 가운데 정렬
+   *   - inset?: (opts) => number  // viewBox 좌우에 더하는 여백 (opts.responsive 배율 계산에서 지도 너비에서 뺌)
+   *   ctx: { opts, codeMap, data, series, frames (timeline이면 모든 기간 data, 아니면 [data]), scale, titles (툴팁이 없으면 true),
+   *     geometry (KorMapChart.geometry), regions(id) => { box, d } | null, anchor(name, kind) => [x, y] | null, bbox() (지도 전체 경계),
+   *     node(tag, attrs, children, text) }
+   *   render / update의 ctx에는 chart, svg, mount, addLayer(el | 노드)와
+   *   fit (opts.responsive일 때 { width, stacked, k: 화면 1px당 SVG 좌표 }, 아니면 null)도 있음
+   *   (opts.responsive면 ctx.opts의 labels/callouts/bubbles 크기 옵션은 k를 곱한 SVG 좌표 값)
+   *   (노드는 svg에 추가, 등록한 요소는 다음에 그리기 전에 자동 제거 → update를 쓰는 mode는 요소를 직접 관리)
+   */
+  static registerMode(name, def) {
+    if (typeof name !== 'string' || !name) throw new Error('KorMapChart.registerMode: name은 문자열이어야 합니다.');
+    if (this.#BUILTIN_MODES.includes(name)) throw new Error(`KorMapChart.registerMode: 내장 mode와 같은 이름은 등록할 수 없습니다. ("${name}")`);
+    if (typeof def?.render !== 'function') throw new Error('KorMapChart.registerMode: render는 함수여야 합니다.');
+    this.#modes.set(name, def);
+  }
+
+  static #modeNames() {
+    return [...this.#modes.keys()].map((m) => `"${m}"`).join(' | ');
+  }
+
+  // render/markup 공통 ctx (regions: SVG id → { box, d })
+  static #modeContext(base, regions) {
+    const { codeMap, data, series } = base;
+    return {
+      ...base,
+      frames: series ? series.all : [data],
+      geometry: this.geometry,
+      regions,
+      anchor: (name, kind = 'pole') => {
+        const region = (codeMap[name] != null) ? regions(codeMap[name]) : null;
+        return region ? this.#anchorPoint(region, kind) : null;
+      },
+      node: (tag, attrs, children, text) => this.#node(tag, attrs, children, text)
+    };
+  }
+
+  // mode의 paint 결과 { scale, value, fill } (value 기본은 rate)
+  static #paintSpec(def, ctx, getRate) {
+    const spec = def.paint?.(ctx) ?? { scale: ctx.defaultScale() };
+    return { scale: spec.scale, value: spec.value ?? getRate, fill: spec.fill ?? null };
+  }
+
+  static #validateBivariate(biv, caller) {
+    if (biv?.x == null || biv?.y == null) {
+      throw new Error(`${caller}: "bivariate" 모드에서는 bivariate.x와 bivariate.y 옵션이 필수입니다.`);
+    }
+    const n = biv.n ?? biv.colors?.length ?? 3;
+    if (!Number.isInteger(n) || n < 2) {
+      throw new Error(`${caller}: bivariate.n은 2 이상의 정수여야 합니다.`);
+    }
+    if (biv.colors && (biv.colors.length !== n || biv.colors.some((row) => row?.length !== n))) {
+      throw new Error(`${caller}: bivariate.colors는 ${n}×${n} 배열이어야 합니다.`);
+    }
+    ['x', 'y'].forEach((key) => {
+      const breaks = biv.breaks?.[key];
+      if (breaks && breaks.length !== n - 1) {
+        throw new Error(`${caller}: bivariate.breaks.${key}에는 경계 ${n - 1}개가 필요합니다.`);
+      }
+    });
+  }
+
+  static #validateOpts(opts, caller) {
+    // mode는 필수
+    if (!opts?.mode) {
+      throw new Error(`${caller}: mode는 필수입니다. (${this.#modeNames()})`);
+    }
+    const modeDef = this.#modes.get(opts.mode);
+    if (!modeDef) {
+      throw new Error(`${caller}: 알 수 없는 mode "${opts.mode}" (${this.#modeNames()})`);
+    }
+
+    if (opts.svg != null && typeof opts.svg !== 'string' && !this.#isSvgElement(opts.svg)) {
+      throw new Error(`${caller}: svg는 URL·SVG 마크업 문자열 또는 <svg> 요소여야 합니다.`);
+    }
+    if (opts.signal != null && typeof opts.signal.aborted !== 'boolean') {
+      throw new Error(`${caller}: signal은 AbortSignal이어야 합니다.`);
+    }
+
+    const scaleType = opts.scale?.type;
+    if (scaleType != null && !this.#SCALE_TYPES.includes(scaleType)) {
+      throw new Error(`${caller}: 알 수 없는 scale.type "${scaleType}" (${this.#SCALE_TYPES.map((t) => `"${t}"`).join(' | ')})`);
+    }
+
+    const selection = opts.selection;
+    const selectionMode = (typeof selection === 'object') ? selection?.mode : selection;
+    if (selection && selectionMode != null && !this.#SELECTION_MODES.includes(selectionMode)) {
+      throw new Error(`${caller}: 알 수 없는 selection 모드 "${selectionMode}" ("single" | "multi")`);
+    }
+
+    [
+      ['legend', opts.legend?.position],
+      ['bubbles.legend', opts.bubbles?.legend?.position],
+      ['labels.pieChart.legend', opts.labels?.pieChart?.legend?.position]
+    ].forEach(([key, legendPos]) => {
+      if (legendPos != null && !['right', 'left', 'top', 'bottom', ...this.#LEGEND_INSIDE].includes(legendPos)) {
+        throw new Error(`${caller}: 알 수 없는 ${key}.position "${legendPos}"`);
+      }
+    });
+
+    [['labels', opts.labels?.anchor], ['callouts', opts.callouts?.anchor], ['bubbles', opts.bubbles?.anchor]].forEach(([key, anchor]) => {
+      if (anchor != null && !this.#ANCHORS.includes(anchor)) {
+        throw new Error(`${caller}: 알 수 없는 ${key}.anchor "${anchor}" (${this.#ANCHORS.map((a) => `"${a}"`).join(' | ')})`);
+      }
+    });
+
+    Object.entries(opts.glyphs || {}).forEach(([name, glyph]) => {
+      const type = glyph?.type;
+      if (typeof type !== 'function' && !(type in this.#GLYPH_SIZES) && !this.#customGlyphs.has(type)) {
+        const types = [...Object.keys(this.#GLYPH_SIZES), ...this.#customGlyphs.keys()].map((t) => `"${t}"`).join(' | ');
+        throw new Error(`${caller}: 알 수 없는 glyphs["${name}"].type "${type}" (${types} | (glyph, ctx) => node)`);
+      }
+    });
+
+    const easing = opts.animation?.easing;
+    if (typeof easing === 'string' && !(easing in this.#EASINGS)) {
+      throw new Error(`${caller}: 알 수 없는 animation.easing "${easing}" (${Object.keys(this.#EASINGS).map((e) => `"${e}"`).join(' | ')} | (t) => number)`);
+    }
+
+    const barSort = opts.bar?.sort;
+    if (typeof barSort === 'string' && !this.#BAR_SORTS.includes(barSort)) {
+      throw new Error(`${caller}: 알 수 없는 bar.sort "${barSort}" (${this.#BAR_SORTS.map((t) => `"${t}"`).join(' | ')} | 지역명 배열 | 비교 함수)`);
+    }
+    const barValue = opts.bar?.value;
+    if (typeof barValue === 'string' && !this.#BAR_VALUES.includes(barValue)) {
+      throw new Error(`${caller}: 알 수 없는 bar.value "${barValue}" ("rate" | "count" | (name, datum) => number)`);
+    }
+
+    // 표 data는 열 이름을 미리 확인 (변환 결과는 그릴 때 재사용)
+    if (this.#isTable(opts.data)) this.#sourceData(opts, caller);
+
+    if (opts.timeline) {
+      const t = this.#timelineOpts(opts);
+      if (t.position != null && !this.#TIMELINE_POSITIONS.includes(t.position)) {
+        throw new Error(`${caller}: 알 수 없는 timeline.position "${t.position}" ("bottom" | "top")`);
+      }
+      const periods = this.#periodsOf(opts);
+      if (t.initial != null && !periods.includes(String(t.initial))) {
+        throw new Error(`${caller}: timeline.initial "${t.initial}"이(가) 기간 목록에 없습니다. (${periods.join(', ')})`);
+      }
+    }
+
+    // mode별 필수 옵션 검증
+    modeDef.validate?.(opts, caller);
+  }
+
+  static #applyMountStyles(el, opts) {
+    this.#setCss(el, 'position', 'relative');
+    this.#setCss(el, 'display', 'flex');
+    const center = this.#modes.get(opts?.mode)?.center;
+    this.#setCss(el, 'align-items', center ? 'center' : null);
+    this.#setCss(el, 'justify-content', center ? 'center' : null);
+    this.#setCss(el, 'flex-shrink', '0');
+    this.#setCss(el, 'gap', (opts?.gap != null) ? `${opts.gap}px` : null);
+
+    // 위/아래 범례(색상·bubbles 크기·파이 범주)와 기간 슬라이더는 별도 줄로 배치
+    const stacked = [opts?.legend?.position, opts?.bubbles?.legend?.position, opts?.labels?.pieChart?.legend?.position]
+      .some((pos) => pos === 'top' || pos === 'bottom');
+    this.#setCss(el, 'flex-wrap', (stacked || opts?.timeline) ? 'wrap' : null);
+  }
+
+
+  /** ---------- 내보내기 ---------- */
+  static #EXPORT_STYLE_PROPS = ['fill', 'stroke', 'stroke-width', 'opacity', 'font-family'];
+
+  // 페이지 CSS로 칠해진 값도 남도록 계산된 스타일을 복제본에 인라인으로 복사
+  static #inlineComputedStyles(source, clone) {
+    const view = source.ownerDocument?.defaultView;
+    if (!view?.getComputedStyle) return;
+
+    const selector = 'path, polygon, polyline, rect, circle, ellipse, line, text';
+    const targets = clone.querySelectorAll(selector);
+    source.querySelectorAll(selector).forEach((el, i) => {
+      const target = targets[i];
+      if (!target) return;
+
+      const computed = view.getComputedStyle(el);
+      this.#EXPORT_STYLE_PROPS.forEach((prop) => {
+        if (target.style.getPropertyValue(prop)) return;
+        const value = computed.getPropertyValue(prop);
+        if (value) target.style.setProperty(prop, value);
+      });
+    });
+  }
+
+  // 포커스/포인터 관련 속성은 정적 이미지에 필요 없으므로 제거
+  static #stripInteraction(svg) {
+    svg.querySelectorAll('*').forEach((el) => {
+      ['tabindex', 'role', 'aria-pressed', 'data-kmc-region', 'data-kmc-slice'].forEach((attr) => el.removeAttribute(attr));
+      el.style?.removeProperty('pointer-events');
+      el.style?.removeProperty('cursor');
+    });
+  }
+
+  // #buildBars와 같은 치수(px)의 SVG bar 목록 (g는 #node 형식), model은 #barModel 결과
+  static #buildBarsSvg({ rows, references }, barOpts = {}) {
+    const height = barOpts.height ?? 20;
+    const gap = barOpts.gap ?? 20;
+    const rowGap = barOpts.rowGap ?? 8;
+    const labelWidth = barOpts.labelWidth ?? 56;
+    const top = barOpts.paddingTop ?? 0;
+    const labelAlign = barOpts.labelAlign ?? 'right';
+    const valueSize = barOpts.valueSize ?? 12;
+
+    const text = (x, y, anchor, content, size, weight, color) => this.#node('text', {
+      x, y, 'text-anchor': anchor, 'dominant-baseline': 'central', 'font-size': size, 'font-weight': weight, fill: color
+    }, [], content);
+
+    const g = this.#node('g');
+    rows.forEach(({ name, x, width, color, text: value }, i) => {
+      const y = top + i * (height + gap);
+      const cy = y + height / 2;
+
+      const labelX = (labelAlign === 'left') ? 0 : (labelAlign === 'center') ? labelWidth / 2 : labelWidth;
+      const anchor = (labelAlign === 'left') ? 'start' : (labelAlign === 'center') ? 'middle' : 'end';
+      g.children.push(text(labelX, cy, anchor, name,
+        barOpts.labelSize ?? 12, barOpts.labelWeight ?? 600, barOpts.labelColor ?? '#111827'));
+
+      g.children.push(this.#node('rect', {
+        x: labelWidth + rowGap + x,
+        y,
+        width,
+        height,
+        rx: Math.min(barOpts.rounded ?? 4, height / 2),
+        fill: color
+      }));
+
+      g.children.push(text(labelWidth + rowGap + x + width + rowGap, cy, 'start', value,
+        valueSize, barOpts.valueWeight ?? 600, barOpts.valueColor ?? '#111827'));
+    });
+
+    const listHeight = top + rows.length * height + Math.max(0, rows.length - 1) * gap;
+    const labelSpace = references.length ? this.#barRefLabelSpace(references, barOpts) : 0;
+    references.forEach((ref) => {
+      const x = labelWidth + rowGap + ref.x;
+      g.children.push(this.#node('line', {
+        x1: x, y1: 0, x2: x, y2: listHeight,
+        stroke: ref.color, 'stroke-width': ref.width, 'stroke-dasharray': ref.dash || 'none', 'pointer-events': 'none'
+      }));
+      if (ref.label != null) {
+        g.children.push(text(x, listHeight + labelSpace / 2, 'middle', ref.label, barOpts.referenceLabelSize ?? 11, 400, ref.color));
+      }
+    });
+
+    // 값 텍스트 폭은 가장 긴 값 기준 추정 (최소 '100%' 정도)
+    const valueWidth = Math.max(valueSize * 3, ...rows.map((r) => this.#textWidth(r.text, valueSize)));
+    return {
+      g,
+      width: labelWidth + rowGap * 2 + (barOpts.width ?? 100) + valueWidth,
+      height: listHeight + labelSpace
+    };
+  }
+
+  /** ---------- 도형 기하 ---------- */
+  // path d / 기본 도형을 직접 해석 (getBBox 없이 경계 상자, 면적 중심, 내부 극점 계산)
+
+  // 3차 베지어 한 축의 극값 t (0 < t < 1)
+  static #cubicExtrema(p0, p1, p2, p3) {
+    const a = -p0 + 3 * p1 - 3 * p2 + p3;
+    const b = 2 * (p0 - 2 * p1 + p2);
+    const c = p1 - p0;
+    if (Math.abs(a) < 1e-12) return (Math.abs(b) < 1e-12) ? [] : [-c / b];
+    const disc = b * b - 4 * a * c;
+    if (disc < 0) return [];
+    const sq = Math.sqrt(disc);
+    return [(-b + sq) / (2 * a), (-b - sq) / (2 * a)];
+  }
+
+  // 호(A) 끝점 표기 → 중심 표기 (SVG 명세 F.6.5), 반지름이 0이면 null (직선)
+  static #arcCenter(x0, y0, rx, ry, deg, large, sweep, x, y) {
+    rx = Math.abs(rx); ry = Math.abs(ry);
+    if (!rx || !ry) return null;
+
+    const phi = deg * Math.PI / 180;
+    const cos = Math.cos(phi), sin = Math.sin(phi);
+    const x1p = cos * (x0 - x) / 2 + sin * (y0 - y) / 2;
+    const y1p = -sin * (x0 - x) / 2 + cos * (y0 - y) / 2;
+
+    const lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+    if (lambda > 1) { rx *= Math.sqrt(lambda); ry *= Math.sqrt(lambda); }
+
+    const num = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+    const den = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+    const coef = ((large === sweep) ? -1 : 1) * Math.sqrt(Math.max(0, num / den));
+    const cxp = coef * rx * y1p / ry;
+    const cyp = -coef * ry * x1p / rx;
+
+    const angle = (ux, uy, vx, vy) => Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy);
+    const ux = (x1p - cxp) / rx, uy = (y1p - cyp) / ry;
+    let delta = angle(ux, uy, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+    if (!sweep && delta > 0) delta -= 2 * Math.PI;
+    if (sweep && delta < 0) delta += 2 * Math.PI;
+
+    return {
+      rx, ry, delta,
+      theta1: angle(1, 0, ux, uy),
+      at: (t) => [
+        cos * cxp - sin * cyp + (x0 + x) / 2 + rx * cos * Math.cos(t) - ry * sin * Math.sin(t),
+        sin * cxp + cos * cyp + (y0 + y) / 2 + rx * sin * Math.cos(t) + ry * cos * Math.sin(t)
+      ],
+      cos, sin
+    };
+  }
+
+  // 호의 끝점과 축 방향 극값
+  static #arcPoints(x0, y0, rx, ry, deg, large, sweep, x, y) {
+    const arc = this.#arcCenter(x0, y0, rx, ry, deg, large, sweep, x, y);
+    if (!arc) return [[x, y]];
+
+    const TAU = 2 * Math.PI;
+    const inArc = (t) => {
+      const d = (arc.delta >= 0) ? (t - arc.theta1) : (arc.theta1 - t);
+      return ((d % TAU) + TAU) % TAU <= Math.abs(arc.delta);
+    };
+    const tx = Math.atan2(-arc.ry * arc.sin, arc.rx * arc.cos);
+    const ty = Math.atan2(arc.ry * arc.cos, arc.rx * arc.sin);
+    return [[x, y], ...[tx, tx + Math.PI, ty, ty + Math.PI].filter(inArc).map(arc.at)];
+  }
+
+  /**
+   * path d를 절대 좌표 세그먼트로 풀어서 visit(type, args) 호출
+   * H/V → 'L', S → 'C', T → 'Q'로 정규화
+   * M: [x, y] / L: [x0, y0, x, y] / C: [x0, y0, x1, y1, x2, y2, x, y] / Q: [x0, y0, qx, qy, x, y]
+   * A: [x0, y0, rx, ry, deg, large, sweep, x, y] / Z: [x, y, sx, sy]
+   */
+  static #walkPath(d, visit) {
+    const tokens = String(d ?? '').match(/[a-zA-Z]|[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g) || [];
+
+    let i = 0;
+    const num = () => Number(tokens[i++]);
+    // 호의 플래그는 '0110'처럼 붙여 쓸 수 있어 한 글자씩 읽음
+    const flag = () => {
+      const t = tokens[i];
+      if (t.length > 1) { tokens[i] = t.slice(1); return Number(t[0]); }
+      i++;
+      return Number(t);
+    };
+
+    let cmd = null;
+    let x = 0, y = 0, sx = 0, sy = 0;
+    let ctrl = null;  // 직전 곡선의 마지막 제어점 [종류, x, y] (S/T 반사용)
+
+    while (i < tokens.length) {
+      if (/^[a-zA-Z]$/.test(tokens[i])) cmd = tokens[i++];
+      else if (cmd == null || /^[zZ]$/.test(cmd)) { i++; continue; }  // 잘못된 숫자는 건너뜀
+
+      const rel = cmd === cmd.toLowerCase();
+      const ox = rel ? x : 0, oy = rel ? y : 0;
+      const C = cmd.toUpperCase();
+      if (C !== 'Z' && i >= tokens.length) break;
+
+      let nx = x, ny = y;
+      if (C === 'M') {
+        nx = num() + ox; ny = num() + oy;
+        sx = nx; sy = ny;
+        cmd = rel ? 'l' : 'L';
+        ctrl = null;
+        visit('M', [nx, ny]);
+      } else if (C === 'L' || C === 'H' || C === 'V') {
+        if (C !== 'V') nx = num() + ox;
+        if (C !== 'H') ny = num() + oy;
+        ctrl = null;
+        visit('L', [x, y, nx, ny]);
+      } else if (C === 'C' || C === 'S') {
+        let x1 = (ctrl?.[0] === 'C') ? 2 * x - ctrl[1] : x;
+        let y1 = (ctrl?.[0] === 'C') ? 2 * y - ctrl[2] : y;
+        if (C === 'C') { x1 = num() + ox; y1 = num() + oy; }
+        const x2 = num() + ox, y2 = num() + oy;
+        nx = num() + ox; ny = num() + oy;
+        ctrl = ['C', x2, y2];
+        visit('C', [x, y, x1, y1, x2, y2, nx, ny]);
+      } else if (C === 'Q' || C === 'T') {
+        let qx = (ctrl?.[0] === 'Q') ? 2 * x - ctrl[1] : x;
+        let qy = (ctrl?.[0] === 'Q') ? 2 * y - ctrl[2] : y;
+        if (C === 'Q') { qx = num() + ox; qy = num() + oy; }
+        nx = num() + ox; ny = num() + oy;
+        ctrl = ['Q', qx, qy];
+        visit('Q', [x, y, qx, qy, nx, ny]);
+      } else if (C === 'A') {
+        const rx = num(), ry = num(), deg = num(), large = flag(), sweep = flag();
+        nx = num() + ox; ny = num() + oy;
+        ctrl = null;
+        visit('A', [x, y, rx, ry, deg, large, sweep, nx, ny]);
+      } else if (C === 'Z') {
+        nx = sx; ny = sy;
+        ctrl = null;
+        visit('Z', [x, y, sx, sy]);
+      } else {
+        break;  // 알 수 없는 명령
+      }
+      x = nx; y = ny;
+    }
+  }
+
+  // path d 문자열의 경계 상자 (getBBox와 같이 곡선 제어점이 아닌 실제 곡선 기준)
+  static #pathBBox(d) {
+    let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+    const add = (px, py) => {
+      if (!Number.isFinite(px) || !Number.isFinite(py)) return;
+      minX = Math.min(minX, px); minY = Math.min(minY, py);
+      maxX = Math.max(maxX, px); maxY = Math.max(maxY, py);
+    };
+
+    this.#walkPath(d, (type, a) => {
+      if (type === 'M') add(a[0], a[1]);
+      else if (type === 'L') add(a[2], a[3]);
+      else if (type === 'C') {
+        const [x0, y0, x1, y1, x2, y2, x, y] = a;
+        [...this.#cubicExtrema(x0, x1, x2, x), ...this.#cubicExtrema(y0, y1, y2, y)]
+          .filter((t) => t > 0 && t < 1)
+          .forEach((t) => {
+            const u = 1 - t;
+            const bez = (p0, p1, p2, p3) => u * u * u * p0 + 3 * u * u * t * p1 + 3 * u * t * t * p2 + t * t * t * p3;
+            add(bez(x0, x1, x2, x), bez(y0, y1, y2, y));
+          });
+        add(x, y);
+      } else if (type === 'Q') {
+        const [x0, y0, qx, qy, x, y] = a;
+        [(x0 - qx) / (x0 - 2 * qx + x), (y0 - qy) / (y0 - 2 * qy + y)]
+          .filter((t) => t > 0 && t < 1)
+          .forEach((t) => {
+            const u = 1 - t;
+            add(u * u * x0 + 2 * u * t * qx + t * t * x, u * u * y0 + 2 * u * t * qy + t * t * y);
+          });
+        add(x, y);
+      } else if (type === 'A') {
+        this.#arcPoints(...a).forEach(([px, py]) => add(px, py));
+      }
+    });
+
+    return (minX === Infinity) ? null : { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+  }
+
+  // path d → 닫힌 고리(점 목록) 배열, 곡선/호는 segments개 직선으로 근사
+  static #pathRings(d, segments = 8) {
+    const rings = [];
+    let ring = null;
+    const push = (x0, y0, x, y) => {
+      if (!ring) { ring = [[x0, y0]]; rings.push(ring); }
+      if (Number.isFinite(x) && Number.isFinite(y)) ring.push([x, y]);
+    };
+
+    this.#walkPath(d, (type, a) => {
+      if (type === 'M') { ring = [[a[0], a[1]]]; rings.push(ring); return; }
+      if (type === 'Z') { ring = null; return; }
+
+      const [x0, y0] = a;
+      if (type === 'L') { push(x0, y0, a[2], a[3]); return; }
+
+      const arc = (type === 'A') ? this.#arcCenter(...a) : null;
+      if (type === 'A' && !arc) { push(x0, y0, a[7], a[8]); return; }
+
+      const n = (type === 'A') ? Math.max(2, Math.ceil(Math.abs(arc.delta) / (Math.PI / 8))) : segments;
+      for (let k = 1; k <= n; k++) {
+        const t = k / n, u = 1 - t;
+        if (type === 'C') {
+          const [, , x1, y1, x2, y2, x, y] = a;
+          push(x0, y0, u * u * u * x0 + 3 * u * u * t * x1 + 3 * u * t * t * x2 + t * t * t * x,
+            u * u * u * y0 + 3 * u * u * t * y1 + 3 * u * t * t * y2 + t * t * t * y);
+        } else if (type === 'Q') {
+          const [, , qx, qy, x, y] = a;
+          push(x0, y0, u * u * x0 + 2 * u * t * qx + t * t * x, u * u * y0 + 2 * u * t * qy + t * t * y);
+        } else {
+          // 마지막 점은 오차 없이 끝점으로
+          const [px, py] = (k === n) ? [a[7], a[8]] : arc.at(arc.theta1 + arc.delta * t);
+          push(x0, y0, px, py);
+        }
+      }
+    });
+
+    return rings.filter((r) => r.length >= 3);
+  }
+
+  // 기본 도형 요소 → 같은 모양의 path d (transform은 고려하지 않음)
+  static #SVG_SHAPES = ['path', 'polygon', 'polyline', 'rect', 'circle', 'ellipse', 'line'];
+
+  static #shapePath(tag, attrs) {
+    const n = (k) => Number(attrs[k]) || 0;
+    switch (tag) {
+      case 'path':
+        return attrs.d || null;
+      case 'polygon':
+      case 'polyline': {
+        const v = (attrs.points || '').trim().split(/[\s,]+/).map(Number);
+        const pts = [];
+        for (let k = 0; k + 1 < v.length; k += 2) pts.push(`${v[k]},${v[k + 1]}`);
+        return pts.length ? `M${pts.join('L')}${(tag === 'polygon') ? 'Z' : ''}` : null;
+      }
+      case 'rect':
+        return `M${n('x')},${n('y')}h${n('width')}v${n('height')}h${-n('width')}Z`;
+      case 'circle':
+      case 'ellipse': {
+        const rx = (tag === 'circle') ? n('r') : n('rx');
+        const ry = (tag === 'circle') ? n('r') : n('ry');
+        return `M${n('cx') - rx},${n('cy')}a${rx},${ry} 0 1 0 ${rx * 2},0a${rx},${ry} 0 1 0 ${-rx * 2},0Z`;
+      }
+      case 'line':
+        return `M${n('x1')},${n('y1')}L${n('x2')},${n('y2')}`;
+      default:
+        return null;
+    }
+  }
+
+  // 요소(또는 g 아래 모든 도형)의 path d를 이어 붙인 문자열
+  static #elementPathData(el) {
+    const shapes = this.#SVG_SHAPES.includes(el.tagName) ? [el] : [...el.querySelectorAll(this.#SVG_SHAPES.join(','))];
+    return shapes
+      .map((s) => this.#shapePath(s.tagName, Object.fromEntries([...s.attributes].map((a) => [a.name, a.value]))))
+      .filter(Boolean)
+      .join(' ');
+  }
+
+  // 점이 고리들 안에 있는지 (even-odd)
+  static #insideRings(x, y, rings) {
+    let inside = false;
+    rings.forEach((ring) => {
+      for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [xi, yi] = ring[i], [xj, yj] = ring[j];
+        if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+      }
+    });
+    return inside;
+  }
+
+  // 점과 고리 경계 사이 거리 (안쪽이면 양수, 바깥이면 음수)
+  static #ringDistance(x, y, rings) {
+    let min = Infinity;
+    rings.forEach((ring) => {
+      for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [ax, ay] = ring[j], [bx, by] = ring[i];
+        const dx = bx - ax, dy = by - ay;
+        const len = dx * dx + dy * dy;
+        const t = len ? Math.max(0, Math.min(1, ((x - ax) * dx + (y - ay) * dy) / len)) : 0;
+        const px = ax + t * dx - x, py = ay + t * dy - y;
+        min = Math.min(min, px * px + py * py);
+      }
+    });
+    return (this.#insideRings(x, y, rings) ? 1 : -1) * Math.sqrt(min);
+  }
+
+  // 면적 가중 중심. 다른 고리 안에 홀수 번 들어간 고리(경기 안의 서울 등)는 구멍으로 빼서 계산
+  static #centroid(rings) {
+    let sumA = 0, sumX = 0, sumY = 0;
+    rings.forEach((ring, r) => {
+      let a = 0, cx = 0, cy = 0;
+      for (let i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+        const [x0, y0] = ring[j], [x1, y1] = ring[i];
+        const f = x0 * y1 - x1 * y0;
+        a += f; cx += (x0 + x1) * f; cy += (y0 + y1) * f;
+      }
+      if (!a) return;
+
+      const [px, py] = ring[0];
+      const depth = rings.filter((other, o) => o !== r && this.#insideRings(px, py, [other])).length;
+      const w = Math.abs(a / 2) * ((depth % 2) ? -1 : 1);
+      sumA += w;
+      sumX += w * cx / (3 * a);
+      sumY += w * cy / (3 * a);
+    });
+    return sumA ? { x: sumX / sumA, y: sumY / sumA } : null;
+  }
+
+  // 내부 극점(pole of inaccessibility): 경계에서 가장 먼 내부 점 (격자 분할 + 우선순위 탐색)
+  static #pole(rings, precision) {
+    const box = this.#unionBBox(rings.map((ring) => this.#pathBBox(`M${ring.join('L')}Z`)));
+    const size = Math.min(box.w, box.h);
+    if (!(size > 0)) return null;
+    precision = precision ?? Math.max(box.w, box.h) / 200;
+
+    const cell = (x, y, h) => {
+      const d = this.#ringDistance(x, y, rings);
+      return { x, y, h, d, max: d + h * Math.SQRT2 };
+    };
+
+    // max 오름차순 배열 (끝에서 꺼냄)
+    const queue = [];
+    const enqueue = (c) => {
+      let lo = 0, hi = queue.length;
+      while (lo < hi) {
+        const mid = (lo + hi) >> 1;
+        if (queue[mid].max < c.max) lo = mid + 1; else hi = mid;
+      }
+      queue.splice(lo, 0, c);
+    };
+
+    const h = size / 2;
+    for (let x = box.x; x < box.x + box.w; x += size) {
+      for (let y = box.y; y < box.y + box.h; y += size) enqueue(cell(x + h, y + h, h));
+    }
+
+    const c = this.#centroid(rings);
+    let best = c ? cell(c.x, c.y, 0) : cell(box.x + box.w / 2, box.y + box.h / 2, 0);
+    const center = cell(box.x + box.w / 2, box.y + box.h / 2, 0);
+    if (center.d > best.d) best = center;
+
+    while (queue.length) {
+      const next = queue.pop();
+      if (next.d > best.d) best = next;
+      if (next.max - best.d <= precision) break;
+
+      const q = next.h / 2;
+      enqueue(cell(next.x - q, next.y - q, q));
+      enqueue(cell(next.x + q, next.y - q, q));
+      enqueue(cell(next.x - q, next.y + q, q));
+      enqueue(cell(next.x + q, next.y + q, q));
+    }
+
+    return { x: best.x, y: best.y, distance: best.d };
+  }
+
+  static #ANCHORS = ['pole', 'centroid', 'bbox'];
+
+  /**
+   * 라벨/파이/callout 핀 기준점 [x, y]
+   * region: { box, d, cache? } - cache가 있으면 계산 결과를 저장해 재사용 (DOM 요소별)
+   * kind: 'pole'(기본, 항상 지역 안) | 'centroid'(면적 중심) | 'bbox'(경계 상자 중심, 이전 동작)
+   */
+  static #anchorPoint(region, kind = 'pole') {
+    const b = region.box;
+    if (kind !== 'bbox' && region.d) {
+      const cache = region.cache ?? {};
+      if (!(kind in cache)) {
+        const rings = this.#pathRings(region.d);
+        cache[kind] = rings.length ? ((kind === 'centroid') ? this.#centroid(rings) : this.#pole(rings)) : null;
+      }
+      const p = cache[kind];
+      if (p) return [p.x, p.y];
+    }
+    return [b.x + b.width / 2, b.y + b.height / 2];
+  }
+
+  /**
+   * path d 기하 도구 (브라우저 없이 사용 가능, d는 여러 path를 공백으로 이어도 됨)
+   * - bbox(d): { x, y, width, height } | null
+   * - rings(d): 곡선/호를 직선으로 근사한 고리 배열 [[[x, y], ...], ...]
+   * - centroid(d): 면적 가중 중심 { x, y } | null (even-odd 구멍 제외)
+   * - pole(d, precision?): 내부 극점 { x, y, distance } | null (distance: 가장 가까운 경계까지 거리)
+   * - contains(d, x, y): even-odd 기준 내부 여부
+   */
+  static geometry = Object.freeze({
+    bbox: (d) => KorMapChart.#pathBBox(d),
+    rings: (d) => KorMapChart.#pathRings(d),
+    centroid: (d) => KorMapChart.#centroid(KorMapChart.#pathRings(d)),
+    pole: (d, precision) => {
+      const rings = KorMapChart.#pathRings(d);
+      return rings.length ? KorMapChart.#pole(rings, precision) : null;
+    },
+    contains: (d, x, y) => KorMapChart.#insideRings(x, y, KorMapChart.#pathRings(d))
+  });
+
+  /** ---------- 정적 렌더링 (DOM 없음) ---------- */
+
+  static #unescapeXml(v) {
+    return v.replace(/&(#x[0-9a-fA-F]+|#\d+|amp|lt|gt|quot|apos);/g, (m, e) => {
+      if (e[0] === '#') return String.fromCodePoint((e[1] === 'x') ? parseInt(e.slice(2), 16) : Number(e.slice(1)));
+      return { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" }[e];
+    });
+  }
+
+  // 주석/CDATA/선언(<?, <!)은 통째로, 그 외에는 시작·끝 태그
+  static #SVG_TOKEN = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<[?!][\s\S]*?>|<(\/?)([A-Za-z_][\w:.-]*)((?:\s+[^\s=/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'))?)*)\s*(\/?)>/g;
+
+  /**
+   * SVG 문자열을 한 번 훑어서 원본 fill 제거(#clearSvgFillStyles) + 지역 칠하기(#paintRegions)를 적용하고
+   * 지역 id별 경계 상자와 path d(g는 하위 도형의 합), 전체 path 경계(#computeBBox)를 계산
+   * @returns {{ chunks: string[], rootIndex: number, closeIndex: number, rootAttrs: Object,
+   *   regions: Map<string, { box: Object, d: string }>, ids: Set<string>, shapes: string[], mapBox: Object }}
+   */
+  static #rewriteSvgMarkup(text, fillById) {
+    const chunks = [];
+    const regions = new Map();
+    const pathBoxes = [];
+    const stack = [];   // 열린 요소 [{ tag, collect: id | null, skip }] (skip: 안의 도형은 codeMap 검사 제외)
+    const ids = new Set();
+    const shapes = [];  // codeMap 지역 밖의 path/polygon id (#collectSvgIds와 같은 기준)
+    let rootIndex = -1, closeIndex = -1, rootAttrs = null, svgDepth = 0;
+    let inStyle = false;
+    let last = 0;
+
+    const stripFill = (css) => css.replace(/fill\s*:[^;]+;?/g, '');
+    const grow = (id, b, d) => {
+      const r = regions.get(id);
+      if (!r) { regions.set(id, { box: b, d }); return; }
+      const p = r.box;
+      const x = Math.min(p.x, b.x), y = Math.min(p.y, b.y);
+      r.box = {
+        x, y,
+        width: Math.max(p.x + p.width, b.x + b.width) - x,
+        height: Math.max(p.y + p.height, b.y + b.height) - y
+      };
+      r.d += ` ${d}`;
+    };
+
+    const re = new RegExp(this.#SVG_TOKEN.source, 'g');
+    let m;
+    while ((m = re.exec(text))) {
+      const between = text.slice(last, m.index);
+      chunks.push(inStyle ? stripFill(between) : between);
+      last = re.lastIndex;
+
+      const [raw, closing, tag, attrText, selfClose] = m;
+      if (!tag) {
+        chunks.push(inStyle ? stripFill(raw) : raw);
+        continue;
+      }
+
+      if (closing) {
+        if (tag === 'style') inStyle = false;
+        if (tag === 'svg' && --svgDepth === 0 && closeIndex < 0) closeIndex = chunks.length;
+        stack.pop();
+        chunks.push(raw);
+        continue;
+      }
+
+      const attrs = {};
+      const attrRe = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'))?/g;
+      let a;
+      while ((a = attrRe.exec(attrText))) attrs[a[1]] = this.#unescapeXml(a[2] ?? a[3] ?? '');
+
+      const hadFill = 'fill' in attrs;
+      delete attrs.fill;
+
+      const id = attrs.id;
+      const painted = id != null && fillById.has(id);
+      if (id != null) {
+        ids.add(id);
+        if ((tag === 'path' || tag === 'polygon') && !painted && !stack.some((el) => el.skip)) shapes.push(id);
+      }
+      if (painted) {
+        const style = (attrs.style || '').replace(/(^|;)\s*fill\s*:[^;]*/g, '$1').replace(/^;+|;+$/g, '');
+        attrs.style = `${style ? `${style};` : ''}fill:${fillById.get(id)} !important`;
+      }
+
+      if (this.#SVG_SHAPES.includes(tag)) {
+        const d = this.#shapePath(tag, attrs);
+        const b = d && this.#pathBBox(d);
+        if (b) {
+          if (tag === 'path') pathBoxes.push(b);
+          if (id != null) grow(id, b, d);
+          stack.forEach((el) => { if (el.collect != null) grow(el.collect, b, d); });
+        }
+      }
+
+      if (tag === 'svg' && rootIndex < 0) {
+        rootIndex = chunks.length;
+        rootAttrs = attrs;
+      }
+      chunks.push((hadFill || painted) ? this.#openTag(tag, attrs, !!selfClose) : raw);
+
+      if (!selfClose) {
+        if (tag === 'svg') svgDepth++;
+        if (tag === 'style') inStyle = true;
+        stack.push({ tag, collect: (tag === 'g' && painted) ? id : null, skip: painted || this.#SVG_DEFS.includes(tag) });
+      }
+    }
+    chunks.push(text.slice(last));
+
+    if (rootIndex < 0 || closeIndex < 0) throw new Error('KorMapChart.renderToString: <svg> 요소를 찾을 수 없음');
+    return { chunks, rootIndex, closeIndex, rootAttrs, regions, ids, shapes, mapBox: this.#unionBBox(pathBoxes) };
+  }
+
+  /** ---------- 지역 레지스트리 ---------- */
+  // 시도: [약칭, 정식 명칭, 행정구역 코드, ISO 3166-2 코드, 시군구 map key 접두어, 추가 별칭]
+  static #SIDO = [
+    ['서울', '서울특별시', '11', 'KR-11', 'seoul'],
+    ['부산', '부산광역시', '26', 'KR-26', 'busan'],
+    ['대구', '대구광역시', '27', 'KR-27', 'daegu'],
+    ['인천', '인천광역시', '28', 'KR-28', 'incheon'],
+    ['광주', '광주광역시', '29', 'KR-29', 'gwangju'],
+    ['대전', '대전광역시', '30', 'KR-30', 'daejeon'],
+    ['울산', '울산광역시', '31', 'KR-31', 'ulsan'],
+    ['세종', '세종특별자치시', '36', 'KR-50', 'sejong'],
+    ['경기', '경기도', '41', 'KR-41', 'gyeonggi'],
+    ['강원', '강원도', '42', 'KR-42', 'gangwon', ['강원특별자치도', '51']],
+    ['충북', '충청북도', '43', 'KR-43', 'chungbuk'],
+    ['충남', '충청남도', '44', 'KR-44', 'chungnam'],
+    ['전북', '전라북도', '45', 'KR-45', 'jeonbuk', ['전북특별자치도', '52']],
+    ['전남', '전라남도', '46', 'KR-46', 'jeonnam'],
+    ['경북', '경상북도', '47', 'KR-47', 'gyeongbuk'],
+    ['경남', '경상남도', '48', 'KR-48', 'gyeongnam'],
+    ['제주', '제주특별자치도', '50', 'KR-49', 'jeju']
+  ];
+
+  // 시군구: 시도 약칭 → { 시군구명(map/*_시군구_경계.svg의 path id): 행정구역 코드 }
+  static #SIGUNGU = {
+    '서울': {
+      '종로구': '11110', '중구': '11140', '용산구': '11170', '성동구': '11200', '광진구': '11215', '동대문구': '11230',
+      '중랑구': '11260', '성북구': '11290', '강북구': '11305', '도봉구': '11320', '노원구': '11350', '은평구': '11380',
+      '서대문구': '11410', '마포구': '11440', '양천구': '11470', '강서구': '11500', '구로구': '11530', '금천구': '11545',
+      '영등포구': '11560', '동작구': '11590', '관악구': '11620', '서초구': '11650', '강남구': '11680', '송파구': '11710',
+      '강동구': '11740'
+    },
+    '부산': {
+      '중구': '26110', '서구': '26140', '동구': '26170', '영도구': '26200', '부산진구': '26230', '동래구': '26260',
+      '남구': '26290', '북구': '26320', '해운대구': '26350', '사하구': '26380', '금정구': '26410', '강서구': '26440',
+      '연제구': '26470', '수영구': '26500', '사상구': '26530', '기장군': '26710'
+    },
+    // 군위군은 2023년 경북에서 편입 (대구 SVG에는 도형 없음)
+    '대구': {
+      '중구': '27110', '동구': '27140', '서구': '27170', '남구': '27200', '북구': '27230', '수성구': '27260',
+      '달서구': '27290', '달성군': '27710', '군위군': '27720'
+    },
+    '인천': {
+      '중구': '28110', '동구': '28140', '미추홀구': '28177', '연수구': '28185', '남동구': '28200', '부평구': '28237',
+      '계양구': '28245', '서구': '28260', '강화군': '28710', '옹진군': '28720'
+    },
+    '광주': {
+      '동구': '29110', '서구': '29140', '남구': '29155', '북구': '29170', '광산구': '29200'
+    },
+    '대전': {
+      '동구': '30110', '중구': '30140', '서구': '30170', '유성구': '30200', '대덕구': '30230'
+    },
+    '울산': {
+      '중구': '31110', '남구': '31140', '동구': '31170', '북구': '31200', '울주군': '31710'
+    },
+    '세종': {
+      '세종시': '36110'
+    },
+    '경기': {
+      '수원시': '41110', '성남시': '41130', '의정부시': '41150', '안양시': '41170', '부천시': '41190', '광명시': '41210',
+      '평택시': '41220', '동두천시': '41250', '안산시': '41270', '고양시': '41280', '과천시': '41290', '구리시': '41310',
+      '남양주시': '41360', '오산시': '41370', '시흥시': '41390', '군포시': '41410', '의왕시': '41430', '하남시': '41450',
+      '용인시': '41460', '파주시': '41480', '이천시': '41500', '안성시': '41550', '김포시': '41570', '화성시': '41590',
+      '광주시': '41610', '양주시': '41630', '포천시': '41650', '여주시': '41670', '연천군': '41800', '가평군': '41820',
+      '양평군': '41830'
+    },
+    '강원': {
+      '춘천시': '42110', '원주시': '42130', '강릉시': '42150', '동해시': '42170', '태백시': '42190', '속초시': '42210',
+      '삼척시': '42230', '홍천군': '42720', '횡성군': '42730', '영월군': '42750', '평창군': '42760', '정선군': '42770',
+      '철원군': '42780', '화천군': '42790', '양구군': '42800', '인제군': '42810', '고성군': '42820', '양양군': '42830'
+    },
+    '충북': {
+      '청주시': '43110', '충주시': '43130', '제천시': '43150', '보은군': '43720', '옥천군': '43730', '영동군': '43740',
+      '증평군': '43745', '진천군': '43750', '괴산군': '43760', '음성군': '43770', '단양군': '43800'
+    },
+    '충남': {
+      '천안시': '44130', '공주시': '44150', '보령시': '44180', '아산시': '44200', '서산시': '44210', '논산시': '44230',
+      '계룡시': '44250', '당진시': '44270', '금산군': '44710', '부여군': '44760', '서천군': '44770', '청양군': '44790',
+      '홍성군': '44800', '예산군': '44810', '태안군': '44825'
+    },
+    '전북': {
+      '전주시 완산구': '45111', '전주시 덕진구': '45113', '군산시': '45130', '익산시': '45140', '정읍시': '45180', '남원시': '45190',
+      '김제시': '45210', '완주군': '45710', '진안군': '45720', '무주군': '45730', '장수군': '45740', '임실군': '45750',
+      '순창군': '45770', '고창군': '45790', '부안군': '45800'
+    },
+    '전남': {
+      '목포시': '46110', '여수시': '46130', '순천시': '46150', '나주시': '46170', '광양시': '46230', '담양군': '46710',
+      '곡성군': '46720', '구례군': '46730', '고흥군': '46770', '보성군': '46780', '화순군': '46790', '장흥군': '46800',
+      '강진군': '46810', '해남군': '46820', '영암군': '46830', '무안군': '46840', '함평군': '46860', '영광군': '46870',
+      '장성군': '46880', '완도군': '46890', '진도군': '46900', '신안군': '46910'
+    },
+    // 군위군은 2023년 대구로 편입 (경북 SVG에서도 주석 처리됨)
+    '경북': {
+      '포항시': '47110', '경주시': '47130', '김천시': '47150', '안동시': '47170', '구미시': '47190', '영주시': '47210',
+      '영천시': '47230', '상주시': '47250', '문경시': '47280', '경산시': '47290', '의성군': '47730',
+      '청송군': '47750', '영양군': '47760', '영덕군': '47770', '청도군': '47820', '고령군': '47830', '성주군': '47840',
+      '칠곡군': '47850', '예천군': '47900', '봉화군': '47920', '울진군': '47930', '울릉군': '47940'
+    },
+    '경남': {
+      '창원시': '48120', '진주시': '48170', '통영시': '48220', '사천시': '48240', '김해시': '48250', '밀양시': '48270',
+      '거제시': '48310', '양산시': '48330', '의령군': '48720', '함안군': '48730', '창녕군': '48740', '고성군': '48820',
+      '남해군': '48840', '하동군': '48850', '산청군': '48860', '함양군': '48870', '거창군': '48880', '합천군': '48890'
+    },
+    '제주': {
+      '제주시': '50110', '서귀포시': '50130'
+    }
+  };
+
+  // 다른 시도로 편입된 시군구의 새 코드 → 편입 전 명칭/코드
+  static #SIGUNGU_FORMER = {
+    '27720': ['경북 군위군', '경상북도 군위군', '47720']
+  };
+
+  // seoul.svg의 path id
+  static #SEOUL_SVG_IDS = {
+    '도봉구': 'SEOUL-1', '동대문구': 'SEOUL-2', '동작구': 'SEOUL-3', '은평구': 'SEOUL-4', '강북구': 'SEOUL-5',
+    '강동구': 'SEOUL-6', '강서구': 'SEOUL-7', '금천구': 'SEOUL-8', '구로구': 'SEOUL-9', '관악구': 'SEOUL-10',
+    '광진구': 'SEOUL-11', '강남구': 'SEOUL-12', '종로구': 'SEOUL-13', '중구': 'SEOUL-14', '중랑구': 'SEOUL-15',
+    '마포구': 'SEOUL-16', '노원구': 'SEOUL-17', '서초구': 'SEOUL-18', '서대문구': 'SEOUL-19', '성북구': 'SEOUL-20',
+    '성동구': 'SEOUL-21', '송파구': 'SEOUL-22', '양천구': 'SEOUL-23', '영등포구': 'SEOUL-24', '용산구': 'SEOUL-25'
+  };
+
+  static #maps = null;
+
+  // map key → { file, parent?, regions: [{ name, id, aliases }] }
+  static #mapRegistry() {
+    if (this.#maps) return this.#maps;
+
+    const maps = {};
+    const sidoRegions = (idOf) => this.#SIDO.map(([name, full, code, iso, , extra = []]) => ({
+      name,
+      id: idOf(full, iso),
+      aliases: [name, full, code, iso, ...extra]
+    }));
+
+    maps['sido'] = { file: 'map/전국_시도_경계.svg', regions: sidoRegions((full) => full) };
+    maps['south-korea'] = { file: 'south_korea.svg', regions: sidoRegions((full, iso) => iso) };
+
+    for (const [short, full, , , slug, extra = []] of this.#SIDO) {
+      // 특별자치도 출범으로 바뀐 명칭/코드(강원 42→51, 전북 45→52)도 별칭으로 인정
+      const [newFull, newCode] = extra;
+      const regions = Object.entries(this.#SIGUNGU[short]).map(([name, code]) => ({
+        name,
+        id: name,
+        aliases: [
+          name, `${short} ${name}`, `${full} ${name}`, code,
+          ...(newFull ? [`${newFull} ${name}`, newCode + code.slice(2)] : []),
+          ...(this.#SIGUNGU_FORMER[code] || [])
+        ]
+      }));
+      maps[`${slug}-sigungu`] = { file: `map/${full}_시군구_경계.svg`, parent: short, regions };
+    }
+
+    maps['seoul'] = {
+      file: 'seoul.svg',
+      parent: '서울',
+      regions: maps['seoul-sigungu'].regions.map((r) => ({ ...r, id: this.#SEOUL_SVG_IDS[r.name] }))
+    };
+
+    this.#maps = maps;
+    return maps;
+  }
+
+  // 별칭 → codeMap의 지역명. map key가 없으면 codeMap의 id를 모두 포함하는 내장 지도의 별칭을 사용
+  static #buildAliases(codeMap, mapKey) {
+    const nameById = new Map(Object.entries(codeMap || {}).map(([name, id]) => [id, name]));
+    const maps = this.#mapRegistry();
+    const def = mapKey
+      ? maps[mapKey]
+      : Object.values(maps).find((m) => nameById.size && [...nameById.keys()].every((id) => m.regions.some((r) => r.id === id)));
+
+    const aliases = {};
+    Object.keys(codeMap || {}).forEach((name) => { aliases[name] = name; });
+
+    def?.regions.forEach((r) => {
+      const name = nameById.get(r.id);
+      if (name == null) return;
+      r.aliases.forEach((a) => { if (!(a in aliases)) aliases[a] = name; });
+    });
+    return aliases;
+  }
+
+  // data/pieChartData의 키를 codeMap의 지역명으로 정규화 (매칭되지 않는 키는 그대로 유지)
+  static #resolveKeys(obj, aliases) {
+    if (!obj) return obj;
+
+    const out = {};
+    for (const [k, v] of Object.entries(obj)) {
+      const name = aliases[String(k).trim()] ?? k;
+      // 같은 지역을 여러 별칭으로 넣은 경우 지역명 그대로 쓴 키가 우선
+      if (!(name in out) || k === name) out[name] = v;
+    }
+    return out;
+  }
+
+  /**
+   * 내장 지도 key 목록
+   * @returns {string[]} 예: ['sido', 'south-korea', 'seoul-sigungu', ..., 'seoul']
+   */
+  static mapKeys() {
+    return Object.keys(this.#mapRegistry());
+  }
+
+  /**
+   * 내장 지도 정보 조회
+   * @param {string} key - 'sido' | 'south-korea' | 'seoul' | '<시도>-sigungu' (예: 'seoul-sigungu', 'gyeonggi-sigungu')
+   * @returns {{ key:string, svgUrl:string, parent?:string, codeMap:Object.<string,string>, aliases:Object.<string,string> } | null}
+   *   svgUrl은 저장소 루트 기준 상대 경로, aliases는 별칭 → 지역명
+   */
+  static getMap(key) {
+    const def = this.#mapRegistry()[key];
+    if (!def) return null;
+
+    const codeMap = Object.fromEntries(def.regions.map((r) => [r.name, r.id]));
+    return { key, svgUrl: def.file, parent: def.parent, codeMap, aliases: this.#buildAliases(codeMap, key) };
+  }
+
+  /**
+   * URL별 SVG 캐시 비우기 (서버의 SVG 파일이 바뀌어 다시 받아야 할 때 등, 최근 32개 URL까지 보관)
+   */
+  static clearSvgCache() {
+    this.#svgCache.clear();
+  }
+
+
+  /** ---------- 전환 애니메이션 ---------- */
+  static #EASINGS = {
+    linear: (t) => t,
+    'ease-in': (t) => t * t * t,
+    'ease-out': (t) => 1 - (1 - t) ** 3,
+    'ease-in-out': (t) => (t < 0.5) ? 4 * t * t * t : 1 - ((-2 * t + 2) ** 3) / 2
+  };
+
+  // opts.animation → { duration, easing } (끄거나 사용자가 동작 줄이기를 설정했으면 null)
+  static #animationOpts(opts) {
+    const anim = opts?.animation;
+    if (!anim) return null;
+    if (globalThis.matchMedia?.('(prefers-reduced-motion: reduce)')?.matches) return null;
+
+    const o = (typeof anim === 'object') ? anim : {};
+    return {
+      duration: o.duration ?? 400,
+      easing: (typeof o.easing === 'function') ? o.easing : this.#EASINGS[o.easing ?? 'ease-in-out']
+    };
+  }
+
+  // duration(ms) 동안 매 프레임 frame(easing 적용 진행률)을 호출, 마지막은 frame(1) / 취소 함수 반환
+  static #animate(duration, easing, frame) {
+    const raf = globalThis.requestAnimationFrame?.bind(globalThis) ?? ((fn) => setTimeout(fn, 16));
+    const cancel = globalThis.cancelAnimationFrame?.bind(globalThis) ?? clearTimeout;
+    const now = () => globalThis.performance?.now() ?? Date.now();
+
+    const start = now();
+    let id = null;
+    const tick = () => {
+      const t = (duration > 0) ? Math.min(1, (now() - start) / duration) : 1;
+      id = (t < 1) ? raf(tick) : null;
+      frame((t < 1) ? easing(t) : 1);
+    };
+    id = raf(tick);
+
+    return () => {
+      if (id != null) cancel(id);
+      id = null;
+    };
+  }
+
+  // vnode 트리에서 tween 정보가 있는 노드 (파이, callout 건수)
+  static #tweenNodes(node, out = []) {
+    if (!node) return out;
+    if (node.tween) out.push(node);
+    node.children.forEach((child) => this.#tweenNodes(child, out));
+    return out;
+  }
+
+
+  /** ---------- 반응형 ---------- */
+  static #responsiveOpts(opts) {
+    if (!opts?.responsive) return null;
+    return (typeof opts.responsive === 'object') ? opts.responsive : {};
+  }
+
+  // padding을 뺀 요소 내용 너비 (px, 화면에 없으면 0)
+  static #contentWidth(el) {
+    const width = el.clientWidth;
+    if (!width) return 0;
+    const style = getComputedStyle(el);
+    return width - (Number.parseFloat(style.paddingLeft) || 0) - (Number.parseFloat(style.paddingRight) || 0);
+  }
+
+  // responsive: px로 지정하는 라벨·callout 크기 옵션에 k(화면 1px당 SVG 좌표)를 곱해 화면 크기 그대로 유지
+  static #fitOpts(opts, k) {
+    const scaled = (src, defaults) => {
+      const out = { ...src };
+      Object.entries(defaults).forEach(([key, v]) => { out[key] = (src?.[key] ?? v) * k; });
+      return out;
+    };
+    const { callouts, labels } = opts;
+    return {
+      ...opts,
+      labels: {
+        ...scaled(labels, { fontSize: 12, strokeWidth: 2.5, minWidth: 16, minHeight: 12 }),
+        pieChart: scaled(labels?.pieChart, { radius: 15, innerRadius: 0, gap: 15 }),
+        // glyph 크기는 type마다 기본값이 달라 배율(scale)로 넘김
+        glyphs: scaled(labels?.glyphs, { gap: 15, scale: 1 })
+      },
+      callouts: callouts && scaled(callouts, {
+        padding: 0, margin: 0, textSize: 12, textOffset: 0, minGap: (callouts.textSize ?? 12) + 4
+      }),
+      bubbles: scaled(opts.bubbles, { maxRadius: 24, minRadius: 0 })
+    };
+  }
+
+  /** ---------- 진단 ---------- */
+  // 정의용 요소 (안의 도형은 지도에 그려지지 않으므로 codeMap 검사에서 제외)
+  static #SVG_DEFS = ['defs', 'clipPath', 'mask', 'symbol', 'pattern', 'marker'];
+
+  // SVG의 id → { ids: 모든 id, shapes: codeMap 지역 밖의 path/polygon id }
+  static #collectSvgIds(svg, codeMap) {
+    const mapped = new Set(Object.values(codeMap || {}));
+    const ids = new Set([...svg.querySelectorAll('[id]')].map((el) => el.id));
+    const shapes = [...svg.querySelectorAll('path[id], polygon[id]')].filter((el) => {
+      for (let p = el; p && p !== svg; p = p.parentNode) {
+        if (mapped.has(p.id) || this.#SVG_DEFS.includes(p.tagName)) return false;
+      }
+      return true;
+    }).map((el) => el.id);
+    return { ids, shapes };
+  }
+
+  // rate 허용 범위: scale.domain, 없으면 임계값이 모두 0~1인 threshold(비율)만 [0, 1] (그 외는 검사 안 함)
+  static #rateRange(opts) {
+    const spec = opts?.scale || {};
+    const type = spec.type ?? 'threshold';
+    if ((type === 'sequential' || type === 'diverging') && spec.domain) return spec.domain;
+    if (type !== 'threshold') return null;
+
+    const th = [spec.thresholds, opts?.rates].find((arr) => Array.isArray(arr) && arr.length) ?? [0.8, 0.6, 0.4, 0.2];
+    return th.every((t) => t >= 0 && t <= 1) ? [0, 1] : null;
+  }
+
+  // 내장 지도 SVG에 도형이 아직 없는 지역 (별칭으로 찾으므로 같은 이름을 쓰는 사용자 codeMap에는 해당 안 됨)
+  static #NO_SHAPE = ['대구 군위군'];
+
+  /**
+   * codeMap·SVG·data가 서로 맞지 않는 곳을 모음 (그리기는 그대로 진행, events.onWarning / opts.strict로 알림)
+   * @param {{ ids:Set<string>, shapes:string[] }} svgIds - #collectSvgIds 또는 #rewriteSvgMarkup 결과
+   * @returns {{ missingPaths:{ name, id }[], unmappedPaths:string[],
+   *   unknownKeys:{ source:'data'|'pieChartData'|'glyphs', key, period? }[],
+   *   invalidValues:{ name, field:'rate'|'count'|'value', value, reason:'non-numeric'|'out-of-range', period? }[],
+   *   emptyPies:string[], messages:string[] }}
+   */
+  static #diagnose(opts, codeMap, aliases, svgIds) {
+    const report = { missingPaths: [], unmappedPaths: [], unknownKeys: [], invalidValues: [], emptyPies: [], messages: [] };
+    const note = (list, item, message) => {
+      list.push(item);
+      report.messages.push(message);
+    };
+    const at = (period) => (period != null) ? ` (기간 ${period})` : '';
+    const show = (v) => (typeof v === 'string') ? `"${v}"` : String(v);
+
+    Object.entries(codeMap || {}).forEach(([name, id]) => {
+      if (svgIds.ids.has(id) || this.#NO_SHAPE.some((a) => aliases?.[a] === name)) return;
+      note(report.missingPaths, { name, id }, `codeMap "${name}"의 id "${id}" 요소가 SVG에 없습니다.`);
+    });
+    svgIds.shapes.forEach((id) => note(report.unmappedPaths, id, `SVG 도형 id "${id}"가 codeMap에 없습니다.`));
+
+    const unknown = (source, obj, period) => Object.keys(obj || {}).forEach((key) => {
+      if (codeMap?.[key]) return;
+      note(report.unknownKeys, { source, key, ...(period != null ? { period } : {}) }, `${source} 키 "${key}"에 해당하는 지역이 없습니다.${at(period)}`);
+    });
+    const invalid = (name, field, value, reason, period, message) => {
+      note(report.invalidValues, { name, field, value, reason, ...(period != null ? { period } : {}) }, `${message}${at(period)}`);
+    };
+
+    // timeline이면 기간마다 검사
+    const range = this.#rateRange(opts);
+    const series = this.#seriesOf(opts, aliases);
+    const source = this.#sourceData(opts);
+    const frames = series ? series.periods.map((p, i) => [p, series.all[i]]) : [[null, this.#resolveKeys(source.data, aliases)]];
+    frames.forEach(([period, data]) => {
+      unknown('data', data, period);
+      Object.entries(data || {}).forEach(([name, datum]) => {
+        if (datum == null) return;
+        if (typeof datum !== 'number' && typeof datum !== 'object') {
+          invalid(name, 'value', datum, 'non-numeric', period, `"${name}" 값 ${show(datum)}은(는) 숫자나 { rate, count } 객체가 아닙니다.`);
+          return;
+        }
+        const fields = (typeof datum === 'number') ? [['rate', datum]] : [['rate', datum.rate], ['count', datum.count]];
+        fields.forEach(([field, value]) => {
+          if (value == null) return;
+          const v = this.#toNumber(value);
+          if (v == null) {
+            invalid(name, field, value, 'non-numeric', period, `"${name}" ${field} 값 ${show(value)}은(는) 숫자가 아닙니다.`);
+          } else if (field === 'rate' && range && (v < range[0] || v > range[1])) {
+            invalid(name, field, value, 'out-of-range', period, `"${name}" rate 값 ${v}이(가) 범위 [${range[0]}, ${range[1]}]를 벗어났습니다.`);
+          } else if (field === 'count' && v < 0) {
+            invalid(name, field, value, 'out-of-range', period, `"${name}" count 값 ${v}이(가) 음수입니다.`);
+          }
+        });
+      });
+    });
+
+    const pieChartData = this.#resolveKeys(source.pieChartData, aliases);
+    unknown('pieChartData', pieChartData);
+    Object.entries(pieChartData || {}).forEach(([name, slices]) => {
+      const drawable = Array.isArray(slices) && slices.some((s) => this.#toNumber(s?.data) > 0);
+      if (!drawable) note(report.emptyPies, name, `pieChartData "${name}"에 그릴 값이 없습니다.`);
+    });
+    unknown('glyphs', this.#resolveKeys(opts?.glyphs, aliases));
+
+    return report;
+  }
+
+  // opts.strict면 진단 결과에 문제가 있을 때 throw
+  static #assertClean(report, opts, caller) {
+    if (!opts?.strict || !report.messages.length) return;
+    throw new Error(`${caller}: strict 검사에서 문제 ${report.messages.length}건\n- ${report.messages.join('\n- ')}`);
+  }
+
+  /** ---------- 인스턴스 ---------- */
+  static #instances = new WeakMap();  // mount → 차트 인스턴스
+
+  #codeMap;
+  #mapKey;
+  #aliases;             // 별칭 → 지역명
+  #el;
+  #opts;
+  #data = null;         // 키가 지역명으로 정규화된 opts.data
+  #pieData = null;      // 키가 지역명으로 정규화된 opts.pieChartData
+  #scale = null;        // 마지막으로 그린 색상 스케일
+  #svg = null;
+  #loadId = 0;          // 마지막 SVG 로드·update·drill 번호 (늦게 끝난 이전 로드는 버림)
+  #svgIds = null;       // #attachSvg 때 모은 SVG id { ids, shapes } (진단용)
+  #diagnostics = null;  // 마지막 #draw의 #diagnose 결과
+  #warned = '';         // 마지막으로 onWarning에 알린 messages (같은 내용은 다시 알리지 않음)
+  #dropped = new Set(); // 마지막 #draw에서 표시하지 못한 라벨 '지역명\n이유' (다시 그려도 새로 빠진 라벨만 onLabelDrop으로 알림)
+  #fitWidth = null;     // opts.responsive: 마지막으로 맞춘 mount 내용 너비 (px)
+  #baseViewBox = null;  // callouts가 viewBox를 바꾸기 전 원본
+  #layers = [];         // 다시 그릴 때 제거할 라벨/bar/callout 요소
+  #mode = null;         // 현재 mode { def, state } (state는 def.render/update 반환값)
+  #unbindEvents = null;
+  #regionEvents = null; // #bindRegionEvents 반환값 { refresh, repaint, unbind }
+  #selection = new Set();  // 선택된 지역명
+  #drill = null;        // 시군구로 내려간 상태: { name, root: 전국 지도의 codeMap/mapKey/aliases/opts/svg }
+  #drilling = false;
+  #destroyed = false;
+  #shown = null;        // 화면에 보이는 값 (전환 시작점): { fills, bars, pies, counts, bubbles } 지역명 → 값 Map
+  #cancelTween = null;  // 진행 중인 전환 애니메이션 취소
+  #series = null;       // opts.timeline 사용 시 #seriesOf 결과 { periods, period, data, all }
+  #period = null;       // 현재 기간 (drillDown 후 돌아와도 유지)
+  #timeline = null;     // 기간 슬라이더 { el, sync, key, opts }
+  #playTimer = null;    // 재생 중인 setInterval id
+
+  /**
+   * 직접 생성하지 말고 KorMapChart.render()가 반환하는 인스턴스를 사용
+   */
+  constructor(codeMap, el, opts, mapKey = null) {
+    this.#codeMap = codeMap;
+    this.#mapKey = mapKey;
+    this.#aliases = KorMapChart.#buildAliases(codeMap, mapKey);
+    this.#el = el;
+    this.#opts = opts;
+  }
+
+  // SVG 원본: opts.svg > opts.svgUrl > 내장 지도 (mapBaseUrl + 파일)
+  #svgSource(opts = this.#opts, mapKey = this.#mapKey) {
+    const source = opts?.svg ?? opts?.svgUrl;
+    if (source != null || !mapKey) return source;
+    return (opts?.mapBaseUrl ?? '') + KorMapChart.#mapRegistry()[mapKey].file;
+  }
+
+  // opts의 SVG를 받아 반환 (붙이는 것은 호출한 쪽에서, 그때까지 기존 화면 유지)
+  async #nextSvg(opts, caller) {
+    const loadId = ++this.#loadId;
+    const svg = await KorMapChart.#loadSVG(this.#svgSource(opts), { signal: opts.signal, caller });
+    // 기다리는 동안 destroy(같은 mount의 새 render 포함)되었거나 더 최근 호출이 있었으면 붙이지 않음
+    if (this.#destroyed || loadId !== this.#loadId) throw KorMapChart.#abortError(caller, '더 최근 호출로 취소되었습니다.');
+    return svg;
+  }
+
+  #attachSvg(svg, baseViewBox = svg.getAttribute('viewBox')) {
+    this.#svg = svg;
+    this.#svgIds = KorMapChart.#collectSvgIds(svg, this.#codeMap);
+    this.#baseViewBox = baseViewBox;
+    this.#shown = null;  // 다른 지도로 바뀌면 전환 없이 그림
+    this.#endMode();
+    this.#el.appendChild(svg);
+
+    KorMapChart.#clearSvgFillStyles(svg);
+  }
+
+  // 시도 지역명 → 시군구 map key (시도 지도가 아니면 null)
+  #childMapKey(name) {
+    const row = KorMapChart.#SIDO.find(([short]) => this.#aliases[short] === name);
+    return row ? `${row[4]}-sigungu` : null;
+  }
+
+  // mode 정리 (다음 #draw에서 render부터 다시 호출)
+  #endMode() {
+    const mode = this.#mode;
+    this.#mode = null;
+    mode?.def.destroy?.(mode.state);
+  }
+
+  #clearLayers() {
+    this.#layers.forEach((layer) => layer.remove());
+    this.#layers = [];
+
+    if (!this.#svg) return;
+    if (this.#baseViewBox == null) this.#svg.removeAttribute('viewBox');
+    else this.#svg.setAttribute('viewBox', this.#baseViewBox);
+  }
+
+  // opts를 현재 지도(codeMap·SVG) 기준으로 진단 (strict면 문제가 있을 때 throw)
+  #check(opts, caller) {
+    const report = KorMapChart.#diagnose(opts, this.#codeMap, this.#aliases, this.#svgIds);
+    KorMapChart.#assertClean(report, opts, caller);
+    return report;
+  }
+
+  // 진단 결과에 문제가 있으면 events.onWarning 호출 (기간 이동 등으로 다시 그려도 같은 내용이면 생략)
+  #warn(report) {
+    const key = report.messages.join('\n');
+    if (key && key !== this.#warned) this.#opts.events?.onWarning?.(report);
+    this.#warned = key;
+  }
+
+  // responsive: mount 너비에 맞춘 지도 너비, 세로 배치 여부(breakpoint 미만), k(화면 1px당 SVG 좌표)
+  // 너비를 모르면 (화면에 없음) null → map.width/height 사용 / sideWidth: 지도 옆 mode.side 너비
+  #fit(opts, def, sideWidth) {
+    const fitOpts = KorMapChart.#responsiveOpts(opts);
+    if (!fitOpts) return null;
+    const width = KorMapChart.#contentWidth(this.#el);
+    this.#fitWidth = width;
+    if (!width) return null;
+
+    const stacked = width < (fitOpts.breakpoint ?? 600);
+    const mapWidth = Math.max(1, stacked ? width : width - sideWidth() - (opts.gap ?? 0));
+    const [, , vbW] = (this.#baseViewBox || '').trim().split(/[\s,]+/).map(Number);
+    const baseWidth = vbW || KorMapChart.#computeBBox(this.#svg).w;
+    const inset = def.inset?.(opts) ?? 0;
+    return { width: mapWidth, stacked, k: baseWidth / Math.max(1, mapWidth - inset * 2) };
+  }
+
+  // responsive: mount 너비가 바뀌면 다시 그림 (ResizeObserver가 없으면 그릴 때의 너비로만 맞춤)
+  #observeSize() {
+    if (typeof ResizeObserver === 'undefined') return null;
+    const observer = new ResizeObserver(() => {
+      if (Math.abs(KorMapChart.#contentWidth(this.#el) - (this.#fitWidth ?? 0)) < 1) return;
+      this.#draw();
+      this.#regionEvents?.repaint();
+    });
+    observer.observe(this.#el);
+    return () => observer.disconnect();
+  }
+
+  #draw(caller) {
+    const svg = this.#svg;
+    const opts = this.#opts;
+    const codeMap = this.#codeMap;
+
+    // strict면 화면을 건드리기 전에 throw
+    // (caller가 없는 크기 변경·기간 이동 등 내부 다시 그리기는 throw할 곳이 없으므로 onWarning으로만 알림)
+    const report = caller ? this.#check(opts, caller) : KorMapChart.#diagnose(opts, codeMap, this.#aliases, this.#svgIds);
+    this.#diagnostics = report;
+
+    // 진행 중인 전환은 멈추고 그 시점의 화면 값에서 다시 시작
+    this.#cancelTween?.();
+    this.#cancelTween = null;
+    const shown = this.#shown;
+
+    this.#clearLayers();
+    KorMapChart.#applyMountStyles(this.#el, opts);
+    KorMapChart.#setCss(svg, 'width', (opts?.map?.width != null) ? `${opts.map.width}px` : null);
+    KorMapChart.#setCss(svg, 'height', (opts?.map?.height != null) ? `${opts.map.height}px` : null);
+
+    // opts.timeline이면 data는 기간별 → 현재 기간 data로 그림
+    const series = KorMapChart.#seriesOf(opts, this.#aliases, this.#period);
+    this.#series = series;
+    if (series) this.#period = series.period;
+
+    // 서울/서울특별시/KR-11/11 등 별칭 키를 지역명으로 정규화
+    const source = KorMapChart.#sourceData(opts);
+    const data = series ? series.data : KorMapChart.#resolveKeys(source.data, this.#aliases);
+    const pieChartData = KorMapChart.#resolveKeys(source.pieChartData, this.#aliases);
+    this.#data = data;
+    this.#pieData = pieChartData;
+
+    const getRate = (name) => {
+      const v = data?.[name];
+      if (v == null) return null;
+      return (typeof v === 'number') ? v : v.rate;
+    };
+
+    const def = KorMapChart.#modes.get(opts.mode);
+    const ctx = KorMapChart.#modeContext({
+      opts, codeMap, data, series, titles: !opts.tooltip,
+      bbox: () => KorMapChart.#computeBBox(svg),
+      // quantile/sequential 등은 data 전체 값으로 경계/도메인을 계산 (timeline이면 모든 기간 값)
+      defaultScale: () => KorMapChart.#makeScale(opts, series ? KorMapChart.#seriesRates(series) : Object.keys(data || {}).map(getRate))
+    }, KorMapChart.#domRegions(svg));
+
+    const paint = KorMapChart.#paintSpec(def, ctx, getRate);
+    const scale = paint.scale;
+    ctx.scale = scale;
+    this.#scale = scale;
+
+    // responsive: mount 너비에 맞춰 지도 크기를 정하고 라벨·callout 크기 옵션은 화면 px 기준으로 환산
+    const fit = this.#fit(opts, def, () => KorMapChart.#modeSide(opts, codeMap, data, series, scale)?.width ?? 0);
+    const drawOpts = fit ? KorMapChart.#fitOpts(opts, fit.k) : opts;
+    if (fit) {
+      KorMapChart.#setCss(svg, 'width', `${fit.width}px`);
+      // 세로 배치: 지도가 한 줄을 채워 bar 등 부가 요소는 아래로 내려감
+      if (fit.stacked) KorMapChart.#setCss(this.#el, 'flex-wrap', 'wrap');
+    }
+
+    KorMapChart.#paintRegions(svg, codeMap, paint.value, (paint.fill != null) ? { color: () => paint.fill } : scale);
+    if (opts.a11y !== false) {
+      const a11yOpts = (typeof opts.a11y === 'object') ? opts.a11y : {};
+      this.#layers.push(...KorMapChart.#describeRegions(svg, codeMap, data, KorMapChart.#legendFormatter(scale), a11yOpts, scale.describe));
+    } else {
+      KorMapChart.#clearDescriptions(svg, codeMap);
+    }
+    const glyphData = KorMapChart.#resolveKeys(opts?.glyphs, this.#aliases);
+    // onLabelDrop은 이전 그리기와 달라진 라벨만 (기간 이동·크기 변경으로 다시 그려도 같은 라벨은 다시 알리지 않음)
+    const dropped = new Set();
+    const onDrop = (name, reason) => {
+      const key = `${name}\n${reason}`;
+      dropped.add(key);
+      if (!this.#dropped.has(key)) opts.events?.onLabelDrop?.(name, reason);
+    };
+    const labels = KorMapChart.#placeRegionLabels(svg, codeMap, drawOpts.labels, pieChartData, glyphData, !opts.tooltip, onDrop);
+    this.#dropped = dropped;
+    this.#layers.push(labels.el);
+
+    // addLayer: 요소는 그대로 (bar 행 전환 대상), 노드는 아직 요소가 없으면 svg에 추가 (node.tween 전환 대상)
+    const nodes = [labels];
+    const els = [];
+    Object.assign(ctx, {
+      opts: drawOpts,
+      fit,
+      chart: this,
+      svg,
+      mount: this.#el,
+      addLayer: (layer) => {
+        if (!layer?.tag) {
+          els.push(layer);
+          this.#layers.push(layer);
+          return layer;
+        }
+        const node = layer.el ? layer : KorMapChart.#asNode(layer);
+        if (!node.el) svg.appendChild(KorMapChart.#realize(node));
+        nodes.push(node);
+        this.#layers.push(node.el);
+        return node;
+      }
+    });
+    if (this.#mode?.def === def && def.update) {
+      this.#mode.state = def.update(ctx, this.#mode.state);
+    } else {
+      this.#endMode();
+      this.#mode = { def, state: def.render?.(ctx) };
+    }
+
+    // responsive: 높이는 최종 viewBox 비율 그대로 (viewBox가 없으면 지도 경계로 지정해야 크기에 맞춰 축소·확대됨)
+    if (fit) {
+      if (!svg.getAttribute('viewBox')) {
+        const b = KorMapChart.#computeBBox(svg);
+        svg.setAttribute('viewBox', `${b.x} ${b.y} ${b.w} ${b.h}`);
+      }
+      const [, , vbW, vbH] = svg.getAttribute('viewBox').trim().split(/[\s,]+/).map(Number);
+      KorMapChart.#setCss(svg, 'height', (vbW && vbH) ? `${fit.width * vbH / vbW}px` : null);
+    }
+
+    if (opts.legend) {
+      this.#layers.push(KorMapChart.#buildLegend(this.#el, scale, (opts.legend === true) ? {} : opts.legend));
+    }
+    const pieLegend = opts.labels?.pieChart?.legend;
+    if (pieLegend && pieChartData) {
+      this.#layers.push(KorMapChart.#buildPieLegend(this.#el, pieChartData, (pieLegend === true) ? {} : pieLegend));
+    }
+
+    const crumbOpts = this.#drill?.root.opts.drillDown?.breadcrumb;
+    if (this.#drill && crumbOpts !== false) {
+      const onUp = () => this.drillUp();
+      this.#layers.push(KorMapChart.#buildBreadcrumb(this.#el, this.#drill.name, onUp, (typeof crumbOpts === 'object') ? crumbOpts : {}));
+    }
+
+    this.#syncTimeline();
+    this.#transition(shown, nodes, els);
+    this.#warn(report);
+  }
+
+  // 기간 슬라이더는 다시 그려도 유지 (슬라이더를 끌던 중에도 포커스 유지)
+  // 기간 목록이나 timeline 옵션이 바뀌면 새로 만들고, timeline이 없으면 제거하고 재생 중지
+  #syncTimeline() {
+    const series = this.#series;
+    if (!series) {
+      this.#stopPlayer();
+      this.#timeline?.el.remove();
+      this.#timeline = null;
+      return;
+    }
+
+    const key = series.periods.join('\n');
+    const timelineOpts = KorMapChart.#timelineOpts(this.#opts);
+    if (this.#timeline?.key !== key || this.#timeline.opts !== timelineOpts) {
+      this.#timeline?.el.remove();
+      const handlers = {
+        toggle: () => ((this.#playTimer != null) ? this.pause() : this.play()),
+        seek: (index) => this.#goTo(this.#series.periods[index])
+      };
+      this.#timeline = { ...KorMapChart.#buildTimeline(this.#el, series.periods, handlers, timelineOpts), key, opts: timelineOpts };
+    }
+    this.#syncTimelineState();
+  }
+
+  #syncTimelineState() {
+    this.#timeline?.sync(this.#series ? this.#series.periods.indexOf(this.#period) : -1, this.#playTimer != null);
+  }
+
+  #goTo(period) {
+    if (!this.#series || period == null || period === this.#period) return;
+
+    this.#period = period;
+    this.#draw();
+    this.#regionEvents?.repaint();
+    this.#opts.events?.onPeriodChange?.(period, this.#series.periods.indexOf(period));
+  }
+
+  // 재생: 다음 기간으로, 마지막이면 loop일 때 처음으로 아니면 정지
+  #step() {
+    const { periods } = this.#series;
+    const next = periods.indexOf(this.#period) + 1;
+    if (next < periods.length) this.#goTo(periods[next]);
+    else if (KorMapChart.#timelineOpts(this.#opts).loop) this.#goTo(periods[0]);
+    else this.#stopPlayer();
+  }
+
+  #stopPlayer() {
+    if (this.#playTimer == null) return;
+    clearInterval(this.#playTimer);
+    this.#playTimer = null;
+    this.#syncTimelineState();
+  }
+
+  /**
+   * 방금 그린 값을 #shown에 기록하고, opts.animation이면 이전 화면 값(from)에서 보간
+   * 지역 fill 색상 / bar 길이 / 파이 조각 값 / callout 건수 / bubble 반지름 (처음 그릴 때나 reduced-motion이면 바로 표시)
+   * nodes: node.tween이 있는 노드 트리, els: bar 행(data-kmc-region | data-kmc-others)을 자식으로 가진 요소
+   */
+  #transition(from, nodes, els = []) {
+    const to = { fills: new Map(), bars: new Map(), pies: new Map(), counts: new Map(), bubbles: new Map() };
+    const jobs = [];
+    const lerp = (a, b, t) => a + (b - a) * t;
+    const anim = from && KorMapChart.#animationOpts(this.#opts);
+
+    let fillsChanged = false;
+    for (const [name, code] of Object.entries(this.#codeMap || {})) {
+      const p = this.#svg.getElementById(code);
+      if (!p) continue;
+      const color = p.style.getPropertyValue('fill');
+      to.fills.set(name, color);
+
+      const prev = from?.fills.get(name);
+      if (!anim || prev == null || prev === color) continue;
+      fillsChanged = true;
+      jobs.push((t) => {
+        const c = (t < 1) ? KorMapChart.#lerpColor(prev, color, t) : color;
+        p.style.setProperty('fill', c, 'important');
+        this.#shown.fills.set(name, c);
+      });
+    }
+
+    // bar 행은 라벨(지역명 또는 others 라벨) 기준 [시작 x, 길이], 새 행은 0 위치에서 시작
+    els.flatMap((el) => [...(el?.children || [])]).forEach((row) => {
+      if (!row.hasAttribute('data-kmc-region') && !row.hasAttribute('data-kmc-others')) return;
+      const key = row.children[0].textContent;
+      const bar = row.children[1];
+      const x = Number.parseFloat(bar.style.marginLeft) || 0;
+      const width = Number.parseFloat(bar.style.width) || 0;
+      to.bars.set(key, [x, width]);
+
+      const prev = from?.bars.get(key) ?? [row.hasAttribute('data-kmc-negative') ? x + width : x, 0];
+      if (!anim || (prev[0] === x && prev[1] === width)) return;
+      jobs.push((t) => {
+        const span = [lerp(prev[0], x, t), lerp(prev[1], width, t)];
+        KorMapChart.#setCss(bar, 'margin-left', span[0] ? `${span[0]}px` : null);
+        bar.style.width = `${span[1]}px`;
+        this.#shown.bars.set(key, span);
+      });
+    });
+
+    nodes.flatMap((node) => KorMapChart.#tweenNodes(node)).forEach(({ el, tween }) => {
+      const { kind, name, value, render } = tween;
+      if (kind === 'pie') {
+        to.pies.set(name, value);
+        const prev = from?.pies.get(name);
+        if (!anim || !prev || (prev.length === value.length && prev.every((v, i) => v === value[i]))) return;
+        jobs.push((t) => {
+          const values = value.map((v, i) => lerp(prev[i] ?? 0, v, t));
+          el.replaceChildren(...KorMapChart.#realize(render(values)).childNodes);
+          this.#shown.pies.set(name, values);
+        });
+      } else if (kind === 'bubble') {
+        // 새 원은 0에서 커짐
+        to.bubbles.set(name, value);
+        const prev = from?.bubbles.get(name) ?? 0;
+        if (!anim || prev === value) return;
+        jobs.push((t) => {
+          const r = lerp(prev, value, t);
+          el.setAttribute('r', r);
+          this.#shown.bubbles.set(name, r);
+        });
+      } else {
+        to.counts.set(name, value);
+        const prev = from?.counts.get(name) ?? 0;
+        if (!anim || prev === value) return;
+        jobs.push((t) => {
+          const c = (t < 1) ? Math.round(lerp(prev, value, t)) : value;
+          el.textContent = render(c);
+          this.#shown.counts.set(name, c);
+        });
+      }
+    });
+
+    this.#shown = to;
+    if (!jobs.length) return;
+
+    const frame = (t) => {
+      jobs.forEach((job) => job(t));
+      if (fillsChanged) this.#regionEvents?.repaint();
+    };
+    frame(0);
+    this.#cancelTween = KorMapChart.#animate(anim.duration, anim.easing, (t) => {
+      frame(t);
+      if (t === 1) this.#cancelTween = null;
+    });
+  }
+
+  #bind() {
+    let opts = this.#opts;
+
+    // drillDown 사용 시 전국 지도의 시도 클릭 → 시군구 지도로 이동
+    if (opts?.drillDown && !this.#drill) {
+      const ev = opts.events || {};
+      opts = {
+        ...opts,
+        events: {
+          ...ev,
+          onRegionClick: (name, p, datum, e) => {
+            ev.onRegionClick?.(name, p, datum, e);
+            // 클릭으로 시작한 drillDown은 reject를 받을 곳이 없으므로 onDrillError로 알림 (취소는 무시)
+            if (this.#childMapKey(name)) {
+              this.drillDown(name).catch((err) => {
+                if (err?.name !== 'AbortError') ev.onDrillError?.(err, name);
+              });
+            }
+          }
+        }
+      };
+    }
+
+    // 핸들러는 항상 최신 data를 읽음 → setData() 후 재바인딩 불필요
+    const getDatum = (n) => this.#data?.[n];
+    const selection = {
+      has: (n) => this.#selection.has(n),
+      size: () => this.#selection.size,
+      click: (n, e) => this.#clickSelect(n, e),
+      clear: () => this.#setSelection([])
+    };
+    const regionEvents = KorMapChart.#bindRegionEvents(this.#svg, this.#codeMap, opts, getDatum, selection, (n) => this.#pieData?.[n]);
+    this.#regionEvents = regionEvents;
+    const unbindTooltip = opts?.tooltip
+      ? KorMapChart.#bindTooltip(this.#el, this.#codeMap, (opts.tooltip === true) ? {} : opts.tooltip,
+        getDatum, (n) => this.#pieData?.[n], () => this.#scale)
+      : null;
+
+    const unobserve = opts?.responsive ? this.#observeSize() : null;
+
+    this.#unbindEvents = () => {
+      regionEvents.unbind();
+      unbindTooltip?.();
+      unobserve?.();
+    };
+  }
+
+  #unbind() {
+    this.#unbindEvents?.();
+    this.#unbindEvents = null;
+    this.#regionEvents = null;
+  }
+
+  // single: 클릭한 지역만 선택(다시 클릭하면 해제) / multi: Ctrl·Cmd·Shift+클릭으로 추가·해제
+  #clickSelect(name, e) {
+    const { mode } = KorMapChart.#selectionOpts(this.#opts);
+    const additive = mode === 'multi' && (e?.ctrlKey || e?.metaKey || e?.shiftKey);
+
+    let next;
+    if (additive) {
+      next = new Set(this.#selection);
+      if (next.has(name)) next.delete(name);
+      else next.add(name);
+    } else {
+      next = (this.#selection.size === 1 && this.#selection.has(name)) ? [] : [name];
+    }
+    this.#setSelection(next);
+  }
+
+  #setSelection(names) {
+    const wanted = new Set(names);
+    const next = Object.keys(this.#codeMap || {}).filter((n) => wanted.has(n));  // codeMap 순서로 정렬
+    const prev = this.getSelection();
+    if (next.length === prev.length && next.every((n, i) => n === prev[i])) return;
+
+    this.#selection = new Set(next);
+    this.#regionEvents?.refresh();
+    this.#opts.events?.onSelectionChange?.(next);
+  }
+
+  #assertAlive(caller) {
+    if (this.#destroyed) throw new Error(`${caller}: destroy()된 차트입니다.`);
+  }
+
+  /**
+   * 옵션 일부를 바꿔 같은 SVG 위에 다시 그림 (svg/svgUrl이 바뀐 경우에만 SVG를 다시 로드, 로드 중 다시 호출하면 마지막 호출만 반영)
+   * 새 SVG 로드가 실패·취소되면 기존 옵션과 화면을 그대로 유지
+   * @param {Object} newOpts - render opts와 같은 형식, 기존 옵션에 얕게 병합
+   * @returns {Promise<KorMapChart>}
+   */
+  async update(newOpts = {}) {
+    this.#assertAlive('KorMapChart.update');
+
+    const prev = this.#opts;
+    let next = { ...prev, ...newOpts };
+    KorMapChart.#validateOpts(next, 'KorMapChart.update');
+
+    let svg = null;
+    if (this.#svgSource(next) !== this.#svgSource(prev)) {
+      // 새 SVG를 먼저 받아 둠 (로드가 실패·취소되면 기존 옵션과 화면을 그대로 유지)
+      svg = await this.#nextSvg(next, 'KorMapChart.update');
+      // 기다리는 동안 setData 등으로 바뀐 옵션 위에 다시 병합
+      next = { ...this.#opts, ...newOpts };
+      // strict: 새 SVG로 바꾸기 전에 검사
+      if (next.strict) {
+        const report = KorMapChart.#diagnose(next, this.#codeMap, this.#aliases, KorMapChart.#collectSvgIds(svg, this.#codeMap));
+        KorMapChart.#assertClean(report, next, 'KorMapChart.update');
+      }
+    } else {
+      // strict: 바꾸기 전에 검사
+      if (next.strict) this.#check(next, 'KorMapChart.update');
+      this.#loadId++;  // 진행 중인 이전 update의 로드는 버림 (마지막 호출만 반영)
+    }
+
+    this.#unbind();
+    this.#opts = next;
+    // 시군구 화면에서 바꾼 옵션은 전국 지도로 돌아갈 때도 유지
+    if (this.#drill) this.#drill.root.opts = { ...this.#drill.root.opts, ...newOpts };
+    // selection을 명시적으로 끄면 선택도 해제
+    if ('selection' in newOpts && !KorMapChart.#selectionOpts(next).mode) this.#setSelection([]);
+
+    if (svg) {
+      this.#clearLayers();
+      this.#svg.remove();
+      this.#attachSvg(svg);
+    }
+
+    this.#draw('KorMapChart.update');
+    this.#bind();
+    return this;
+  }
+
+  /**
+   * data만 교체하여 지역 색상/라벨/bar/callout을 다시 그림
+   * opts.timeline이면 { 기간: data } 형식이며, 현재 기간이 새 data에도 있으면 그 기간을 유지
+   * @param {Record<string, number | { count?:number, rate?:number }> | string | Object[]} data - 표(CSV/TSV, 행 배열)는 opts.columns로 변환
+   * @returns {KorMapChart}
+   */
+  setData(data) {
+    this.#assertAlive('KorMapChart.setData');
+
+    const next = { ...this.#opts, data };
+    // 표 열 이름과 strict 검사를 먼저 확인 (잘못되면 기존 화면 유지)
+    if (KorMapChart.#isTable(data)) KorMapChart.#sourceData(next, 'KorMapChart.setData');
+    if (next.strict) this.#check(next, 'KorMapChart.setData');
+    this.#opts = next;
+    this.#draw('KorMapChart.setData');
+    this.#regionEvents?.repaint();
+    return this;
+  }
+
+  /**
+   * 표시할 기간을 바꿈 (opts.timeline 사용 시, 재생 중이면 그 기간부터 이어서 재생)
+   * @param {string|number} period - data의 기간 키 (예: 2020, '2024-03')
+   * @returns {KorMapChart}
+   */
+  setPeriod(period) {
+    this.#assertAlive('KorMapChart.setPeriod');
+    if (!this.#series) throw new Error('KorMapChart.setPeriod: timeline 옵션이 없습니다.');
+
+    const key = String(period);
+    if (!this.#series.periods.includes(key)) {
+      throw new Error(`KorMapChart.setPeriod: 알 수 없는 기간 "${period}" (${this.#series.periods.join(', ')})`);
+    }
+    this.#goTo(key);
+    return this;
+  }
+
+  /**
+   * 현재 기간 (opts.timeline이 없으면 null)
+   * @returns {string|null}
+   */
+  getPeriod() {
+    return this.#series ? this.#period : null;
+  }
+
+  /**
+   * timeline.interval마다 다음 기간으로 넘김 (마지막 기간에서 호출하면 처음부터)
+   * @returns {KorMapChart}
+   */
+  play() {
+    this.#assertAlive('KorMapChart.play');
+    if (!this.#series?.periods.length || this.#playTimer != null) return this;
+
+    const { periods } = this.#series;
+    if (this.#period === periods[periods.length - 1]) this.#goTo(periods[0]);
+    this.#playTimer = setInterval(() => this.#step(), KorMapChart.#timelineOpts(this.#opts).interval ?? 1000);
+    this.#syncTimelineState();
+    return this;
+  }
+
+  /**
+   * 재생 중지
+   * @returns {KorMapChart}
+   */
+  pause() {
+    this.#assertAlive('KorMapChart.pause');
+    this.#stopPlayer();
+    return this;
+  }
+
+  /**
+   * 지역을 선택 (기존 선택은 교체, single 모드에서는 마지막 지역만 선택)
+   * @param {string|string[]} names - 지역명 또는 별칭 (예: '서울', ['서울특별시', 'KR-41'])
+   * @returns {KorMapChart}
+   */
+  select(names) {
+    this.#assertAlive('KorMapChart.select');
+
+    let resolved = [].concat(names ?? []).map((n) => {
+      const name = this.#aliases[String(n).trim()] ?? n;
+      if (!this.#codeMap?.[name]) throw new Error(`KorMapChart.select: "${n}" 지역이 없습니다.`);
+      return name;
+    });
+    if (KorMapChart.#selectionOpts(this.#opts).mode === 'single') resolved = resolved.slice(-1);
+
+    this.#setSelection(resolved);
+    return this;
+  }
+
+  /**
+   * 선택 해제
+   * @returns {KorMapChart}
+   */
+  clearSelection() {
+    this.#assertAlive('KorMapChart.clearSelection');
+    this.#setSelection([]);
+    return this;
+  }
+
+  /**
+   * 선택된 지역명 목록 (codeMap 순서)
+   * @returns {string[]}
+   */
+  getSelection() {
+    return Object.keys(this.#codeMap || {}).filter((n) => this.#selection.has(n));
+  }
+
+  /**
+   * 마지막으로 그린 화면의 진단 결과 (codeMap·SVG·data가 맞지 않는 곳, 숫자가 아니거나 범위를 벗어난 값)
+   * @returns {{ missingPaths:{ name, id }[], unmappedPaths:string[], unknownKeys:{ source, key, period? }[],
+   *   invalidValues:{ name, field, value, reason, period? }[], emptyPies:string[], messages:string[] }}
+   */
+  getDiagnostics() {
+    return this.#diagnostics;
+  }
+
+  // mode.side 결과 { node, width, height } | null (rate+bars의 SVG bar 등)
+  static #modeSide(opts, codeMap, data, series, scale) {
+    const def = this.#modes.get(opts.mode);
+    if (!def?.side) return null;
+    const ctx = this.#modeContext({ opts, codeMap, data, series, scale, titles: true }, () => null);
+    const side = def.side(ctx);
+    const node = side && this.#asNode(side.node);
+    return node ? { node, width: side.width ?? 0, height: side.height ?? 0 } : null;
+  }
+
+  // 화면 크기(px) 그대로의 독립 SVG 요소 (지도는 중첩 svg, mode.side(rate+bars의 bar 등)는 오른쪽에 SVG)
+  #exportSvg(exportOpts = {}) {
+    const src = this.#svg;
+    const opts = this.#opts;
+
+    const clone = src.cloneNode(true);
+    KorMapChart.#inlineComputedStyles(src, clone);
+    KorMapChart.#stripInteraction(clone);
+    clone.style.removeProperty('width');
+    clone.style.removeProperty('height');
+
+    // 화면에 그려진 크기, 없으면(숨김 등) map 옵션 또는 viewBox 비율로 계산
+    const [, , vbW, vbH] = (src.getAttribute('viewBox') || '').split(/[\s,]+/).map(Number);
+    const rect = src.getBoundingClientRect();
+    const mapW = rect.width || opts.map?.width || vbW || Number(src.getAttribute('width')) || 0;
+    const mapH = rect.height || opts.map?.height || (vbW ? mapW * vbH / vbW : Number(src.getAttribute('height')) || 0);
+    clone.setAttribute('x', 0);
+    clone.setAttribute('y', 0);
+    clone.setAttribute('width', mapW);
+    clone.setAttribute('height', mapH);
+
+    const root = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+    const fontFamily = this.#el.ownerDocument.defaultView?.getComputedStyle?.(this.#el).fontFamily;
+    root.style.fontFamily = fontFamily || 'sans-serif';
+
+    let width = mapW;
+    let height = mapH;
+
+    if (exportOpts.background) {
+      const bg = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+      bg.setAttribute('width', '100%');
+      bg.setAttribute('height', '100%');
+      bg.setAttribute('fill', exportOpts.background);
+      root.appendChild(bg);
+    }
+    root.appendChild(clone);
+
+    const side = KorMapChart.#modeSide(opts, this.#codeMap, this.#data, this.#series, this.#scale);
+    if (side) {
+      const x = mapW + (opts.gap ?? 0);
+      side.node.attrs.transform = `translate(${x},0)`;
+      root.appendChild(KorMapChart.#realize(side.node));
+      width = x + side.width;
+      height = Math.max(mapH, side.height);
+    }
+
+    root.setAttribute('width', width);
+    root.setAttribute('height', height);
+    root.setAttribute('viewBox', `0 0 ${width} ${height}`);
+    return { root, width, height };
+  }
+
+  /**
+   * 현재 화면을 독립 SVG 문자열로 내보냄
+   * 지역 fill(계산된 스타일 인라인), 라벨, 파이, callout, 그림자 필터 defs 포함 / rate+bars의 bar 목록은 SVG로 변환
+   * HTML 범례·툴팁·breadcrumb는 포함하지 않음
+   * @param {{ background?: string }} [exportOpts] - background: 배경색 (기본 투명)
+   * @returns {string}
+   */
+  toSVG(exportOpts = {}) {
+    this.#assertAlive('KorMapChart.toSVG');
+    return new XMLSerializer().serializeToString(this.#exportSvg(exportOpts).root);
+  }
+
+  /**
+   * 현재 화면을 PNG로 내보냄 (toSVG 결과를 canvas에 그림)
+   * @param {{ scale?: number, background?: string }} [exportOpts] - scale: 배율 (기본 2), background: 기본 '#FFFFFF'
+   * @returns {Promise<Blob>}
+   */
+  async toPNG(exportOpts = {}) {
+    this.#assertAlive('KorMapChart.toPNG');
+
+    const scale = exportOpts.scale ?? 2;
+    const { root, width, height } = this.#exportSvg({ ...exportOpts, background: exportOpts.background ?? '#FFFFFF' });
+    const svgText = new XMLSerializer().serializeToString(root);
+    const url = URL.createObjectURL(new Blob([svgText], { type: 'image/svg+xml;charset=utf-8' }));
+
+    try {
+      const img = await new Promise((resolve, reject) => {
+        const image = new Image();
+        image.onload = () => resolve(image);
+        image.onerror = () => reject(new Error('KorMapChart.toPNG: SVG 이미지를 불러오지 못했습니다.'));
+        image.src = url;
+      });
+
+      const canvas = document.createElement('canvas');
+      canvas.width = Math.round(width * scale);
+      canvas.height = Math.round(height * scale);
+      const ctx = canvas.getContext('2d');
+      ctx.scale(scale, scale);
+      ctx.drawImage(img, 0, 0, width, height);
+
+      return await new Promise((resolve, reject) => {
+        canvas.toBlob((blob) => {
+          if (blob) resolve(blob);
+          else reject(new Error('KorMapChart.toPNG: PNG 생성에 실패했습니다.'));
+        }, 'image/png');
+      });
+    } finally {
+      URL.revokeObjectURL(url);
+    }
+  }
+
+  /**
+   * SVG 또는 PNG 파일로 저장 (확장자가 .png이면 PNG, 그 외 SVG)
+   * @param {string} [filename='kor-map-chart.svg']
+   * @param {{ scale?: number, background?: string }} [exportOpts] - toSVG/toPNG 옵션
+   * @returns {Promise<KorMapChart>}
+   */
+  async download(filename = 'kor-map-chart.svg', exportOpts = {}) {
+    this.#assertAlive('KorMapChart.download');
+
+    const blob = /\.png$/i.test(filename)
+      ? await this.toPNG(exportOpts)
+      : new Blob([this.toSVG(exportOpts)], { type: 'image/svg+xml;charset=utf-8' });
+
+    const url = URL.createObjectURL(blob);
+    const a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    a.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 0);
+    return this;
+  }
+
+  /**
+   * 시도를 해당 시군구 지도로 교체 (opts.drillDown이 있으면 지역 클릭 시 자동 호출)
+   * @param {string} name - 시도명 또는 별칭 (예: '경기', '경기도', 'KR-41', '41')
+   * @returns {Promise<KorMapChart>}
+   */
+  async drillDown(name) {
+    this.#assertAlive('KorMapChart.drillDown');
+    if (this.#drill || this.#drilling) return this;
+
+    const regionName = this.#aliases[String(name).trim()] ?? name;
+    const childKey = this.#childMapKey(regionName);
+    if (!childKey) throw new Error(`KorMapChart.drillDown: "${name}"의 시군구 지도가 없습니다.`);
+
+    const rootOpts = this.#opts;
+    const dd = (typeof rootOpts.drillDown === 'object') ? rootOpts.drillDown : {};
+
+    // 시군구 data는 { 시도명: data } 객체 또는 (시도명, mapKey) => data | Promise
+    const levelData = (source) => (typeof source === 'function')
+      ? source(regionName, childKey)
+      : KorMapChart.#resolveKeys(source, this.#aliases)?.[regionName];
+
+    this.#drilling = true;
+    let data;
+    try {
+      const [svg, levelValues, levelPies, levelGlyphs] = await Promise.all([
+        // 시군구는 항상 내장 지도 (전국 지도의 svg/svgUrl은 물려주지 않음)
+        KorMapChart.#loadSVG(this.#svgSource({ mapBaseUrl: rootOpts.mapBaseUrl }, childKey), { signal: rootOpts.signal, caller: 'KorMapChart.drillDown' }),
+        levelData(dd.data),
+        levelData(dd.pieChartData),
+        levelData(dd.glyphs)
+      ]);
+      if (this.#destroyed) return this;
+      data = levelValues;
+
+      const child = KorMapChart.getMap(childKey);
+      const { svg: rootSvg, svgUrl, timeline, ...inherited } = rootOpts;
+      const childOpts = { ...inherited, ...(dd.childOpts || {}), data, pieChartData: levelPies, glyphs: levelGlyphs };
+      // strict: 시도 화면을 떠나기 전에 시군구 data 검사
+      if (childOpts.strict) {
+        const report = KorMapChart.#diagnose(childOpts, child.codeMap, child.aliases, KorMapChart.#collectSvgIds(svg, child.codeMap));
+        KorMapChart.#assertClean(report, childOpts, 'KorMapChart.drillDown');
+      }
+
+      this.#loadId++;  // 진행 중인 update의 로드는 버림
+      this.#unbind();
+      this.#clearLayers();
+      this.#svg.remove();
+
+      this.#drill = {
+        name: regionName,
+        root: {
+          codeMap: this.#codeMap, mapKey: this.#mapKey, aliases: this.#aliases, opts: rootOpts,
+          svg: this.#svg, baseViewBox: this.#baseViewBox, selection: this.#selection
+        }
+      };
+      this.#selection = new Set();
+      this.#codeMap = child.codeMap;
+      this.#mapKey = childKey;
+      this.#aliases = child.aliases;
+      this.#opts = childOpts;
+
+      this.#attachSvg(svg);
+      this.#draw('KorMapChart.drillDown');
+      this.#bind();
+    } finally {
+      this.#drilling = false;
+    }
+
+    rootOpts.events?.onDrillDown?.(regionName, childKey, data);
+    return this;
+  }
+
+  /**
+   * drillDown() 이전의 전국 지도로 복귀 (SVG는 다시 받지 않음)
+   * @returns {Promise<KorMapChart>}
+   */
+  async drillUp() {
+    this.#assertAlive('KorMapChart.drillUp');
+    if (!this.#drill || this.#drilling) return this;
+
+    const { name, root } = this.#drill;
+    const childKey = this.#mapKey;
+
+    this.#loadId++;  // 진행 중인 update의 로드는 버림
+    this.#unbind();
+    this.#clearLayers();
+    this.#svg.remove();
+
+    this.#drill = null;
+    this.#codeMap = root.codeMap;
+    this.#mapKey = root.mapKey;
+    this.#aliases = root.aliases;
+    this.#opts = root.opts;
+    this.#selection = root.selection;
+
+    this.#attachSvg(root.svg, root.baseViewBox);
+    this.#draw('KorMapChart.drillUp');
+    this.#bind();
+
+    this.#opts.events?.onDrillUp?.(name, childKey);
+    return this;
+  }
+
+  /**
+   * 리스너, 그림자 필터, SVG/bar DOM을 모두 제거
+   */
+  destroy() {
+    if (this.#destroyed) return;
+
+    this.#cancelTween?.();
+    this.#cancelTween = null;
+    this.#stopPlayer();
+    this.#timeline?.el.remove();
+    this.#timeline = null;
+    this.#unbind();
+    this.#endMode();
+    this.#clearLayers();
+    this.#svg?.remove();
+    this.#svg = null;
+
+    ['position', 'display', 'align-items', 'justify-content', 'flex-shrink', 'gap', 'flex-wrap']
+      .forEach((prop) => KorMapChart.#setCss(this.#el, prop, null));
+
+    if (KorMapChart.#instances.get(this.#el) === this) KorMapChart.#instances.delete(this.#el);
+    this.#destroyed = true;
+  }
+
+
+  /** ---------- 메인 엔트리 ---------- */
+  /**
+   * @param {Object.<string,string>|string} codeMap - 지역명 → SVG id (예: { '서울':'KR-11', ... })
+   *   또는 내장 map key (예: 'sido', 'south-korea', 'seoul', 'seoul-sigungu' / 목록은 KorMapChart.mapKeys())
+   * @param {string|HTMLElement|SVGElement} mount - 렌더링 대상(셀렉터/DOM)
+   * @param {Object} opts - 옵션(아래 참조)
+   *   - mode: 'normal' | 'rate+bars' | 'count+callouts' | 'bivariate' | 'bubbles' | registerMode로 등록한 이름 (필수)
+   *   - svgUrl: string  // map key를 쓰면 생략 가능 (mapBaseUrl + 내장 SVG 경로)
+   *   - svg?: string | SVGSVGElement  // svgUrl 대신 URL, 인라인 마크업('<svg ...>') 또는 <svg> 요소 (요소는 복제해서 사용)
+   *       받은 URL은 해석 결과를 캐시해 다음 render/update에서는 복제만 함 (최근 32개, KorMapChart.clearSvgCache()로 비움)
+   *       HTTP 오류(404 등)나 XML 해석 오류는 Error로 reject
+   *   - signal?: AbortSignal  // SVG 로드 취소 (render/update/drillDown이 name 'AbortError'인 Error로 reject)
+   *   - mapBaseUrl?: string  // 내장 SVG 파일 위치 (기본: '' → 'map/전국_시도_경계.svg' 등 상대 경로)
+   *   - data: Record<string, number | { count?:number, rate?:number }>
+   *       키는 지역명 외에 약칭(서울)/정식 명칭(서울특별시)/ISO 코드(KR-11)/행정구역 코드(11) 모두 가능
+   *       CSV/TSV 문자열이나 행 배열도 가능 → columns로 열을 지정 (KorMapChart.parseTable 참고)
+   *   - columns?: { key, rate, count, fields, period, pie, pieColors, delimiter }  // 표 data의 열 지정
+   *       pie를 지정하면 pieChartData도 표에서 만듦 (pieChartData를 직접 주면 그쪽 우선)
+   *   - rates?: number[]
+   *   - colors?: string[]
+   *   - scale?: {                          // 지정하지 않으면 rates/colors 기반 threshold 스케일
+   *       type?: 'threshold' | 'sequential' | 'quantile' | 'diverging',
+   *       colors?: string[],               // threshold: 높은 구간부터(rates와 동일) / 그 외: 낮은 값 → 높은 값
+   *       thresholds?: number[],           // threshold: 내림차순 임계값 (기본 rates)
+   *       domain?: [number, number],       // sequential/diverging (기본: data 최솟값/최댓값)
+   *       midpoint?: number,               // diverging 중간값 (기본 0)
+   *       symmetric?: boolean,             // diverging: midpoint 기준 대칭 domain
+   *       missingColor?: string            // 결측치 색 (기본: threshold는 마지막 색, 그 외 '#D7D7D7')
+   *     }
+   *   - legend?: true | {                  // 현재 색상 스케일의 범례 (단계: 색상 견본 + 범위, 연속: 그라디언트)
+   *       position?: 'right' | 'left' | 'top' | 'bottom'                           // 지도 바깥 (기본 'right')
+   *                | 'top-left' | 'top-right' | 'bottom-left' | 'bottom-right',   // 지도 위에 겹침
+   *       orientation?: 'vertical' | 'horizontal',  // 기본: top/bottom은 가로, 그 외 세로
+   *       title?: string,
+   *       formatter?: (value:number) => string,    // 기본: 경계가 0–1이면 '80%', 아니면 천 단위 구분 숫자
+   *       missingLabel?: string,                   // 지정 시 결측치 색상 견본 추가 (예: '자료 없음')
+   *       swatchSize?: number, length?: number, thickness?: number, fontSize?: number, color?: string, background?: string
+   *     }
+   *   - selection?: 'single' | 'multi' | {  // 클릭(또는 Enter/Space)으로 지역 선택, 빈 곳 클릭 시 해제
+   *       mode?: 'single' | 'multi',       // multi: Ctrl/Cmd/Shift+클릭으로 추가·해제 (기본 'single')
+   *       selectedStyle?: Object,          // 선택된 지역 스타일 (기본: hoverStyle/regionHoverStyles와 같은 모양)
+   *       dimUnselected?: boolean | number // 선택이 있으면 나머지 지역을 흐리게 (true → opacity 0.35, 숫자는 opacity)
+   *     }
+   *       선택은 setData()/update() 후에도 유지되며 drillDown/drillUp 시 지도별로 따로 유지
+   *       chart.select(names) / clearSelection() / getSelection(), events.onSelectionChange(names)
+   *   - a11y?: false | {                   // 기본 사용: 지역 path에 role/aria-label/tabindex, SVG에 <title>/<desc>
+   *       title?: string,                  // 기본 '지역별 지도'
+   *       description?: string,            // 기본: 자료가 있는 지역 수와 최고/최저 지역 요약
+   *       labelFormatter?: (name, datum) => string,  // 지역 aria-label (기본: '서울 87%')
+   *       keyboard?: boolean               // false면 포커스/키보드 조작 없음
+   *     }
+   *       Tab/Shift+Tab은 codeMap 순서, 방향키는 가장 가까운 지역, Home/End는 처음/끝으로 이동
+   *       Enter/Space는 events.onRegionClick 호출, 포커스 스타일은 hoverStyle(regionHoverStyles)과 동일
+   *   - tooltip?: true | {                 // 포인터를 따라다니는 HTML 툴팁 (지역 / 파이 조각 / bar 행), mount 밖으로 나가지 않음
+   *       formatter?: (name, datum, pieData, slice) => string | Node | null,
+   *                                          // slice: 파이 조각 위일 때 { index, label, value, color, percentage }, 아니면 null
+   *                                          // 기본: 지역명 + 비율 + 건수 + 파이 구성 (조각 위에서는 조각 라벨과 값)
+   *       labels?: { rate?: string, count?: string },  // 기본 내용의 항목명 (기본 '비율', '건수')
+   *       offset?: [x, y], className?: string, maxWidth?: number, fontSize?: number,
+   *       color?: string, background?: string, style?: Object   // style: 툴팁 div에 덮어쓸 CSS
+   *     }
+   *   - animation?: true | {              // setData()/update() 때 이전 값에서 새 값으로 전환 (기본 사용 안 함)
+   *       duration?: number,               // ms (기본 400)
+   *       easing?: 'linear' | 'ease-in' | 'ease-out' | 'ease-in-out' | (t) => number  // 기본 'ease-in-out'
+   *     }
+   *       지역 fill 색상, bar 길이, 파이/도넛 조각 각도, callout 건수(세어 올라감)를 보간
+   *       prefers-reduced-motion: reduce 환경에서는 전환 없이 바로 표시
+   *   - timeline?: true | {               // data를 기간별로 받아 슬라이더와 재생/일시정지 버튼으로 넘겨 봄
+   *       periods?: (string|number)[],     // 기간 순서 (기본: data 키를 숫자 인식 정렬)
+   *       initial?: string | number,       // 처음 기간 (기본: 첫 기간)
+   *       interval?: number,               // 재생 시 기간당 ms (기본 1000)
+   *       loop?: boolean,                  // 마지막 기간 다음에 처음으로 (기본 false)
+   *       autoplay?: boolean,              // render 직후 재생
+   *       formatter?: (period) => string,  // 슬라이더 옆 기간 표시
+   *       position?: 'bottom' | 'top',     // 지도/bar 아래 또는 위 줄 (기본 'bottom')
+   *       ariaLabel?: string, fontSize?: number, color?: string, accentColor?: string
+   *     }
+   *       data: { '2015': { 서울: 0.61, ... }, '2016': { ... } } / 색상 스케일과 bar 구간은 모든 기간 값으로 공유
+   *       chart.setPeriod(period) / getPeriod() / play() / pause(), events.onPeriodChange(period, index)
+   *       opts.animation과 함께 쓰면 기간 사이를 전환 애니메이션으로 이어 줌
+   *   - gap?: number
+   *   - map?: { width?:number, height?:number }
+   *   - responsive?: true | { breakpoint?: number }  // mount 너비에 맞춰 지도 크기 조정 (ResizeObserver, map.width/height 대신)
+   *       높이는 viewBox 비율 그대로, mount 너비가 breakpoint(기본 600px) 미만이면 rate+bars의 bar 등을 지도 아래로 배치
+   *       labels(fontSize, strokeWidth, minWidth, minHeight), labels.pieChart(radius, innerRadius, gap),
+   *       labels.glyphs(gap과 width·height·type 기본 크기), callouts(padding, margin, textSize, textOffset, minGap),
+   *       bubbles(maxRadius, minRadius)는 SVG 좌표 대신 화면 px로 해석해 크기가 바뀌어도 같은 크기로 보임
+   *       (선 굵기·핀 크기 등 나머지 값은 SVG 좌표 그대로, renderToString에는 적용하지 않음)
+   *   - labels?: { ... see original ... }
+   *   - labels.anchor?: 'pole' | 'centroid' | 'bbox'  // 라벨·파이 기준점 (기본 'pole': 지역 안에서 경계와 가장 먼 점,
+   *       centroid: 면적 중심, bbox: 경계 상자 중심), labels.offsets는 기준점 위에 더함
+   *   - labels.collision?: true | {        // 라벨·파이 겹침 회피 (기본 꺼짐, 켜면 큰 지역부터 배치)
+   *       padding?: number,                // 라벨/파이 사이 최소 간격 (기본 2)
+   *       maxNudge?: number,               // 지시선 없이 밀어낼 최대 거리 (기본 fontSize)
+   *       leaderLines?: boolean,           // 더 멀리 옮기고 기준점에서 지시선 표시 (기본 true)
+   *       maxLeader?: number,              // 지시선으로 옮길 최대 거리 (기본 fontSize * 5)
+   *       leaderColor?: string, leaderWidth?: number
+   *     }
+   *       파이는 겹치면 positions로 고정하지 않은 지역에 한해 top/bottom/left/right 중 빈 쪽으로 이동
+   *   - events.onLabelDrop?: (지역명, reason) => void  // 표시하지 못한 라벨 ('size': minWidth/minHeight 미만, 'collision': 자리 없음)
+   *       다시 그릴 때(setData, 기간 이동, 크기 변경 등)는 직전 그리기에서 빠지지 않았던 라벨만 다시 알림
+   *   - bar?: { ... see original ... }    // mode가 'rate+bars'일 때
+   *   - bar.value?: 'rate' | 'count' | (name, datum) => number  // bar 값 (기본 'rate')
+   *   - bar.domain?: [min, max]            // bar 길이 구간 (기본 rate는 [0, 1], 0–1을 벗어난 rate나 그 외 값은 0과 값 범위 포함)
+   *                                        // 구간이 0을 포함하면 bar는 0에서 시작 (음수는 왼쪽으로)
+   *   - bar.formatter?: (value, name, datum) => string  // 값 텍스트 (기본 rate는 %, 그 외는 천 단위 구분)
+   *   - bar.sort?: 'desc' | 'asc' | 'name' | 'none' | string[] | (a, b) => number  // 기본 'desc', a/b는 { name, datum, value }
+   *   - bar.limit?: number                 // 상위 N개만 표시
+   *   - bar.others?: boolean | string | { label, aggregate: 'sum' | 'mean' | (values, names) => number, color }
+   *       limit 밖의 지역을 합친 행 (기본 true, 라벨 '기타 (N)', rate는 평균·그 외는 합계)
+   *   - bar.missing?: 'show' | 'hide'      // 값 없는 지역을 '-' 행으로 끝에 표시 (기본 'show')
+   *   - bar.reference?: number | { value, label, color, dash, width } | 배열  // 기준선 (예: 전국 평균)
+   *   - callouts?: { ... see original ... } // mode가 'count+callouts'일 때
+   *   - callouts.anchor?: 'pole' | 'centroid' | 'bbox'  // callout 핀 위치 (기본 'pole', callouts.offsets는 그 위에 더함)
+   *   - callouts.stack?: boolean            // 좌/우 라벨을 겹치지 않게 자동으로 쌓고 꺾인 지시선 사용 (기본 false)
+   *   - callouts.minGap?: number            // 쌓을 때 라벨 사이 최소 세로 간격 (기본 textSize + 4)
+   *       bypass: { 지역명: [dx, dy] }를 준 지역은 기존처럼 수동 경로로 cy + dy 높이에 두고, 자동 라벨이 그 높이를 피해 쌓임
+   *   - bivariate?: {                     // mode가 'bivariate'일 때: 두 값으로 지역을 n×n 칸에 분류해 2차원 색상표로 채움
+   *       x: 'rate' | 'count' | string | (name, datum) => number,  // 가로축 값 (필드명 또는 함수, 필수)
+   *       y: 'rate' | 'count' | string | (name, datum) => number,  // 세로축 값 (필수)
+   *       n?: number,                      // 축별 단계 수 (기본 3, colors를 주면 그 크기)
+   *       breaks?: { x?: number[], y?: number[] },  // 오름차순 경계 n-1개 (기본: 전체 값의 분위수)
+   *       colors?: string[][],             // colors[y][x], 아래(y 낮음) 행·왼쪽(x 낮음) 열부터 (기본: 3×3 파랑–분홍 색상표)
+   *       labels?: { x?: string, y?: string },      // 범례·툴팁 축 이름 (기본 rate → '비율', count → '건수', 그 외 필드명)
+   *       formatters?: { x?: (v) => string, y?: (v) => string },
+   *       missingColor?: string            // 두 값 중 하나라도 없으면 (기본 '#D7D7D7')
+   *     }
+   *       legend는 n×n 정사각 색상표, 툴팁/aria-label은 두 값을 표시, 이벤트 핸들러는 그대로 datum 전체를 받음
+   *   - bubbles?: {                       // mode가 'bubbles'일 때: 지역 기준점에 면적이 값에 비례하는 원 (작은 원이 위)
+   *       value?: 'count' | 'rate' | string | (name, datum) => number,  // 원 크기 값 (기본 'count')
+   *       maxRadius?: number,              // 최댓값의 반지름 (기본 24, 반지름 = maxRadius × √(값 / maxValue))
+   *       minRadius?: number,              // 0보다 큰 값의 최소 반지름 (기본 0)
+   *       maxValue?: number,               // 크기 기준 최댓값 (기본: data 최댓값, timeline이면 모든 기간)
+   *       fill?: string | 'scale',         // 원 색 (기본 '#1F48FF', 'scale'이면 rate를 색상 스케일로)
+   *       regionFill?: string,             // 지역을 한 색으로 칠함 (fill: 'scale'과 함께 쓰면 스케일 색은 원에만)
+   *       fillOpacity?: number, stroke?: string, strokeWidth?: number,  // 기본 0.7, '#FFFFFF', 1
+   *       anchor?: 'pole' | 'centroid' | 'bbox', offsets?: { [지역명]: [x, y] },
+   *       formatter?: (value) => string,   // 원 title·크기 범례 값 (기본 rate는 %, 그 외 천 단위 구분)
+   *       legend?: false | { values?: number[], title?: string, position?, formatter?, fontSize?, color?, stroke? }
+   *                                        // 크기 범례 (기본: 최댓값과 그 1/2, 1/10을 반올림한 겹친 원)
+   *     }
+   *       원 위의 hover/클릭/툴팁은 해당 지역과 같음 (events.onRegionEnter/Leave/Click, selection)
+   *   - pieChartData?: { [지역명]: [{label: string, data: number, color: string}] }
+   *   - labels.pieChart?: {
+   *       position?: 'top' | 'bottom' | 'left' | 'right',
+   *       positions?: { [지역명]: 'top' | 'bottom' | 'left' | 'right' },
+   *       gap?: number,
+   *       radius?: number,
+   *       innerRadius?: number,  // 도넛 차트를 위한 내부 반지름
+   *       offsets?: { [지역명]: [x, y] },
+   *       strokeWidth?: number,
+   *       strokeColor?: string,
+   *       hover?: false | {                // 조각 hover 강조 (기본 사용)
+   *         dimOpacity?: number,           // 나머지 조각 opacity (기본 0.5)
+   *         explode?: number               // hover한 조각을 바깥으로 밀어낼 거리 (기본 0)
+   *       },
+   *       centerLabel?: false | true | 'total' | number | (slices, total) => string | {
+   *         value?: 'total' | number | (slices, total) => string,  // 합계 / 조각 index의 비율 / 직접 지정
+   *         fontSize?: number, fontWeight?: number | string, color?: string
+   *       },                               // 도넛(innerRadius > 0) 가운데 라벨, hover 중에는 그 조각 비율
+   *       legend?: true | { position?, orientation?, title?, fontSize?, color?, swatchSize?, background? }
+   *                                        // pieChartData 전체 label로 만든 공통 범주 범례
+   *     }
+   *   - glyphs?: { [지역명]: {             // 지역 라벨 옆 작은 그림 (pieChartData가 있는 지역은 파이가 우선)
+   *       type: 'bars' | 'sparkline' | 'stacked' | 'icon' | registerGlyph로 등록한 이름 | (glyph, ctx) => node,
+   *       data?: Array<number | { label?: string, data: number, color?: string }>,
+   *       width?: number, height?: number, // 기본: bars 30×20, sparkline 40×16, stacked 40×8, icon 16×16
+   *       color?: string, colors?: string[], title?: string,
+   *       domain?: [min, max],             // bars(기본 0과 값 범위) / sparkline(기본 값 범위)
+   *       gap?: number,                    // bars 막대 간격 (기본 1)
+   *       strokeWidth?: number, area?: boolean, dot?: boolean,  // sparkline (기본 1.5, false, true: 마지막 값에 점)
+   *       background?: string,             // stacked 빈 부분 (기본 '#E5E7EB')
+   *       href?: string, path?: string, viewBox?: number, text?: string  // icon: 이미지 / path d (viewBox 기본 24) / 글자
+   *     } }
+   *       custom renderer는 ctx { name, x, y, left, top, width, height, titles, node(tag, attrs, children, text) }를 받아
+   *       { tag, attrs, children, text } 노드를 반환 (화면과 renderToString에 같이 사용)
+   *   - labels.glyphs?: { position?, positions?, gap?, offsets?, width?, height?, scale? }  // glyph 배치 (labels.pieChart와 같은 규칙)
+   *       scale: 모든 glyph 크기(glyph.width/height, width/height, type 기본값)에 곱하는 배율 (기본 1)
+   *   - events.onSliceEnter?: (지역명, slice, event) => void  // slice: { index, label, value, color, percentage }
+   *   - events.onSliceLeave?: (지역명, slice, event) => void
+   *   - events.onSliceClick?: (지역명, slice, event) => void
+   *   - innerCities?: string[]  // hover 시에도 항상 최상단에 유지될 지역 목록 (기본: ['광주', '대전', '세종', '서울'])
+   *   - drillDown?: true | {                // 전국(시도) 지도에서 시도 클릭 → 시군구 지도
+   *       data?: { [시도명]: data } | (시도명, mapKey) => data | Promise<data>,
+   *       pieChartData?: { [시도명]: pieChartData } | (시도명, mapKey) => pieChartData | Promise,
+   *       glyphs?: { [시도명]: glyphs } | (시도명, mapKey) => glyphs | Promise,
+   *       childOpts?: Object,              // 시군구 화면에만 덮어쓸 옵션 (labels 등)
+   *       breadcrumb?: false | { rootLabel?: string, separator?: string, fontSize?: number, color?: string, linkColor?: string }
+   *     }
+   *   - events.onDrillDown?: (시도명, mapKey, data) => void
+   *   - events.onDrillUp?: (시도명, mapKey) => void   // 떠나온 시도명과 시군구 map key
+   *   - events.onDrillError?: (error, 시도명) => void  // 시도 클릭으로 시작한 drillDown 실패 (SVG 로드 실패, strict 등, 취소는 제외)
+   *   - events.onWarning?: (report) => void  // codeMap·SVG·data가 맞지 않으면 그린 뒤 호출 (같은 내용이면 다시 호출하지 않음)
+   *       report: { missingPaths, unmappedPaths, unknownKeys, invalidValues, emptyPies, messages } (chart.getDiagnostics()와 같음)
+   *       missingPaths: SVG에 없는 codeMap id / unmappedPaths: codeMap에 없는 SVG path·polygon id
+   *       unknownKeys: 지역이 없는 data·pieChartData·glyphs 키 / emptyPies: 그릴 값이 없는 pieChartData
+   *       invalidValues: 숫자가 아닌 값, 범위를 벗어난 rate(scale.domain 또는 0~1 임계값일 때 [0, 1])와 음수 count
+   *   - strict?: boolean  // true면 위 문제를 경고 대신 Error로 throw (render/update/setData/drillDown/renderToString)
+   *       responsive 크기 변경 등 내부에서 다시 그릴 때는 throw하지 않고 onWarning으로 알림
+   * 같은 mount에 SVG 로드가 끝나기 전 다시 render하면 마지막 호출만 그리고, 이전 호출은 name 'AbortError'인 Error로 reject
+   * @returns {Promise<KorMapChart>} update(newOpts) / setData(data) / select(names) / clearSelection() / getSelection() / getDiagnostics() /
+   *   setPeriod(period) / getPeriod() / play() / pause() /
+   *   drillDown(name) / drillUp() / toSVG() / toPNG({ scale }) / download(filename) / destroy()를 가진 차트 인스턴스
+   */
+  static async render(codeMap, mount, opts) {
+    const el = this.#ensureMount(mount);
+
+    if (!el) throw new Error('KorMapChart.render: mount 요소를 찾을 수 없음');
+
+    // codeMap 대신 내장 map key('sido', 'seoul-sigungu' 등)를 받은 경우
+    let mapKey = null;
+    if (typeof codeMap === 'string') {
+      mapKey = codeMap;
+      const def = this.getMap(mapKey);
+      if (!def) throw new Error(`KorMapChart.render: 알 수 없는 map key "${mapKey}" (${this.mapKeys().join(', ')})`);
+      codeMap = def.codeMap;
+    }
+
+    this.#validateOpts(opts, 'KorMapChart.render');
+
+    // 같은 mount에 이전 차트가 있으면 리스너까지 정리
+    this.#instances.get(el)?.destroy();
+    el.innerHTML = '';
+
+    const chart = new KorMapChart(codeMap, el, opts, mapKey);
+    this.#instances.set(el, chart);
+
+    this.#applyMountStyles(el, opts);
+    chart.#attachSvg(await chart.#nextSvg(opts, 'KorMapChart.render'));
+    chart.#draw('KorMapChart.render');
+    chart.#bind();
+    if (opts.timeline && this.#timelineOpts(opts).autoplay) chart.play();
+
+    return chart;
+  }
+
+  /**
+   * 브라우저 없이 (Node 야간 배치, 메일 보고서 등) 완성된 SVG 문자열을 만듦
+   * render와 같은 codeMap/옵션을 받고, 경계 상자는 getBBox 대신 path d 등을 직접 해석해 계산
+   * 지역 fill, 라벨, 파이, callout, rate+bars의 bar(SVG)를 포함 / 이벤트·툴팁·범례·a11y 등 상호작용 요소는 제외
+   * 도형의 transform 속성은 경계 상자 계산에 반영하지 않음
+   * @param {Object.<string,string>|string} codeMap - 지역명 → SVG id 또는 내장 map key
+   * @param {string} svgText - SVG 원본 문자열 (내장 지도는 KorMapChart.getMap(key).svgUrl 파일 내용)
+   * @param {Object} opts - render와 같은 옵션 (map.width/height는 width/height 속성으로 지정, timeline이면 timeline.initial 또는 첫 기간)
+   * @returns {string}
+   * @example
+   * const fs = require('fs');
+   * const KorMapChart = require('./KorMapChart.js');
+   * const svgText = fs.readFileSync(KorMapChart.getMap('sido').svgUrl, 'utf8');
+   * fs.writeFileSync('map.svg', KorMapChart.renderToString('sido', svgText, { mode: 'normal', data: { 서울: 0.87 } }));
+   */
+  static renderToString(codeMap, svgText, opts) {
+    let mapKey = null;
+    if (typeof codeMap === 'string') {
+      mapKey = codeMap;
+      const def = this.getMap(mapKey);
+      if (!def) throw new Error(`KorMapChart.renderToString: 알 수 없는 map key "${mapKey}" (${this.mapKeys().join(', ')})`);
+      codeMap = def.codeMap;
+    }
+    if (typeof svgText !== 'string') throw new Error('KorMapChart.renderToString: svgText는 SVG 문자열이어야 합니다.');
+
+    this.#validateOpts(opts, 'KorMapChart.renderToString');
+
+    const aliases = this.#buildAliases(codeMap, mapKey);
+    const series = this.#seriesOf(opts, aliases);
+    const source = this.#sourceData(opts);
+    const data = series ? series.data : this.#resolveKeys(source.data, aliases);
+    const pieChartData = this.#resolveKeys(source.pieChartData, aliases);
+
+    const getRate = (name) => {
+      const v = data?.[name];
+      if (v == null) return null;
+      return (typeof v === 'number') ? v : v.rate;
+    };
+    const modeDef = this.#modes.get(opts.mode);
+    // 지역 경계는 SVG 문자열을 훑은 뒤에 알 수 있으므로 regions는 나중에 연결
+    let getRegion = () => null;
+    const ctx = this.#modeContext({
+      opts, codeMap, data, series, titles: true,
+      defaultScale: () => this.#makeScale(opts, series ? this.#seriesRates(series) : Object.keys(data || {}).map(getRate))
+    }, (id) => getRegion(id));
+    const paint = this.#paintSpec(modeDef, ctx, getRate);
+    const scale = paint.scale;
+    ctx.scale = scale;
+
+    const fillById = new Map(Object.entries(codeMap).map(([name, id]) => [id, paint.fill ?? scale.color(paint.value(name), name)]));
+    const doc = this.#rewriteSvgMarkup(svgText, fillById);
+    getRegion = (id) => doc.regions.get(id) ?? null;
+    const report = this.#diagnose(opts, codeMap, aliases, doc);
+    this.#assertClean(report, opts, 'KorMapChart.renderToString');
+    if (report.messages.length) opts.events?.onWarning?.(report);
+    const root = doc.rootAttrs;
+    if (!root.xmlns) root.xmlns = 'http://www.w3.org/2000/svg';
+    if (!root['font-family']) root['font-family'] = 'sans-serif';
+
+    const glyphData = this.#resolveKeys(opts.glyphs, aliases);
+    const layers = [this.#labelsNode(codeMap, getRegion, opts.labels, pieChartData, glyphData, true, opts.events?.onLabelDrop)];
+    const markup = modeDef.markup?.(Object.assign(ctx, { bbox: () => doc.mapBox, viewBox: root.viewBox }));
+    if (markup?.viewBox != null) root.viewBox = markup.viewBox;
+    (markup?.layers || []).forEach((layer) => {
+      const node = this.#asNode(layer);
+      if (node) layers.push(node);
+    });
+
+    // map.width/height 중 하나만 있으면 viewBox 비율로 나머지 계산 (화면의 height:auto와 같은 결과)
+    const [, , vbW, vbH] = (root.viewBox || '').trim().split(/[\s,]+/).map(Number);
+    const ratio = (vbW && vbH) ? vbH / vbW : null;
+    if (opts.map?.width != null) root.width = opts.map.width;
+    if (opts.map?.height != null) root.height = opts.map.height;
+    else if (opts.map?.width != null && ratio) root.height = opts.map.width * ratio;
+    if (opts.map?.width == null && opts.map?.height != null && ratio) root.width = opts.map.height / ratio;
+
+    const mapW = Number.parseFloat(root.width) || vbW || doc.mapBox.w;
+    const mapH = Number.parseFloat(root.height) || (ratio ? mapW * ratio : doc.mapBox.h);
+
+    const body = doc.chunks.slice(doc.rootIndex + 1, doc.closeIndex).join('') + layers.map((n) => this.#serialize(n)).join('');
+    const side = this.#modeSide(opts, codeMap, data, series, scale);
+    if (!side) return `${this.#openTag('svg', root)}${body}</svg>`;
+
+    // mode.side (rate+bars의 bar 등): #exportSvg와 같이 지도(중첩 svg) 오른쪽에 SVG
+    Object.assign(root, { x: 0, y: 0, width: mapW, height: mapH });
+    const x = mapW + (opts.gap ?? 0);
+    side.node.attrs.transform = `translate(${x},0)`;
+    const width = x + side.width;
+    const height = Math.max(mapH, side.height);
+
+    return this.#openTag('svg', { xmlns: 'http://www.w3.org/2000/svg', width, height, viewBox: `0 0 ${width} ${height}`, 'font-family': 'sans-serif' })
+      + `${this.#openTag('svg', root)}${body}</svg>${this.#serialize(side.node)}</svg>`;
+  }
+}
+
+// Node(CommonJS)에서 require로 사용 (renderToString)
+if (typeof module !== 'undefined' && module.exports) module.exports = KorMapChart;
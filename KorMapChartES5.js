@@ -2,7 +2,61 @@
  * KorMapChart v2 ES5 Version
  * - ES5로 다운그레이드된 버전
  * - 모든 ES6+ 기능을 ES5 호환 코드로 변환
- * - mode: 'normal' | 'rate+bars' | 'count+callouts' (필수)
+ * - mode: 'normal' | 'rate+bars' | 'count+callouts' | 'bivariate' | 'bubbles' | registerMode로 등록한 이름 (필수)
+ * - KorMapChartES5.parseTable(input, columns): CSV/TSV 문자열·행 배열 → { data, pieChartData }
+ *   (opts.data에 표를 직접 넘기고 opts.columns: { key, rate, count, fields, period, pie, pieColors, delimiter }로 열 지정도 가능)
+ * - KorMapChartES5.registerMode(name, { validate, paint, render, update, destroy, markup, side }): opts.mode 추가 (내장 mode도 같은 registry 사용)
+ * - render는 차트 인스턴스를 반환(Promise): update(newOpts) / setData(data) / select(names) / clearSelection() / getSelection() / getDiagnostics() / drillDown(name) / drillUp()
+ *   / setPeriod(period) / getPeriod() / play() / pause() / toSVG() / toPNG({ scale }) / download(filename) / destroy()
+ * - opts.scale: { type: 'threshold' | 'sequential' | 'quantile' | 'diverging', colors, thresholds, domain, midpoint, symmetric, missingColor }
+ *   (지정하지 않으면 rates/colors 기반 threshold, fill과 bar 색상이 같은 스케일 사용)
+ * - opts.legend: true | { position, orientation, title, formatter, missingLabel, ... } (현재 스케일의 범례)
+ * - opts.selection: 'single' | 'multi' | { mode, selectedStyle, dimUnselected } | false (기본 'single', 이전 동작 호환)
+ *   multi는 Ctrl/Cmd/Shift+클릭으로 추가·해제, select(names)/clearSelection()/getSelection(), events.onSelectionChange(names)
+ * - opts.a11y: false | { title, description, labelFormatter(name, datum), keyboard } (기본 사용: role/aria-label/tabindex,
+ *   Tab·방향키·Home/End로 지역 이동, Enter/Space로 onRegionClick, SVG <title>/<desc> 데이터 요약)
+ * - opts.tooltip: true | { formatter(name, datum, pieData, slice), labels, offset, style, ... } (포인터를 따라다니는 HTML 툴팁)
+ * - opts.responsive: true | { breakpoint } → mount 너비에 맞춰 지도 크기(viewBox 비율)·bar 배치(breakpoint 미만이면 아래로)와
+ *   라벨·파이(radius, innerRadius, gap)·glyph(gap, 크기)·callout·bubble(maxRadius, minRadius) 크기(px 기준)를 다시 계산
+ *   (ResizeObserver, map.width/height 대신 / 선 굵기·핀 크기 등은 SVG 좌표 그대로 / renderToString에는 적용하지 않음)
+ * - opts.svg: svgUrl 대신 URL·인라인 마크업·<svg> 요소, URL별 해석 결과 캐시(clearSvgCache), HTTP/해석 오류 reject, opts.signal(AbortSignal)로 취소
+ * - opts.drillDown: 시도 클릭 → 시군구 지도 (data/pieChartData/childOpts/breadcrumb, events.onDrillDown/onDrillUp,
+ *   시도 클릭으로 시작한 drillDown 실패는 events.onDrillError(err, 시도명), 취소(AbortError)는 제외)
+ * - 기존 차트의 라벨 위치를 바꾸는 배치 기능(labels.collision, callouts.stack)은 기본 꺼짐 (옵션으로 켬)
+ * - events.onWarning(report): codeMap·SVG·data 불일치(SVG에 없는 codeMap id, codeMap에 없는 path, 지역이 없는 data 키)와
+ *   숫자가 아니거나 범위를 벗어난 값, 그릴 값이 없는 파이를 알림 (chart.getDiagnostics()와 같음), opts.strict: true면 Error로 throw
+ * - KorMapChartES5.renderToString(codeMap, svgText, opts): 브라우저 없이 (Node) 같은 옵션으로 완성된 SVG 문자열 생성
+ *   (require('./KorMapChartES5.js'), path d를 직접 해석해 라벨/callout 위치 계산)
+ * - opts.labels.anchor / opts.callouts.anchor: 'pole' | 'centroid' | 'bbox' (라벨·파이·callout 핀 기준점,
+ *   기본 'pole': 지역 안에서 경계와 가장 먼 점, offsets는 그 위에 더함)
+ * - KorMapChartES5.geometry: path d 기하 도구 (bbox / rings / centroid / pole / contains)
+ * - opts.labels.collision: true | { padding, maxNudge, leaderLines, maxLeader, leaderColor, leaderWidth } (기본 꺼짐, 켜면:
+ *   겹치면 파이 위치 변경 → 라벨 밀기 → 지시선과 함께 이동 → 생략), events.onLabelDrop(name, 'size' | 'collision')
+ *   (다시 그릴 때는 직전 그리기에서 빠지지 않았던 라벨만 알림)
+ * - opts.callouts.stack: true | false (기본 false, 켜면: 좌/우 라벨을 minGap 간격으로 자동으로 쌓고 꺾인 지시선 사용,
+ *   bypass를 준 지역은 수동 경로로 cy + dy 높이에 고정되고 자동 라벨이 그 높이를 피해 쌓임), opts.callouts.minGap (기본 textSize + 4)
+ * - opts.bar: value ('rate' | 'count' | function (name, datum)), domain [min, max], formatter(value, name, datum),
+ *   sort ('desc' | 'asc' | 'name' | 'none' | 지역명 배열 | 비교 함수), limit (상위 N) + others (나머지 합친 행, 기본 '기타 (N)'),
+ *   missing ('show': 값 없는 지역은 '-' 행 | 'hide'), reference (number | { value, label, color, dash, width } | 배열, 기준선)
+ * - opts.animation: true | { duration (기본 400ms), easing ('linear' | 'ease-in' | 'ease-out' | 'ease-in-out' | function (t)) }
+ *   setData()/update() 때 fill 색상·bar 길이·파이 조각 각도·callout 건수를 보간 (prefers-reduced-motion이면 바로 표시)
+ * - opts.timeline: true | { periods, initial, interval (기본 1000ms), loop, autoplay, formatter(period), position ('bottom' | 'top'), ... }
+ *   data를 { 기간: { 지역: 값 } }으로 받아 재생/일시정지 버튼 + 기간 슬라이더 표시, 색상 스케일과 bar 구간은 모든 기간 값으로 공유
+ *   setPeriod(period)/getPeriod()/play()/pause(), events.onPeriodChange(period, index)
+ * - mode 'bivariate' + opts.bivariate: { x, y ('rate' | 'count' | 필드명 | function (name, datum)), n (기본 3), breaks { x, y },
+ *   colors[y][x], labels { x, y }, formatters { x, y }, missingColor } 두 값을 n×n 칸으로 분류해 2차원 색상표로 채움
+ *   (경계 기본: 분위수, legend는 정사각 색상표, 툴팁/aria-label은 두 값, 이벤트는 datum 전체를 받음)
+ * - mode 'bubbles' + opts.bubbles: { value ('count' | 'rate' | 필드명 | function (name, datum), 기본 'count'), maxRadius (기본 24),
+ *   minRadius, maxValue, fill (색상 | 'scale'), regionFill, fillOpacity, stroke, strokeWidth, anchor, offsets, formatter,
+ *   legend (false | { values, title, position, formatter, ... }) } 지역 기준점에 면적이 값에 비례하는 원 (작은 원이 위,
+ *   크기 기준은 timeline이면 모든 기간 공유, 원 위 hover/클릭/툴팁은 해당 지역과 같음) + 겹친 원 크기 범례
+ * - opts.labels.pieChart: hover (false | { dimOpacity (기본 0.5), explode (기본 0) }, 조각 강조), centerLabel (true | 'total' |
+ *   조각 index | function (slices, total) | { value, fontSize, fontWeight, color }, 도넛 가운데 라벨, hover 중에는 그 조각 비율),
+ *   legend (true | { position, orientation, title, ... }, pieChartData label로 만든 공통 범주 범례)
+ *   events.onSliceEnter / onSliceLeave / onSliceClick(지역명, slice { index, label, value, color, percentage }, event)
+ * - opts.glyphs: { 지역명: { type ('bars' | 'sparkline' | 'stacked' | 'icon' | 등록한 이름 | function (glyph, ctx)), data, ... } }
+ *   라벨 옆 작은 그림 (배치는 labels.glyphs: position, positions, gap, offsets, width, height, scale(크기 배율); 파이가 있는 지역은 파이 우선),
+ *   KorMapChartES5.registerGlyph(type, render, size)로 type 추가, drillDown.glyphs로 시군구 glyph
  *
  * @example
  * // normal 모드 - 지도만 표시 + 파이 차트
@@ -17,22 +71,143 @@
  *       { label: '카테고리3', data: 20, color: '#ffce56' }
  *     ]
  *   }
+ * }).then(function (chart) {
+ *   // 내장 지도를 쓰면 codeMap 대신 map key ('sido', 'seoul-sigungu' 등), data 키는 별칭(서울특별시/KR-11/11)도 가능
+ *   chart.setData({ 서울: 0.91, 경기: 0.66 });  // data만 교체
+ *   return chart.update({ rates: [0.9, 0.7, 0.5, 0.3] });  // 옵션 일부 변경 (얕은 병합)
  * });
  */
-function KorMapChartES5() { }
+function KorMapChartES5(codeMap, el, opts, mapKey) {
+  // 직접 생성하지 말고 KorMapChartES5.render()가 반환하는 인스턴스를 사용
+  this._codeMap = codeMap;
+  this._mapKey = mapKey || null;
+  this._aliases = KorMapChartES5._buildAliases(codeMap, this._mapKey);  // 별칭 → 지역명
+  this._el = el;
+  this._opts = opts;
+  this._data = null;         // 키가 지역명으로 정규화된 opts.data
+  this._pieData = null;      // 키가 지역명으로 정규화된 opts.pieChartData
+  this._scale = null;        // 마지막으로 그린 색상 스케일
+  this._svg = null;
+  this._loadId = 0;          // 마지막 SVG 로드·update·drill 번호 (늦게 끝난 이전 로드는 버림)
+  this._svgIds = null;       // _attachSvg 때 모은 SVG id { ids, shapes } (진단용)
+  this._diagnostics = null;  // 마지막 _draw의 _diagnose 결과
+  this._warned = '';         // 마지막으로 onWarning에 알린 messages (같은 내용은 다시 알리지 않음)
+  this._dropped = {};        // 마지막 _draw에서 표시하지 못한 라벨 { '지역명\n이유': true } (다시 그려도 새로 빠진 라벨만 onLabelDrop으로 알림)
+  this._fitWidth = null;     // opts.responsive: 마지막으로 맞춘 mount 내용 너비 (px)
+  this._baseViewBox = null;  // callouts가 viewBox를 바꾸기 전 원본
+  this._layers = [];         // 다시 그릴 때 제거할 라벨/bar/callout 요소
+  this._mode = null;         // 현재 mode { def, state } (state는 def.render/update 반환값)
+  this._unbindEvents = null;
+  this._regionEvents = null; // _bindRegionEvents 반환값 { refresh, repaint, unbind }
+  this._selection = [];      // 선택된 지역명
+  this._drill = null;        // 시군구로 내려간 상태: { name, root: 전국 지도의 codeMap/mapKey/aliases/opts/svg }
+  this._drilling = false;
+  this._destroyed = false;
+  this._shown = null;        // 화면에 보이는 값 (전환 시작점): { fills, bars, pies, counts, bubbles } 지역명 → 값
+  this._cancelTween = null;  // 진행 중인 전환 애니메이션 취소
+  this._series = null;       // opts.timeline 사용 시 _seriesOf 결과 { periods, period, data, all }
+  this._period = null;       // 현재 기간 (drillDown 후 돌아와도 유지)
+  this._timeline = null;     // 기간 슬라이더 { el, sync, key, opts }
+  this._playTimer = null;    // 재생 중인 setInterval id
+}
 
 // 정적 메서드들을 생성자 함수에 직접 할당
-KorMapChartES5._loadSVG = function (url) {
-  return fetch(url)
-    .then(function (res) {
-      return res.text();
-    })
-    .then(function (txt) {
-      var doc = new DOMParser().parseFromString(txt, 'image/svg+xml');
-      return doc.documentElement;
+KorMapChartES5._SVG_CACHE_MAX = 32;
+KorMapChartES5._svgCache = {};      // URL → 해석한 <svg> (꺼낼 때마다 복제, 실패한 로드는 저장하지 않음)
+KorMapChartES5._svgCacheKeys = [];  // _svgCache의 URL (최근 사용 순)
+
+// 방금 쓴 URL을 맨 뒤로 옮기고, 넘치면 가장 오래 안 쓴 URL부터 버림
+KorMapChartES5._touchSvgCache = function (url, template) {
+  var keys = KorMapChartES5._svgCacheKeys;
+  for (var i = 0; i < keys.length; i++) {
+    if (keys[i] === url) {
+      keys.splice(i, 1);
+      break;
+    }
+  }
+  keys.push(url);
+  KorMapChartES5._svgCache[url] = template;
+  if (keys.length > KorMapChartES5._SVG_CACHE_MAX) delete KorMapChartES5._svgCache[keys.shift()];
+};
+
+KorMapChartES5._isSvgElement = function (v) {
+  return v != null && typeof v === 'object' && v.nodeType === 1 && String(v.localName).toLowerCase() === 'svg';
+};
+
+// AbortSignal이나 더 최근 호출로 취소된 경우의 오류 (name: 'AbortError')
+KorMapChartES5._abortError = function (caller, reason) {
+  var err = new Error(caller + ': ' + reason);
+  err.name = 'AbortError';
+  return err;
+};
+
+/**
+ * SVG 원본 → mount에 붙일 새 <svg> 요소 (같은 URL·마크업은 한 번만 받아 해석하고 복제해서 반환)
+ * @param {string|SVGSVGElement} source - URL, 인라인 마크업('<'로 시작) 또는 <svg> 요소 (요소도 복제해서 사용)
+ * @param {{ signal?: AbortSignal, caller?: string }} [options]
+ * @returns {Promise<SVGSVGElement>}
+ */
+KorMapChartES5._loadSVG = function (source, options) {
+  options = options || {};
+  var signal = options.signal;
+  var caller = options.caller || 'KorMapChartES5';
+  var cache = KorMapChartES5._svgCache;
+
+  return Promise.resolve().then(function () {
+    if (signal && signal.aborted) throw KorMapChartES5._abortError(caller, 'signal로 취소되었습니다.');
+    if (KorMapChartES5._isSvgElement(source)) return source.cloneNode(true);
+    if (typeof source !== 'string' || !source.trim()) {
+      throw new Error(caller + ': svg(URL·마크업·<svg> 요소) 또는 svgUrl이 필요합니다. (내장 map key를 쓰면 생략 가능)');
+    }
+    // 인라인 마크업은 매번 해석 (마크업 문자열을 캐시 키로 쌓아 두지 않음)
+    if (source.trim().charAt(0) === '<') return KorMapChartES5._parseSvg(source, '인라인 마크업', caller);
+    if (cache.hasOwnProperty(source)) {
+      KorMapChartES5._touchSvgCache(source, cache[source]);
+      return cache[source].cloneNode(true);
+    }
+
+    return KorMapChartES5._fetchSvgText(source, signal, caller).then(function (txt) {
+      var template = KorMapChartES5._parseSvg(txt, source, caller);
+      KorMapChartES5._touchSvgCache(source, template);
+      return template.cloneNode(true);
+    });
+  });
+};
+
+// HTTP 오류(404 페이지 등)는 해석하지 않고 throw
+KorMapChartES5._fetchSvgText = function (url, signal, caller) {
+  var res = null;
+  var fail = function (e) {
+    if (signal && signal.aborted) throw KorMapChartES5._abortError(caller, 'signal로 취소되었습니다.');
+    throw new Error(caller + ': SVG를 불러오지 못했습니다. (' + url + ': ' + ((e && e.message) || e) + ')');
+  };
+  return fetch(url, signal ? { signal: signal } : undefined)
+    .then(function (r) {
+      res = r;
+      return res.ok ? res.text().then(null, fail) : null;
+    }, fail)
+    .then(function (text) {
+      // fetch가 signal을 따르지 않아도 (폴리필 등) 취소는 반영
+      if (signal && signal.aborted) throw KorMapChartES5._abortError(caller, 'signal로 취소되었습니다.');
+      if (!res.ok) {
+        throw new Error(caller + ': SVG를 불러오지 못했습니다. (' + url + ': HTTP ' + res.status + (res.statusText ? ' ' + res.statusText : '') + ')');
+      }
+      return text;
     });
 };
 
+// XML 오류가 있거나 루트가 <svg>가 아니면 throw
+KorMapChartES5._parseSvg = function (text, label, caller) {
+  var doc = new DOMParser().parseFromString(text, 'image/svg+xml');
+  var root = doc.documentElement;
+  var error = doc.getElementsByTagName('parsererror')[0];
+  if (error || !root || root.localName !== 'svg') {
+    var detail = error ? error.textContent.replace(/^\s+|\s+$/g, '').split('\n')[0] : '루트 요소가 <' + (root && root.localName) + '>입니다.';
+    throw new Error(caller + ': SVG를 해석하지 못했습니다. (' + label + ': ' + detail + ')');
+  }
+  return root;
+};
+
 KorMapChartES5._setCss = function (el, prop, v) {
   if (!el || !prop) return;
   if (v == null) el.style.removeProperty(prop);
@@ -53,22 +228,337 @@ KorMapChartES5._clamp01 = function (v) {
   return Math.min(1, Math.max(0, n));
 };
 
-KorMapChartES5._makeColorForRate = function (thresholds, colors) {
-  var th = Array.isArray(thresholds) && thresholds.length ? thresholds : [0.8, 0.6, 0.4, 0.2];
-  var cs = Array.isArray(colors) && colors.length ? colors : ['#00085A', '#1F48FF', '#79a1ee', '#99d9f2', '#D7D7D7'];
-  var lastIndex = cs.length - 1;
-  var fallback = lastIndex >= 0 && cs[lastIndex] != null ? cs[lastIndex] : '#D7D7D7';
+KorMapChartES5._toNumber = function (v) {
+  if (v == null || v === '') return null;
+  var n = Number(v);
+  return Number.isFinite(n) ? n : null;
+};
+
+KorMapChartES5._parseColor = function (c) {
+  var str = String(c == null ? '' : c).replace(/^\s+|\s+$/g, '');
+  var hex = /^#([0-9a-f]{3}|[0-9a-f]{6})$/i.exec(str);
+  if (hex) {
+    var h = (hex[1].length === 3) ? hex[1].replace(/./g, function (x) { return x + x; }) : hex[1];
+    return [parseInt(h.slice(0, 2), 16), parseInt(h.slice(2, 4), 16), parseInt(h.slice(4, 6), 16)];
+  }
+  var rgb = /^rgba?\(([^)]+)\)$/i.exec(str);
+  if (rgb) {
+    var parts = rgb[1].split(',');
+    return [parseFloat(parts[0]), parseFloat(parts[1]), parseFloat(parts[2])];
+  }
+  return null;
+};
+
+KorMapChartES5._lerpColor = function (a, b, t) {
+  var ca = KorMapChartES5._parseColor(a);
+  var cb = KorMapChartES5._parseColor(b);
+  if (!ca || !cb) return (t < 0.5) ? a : b;  // 이름 색상 등은 보간 불가
+
+  var out = '#';
+  for (var i = 0; i < 3; i++) {
+    out += ('0' + Math.round(ca[i] + (cb[i] - ca[i]) * t).toString(16)).slice(-2);
+  }
+  return out;
+};
+
+// colors를 0–1 구간에 균등 배치한 stop으로 보고 t 위치의 색을 보간
+KorMapChartES5._interpolateStops = function (colors, t) {
+  if (colors.length === 1) return colors[0];
+  var x = Math.min(1, Math.max(0, t)) * (colors.length - 1);
+  var i = Math.min(colors.length - 2, Math.floor(x));
+  return KorMapChartES5._lerpColor(colors[i], colors[i + 1], x - i);
+};
+
+KorMapChartES5._quantile = function (sorted, p) {
+  if (!sorted.length) return null;
+  var h = (sorted.length - 1) * p;
+  var i = Math.floor(h);
+  var next = sorted[i + 1] != null ? sorted[i + 1] : sorted[i];
+  return sorted[i] + (next - sorted[i]) * (h - i);
+};
+
+KorMapChartES5._SCALE_TYPES = ['threshold', 'sequential', 'quantile', 'diverging'];
+
+/**
+ * 색상 스케일 생성 - 지역 fill과 bar 색상이 같은 객체를 공유
+ * @returns {Object} { type, color(v), domain, missingColor, bins?(threshold/quantile, 오름차순), stops?(sequential/diverging) }
+ */
+KorMapChartES5._makeScale = function (opts, values) {
+  opts = opts || {};
+  values = values || [];
+
+  var spec = opts.scale || {};
+  var type = spec.type != null ? spec.type : 'threshold';
+  var nonEmpty = function (arr) { return (Array.isArray(arr) && arr.length) ? arr : null; };
+  var toNumber = KorMapChartES5._toNumber;
+  var i;
+
+  var nums = [];
+  for (i = 0; i < values.length; i++) {
+    var n = toNumber(values[i]);
+    if (n != null) nums.push(n);
+  }
+  var dataMin = nums.length ? Math.min.apply(Math, nums) : 0;
+  var dataMax = nums.length ? Math.max.apply(Math, nums) : 1;
+
+  var cs, missingColor;
+
+  if (type === 'threshold') {
+    // 기존 rates/colors 규칙: 내림차순 임계값, v >= th[i]이면 colors[i], 나머지는 마지막 색
+    var th = nonEmpty(spec.thresholds) || nonEmpty(opts.rates) || [0.8, 0.6, 0.4, 0.2];
+    cs = nonEmpty(spec.colors) || nonEmpty(opts.colors) || ['#00085A', '#1F48FF', '#79a1ee', '#99d9f2', '#D7D7D7'];
+    var fallback = cs[cs.length - 1] != null ? cs[cs.length - 1] : '#D7D7D7';
+    missingColor = spec.missingColor != null ? spec.missingColor : fallback;
+
+    var bins = [{ min: -Infinity, max: th[th.length - 1], color: fallback }];
+    for (i = th.length - 1; i >= 0; i--) {
+      bins.push({ min: th[i], max: i ? th[i - 1] : Infinity, color: cs[i] != null ? cs[i] : fallback });
+    }
+
+    return {
+      type: type,
+      domain: [dataMin, dataMax],
+      missingColor: missingColor,
+      bins: bins,
+      color: function (raw) {
+        var v = toNumber(raw);
+        if (v == null) return missingColor;
+        for (var k = 0; k < th.length; k++) {
+          if (v >= th[k]) return cs[k] != null ? cs[k] : fallback;
+        }
+        return fallback;
+      }
+    };
+  }
+
+  missingColor = spec.missingColor != null ? spec.missingColor : '#D7D7D7';
+
+  if (type === 'quantile') {
+    // 데이터 분위수로 구간 경계 계산 (colors는 낮은 값 → 높은 값 순)
+    cs = nonEmpty(spec.colors) || ['#99d9f2', '#79a1ee', '#1F48FF', '#00085A'];
+    var sorted = nums.slice().sort(function (a, b) { return a - b; });
+    var breaks = [];
+    for (i = 1; i < cs.length; i++) {
+      var q = KorMapChartES5._quantile(sorted, i / cs.length);
+      breaks.push(q != null ? q : dataMin);
+    }
+
+    var qBins = [];
+    for (i = 0; i < cs.length; i++) {
+      qBins.push({ min: i ? breaks[i - 1] : dataMin, max: i < breaks.length ? breaks[i] : dataMax, color: cs[i] });
+    }
+
+    return {
+      type: type,
+      domain: [dataMin, dataMax],
+      missingColor: missingColor,
+      breaks: breaks,
+      bins: qBins,
+      color: function (raw) {
+        var v = toNumber(raw);
+        if (v == null) return missingColor;
+        var idx = 0;
+        for (var k = 0; k < breaks.length; k++) {
+          if (v >= breaks[k]) idx++;
+        }
+        return cs[idx];
+      }
+    };
+  }
+
+  var stops = [];
+
+  if (type === 'sequential') {
+    // colors를 domain 전체에 균등 배치한 stop으로 보간
+    cs = nonEmpty(spec.colors) || ['#E8EEFF', '#00085A'];
+    var s0 = spec.domain ? spec.domain[0] : dataMin;
+    var s1 = spec.domain ? spec.domain[1] : dataMax;
+
+    for (i = 0; i < cs.length; i++) {
+      var sOffset = (cs.length > 1) ? i / (cs.length - 1) : 0;
+      stops.push({ offset: sOffset, value: s0 + (s1 - s0) * sOffset, color: cs[i] });
+    }
+
+    return {
+      type: type,
+      domain: [s0, s1],
+      missingColor: missingColor,
+      stops: stops,
+      color: function (raw) {
+        var v = toNumber(raw);
+        if (v == null) return missingColor;
+        return KorMapChartES5._interpolateStops(cs, (s1 === s0) ? 1 : (v - s0) / (s1 - s0));
+      }
+    };
+  }
+
+  // diverging: midpoint 아래/위를 각각 colors 앞/뒤 절반으로 보간 (예: 증감률)
+  cs = nonEmpty(spec.colors) || ['#D7301F', '#F7F7F7', '#1F48FF'];
+  var mid = spec.midpoint != null ? spec.midpoint : 0;
+  var d0 = spec.domain ? spec.domain[0] : Math.min(dataMin, mid);
+  var d1 = spec.domain ? spec.domain[1] : Math.max(dataMax, mid);
+  if (spec.symmetric) {
+    var ext = Math.max(Math.abs(d0 - mid), Math.abs(d1 - mid));
+    d0 = mid - ext;
+    d1 = mid + ext;
+  }
+
+  var position = function (v) {
+    return (v < mid)
+      ? 0.5 - 0.5 * Math.min(1, (mid - v) / ((mid - d0) || 1))
+      : 0.5 + 0.5 * Math.min(1, (v - mid) / ((d1 - mid) || 1));
+  };
+
+  for (i = 0; i < cs.length; i++) {
+    var offset = (cs.length > 1) ? i / (cs.length - 1) : 0;
+    var value = (offset <= 0.5) ? d0 + (mid - d0) * offset * 2 : mid + (d1 - mid) * (offset - 0.5) * 2;
+    stops.push({ offset: offset, value: value, color: cs[i] });
+  }
+
+  return {
+    type: type,
+    domain: [d0, d1],
+    midpoint: mid,
+    missingColor: missingColor,
+    stops: stops,
+    color: function (raw) {
+      var v = toNumber(raw);
+      if (v == null) return missingColor;
+      return KorMapChartES5._interpolateStops(cs, position(v));
+    }
+  };
+};
+
+// 'rate' | 'count' | 필드명 | function (name, datum) → function (name, datum) → number | null (숫자 datum은 rate로 봄)
+KorMapChartES5._valueGetter = function (valueOpt) {
+  return function (name, datum) {
+    if (typeof valueOpt === 'function') return KorMapChartES5._toNumber(valueOpt(name, datum));
+    if (typeof datum === 'number') return KorMapChartES5._toNumber(valueOpt === 'rate' ? datum : null);
+    return KorMapChartES5._toNumber(datum && datum[valueOpt]);
+  };
+};
+
+// 아래(y 낮음) 행부터, 각 행은 왼쪽(x 낮음)부터
+KorMapChartES5._BIVARIATE_COLORS = [
+  ['#E8E8E8', '#ACE4E4', '#5AC8C8'],
+  ['#DFB0D6', '#A5ADD3', '#5698B9'],
+  ['#BE64AC', '#8C62AA', '#3B4994']
+];
+KorMapChartES5._FIELD_LABELS = { rate: '비율', count: '건수' };
+
+// bivariate 축 하나: dataMaps 전체 값으로 경계(없으면 분위수)·표시 형식 계산
+KorMapChartES5._bivariateAxis = function (bivOpts, key, n, dataMaps) {
+  var field = bivOpts[key];
+  var get = KorMapChartES5._valueGetter(field);
+  var values = [];
+  var i;
+  for (i = 0; i < dataMaps.length; i++) {
+    var d = dataMaps[i] || {};
+    for (var name in d) {
+      if (!d.hasOwnProperty(name)) continue;
+      var v = get(name, d[name]);
+      if (v != null) values.push(v);
+    }
+  }
+  values.sort(function (a, b) { return a - b; });
+
+  var domain = values.length ? [values[0], values[values.length - 1]] : [0, 1];
+  var breaks = bivOpts.breaks && bivOpts.breaks[key];
+  if (!breaks) {
+    breaks = [];
+    for (i = 1; i < n; i++) {
+      var q = KorMapChartES5._quantile(values, i / n);
+      breaks.push(q != null ? q : domain[0]);
+    }
+  }
+
+  var isRate = true;
+  var bounds = domain.concat(breaks);
+  for (i = 0; i < bounds.length; i++) {
+    if (bounds[i] < 0 || bounds[i] > 1) isRate = false;
+  }
+  var label = bivOpts.labels && bivOpts.labels[key];
+  if (label == null) {
+    label = (typeof field === 'string')
+      ? (KorMapChartES5._FIELD_LABELS.hasOwnProperty(field) ? KorMapChartES5._FIELD_LABELS[field] : field)
+      : key;
+  }
+  var format = bivOpts.formatters && bivOpts.formatters[key];
+  if (!format) {
+    format = isRate
+      ? KorMapChartES5._fmtPct
+      : function (v) { return Number(v).toLocaleString('ko-KR', { maximumFractionDigits: 2 }); };
+  }
+
+  return { get: get, breaks: breaks, domain: domain, label: label, format: format };
+};
+
+// bivariate 스케일 - 두 값(x, y)을 각각 n단계로 나눠 n×n 색상표에서 색을 고름
+// - bivOpts.x / y: 'rate' | 'count' | 필드명 | function (name, datum) → number
+// - 경계: bivOpts.breaks.x / y (오름차순 n-1개), 없으면 dataMaps 전체 값의 분위수
+// - bivOpts.colors[y][x] (기본: 3×3 색상표, 다른 n은 네 모서리 색을 보간)
+// color(datum, name)는 datum 전체를 받음 (_paintRegions의 dataGetter가 datum을 반환)
+KorMapChartES5._makeBivariateScale = function (bivOpts, dataMaps) {
+  dataMaps = dataMaps || [];
+  var n = bivOpts.n != null ? bivOpts.n : (bivOpts.colors ? bivOpts.colors.length : 3);
+  var base = KorMapChartES5._BIVARIATE_COLORS;
+  var colors = bivOpts.colors;
+  var xi;
+  var yi;
+  if (!colors) {
+    if (n === 3) {
+      colors = base;
+    } else {
+      colors = [];
+      for (yi = 0; yi < n; yi++) {
+        var left = KorMapChartES5._lerpColor(base[0][0], base[2][0], yi / (n - 1));
+        var right = KorMapChartES5._lerpColor(base[0][2], base[2][2], yi / (n - 1));
+        var row = [];
+        for (xi = 0; xi < n; xi++) row.push(KorMapChartES5._lerpColor(left, right, xi / (n - 1)));
+        colors.push(row);
+      }
+    }
+  }
+  var missingColor = bivOpts.missingColor != null ? bivOpts.missingColor : '#D7D7D7';
+
+  var x = KorMapChartES5._bivariateAxis(bivOpts, 'x', n, dataMaps);
+  var y = KorMapChartES5._bivariateAxis(bivOpts, 'y', n, dataMaps);
+  var classOf = function (v, breaks) {
+    var c = 0;
+    for (var i = 0; i < breaks.length; i++) {
+      if (v >= breaks[i]) c++;
+    }
+    return c;
+  };
+  var classify = function (datum, name) {
+    var vx = x.get(name, datum);
+    var vy = y.get(name, datum);
+    if (vx == null || vy == null) return null;
+    return [classOf(vx, x.breaks), classOf(vy, y.breaks)];
+  };
 
-  return function (rRaw) {
-    var r = KorMapChartES5._clamp01(rRaw);
-    if (r == null) return fallback;
-    for (var i = 0; i < th.length; i++) {
-      if (r >= th[i]) {
-        var candidate = cs[i];
-        return candidate != null ? candidate : fallback;
+  return {
+    type: 'bivariate',
+    n: n,
+    colors: colors,
+    missingColor: missingColor,
+    x: x,
+    y: y,
+    classify: classify,
+    color: function (datum, name) {
+      var c = classify(datum, name);
+      return c ? colors[c[1]][c[0]] : missingColor;
+    },
+    // 툴팁·aria-label에 쓸 두 값 (예: ['비율 87%', '1인당 건수 3.2'])
+    describe: function (datum, name) {
+      var out = [];
+      var axes = [x, y];
+      for (var i = 0; i < axes.length; i++) {
+        var v = axes[i].get(name, datum);
+        if (v != null) out.push(axes[i].label + ' ' + axes[i].format(v));
       }
+      return out;
     }
-    return fallback;
   };
 };
 
@@ -89,12 +579,36 @@ KorMapChartES5._ensureMount = function (mount) {
   return (typeof mount === 'string') ? document.querySelector(mount) : mount;
 };
 
+KorMapChartES5._extend = function () {
+  var out = {};
+  for (var i = 0; i < arguments.length; i++) {
+    var src = arguments[i];
+    if (!src) continue;
+    for (var k in src) {
+      if (src.hasOwnProperty(k)) out[k] = src[k];
+    }
+  }
+  return out;
+};
+
+KorMapChartES5._removeNode = function (node) {
+  if (node && node.parentNode) node.parentNode.removeChild(node);
+};
+
 KorMapChartES5._computeBBox = function (svg) {
   var paths = svg.querySelectorAll('path');
+  var boxes = [];
+  for (var i = 0; i < paths.length; i++) boxes.push(paths[i].getBBox());
+  return KorMapChartES5._unionBBox(boxes);
+};
+
+// 여러 경계 상자({x, y, width, height})를 합친 영역
+KorMapChartES5._unionBBox = function (boxes) {
   var minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
 
-  for (var i = 0; i < paths.length; i++) {
-    var b = paths[i].getBBox();
+  for (var i = 0; i < boxes.length; i++) {
+    var b = boxes[i];
+    if (!b) continue;
     minX = Math.min(minX, b.x);
     minY = Math.min(minY, b.y);
     maxX = Math.max(maxX, b.x + b.width);
@@ -110,14 +624,72 @@ KorMapChartES5._computeBBox = function (svg) {
   };
 };
 
+// svg 안의 id → { box, d, cache } (라벨/callout 배치용, renderToString은 SVG 문자열에서 같은 형태를 만듦)
+// d와 기준점은 요소의 _kmcGeometry에 저장해 재사용
+KorMapChartES5._domRegions = function (svg) {
+  return function (id) {
+    var el = svg.getElementById(id);
+    if (!el) return null;
+
+    if (!el._kmcGeometry) el._kmcGeometry = { d: KorMapChartES5._elementPathData(el) };
+    return { box: el.getBBox(), d: el._kmcGeometry.d, cache: el._kmcGeometry };
+  };
+};
+
+// ---------- SVG 노드 ----------
+// 라벨·파이·callout·SVG bar는 { tag, attrs, children, text } 노드로 만들고
+// 브라우저에서는 _realize로 DOM 요소를, renderToString에서는 _serialize로 문자열을 만듦
+KorMapChartES5._node = function (tag, attrs, children, text) {
+  return { tag: tag, attrs: attrs || {}, children: children || [], text: (text != null) ? text : null };
+};
+
+// 만든 요소는 node.el에 기록 (전환 애니메이션이 node.tween과 함께 사용)
+KorMapChartES5._realize = function (node) {
+  var el = document.createElementNS('http://www.w3.org/2000/svg', node.tag);
+  node.el = el;
+  for (var k in node.attrs) {
+    if (node.attrs.hasOwnProperty(k) && node.attrs[k] != null) el.setAttribute(k, node.attrs[k]);
+  }
+  if (node.text != null) el.textContent = node.text;
+  for (var i = 0; i < node.children.length; i++) {
+    el.appendChild(KorMapChartES5._realize(node.children[i]));
+  }
+  return el;
+};
+
+KorMapChartES5._escapeXml = function (v) {
+  return String(v).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+};
+
+KorMapChartES5._openTag = function (tag, attrs, selfClose) {
+  var text = '';
+  for (var k in attrs) {
+    if (attrs.hasOwnProperty(k) && attrs[k] != null) text += ' ' + k + '="' + KorMapChartES5._escapeXml(attrs[k]) + '"';
+  }
+  return '<' + tag + text + (selfClose ? '/' : '') + '>';
+};
+
+KorMapChartES5._serialize = function (node) {
+  var inner = (node.text != null) ? KorMapChartES5._escapeXml(node.text) : '';
+  for (var i = 0; i < node.children.length; i++) inner += KorMapChartES5._serialize(node.children[i]);
+  return inner
+    ? KorMapChartES5._openTag(node.tag, node.attrs) + inner + '</' + node.tag + '>'
+    : KorMapChartES5._openTag(node.tag, node.attrs, true);
+};
+
+// 파이(innerRadius > 0이면 도넛) 노드
+// opts.explode: hover 시 조각을 바깥으로 밀어낼 거리 (조각마다 data-kmc-explode="dx,dy"로 기록)
+// opts.center: 도넛 가운데 라벨 { value: 'total' | 조각 index | function (data, total), fontSize, fontWeight, color }
 KorMapChartES5._createPieChart = function (cx, cy, data, opts) {
   opts = opts || {};
   var radius = opts.radius != null ? opts.radius : 20;
   var innerRadius = opts.innerRadius != null ? opts.innerRadius : 0;
   var strokeWidth = opts.strokeWidth != null ? opts.strokeWidth : 1;
   var strokeColor = opts.strokeColor != null ? opts.strokeColor : '#ffffff';
+  var explode = opts.explode || 0;
+  var round = function (v) { return Math.round(v * 100) / 100; };
 
-  var g = document.createElementNS('http://www.w3.org/2000/svg', 'g');
+  var g = KorMapChartES5._node('g');
 
   // 데이터 합계 계산
   var total = 0;
@@ -136,8 +708,6 @@ KorMapChartES5._createPieChart = function (cx, cy, data, opts) {
 
     if (angle === 0) continue;
 
-    var path = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-
     var startAngleRad = (currentAngle * Math.PI) / 180;
     var endAngleRad = ((currentAngle + angle) * Math.PI) / 180;
 
@@ -148,7 +718,10 @@ KorMapChartES5._createPieChart = function (cx, cy, data, opts) {
 
     var d;
 
-    if (innerRadius > 0) {
+    if (angle >= 360) {
+      // 한 조각이 100%면 호의 시작점과 끝점이 같아 그려지지 않으므로 반원 두 개로 원(도넛은 고리)을 그림
+      d = KorMapChartES5._ringPath(cx, cy, radius, innerRadius);
+    } else if (innerRadius > 0) {
       var ix1 = cx + innerRadius * Math.cos(startAngleRad);
       var iy1 = cy + innerRadius * Math.sin(startAngleRad);
       var ix2 = cx + innerRadius * Math.cos(endAngleRad);
@@ -172,514 +745,5177 @@ KorMapChartES5._createPieChart = function (cx, cy, data, opts) {
       ].join(' ');
     }
 
-    path.setAttribute('d', d);
-    path.setAttribute('fill', item.color || '#cccccc');
-    path.setAttribute('stroke', strokeColor);
-    path.setAttribute('stroke-width', strokeWidth);
+    var path = KorMapChartES5._node('path', {
+      d: d,
+      fill: item.color || '#cccccc',
+      stroke: strokeColor,
+      'stroke-width': strokeWidth,
+      'data-kmc-slice': j  // tooltip·조각 이벤트에서 조각 식별
+    });
+    if (explode && angle < 360) {
+      var mid = ((currentAngle + angle / 2) * Math.PI) / 180;
+      path.attrs['data-kmc-explode'] = round(explode * Math.cos(mid)) + ',' + round(explode * Math.sin(mid));
+    }
 
-    if (item.label) {
-      var title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
-      title.textContent = item.label + ': ' + Math.round(percentage * 100) + '%';
-      path.appendChild(title);
+    // tooltip 사용 시에는 브라우저 기본 title 툴팁과 겹치지 않도록 생략
+    if (item.label && opts.title !== false) {
+      path.children.push(KorMapChartES5._node('title', {}, [], item.label + ': ' + Math.round(percentage * 100) + '%'));
     }
 
-    g.appendChild(path);
+    g.children.push(path);
     currentAngle += angle;
   }
 
+  if (opts.center && innerRadius > 0) {
+    var center = opts.center;
+    g.children.push(KorMapChartES5._node('text', {
+      x: cx,
+      y: cy,
+      'text-anchor': 'middle',
+      'dominant-baseline': 'central',
+      'font-size': center.fontSize != null ? center.fontSize : Math.max(8, Math.round(innerRadius * 0.8)),
+      'font-weight': center.fontWeight != null ? center.fontWeight : 600,
+      fill: center.color != null ? center.color : '#111827',
+      'pointer-events': 'none',
+      'data-kmc-pie-center': ''
+    }, [], KorMapChartES5._pieCenterText(center.value, data, total)));
+  }
+
   return g;
 };
 
-KorMapChartES5._placeRegionLabels = function (svg, codeMap, labelOpts, pieChartData) {
-  labelOpts = labelOpts || {};
-  pieChartData = pieChartData || {};
+// 시작·끝 각도가 같은 한 바퀴: 12시에서 반원 두 개, 도넛은 안쪽 원을 반대 방향으로 그려 구멍을 냄
+KorMapChartES5._ringPath = function (cx, cy, r, innerR) {
+  var arc = function (rr, sweep) {
+    return 'M ' + cx + ' ' + (cy - rr) +
+      ' A ' + rr + ' ' + rr + ' 0 1 ' + sweep + ' ' + cx + ' ' + (cy + rr) +
+      ' A ' + rr + ' ' + rr + ' 0 1 ' + sweep + ' ' + cx + ' ' + (cy - rr) + ' Z';
+  };
+  return (innerR > 0) ? arc(r, 1) + ' ' + arc(innerR, 0) : arc(r, 1);
+};
+
+// 도넛 가운데 라벨: 'total'(합계) / 조각 index(그 조각 비율) / 함수
+KorMapChartES5._pieCenterText = function (value, data, total) {
+  if (typeof value === 'function') {
+    var text = value(data, total);
+    return (text != null) ? String(text) : '';
+  }
+  if (typeof value === 'number') return data[value] ? KorMapChartES5._fmtPct((data[value].data || 0) / total) : '';
+  return KorMapChartES5._fmtInt(Math.round(total));
+};
 
-  var layer = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-  svg.appendChild(layer);
+// 파이 조각 정보 (tooltip formatter·조각 이벤트에 전달), 없으면 null
+KorMapChartES5._sliceInfo = function (pieData, index) {
+  var item = pieData && pieData[index];
+  if (!item) return null;
+  var total = 0;
+  for (var i = 0; i < pieData.length; i++) total += (pieData[i].data || 0);
+  return {
+    index: index,
+    label: item.label,
+    value: item.data,
+    color: item.color,
+    percentage: total ? (item.data || 0) / total : 0
+  };
+};
 
-  var minW = labelOpts.minWidth != null ? labelOpts.minWidth : 16;
-  var minH = labelOpts.minHeight != null ? labelOpts.minHeight : 12;
+// labels.pieChart.centerLabel → _createPieChart의 opts.center
+KorMapChartES5._pieCenterOpts = function (centerLabel) {
+  if (centerLabel == null || centerLabel === false) return null;
+  if (typeof centerLabel === 'object') return centerLabel;
+  return { value: (centerLabel === true) ? 'total' : centerLabel };
+};
 
-  for (var name in codeMap) {
-    if (!codeMap.hasOwnProperty(name)) continue;
+// ---------- glyphs ----------
+// 지역 라벨 옆 작은 그림 (opts.glyphs). 파이와 같은 위치 규칙으로 배치하고, 그리는 함수만 type별로 다름
+KorMapChartES5._GLYPH_SIZES = { bars: [30, 20], sparkline: [40, 16], stacked: [40, 8], icon: [16, 16] };
+KorMapChartES5._GLYPH_COLORS = ['#1F48FF', '#79a1ee', '#00085A', '#99d9f2', '#D7D7D7'];
+KorMapChartES5._customGlyphs = {};  // registerGlyph로 등록한 type → { render, width, height }
 
-    var code = codeMap[name];
-    var path = svg.getElementById(code);
-    if (!path) continue;
+/**
+ * glyph type 등록: opts.glyphs의 { type: name }을 render로 그림
+ * @param {string} type - 'bars' | 'sparkline' | 'stacked' | 'icon' 외의 이름
+ * @param {function(glyph, ctx): Object|null} render - ctx: { name, x, y, left, top, width, height, titles, node(tag, attrs, children, text) }
+ *   { tag, attrs, children, text } 형태의 노드(또는 null)를 반환하면 화면과 renderToString에 같이 사용
+ * @param {{ width: number, height: number }} [size] - 기본 크기 (기본 20×20)
+ */
+KorMapChartES5.registerGlyph = function (type, render, size) {
+  size = size || {};
+  if (typeof type !== 'string' || !type) throw new Error('KorMapChartES5.registerGlyph: type은 문자열이어야 합니다.');
+  if (KorMapChartES5._GLYPH_SIZES.hasOwnProperty(type)) {
+    throw new Error('KorMapChartES5.registerGlyph: 내장 type과 같은 이름은 등록할 수 없습니다. ("' + type + '")');
+  }
+  if (typeof render !== 'function') throw new Error('KorMapChartES5.registerGlyph: render는 함수여야 합니다.');
+  KorMapChartES5._customGlyphs[type] = {
+    render: render,
+    width: size.width != null ? size.width : 20,
+    height: size.height != null ? size.height : 20
+  };
+};
 
-    var b = path.getBBox();
-    if (b.width < minW || b.height < minH) continue;
+KorMapChartES5._glyphRenderer = function (type) {
+  if (typeof type === 'function') return type;
+  switch (type) {
+    case 'bars': return KorMapChartES5._barsGlyph;
+    case 'sparkline': return KorMapChartES5._sparklineGlyph;
+    case 'stacked': return KorMapChartES5._stackedGlyph;
+    case 'icon': return KorMapChartES5._iconGlyph;
+    default: return KorMapChartES5._customGlyphs.hasOwnProperty(type) ? KorMapChartES5._customGlyphs[type].render : null;
+  }
+};
 
-    var cx = b.x + b.width / 2;
-    var cy = b.y + b.height / 2;
+// glyph 크기 [w, h]: glyph.width/height → labels.glyphs.width/height → type 기본값에 labels.glyphs.scale을 곱함
+KorMapChartES5._glyphSize = function (glyph, glyphOpts) {
+  glyphOpts = glyphOpts || {};
+  var size = [20, 20];
+  if (KorMapChartES5._GLYPH_SIZES.hasOwnProperty(glyph.type)) size = KorMapChartES5._GLYPH_SIZES[glyph.type];
+  else if (KorMapChartES5._customGlyphs.hasOwnProperty(glyph.type)) {
+    size = [KorMapChartES5._customGlyphs[glyph.type].width, KorMapChartES5._customGlyphs[glyph.type].height];
+  }
+  var s = glyphOpts.scale != null ? glyphOpts.scale : 1;
+  return [
+    (glyph.width != null ? glyph.width : (glyphOpts.width != null ? glyphOpts.width : size[0])) * s,
+    (glyph.height != null ? glyph.height : (glyphOpts.height != null ? glyphOpts.height : size[1])) * s
+  ];
+};
 
-    var off = (labelOpts.offsets && labelOpts.offsets[name]) || [0, 0];
-    cx += off[0];
-    cy += off[1];
+// 사용자 renderer가 돌려준 { tag, attrs, children, text } 객체를 노드로 정리
+KorMapChartES5._asNode = function (obj) {
+  if (!obj || typeof obj !== 'object' || !obj.tag) return null;
+  var children = [];
+  for (var i = 0; i < (obj.children || []).length; i++) {
+    var child = KorMapChartES5._asNode(obj.children[i]);
+    if (child) children.push(child);
+  }
+  return KorMapChartES5._node(obj.tag, KorMapChartES5._extend(obj.attrs || {}, {}), children, obj.text);
+};
 
-    var label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-    label.setAttribute('x', cx);
-    label.setAttribute('y', cy);
-    label.setAttribute('text-anchor', 'middle');
-    label.setAttribute('dominant-baseline', 'central');
-    label.setAttribute('font-size', labelOpts.fontSize != null ? labelOpts.fontSize : 12);
-    label.setAttribute('font-weight', labelOpts.fontWeight != null ? labelOpts.fontWeight : 400);
-    label.setAttribute('fill', labelOpts.color || '#111827');
-    label.setAttribute('style', [
-      'pointer-events:none',
-      'paint-order:stroke',
-      'stroke:#FFFFFF',
-      'stroke-width:' + (labelOpts.strokeWidth != null ? labelOpts.strokeWidth : 2.5) + 'px'
-    ].join(';'));
-    label.textContent = name;
-    layer.appendChild(label);
+// (cx, cy) 중심에 w×h로 glyph를 그린 노드 (요소는 g[data-kmc-glyph][data-kmc-region])
+KorMapChartES5._glyphNode = function (name, glyph, cx, cy, w, h, titles) {
+  var g = KorMapChartES5._node('g', {
+    'data-kmc-glyph': (typeof glyph.type === 'function') ? 'custom' : glyph.type,
+    'data-kmc-region': name  // tooltip에서 지역 식별
+  });
+  if (titles !== false && glyph.title) g.children.push(KorMapChartES5._node('title', {}, [], glyph.title));
 
-    if (pieChartData && pieChartData[name]) {
-      var pieOpts = labelOpts.pieChart || {};
-      var position = (pieOpts.positions && pieOpts.positions[name]) || pieOpts.position || 'right';
-      var gap = pieOpts.gap != null ? pieOpts.gap : 15;
-      var radius = pieOpts.radius != null ? pieOpts.radius : 15;
+  var render = KorMapChartES5._glyphRenderer(glyph.type);
+  var ctx = {
+    name: name, x: cx, y: cy, left: cx - w / 2, top: cy - h / 2, width: w, height: h, titles: titles !== false,
+    node: KorMapChartES5._node
+  };
+  var out = KorMapChartES5._asNode(render ? render(glyph, ctx) : null);
+  if (out) g.children.push(out);
+  return g;
+};
 
-      var pieX = cx;
-      var pieY = cy;
-
-      switch (position) {
-        case 'top':
-          pieY -= (gap + radius);
-          break;
-        case 'bottom':
-          pieY += (gap + radius);
-          break;
-        case 'left':
-          pieX -= (gap + radius);
-          break;
-        case 'right':
-          pieX += (gap + radius);
-          break;
-      }
-
-      var pieOffset = (pieOpts.offsets && pieOpts.offsets[name]) || [0, 0];
-      pieX += pieOffset[0];
-      pieY += pieOffset[1];
-
-      var pie = KorMapChartES5._createPieChart(pieX, pieY, pieChartData[name], {
-        radius: radius,
-        innerRadius: pieOpts.innerRadius != null ? pieOpts.innerRadius : 0,
-        strokeWidth: pieOpts.strokeWidth != null ? pieOpts.strokeWidth : 0.5,
-        strokeColor: pieOpts.strokeColor || '#ffffff'
-      });
+// [숫자 | { label, data, color }] → [{ label, value, color }]
+KorMapChartES5._glyphItems = function (glyph) {
+  var out = [];
+  var data = glyph.data || [];
+  for (var i = 0; i < data.length; i++) {
+    var item = (data[i] != null && typeof data[i] === 'object') ? data[i] : { data: data[i] };
+    out.push({
+      label: item.label,
+      value: KorMapChartES5._toNumber(item.data),
+      color: item.color != null ? item.color : (glyph.colors ? glyph.colors[i] : undefined)
+    });
+  }
+  return out;
+};
 
-      layer.appendChild(pie);
+// 미니 막대 차트: 0 기준선에서 위(음수는 아래)로, domain 기본은 0과 값 범위
+KorMapChartES5._barsGlyph = function (glyph, ctx) {
+  var items = KorMapChartES5._glyphItems(glyph);
+  if (!items.length) return null;
+  var values = [];
+  var i;
+  for (i = 0; i < items.length; i++) values.push(items[i].value != null ? items[i].value : 0);
+  var domain = glyph.domain || [Math.min.apply(null, [0].concat(values)), Math.max.apply(null, [0].concat(values))];
+  var lo = domain[0], hi = domain[1];
+  var y = function (v) {
+    var c = Math.max(lo, Math.min(hi, v));
+    return ctx.top + ctx.height - ((c - lo) / ((hi - lo) || 1)) * ctx.height;
+  };
+  var gap = glyph.gap != null ? glyph.gap : 1;
+  var bw = Math.max(0.5, (ctx.width - gap * (items.length - 1)) / items.length);
+  var base = y(0);
+
+  var g = KorMapChartES5._node('g');
+  for (i = 0; i < items.length; i++) {
+    var vy = y(values[i]);
+    var rect = KorMapChartES5._node('rect', {
+      x: ctx.left + i * (bw + gap), y: Math.min(base, vy), width: bw, height: Math.abs(vy - base),
+      fill: items[i].color != null ? items[i].color : (glyph.color != null ? glyph.color : KorMapChartES5._GLYPH_COLORS[0])
+    });
+    if (ctx.titles && items[i].label != null) {
+      rect.children.push(KorMapChartES5._node('title', {}, [], items[i].label + ': ' + KorMapChartES5._fmtInt(items[i].value)));
     }
+    g.children.push(rect);
   }
+  return g;
 };
 
-KorMapChartES5._paintRegions = function (svg, codeMap, dataGetter, colorForRate) {
-  for (var name in codeMap) {
-    if (!codeMap.hasOwnProperty(name)) continue;
+// 선 그래프: 결측(null)에서 선이 끊기고, 마지막 값에 점 (glyph.dot: false면 생략), glyph.area면 아래를 옅게 채움
+KorMapChartES5._sparklineGlyph = function (glyph, ctx) {
+  var items = KorMapChartES5._glyphItems(glyph);
+  var present = [];
+  var i;
+  for (i = 0; i < items.length; i++) {
+    if (items[i].value != null) present.push(items[i].value);
+  }
+  if (!present.length) return null;
+
+  var color = glyph.color != null ? glyph.color : KorMapChartES5._GLYPH_COLORS[0];
+  var sw = glyph.strokeWidth != null ? glyph.strokeWidth : 1.5;
+  var dotR = (glyph.dot === false) ? 0 : sw + 0.5;
+  var pad = Math.max(sw / 2, dotR);
+  var domain = glyph.domain || [Math.min.apply(null, present), Math.max.apply(null, present)];
+  var lo = domain[0], hi = domain[1];
+  var n = items.length;
+  var x = function (k) {
+    return ctx.left + pad + ((n > 1) ? k * (ctx.width - 2 * pad) / (n - 1) : (ctx.width - 2 * pad) / 2);
+  };
+  var y = function (v) {
+    if (hi === lo) return ctx.top + ctx.height / 2;
+    return ctx.top + pad + (1 - (Math.max(lo, Math.min(hi, v)) - lo) / (hi - lo)) * (ctx.height - 2 * pad);
+  };
 
-    var code = codeMap[name];
-    var path = svg.getElementById(code);
-    if (!path) continue;
+  var line = [];
+  var drawn = [];
+  for (i = 0; i < n; i++) {
+    if (items[i].value == null) continue;
+    var pt = [x(i), y(items[i].value)];
+    line.push(((i && items[i - 1].value != null) ? 'L' : 'M') + pt[0] + ',' + pt[1]);
+    drawn.push(pt);
+  }
 
-    var rate = dataGetter(name);
-    path.style.setProperty('fill', colorForRate(rate), 'important');
+  var g = KorMapChartES5._node('g');
+  if (glyph.area) {
+    var bottom = ctx.top + ctx.height;
+    var area = ['M' + drawn[0][0] + ',' + bottom];
+    for (i = 0; i < drawn.length; i++) area.push('L' + drawn[i][0] + ',' + drawn[i][1]);
+    area.push('L' + drawn[drawn.length - 1][0] + ',' + bottom, 'Z');
+    g.children.push(KorMapChartES5._node('path', { d: area.join(' '), fill: color, 'fill-opacity': 0.2, stroke: 'none' }));
   }
+  g.children.push(KorMapChartES5._node('path', {
+    d: line.join(' '), fill: 'none', stroke: color, 'stroke-width': sw, 'stroke-linejoin': 'round', 'stroke-linecap': 'round'
+  }));
+  if (dotR) {
+    var last = drawn[drawn.length - 1];
+    g.children.push(KorMapChartES5._node('circle', { cx: last[0], cy: last[1], r: dotR, fill: color }));
+  }
+  return g;
 };
 
-KorMapChartES5._buildBars = function (wrap, dataMap, colorForRate, barOpts) {
-  barOpts = barOpts || {};
-  dataMap = dataMap || {};
-
-  var list = document.createElement('div');
-  list.style.display = 'flex';
-  list.style.flexDirection = 'column';
-  list.style.gap = (barOpts.gap != null) ? barOpts.gap + 'px' : '20px';
-  KorMapChartES5._setCss(list, 'padding-top', (barOpts.paddingTop != null) ? barOpts.paddingTop + 'px' : null);
-
-  var entries = [];
-  for (var name in dataMap) {
-    if (!dataMap.hasOwnProperty(name)) continue;
+// 100% 누적 가로 막대: 항목 비율만큼 나눠 칠함 (합계가 0이면 배경만)
+KorMapChartES5._stackedGlyph = function (glyph, ctx) {
+  var items = KorMapChartES5._glyphItems(glyph);
+  var total = 0;
+  var i;
+  for (i = 0; i < items.length; i++) total += Math.max(0, items[i].value || 0);
+
+  var g = KorMapChartES5._node('g');
+  g.children.push(KorMapChartES5._node('rect', {
+    x: ctx.left, y: ctx.top, width: ctx.width, height: ctx.height,
+    fill: glyph.background != null ? glyph.background : '#E5E7EB'
+  }));
+  var x = ctx.left;
+  for (i = 0; i < items.length; i++) {
+    var w = total ? (Math.max(0, items[i].value || 0) / total) * ctx.width : 0;
+    if (!w) continue;
+    var rect = KorMapChartES5._node('rect', {
+      x: x, y: ctx.top, width: w, height: ctx.height,
+      fill: items[i].color != null ? items[i].color : KorMapChartES5._GLYPH_COLORS[i % KorMapChartES5._GLYPH_COLORS.length]
+    });
+    if (ctx.titles && items[i].label != null) {
+      rect.children.push(KorMapChartES5._node('title', {}, [], items[i].label + ': ' + KorMapChartES5._fmtPct(items[i].value / total)));
+    }
+    g.children.push(rect);
+    x += w;
+  }
+  return g;
+};
 
-    var v = dataMap[name];
-    var rate = (typeof v === 'number') ? v : (v && v.rate);
-    entries.push([name, (rate == null ? -Infinity : rate)]);
+// 아이콘: href(이미지) / path(viewBox 크기 기준 path d, 기본 24) / text(글자·이모지) 중 하나
+KorMapChartES5._iconGlyph = function (glyph, ctx) {
+  var color = glyph.color != null ? glyph.color : '#374151';
+  if (glyph.href) {
+    return KorMapChartES5._node('image', {
+      href: glyph.href, x: ctx.left, y: ctx.top, width: ctx.width, height: ctx.height, preserveAspectRatio: 'xMidYMid meet'
+    });
   }
+  if (glyph.path) {
+    var vb = glyph.viewBox != null ? glyph.viewBox : 24;
+    var k = Math.min(ctx.width, ctx.height) / vb;
+    return KorMapChartES5._node('path', {
+      d: glyph.path,
+      fill: color,
+      transform: 'translate(' + (ctx.left + (ctx.width - vb * k) / 2) + ',' + (ctx.top + (ctx.height - vb * k) / 2) + ') scale(' + k + ')'
+    });
+  }
+  if (glyph.text != null) {
+    return KorMapChartES5._node('text', {
+      x: ctx.x, y: ctx.y, 'text-anchor': 'middle', 'dominant-baseline': 'central', 'font-size': ctx.height, fill: color
+    }, [], String(glyph.text));
+  }
+  return null;
+};
 
-  entries.sort(function (a, b) { return b[1] - a[1]; });
+// 라벨 레이어 노드 반환 (요소는 node.el)
+KorMapChartES5._placeRegionLabels = function (svg, codeMap, labelOpts, pieChartData, glyphData, sliceTitles, onDrop) {
+  var node = KorMapChartES5._labelsNode(codeMap, KorMapChartES5._domRegions(svg), labelOpts, pieChartData, glyphData, sliceTitles, onDrop);
+  svg.appendChild(KorMapChartES5._realize(node));
+  return node;
+};
 
-  for (var i = 0; i < entries.length; i++) {
-    var entry = entries[i];
-    var name = entry[0];
-    var rRaw = entry[1];
-    var r = KorMapChartES5._clamp01(rRaw) || 0;
+// 전환 애니메이션: 조각 값을 보간해 다시 그림
+KorMapChartES5._pieTween = function (name, cx, cy, slices, sliceOpts) {
+  var value = [];
+  for (var i = 0; i < slices.length; i++) value.push(slices[i].data || 0);
 
-    var row = document.createElement('div');
-    row.style.display = 'flex';
-    row.style.alignItems = 'center';
-    row.style.gap = (barOpts.rowGap != null) ? barOpts.rowGap + 'px' : '8px';
-    row.style.height = (barOpts.height != null) ? barOpts.height + 'px' : '20px';
+  return {
+    kind: 'pie',
+    name: name,
+    value: value,
+    render: function (values) {
+      var data = [];
+      for (var j = 0; j < slices.length; j++) data.push(KorMapChartES5._extend(slices[j], { data: values[j] }));
+      return KorMapChartES5._createPieChart(cx, cy, data, sliceOpts);
+    }
+  };
+};
 
-    var label = document.createElement('span');
-    label.style.display = 'inline-block';
-    label.style.flexShrink = '0';
-    label.style.width = (barOpts.labelWidth != null) ? barOpts.labelWidth + 'px' : '56px';
-    label.style.fontSize = (barOpts.labelSize != null) ? barOpts.labelSize + 'px' : '12px';
-    label.style.fontWeight = (barOpts.labelWeight != null) ? String(barOpts.labelWeight) : '600';
-    label.style.color = barOpts.labelColor != null ? barOpts.labelColor : '#111827';
-    label.style.textAlign = barOpts.labelAlign != null ? barOpts.labelAlign : 'right';
-    label.textContent = name;
-    row.appendChild(label);
+// 글자 폭 추정 (DOM 없이도 같은 배치가 나오도록 측정 대신 사용): 한글·한자·전각 1em, 공백 0.3em, 그 외 0.6em
+KorMapChartES5._textWidth = function (text, fontSize) {
+  var s = String(text);
+  var em = 0;
+  for (var i = 0; i < s.length; i++) {
+    var c = s.charCodeAt(i);
+    if (c >= 0xD800 && c <= 0xDBFF) { // 서로게이트 쌍은 한 글자
+      em += 0.6;
+      i++;
+      continue;
+    }
+    var wide = (c >= 0x1100 && c <= 0x11FF) || (c >= 0x2E80 && c <= 0xD7A3) || (c >= 0xF900 && c <= 0xFAFF) || (c >= 0xFF00 && c <= 0xFF60);
+    em += wide ? 1 : (c === 32) ? 0.3 : 0.6;
+  }
+  return em * fontSize;
+};
 
-    var bar = document.createElement('div');
-    bar.style.height = '100%';
-    bar.style.borderRadius = (barOpts.rounded != null) ? barOpts.rounded + 'px' : '4px';
-    bar.style.background = colorForRate(r);
-    var bwBase = (barOpts.width != null ? barOpts.width : 100);
-    var bw = (bwBase * r);
-    bar.style.width = bw + 'px';
-    row.appendChild(bar);
+KorMapChartES5._boxesOverlap = function (a, b, pad) {
+  pad = pad || 0;
+  return a.x < b.x + b.w + pad && b.x < a.x + a.w + pad && a.y < b.y + b.h + pad && b.y < a.y + a.h + pad;
+};
 
-    var val = document.createElement('span');
-    val.style.display = 'inline-block';
-    val.style.flexShrink = '0';
-    val.style.fontSize = (barOpts.valueSize != null) ? barOpts.valueSize + 'px' : '12px';
-    val.style.fontWeight = (barOpts.valueWeight != null) ? String(barOpts.valueWeight) : '600';
-    val.style.color = barOpts.valueColor != null ? barOpts.valueColor : '#111827';
-    val.style.textAlign = 'left';
-    val.textContent = KorMapChartES5._fmtPct(r);
-    row.appendChild(val);
+KorMapChartES5._PIE_POSITIONS = ['right', 'bottom', 'left', 'top'];
 
-    list.appendChild(row);
+// 라벨 중심에서 position 방향으로 gap + (그 방향 절반 크기) 떨어진 파이·glyph 중심
+KorMapChartES5._glyphCenter = function (x, y, position, gap, w, h) {
+  switch (position) {
+    case 'top': return [x, y - gap - h / 2];
+    case 'bottom': return [x, y + gap + h / 2];
+    case 'left': return [x - gap - w / 2, y];
+    case 'right': return [x + gap + w / 2, y];
+    default: return [x, y];
+  }
+};
+
+// 라벨을 밀어 볼 위치: 제자리 → step 간격 동심원의 8방향 (위/아래/좌/우 먼저)
+KorMapChartES5._nudgeOffsets = function (step, maxDist) {
+  var dirs = [[0, -1], [0, 1], [1, 0], [-1, 0], [1, -1], [-1, -1], [1, 1], [-1, 1]];
+  var out = [[0, 0]];
+  for (var r = step; r <= maxDist + 1e-9; r += step) {
+    for (var i = 0; i < dirs.length; i++) {
+      var k = (dirs[i][0] && dirs[i][1]) ? r / Math.SQRT2 : r;
+      out.push([dirs[i][0] * k, dirs[i][1] * k]);
+    }
+  }
+  return out;
+};
+
+// 라벨/파이(glyph) 충돌 회피. 큰 지역부터 자리를 잡고, 이미 놓인 라벨·파이와 겹치면
+// 1) 파이 위치를 top/bottom/left/right 중에서 바꿔 보고 (positions로 지정한 지역은 고정)
+// 2) 라벨을 maxNudge 안에서 조금씩 밀고
+// 3) 더 멀리(maxLeader 이내) 옮기면 기준점에서 지시선을 긋고
+// 4) 그래도 자리가 없으면 생략 (placed: false)
+// items: [{ x, y, w, h, area, glyph?: { w, h, gap, offset, positions } }] → 각 item에 lx, ly, position, leader, placed 기록
+KorMapChartES5._layoutLabels = function (items, layoutOpts) {
+  var pad = layoutOpts.padding;
+  var placed = [];
+
+  function fits(boxes) {
+    for (var i = 0; i < boxes.length; i++) {
+      for (var j = 0; j < placed.length; j++) {
+        if (KorMapChartES5._boxesOverlap(boxes[i], placed[j], pad)) return false;
+      }
+    }
+    return true;
+  }
+
+  function place(item) {
+    var maxDist = layoutOpts.leaderLines ? Math.max(layoutOpts.maxNudge, layoutOpts.maxLeader) : layoutOpts.maxNudge;
+    var candidates = KorMapChartES5._nudgeOffsets(item.h / 2, maxDist);
+    var positions = item.glyph ? item.glyph.positions : [null];
+
+    for (var c = 0; c < candidates.length; c++) {
+      var dx = candidates[c][0];
+      var dy = candidates[c][1];
+      var lx = item.x + dx;
+      var ly = item.y + dy;
+      var labelBox = { x: lx - item.w / 2, y: ly - item.h / 2, w: item.w, h: item.h };
+
+      for (var p = 0; p < positions.length; p++) {
+        var boxes = [labelBox];
+        if (positions[p]) {
+          var gl = item.glyph;
+          var gc = KorMapChartES5._glyphCenter(lx, ly, positions[p], gl.gap, gl.w, gl.h);
+          boxes.push({ x: gc[0] + gl.offset[0] - gl.w / 2, y: gc[1] + gl.offset[1] - gl.h / 2, w: gl.w, h: gl.h });
+        }
+        if (!fits(boxes)) continue;
+
+        placed.push.apply(placed, boxes);
+        item.lx = lx;
+        item.ly = ly;
+        item.position = positions[p];
+        item.placed = true;
+        item.leader = Math.sqrt(dx * dx + dy * dy) > layoutOpts.maxNudge;
+        return;
+      }
+    }
+    item.placed = false;
+  }
+
+  var order = items.slice().sort(function (a, b) { return b.area - a.area; });
+  for (var i = 0; i < order.length; i++) place(order[i]);
+};
+
+// getRegion: SVG id → { box, d, cache? } (없으면 null)
+// onDrop(name, reason): 표시하지 못한 라벨 보고 ('size': minWidth/minHeight 미만, 'collision': 자리 없음)
+KorMapChartES5._labelsNode = function (codeMap, getRegion, labelOpts, pieChartData, glyphData, sliceTitles, onDrop) {
+  labelOpts = labelOpts || {};
+  pieChartData = pieChartData || {};
+  glyphData = glyphData || {};
+
+  var layer = KorMapChartES5._node('g');
+  var leaders = KorMapChartES5._node('g');
+  layer.children.push(leaders);
+
+  var minW = labelOpts.minWidth != null ? labelOpts.minWidth : 16;
+  var minH = labelOpts.minHeight != null ? labelOpts.minHeight : 12;
+  var fontSize = labelOpts.fontSize != null ? labelOpts.fontSize : 12;
+  var strokeWidth = labelOpts.strokeWidth != null ? labelOpts.strokeWidth : 2.5;
+  var pieOpts = labelOpts.pieChart || {};
+  var glyphOpts = labelOpts.glyphs || {};
+
+  var items = [];
+  for (var name in codeMap) {
+    if (!codeMap.hasOwnProperty(name)) continue;
+
+    var region = getRegion(codeMap[name]);
+    if (!region) continue;
+
+    var b = region.box;
+    if (b.width < minW || b.height < minH) {
+      if (onDrop) onDrop(name, 'size');
+      continue;
+    }
+
+    // 기본은 내부 극점 (경기처럼 가운데가 비거나 충남처럼 굽은 지역도 지역 안에 표시), offsets는 그 위에 더함
+    var anchor = KorMapChartES5._anchorPoint(region, labelOpts.anchor);
+    var cx = anchor[0];
+    var cy = anchor[1];
+
+    var off = (labelOpts.offsets && labelOpts.offsets[name]) || [0, 0];
+    cx += off[0];
+    cy += off[1];
+
+    var item = {
+      name: name, x: cx, y: cy, lx: cx, ly: cy, placed: true, leader: false,
+      w: KorMapChartES5._textWidth(name, fontSize) + strokeWidth,
+      h: fontSize * 1.2,
+      area: b.width * b.height
+    };
+
+    // 파이(pieChartData)가 있으면 파이, 없으면 glyphs의 glyph (위치 규칙은 labels.pieChart / labels.glyphs)
+    var pie = pieChartData[name];
+    var glyph = pie ? null : glyphData[name];
+    if (pie || glyph) {
+      var placeOpts = pie ? pieOpts : glyphOpts;
+      var fixed = placeOpts.positions && placeOpts.positions[name];
+      var preferred = fixed || placeOpts.position || 'right';
+      var positions = [preferred];
+      if (!fixed) {
+        for (var p = 0; p < KorMapChartES5._PIE_POSITIONS.length; p++) {
+          if (KorMapChartES5._PIE_POSITIONS[p] !== preferred) positions.push(KorMapChartES5._PIE_POSITIONS[p]);
+        }
+      }
+      var radius = pieOpts.radius != null ? pieOpts.radius : 15;
+      var size = pie ? [radius * 2, radius * 2] : KorMapChartES5._glyphSize(glyph, glyphOpts);
+      item.position = preferred;
+      item.glyph = {
+        w: size[0],
+        h: size[1],
+        gap: placeOpts.gap != null ? placeOpts.gap : 15,
+        offset: (placeOpts.offsets && placeOpts.offsets[name]) || [0, 0],
+        positions: positions
+      };
+    }
+    items.push(item);
+  }
+
+  // 기존 차트의 라벨·파이가 옮겨지거나 사라지지 않도록 opt-in (labels.collision: true | {...})
+  var collision = labelOpts.collision != null ? labelOpts.collision : false;
+  var layoutOpts = (typeof collision === 'object') ? collision : {};
+  var leaderColor = layoutOpts.leaderColor || '#6B7280';
+  if (collision) {
+    KorMapChartES5._layoutLabels(items, {
+      padding: layoutOpts.padding != null ? layoutOpts.padding : 2,
+      maxNudge: layoutOpts.maxNudge != null ? layoutOpts.maxNudge : fontSize,
+      leaderLines: layoutOpts.leaderLines != null ? layoutOpts.leaderLines : true,
+      maxLeader: layoutOpts.maxLeader != null ? layoutOpts.maxLeader : fontSize * 5
+    });
+  }
+
+  for (var i = 0; i < items.length; i++) {
+    var it = items[i];
+    if (!it.placed) {
+      if (onDrop) onDrop(it.name, 'collision');
+      continue;
+    }
+
+    if (it.leader) {
+      // 기준점에서 라벨 상자의 가장 가까운 점까지
+      var tx = Math.max(it.lx - it.w / 2, Math.min(it.x, it.lx + it.w / 2));
+      var ty = Math.max(it.ly - it.h / 2, Math.min(it.y, it.ly + it.h / 2));
+      leaders.children.push(KorMapChartES5._node('path', {
+        d: 'M' + it.x + ',' + it.y + ' L' + tx + ',' + ty,
+        fill: 'none',
+        stroke: leaderColor,
+        'stroke-width': layoutOpts.leaderWidth != null ? layoutOpts.leaderWidth : 0.75,
+        'pointer-events': 'none'
+      }));
+      leaders.children.push(KorMapChartES5._node('circle', {
+        cx: it.x, cy: it.y, r: 1.5, fill: leaderColor, 'pointer-events': 'none'
+      }));
+    }
+
+    layer.children.push(KorMapChartES5._node('text', {
+      x: it.lx,
+      y: it.ly,
+      'text-anchor': 'middle',
+      'dominant-baseline': 'central',
+      'font-size': fontSize,
+      'font-weight': labelOpts.fontWeight != null ? labelOpts.fontWeight : 400,
+      fill: labelOpts.color || '#111827',
+      style: [
+        'pointer-events:none',
+        'paint-order:stroke',
+        'stroke:#FFFFFF',
+        'stroke-width:' + strokeWidth + 'px'
+      ].join(';')
+    }, [], it.name));
+
+    if (it.glyph) {
+      var gc = KorMapChartES5._glyphCenter(it.lx, it.ly, it.position, it.glyph.gap, it.glyph.w, it.glyph.h);
+      var px = gc[0] + it.glyph.offset[0];
+      var py = gc[1] + it.glyph.offset[1];
+
+      if (!pieChartData[it.name]) {
+        layer.children.push(KorMapChartES5._glyphNode(it.name, glyphData[it.name], px, py, it.glyph.w, it.glyph.h, sliceTitles));
+        continue;
+      }
+      var sliceOpts = {
+        radius: it.glyph.w / 2,
+        innerRadius: pieOpts.innerRadius != null ? pieOpts.innerRadius : 0,
+        strokeWidth: pieOpts.strokeWidth != null ? pieOpts.strokeWidth : 0.5,
+        strokeColor: pieOpts.strokeColor || '#ffffff',
+        explode: (pieOpts.hover && pieOpts.hover.explode) || 0,
+        center: KorMapChartES5._pieCenterOpts(pieOpts.centerLabel),
+        title: sliceTitles !== false
+      };
+      var pie = KorMapChartES5._createPieChart(px, py, pieChartData[it.name], sliceOpts);
+      pie.attrs['data-kmc-region'] = it.name;
+      pie.tween = KorMapChartES5._pieTween(it.name, px, py, pieChartData[it.name], sliceOpts);
+
+      layer.children.push(pie);
+    }
+  }
+
+  return layer;
+};
+
+KorMapChartES5._paintRegions = function (svg, codeMap, dataGetter, scale) {
+  for (var name in codeMap) {
+    if (!codeMap.hasOwnProperty(name)) continue;
+
+    var code = codeMap[name];
+    var path = svg.getElementById(code);
+    if (!path) continue;
+
+    path.style.setProperty('fill', scale.color(dataGetter(name), name), 'important');
+  }
+};
+
+KorMapChartES5._BAR_SORTS = ['desc', 'asc', 'name', 'none'];
+KorMapChartES5._BAR_VALUES = ['rate', 'count'];
+
+// bar 목록 모델 (HTML bar와 SVG 내보내기가 공유)
+// - 값: barOpts.value ('rate' | 'count' | function (name, datum) → number), 길이는 domain으로 자른 값 × barOpts.width
+//   domain이 0을 포함하면 bar는 0 위치(x)에서 시작 (음수는 왼쪽으로, negative: true)
+// - 정렬: barOpts.sort ('desc' | 'asc' | 'name' | 'none' | 지역명 배열 | function (a, b)), 값 없는 행은 항상 끝
+// - barOpts.limit: 상위 N개만, 나머지는 others 행 하나로 합침 (others: false면 버림)
+// - 값 없는 행은 '-' (missing: 'hide'면 생략), bar 색은 지도 채우기와 같은 scale.color(rate)
+// → { rows: [{ name, x, width, color, text, negative?, missing?, others? }], references: [{ x, label, color, dash, width }], domain: [min, max] }
+KorMapChartES5._barModel = function (dataMap, scale, barOpts) {
+  barOpts = barOpts || {};
+  dataMap = dataMap || {};
+
+  var valueOpt = barOpts.value != null ? barOpts.value : 'rate';
+  var getValue = KorMapChartES5._valueGetter(valueOpt);
+  var getRate = function (datum) {
+    return (typeof datum === 'number') ? datum : (datum && datum.rate);
+  };
+
+  var present = [];
+  var missing = [];
+  for (var name in dataMap) {
+    if (!dataMap.hasOwnProperty(name)) continue;
+
+    var entry = { name: name, datum: dataMap[name], value: getValue(name, dataMap[name]) };
+    if (entry.value != null) present.push(entry);
+    else if (barOpts.missing !== 'hide') missing.push(entry);
+  }
+
+  var sort = barOpts.sort != null ? barOpts.sort : 'desc';
+  if (typeof sort === 'function') {
+    present.sort(sort);
+  } else if (Object.prototype.toString.call(sort) === '[object Array]') {
+    // 배열에 없는 지역은 뒤에 값 내림차순
+    var rank = function (n) {
+      var idx = sort.indexOf(n);
+      return idx < 0 ? Infinity : idx;
+    };
+    present.sort(function (a, b) {
+      var ra = rank(a.name);
+      var rb = rank(b.name);
+      return (ra === rb) ? b.value - a.value : (ra < rb ? -1 : 1);
+    });
+  } else if (sort === 'asc') {
+    present.sort(function (a, b) { return a.value - b.value; });
+  } else if (sort === 'name') {
+    present.sort(function (a, b) { return a.name.localeCompare(b.name, 'ko'); });
+  } else if (sort === 'desc') {
+    present.sort(function (a, b) { return b.value - a.value; });
+  }
+
+  var formatter = barOpts.formatter || function (v) {
+    return (valueOpt === 'rate') ? KorMapChartES5._fmtPct(v) : KorMapChartES5._fmtInt(v);
+  };
+
+  var shown = present;
+  var rest = [];
+  if (barOpts.limit != null && present.length > barOpts.limit) {
+    shown = present.slice(0, barOpts.limit);
+    rest = present.slice(barOpts.limit);
+  }
+
+  var othersOpt = barOpts.others != null ? barOpts.others : true;
+  var o = (typeof othersOpt === 'object') ? othersOpt : {};
+  var others = null;
+  var i;
+  if (rest.length && othersOpt) {
+    var aggregate = o.aggregate != null ? o.aggregate : ((valueOpt === 'rate') ? 'mean' : 'sum');
+    var restValues = [];
+    var restNames = [];
+    var sum = 0;
+    for (i = 0; i < rest.length; i++) {
+      restValues.push(rest[i].value);
+      restNames.push(rest[i].name);
+      sum += rest[i].value;
+    }
+    var othersName = (typeof othersOpt === 'string') ? othersOpt : (o.label != null ? o.label : '기타 (' + rest.length + ')');
+    others = {
+      name: othersName,
+      value: (typeof aggregate === 'function') ? aggregate(restValues, restNames)
+        : (aggregate === 'mean') ? sum / rest.length : sum
+    };
+  }
+
+  // 0과 표시되는 값(others 포함) 범위를 포함하는 구간 (rate는 모든 값이 0–1이면 [0, 1])
+  var values = [0];
+  for (i = 0; i < shown.length; i++) values.push(shown[i].value);
+  if (others) values.push(others.value);
+  var isRate = (valueOpt === 'rate');
+  for (i = 0; i < values.length; i++) {
+    if (!(values[i] >= 0 && values[i] <= 1)) isRate = false;
+  }
+  var domain = barOpts.domain || (isRate
+    ? [0, 1]
+    : [Math.min.apply(null, values), Math.max.apply(null, values)]);
+  var d0 = domain[0];
+  var d1 = domain[1];
+  var full = barOpts.width != null ? barOpts.width : 100;
+  var toX = function (v) {
+    return (d1 === d0) ? 0 : full * (Math.min(d1, Math.max(d0, v)) - d0) / (d1 - d0);
+  };
+  // bar 기준점: domain이 0을 포함하면 0, 아니면 domain 시작
+  var zero = toX(0);
+  var spanRow = function (row, v) {
+    var x = toX(v);
+    if (x < zero) {
+      row.x = x;
+      row.width = zero - x;
+      row.negative = true;
+    } else {
+      row.x = zero;
+      row.width = x - zero;
+    }
+    return row;
+  };
+
+  var rows = [];
+  for (i = 0; i < shown.length; i++) {
+    var e = shown[i];
+    rows.push(spanRow({
+      name: e.name,
+      color: scale.color(KorMapChartES5._toNumber(getRate(e.datum))),
+      text: formatter(e.value, e.name, e.datum)
+    }, e.value));
+  }
+  if (others) {
+    rows.push(spanRow({
+      name: others.name, color: o.color != null ? o.color : '#9CA3AF',
+      text: formatter(others.value, others.name, null), others: true
+    }, others.value));
+  }
+  for (i = 0; i < missing.length; i++) {
+    rows.push({ name: missing[i].name, x: zero, width: 0, color: scale.color(null), text: '-', missing: true });
+  }
+
+  var refOpt = barOpts.reference;
+  var refs = (refOpt == null) ? [] : [].concat(refOpt);
+  var references = [];
+  for (i = 0; i < refs.length; i++) {
+    var ref = (typeof refs[i] === 'number') ? { value: refs[i] } : refs[i];
+    references.push({
+      x: toX(ref.value),
+      label: ref.label != null ? ref.label : null,
+      color: ref.color != null ? ref.color : '#374151',
+      dash: ref.dash != null ? ref.dash : '4 3',
+      width: ref.width != null ? ref.width : 1
+    });
+  }
+
+  return { rows: rows, references: references, domain: [d0, d1] };
+};
+
+// 기준선 라벨이 있으면 목록 아래에 둘 공간 (px)
+KorMapChartES5._barRefLabelSpace = function (references, barOpts) {
+  barOpts = barOpts || {};
+  for (var i = 0; i < references.length; i++) {
+    if (references[i].label != null) return (barOpts.referenceLabelSize != null ? barOpts.referenceLabelSize : 11) + 6;
+  }
+  return 0;
+};
+
+KorMapChartES5._buildBars = function (wrap, dataMap, scale, barOpts) {
+  barOpts = barOpts || {};
+  dataMap = dataMap || {};
+
+  var model = KorMapChartES5._barModel(dataMap, scale, barOpts);
+  var rows = model.rows;
+  var references = model.references;
+  var labelWidth = barOpts.labelWidth != null ? barOpts.labelWidth : 56;
+  var rowGap = barOpts.rowGap != null ? barOpts.rowGap : 8;
+
+  var list = document.createElement('div');
+  list.style.display = 'flex';
+  list.style.flexDirection = 'column';
+  list.style.gap = (barOpts.gap != null) ? barOpts.gap + 'px' : '20px';
+  KorMapChartES5._setCss(list, 'padding-top', (barOpts.paddingTop != null) ? barOpts.paddingTop + 'px' : null);
+
+  for (var i = 0; i < rows.length; i++) {
+    var name = rows[i].name;
+
+    var row = document.createElement('div');
+    if (rows[i].others) row.setAttribute('data-kmc-others', '');
+    else row.setAttribute('data-kmc-region', name);
+    if (rows[i].missing) row.setAttribute('data-kmc-missing', '');
+    if (rows[i].negative) row.setAttribute('data-kmc-negative', '');
+    row.style.display = 'flex';
+    row.style.alignItems = 'center';
+    row.style.gap = rowGap + 'px';
+    row.style.height = (barOpts.height != null) ? barOpts.height + 'px' : '20px';
+
+    var label = document.createElement('span');
+    label.style.display = 'inline-block';
+    label.style.flexShrink = '0';
+    label.style.width = labelWidth + 'px';
+    label.style.fontSize = (barOpts.labelSize != null) ? barOpts.labelSize + 'px' : '12px';
+    label.style.fontWeight = (barOpts.labelWeight != null) ? String(barOpts.labelWeight) : '600';
+    label.style.color = barOpts.labelColor != null ? barOpts.labelColor : '#111827';
+    label.style.textAlign = barOpts.labelAlign != null ? barOpts.labelAlign : 'right';
+    label.textContent = name;
+    row.appendChild(label);
+
+    var bar = document.createElement('div');
+    bar.style.height = '100%';
+    bar.style.borderRadius = (barOpts.rounded != null) ? barOpts.rounded + 'px' : '4px';
+    bar.style.background = rows[i].color;
+    bar.style.width = rows[i].width + 'px';
+    KorMapChartES5._setCss(bar, 'margin-left', rows[i].x ? rows[i].x + 'px' : null);
+    row.appendChild(bar);
+
+    var val = document.createElement('span');
+    val.style.display = 'inline-block';
+    val.style.flexShrink = '0';
+    val.style.fontSize = (barOpts.valueSize != null) ? barOpts.valueSize + 'px' : '12px';
+    val.style.fontWeight = (barOpts.valueWeight != null) ? String(barOpts.valueWeight) : '600';
+    val.style.color = barOpts.valueColor != null ? barOpts.valueColor : '#111827';
+    val.style.textAlign = 'left';
+    val.textContent = rows[i].text;
+    row.appendChild(val);
+
+    list.appendChild(row);
+  }
+
+  // 기준선 (예: 전국 평균): bar 시작점 + 값 위치에 세로선, 라벨은 목록 아래
+  if (references.length) {
+    var labelSpace = KorMapChartES5._barRefLabelSpace(references, barOpts);
+    list.style.position = 'relative';
+    KorMapChartES5._setCss(list, 'padding-bottom', labelSpace ? labelSpace + 'px' : null);
+
+    for (var r = 0; r < references.length; r++) {
+      var ref = references[r];
+      var line = document.createElement('div');
+      line.setAttribute('data-kmc-reference', '');
+      line.style.position = 'absolute';
+      line.style.top = '0';
+      line.style.bottom = labelSpace + 'px';
+      line.style.left = (labelWidth + rowGap + ref.x) + 'px';
+      line.style.width = '0';
+      line.style.borderLeft = ref.width + 'px ' + (ref.dash ? 'dashed' : 'solid') + ' ' + ref.color;
+      line.style.pointerEvents = 'none';
+      list.appendChild(line);
+
+      if (ref.label != null) {
+        var refLabel = document.createElement('span');
+        refLabel.style.position = 'absolute';
+        refLabel.style.bottom = '0';
+        refLabel.style.left = (labelWidth + rowGap + ref.x) + 'px';
+        refLabel.style.transform = 'translateX(-50%)';
+        refLabel.style.whiteSpace = 'nowrap';
+        refLabel.style.fontSize = (barOpts.referenceLabelSize != null ? barOpts.referenceLabelSize : 11) + 'px';
+        refLabel.style.color = ref.color;
+        refLabel.style.pointerEvents = 'none';
+        refLabel.textContent = ref.label;
+        list.appendChild(refLabel);
+      }
+    }
   }
 
   wrap.appendChild(list);
+  return list;
 };
 
+// callout 노드 반환 (요소는 node.el)
 KorMapChartES5._buildCallouts = function (svg, codeMap, dataMap, bbox, calloutOpts) {
+  var built = KorMapChartES5._calloutsNode(codeMap, KorMapChartES5._domRegions(svg), dataMap, bbox, svg.getAttribute('viewBox'), calloutOpts);
+  svg.setAttribute('viewBox', built.viewBox);
+
+  svg.appendChild(KorMapChartES5._realize(built.node));
+  return built.node;
+};
+
+// callout 텍스트 (건수 c)
+KorMapChartES5._calloutFormatter = function (name, calloutOpts) {
+  return function (c) {
+    return calloutOpts.formatter
+      ? calloutOpts.formatter(name, c)
+      : name + ' : ' + KorMapChartES5._fmtInt(c);
+  };
+};
+
+// 한 쪽 callout 라벨의 y 배치. targets는 정렬된 희망 y, 간격 gap 이상을 유지하며 [lo, hi] 안에 쌓는다.
+// 겹치는 라벨끼리 묶어 묶음 희망 y의 평균에 가운데 맞추므로 순서가 유지되고 (지시선이 교차하지 않음)
+// 이동 거리가 한쪽으로 쏠리지 않음. 공간이 모자라면 [lo, hi]를 균등 분할.
+// fixed(bypass 라벨의 y)는 움직이지 않는 라벨로 보고, 그 위아래 gap 안에는 라벨을 두지 않음.
+KorMapChartES5._stackCallouts = function (targets, gap, lo, hi, fixed) {
+  var stops = (fixed || []).slice().sort(function (a, b) { return a - b; });
+  var i, j;
+
+  // fixed 사이의 빈 구간과 각 구간에 들어가는 라벨 수
+  var open = [];
+  var from = lo;
+  for (i = 0; i < stops.length; i++) {
+    open.push([from, Math.min(stops[i] - gap, hi)]);
+    from = Math.max(from, stops[i] + gap);
+  }
+  open.push([from, hi]);
+  var ranges = [];
+  var room = [];
+  var total = 0;
+  for (i = 0; i < open.length; i++) {
+    if (open[i][1] < open[i][0]) continue;
+    ranges.push(open[i]);
+    room.push(Math.floor((open[i][1] - open[i][0]) / gap) + 1);
+    total += room[room.length - 1];
+  }
+  // 다 못 넣으면 fixed를 무시하고 균등 분할
+  if (total < targets.length) return KorMapChartES5._stackRange(targets, gap, lo, hi);
+
+  // 희망 y에서 가장 가까운 구간에 넣고, 넘치는 라벨은 순서를 지키며 이웃 구간으로 밀어냄
+  var dist = function (t, r) { return Math.max(r[0] - t, t - r[1], 0); };
+  var slot = [];
+  for (j = 0; j < targets.length; j++) {
+    var best = 0;
+    for (i = 1; i < ranges.length; i++) {
+      if (dist(targets[j], ranges[i]) < dist(targets[j], ranges[best])) best = i;
+    }
+    slot.push(best);
+  }
+  var overflow = function (idx) {
+    var count = 0;
+    for (var k = 0; k < slot.length; k++) {
+      if (slot[k] === idx) count++;
+    }
+    return count - room[idx];
+  };
+  var over;
+  for (i = 0; i < ranges.length - 1; i++) {
+    for (j = slot.length - 1, over = overflow(i); over > 0; j--) {
+      if (slot[j] === i) { slot[j] = i + 1; over--; }
+    }
+  }
+  for (i = ranges.length - 1; i > 0; i--) {
+    for (j = 0, over = overflow(i); over > 0; j++) {
+      if (slot[j] === i) { slot[j] = i - 1; over--; }
+    }
+  }
+
+  var out = [];
+  for (i = 0; i < ranges.length; i++) {
+    var part = [];
+    for (j = 0; j < targets.length; j++) {
+      if (slot[j] === i) part.push(targets[j]);
+    }
+    out = out.concat(KorMapChartES5._stackRange(part, gap, ranges[i][0], ranges[i][1]));
+  }
+  return out;
+};
+
+// _stackCallouts의 한 구간 배치 (targets는 정렬된 희망 y)
+KorMapChartES5._stackRange = function (targets, gap, lo, hi) {
+  var n = targets.length;
+  var out = [];
+  var i;
+  if (!n) return out;
+  if ((n - 1) * gap > hi - lo) {
+    for (i = 0; i < n; i++) out.push((n === 1) ? (lo + hi) / 2 : lo + (hi - lo) * i / (n - 1));
+    return out;
+  }
+
+  function clamp(c) {
+    var mean = c.sum / c.count;
+    c.top = Math.min(Math.max(mean - (c.count - 1) * gap / 2, lo), hi - (c.count - 1) * gap);
+  }
+
+  var clusters = [];
+  for (i = 0; i < n; i++) {
+    var c = { sum: targets[i], count: 1 };
+    clamp(c);
+    clusters.push(c);
+    while (clusters.length > 1) {
+      var last = clusters[clusters.length - 1];
+      var prev = clusters[clusters.length - 2];
+      if (prev.top + prev.count * gap <= last.top) break;
+      prev.sum += last.sum;
+      prev.count += last.count;
+      clamp(prev);
+      clusters.pop();
+    }
+  }
+
+  for (i = 0; i < clusters.length; i++) {
+    for (var k = 0; k < clusters[i].count; k++) out.push(clusters[i].top + k * gap);
+  }
+  return out;
+};
+
+// callout 노드와 좌우 여백을 더한 viewBox 문자열 (vbStr이 없으면 지도 bbox 기준)
+// callouts.stack이면 라벨을 좌/우 별로 정렬해 minGap 간격으로 쌓고 꺾인 지시선으로 연결 (아니면 지역 높이 그대로)
+// bypass 지역은 수동 경로 그대로 cy + dy 높이에 두고, 자동 라벨이 그 높이를 피해 쌓임
+KorMapChartES5._calloutsNode = function (codeMap, getRegion, dataMap, bbox, vbStr, calloutOpts) {
   calloutOpts = calloutOpts || {};
   dataMap = dataMap || {};
 
-  var vbStr = svg.getAttribute('viewBox');
-  var vx, vy, vw, vh;
-  if (vbStr) {
-    var vbParts = vbStr.split(/\s+/).map(Number);
-    vx = vbParts[0]; vy = vbParts[1]; vw = vbParts[2]; vh = vbParts[3];
-  } else {
-    vx = bbox.x; vy = bbox.y; vw = bbox.w; vh = bbox.h;
-    svg.setAttribute('viewBox', vx + ' ' + vy + ' ' + vw + ' ' + vh);
+  var vx, vy, vw, vh;
+  if (vbStr) {
+    var vbParts = vbStr.replace(/^\s+|\s+$/g, '').split(/[\s,]+/).map(Number);
+    vx = vbParts[0]; vy = vbParts[1]; vw = vbParts[2]; vh = vbParts[3];
+  } else {
+    vx = bbox.x; vy = bbox.y; vw = bbox.w; vh = bbox.h;
+  }
+
+  var pad = (calloutOpts.padding || 0);
+  var extra = (calloutOpts.margin || 0);
+  var padding = pad + extra;
+
+  var viewBox = (vx - padding) + ' ' + vy + ' ' + (vw + (padding * 2)) + ' ' + vh;
+
+  var leftX = bbox.x - pad;
+  var rightX = bbox.x + bbox.w + pad;
+  var textSize = calloutOpts.textSize != null ? calloutOpts.textSize : 12;
+
+  var items = [];
+  for (var name in codeMap) {
+    if (!codeMap.hasOwnProperty(name)) continue;
+
+    var region = getRegion(codeMap[name]);
+    if (!region) continue;
+
+    var anchor = KorMapChartES5._anchorPoint(region, calloutOpts.anchor);
+    var cx = anchor[0];
+    var cy = anchor[1];
+
+    var off = (calloutOpts.offsets && calloutOpts.offsets[name]) || [0, 0];
+    cx += off[0];
+    cy += off[1];
+
+    var bypass = (calloutOpts.bypass && calloutOpts.bypass[name]) || null;
+    items.push({ name: name, cx: cx, cy: cy, leftSide: cx < bbox.cx, bypass: bypass, ly: cy + (bypass && bypass[1] || 0) });
+  }
+
+  // 자동 배치: bypass 라벨은 움직이지 않고 자동 라벨과 겹치지 않도록 장애물로만 넘김
+  if (calloutOpts.stack) {
+    var gap = calloutOpts.minGap != null ? calloutOpts.minGap : textSize + 4;
+    var sides = [true, false];
+    for (var s = 0; s < sides.length; s++) {
+      var side = [];
+      var fixed = [];
+      for (var j = 0; j < items.length; j++) {
+        if (items[j].leftSide !== sides[s]) continue;
+        if (items[j].bypass) fixed.push(items[j].ly);
+        else side.push(items[j]);
+      }
+      side.sort(function (a, b) { return a.cy - b.cy; });
+      var ys = KorMapChartES5._stackCallouts(side.map(function (it) { return it.cy; }), gap, vy + textSize / 2, vy + vh - textSize / 2, fixed);
+      for (j = 0; j < side.length; j++) {
+        side[j].ly = ys[j];
+        side[j].stacked = true;
+      }
+    }
+  }
+
+  var group = KorMapChartES5._node('g');
+
+  for (var i = 0; i < items.length; i++) {
+    var it = items[i];
+    var endX = it.leftSide ? leftX : rightX;
+    var textDx = (calloutOpts.textOffset || 0) * (it.leftSide ? -1 : +1);
+
+    var d;
+    if (it.stacked) {
+      // 핀 → 지도 가장자리까지 수평 → 라벨 열과의 중간에서 라벨 높이로 꺾임 → 라벨 (순서가 같으므로 서로 교차하지 않음)
+      var edgeX = it.leftSide ? Math.min(bbox.x, it.cx) : Math.max(bbox.x + bbox.w, it.cx);
+      var elbowX = (edgeX + endX) / 2;
+      d = 'M' + it.cx + ',' + it.cy + ' L' + edgeX + ',' + it.cy + ' L' + elbowX + ',' + it.ly + ' L' + (endX + textDx) + ',' + it.ly;
+    } else {
+      var bend = it.bypass ? ('L' + (it.cx + it.bypass[0]) + ',' + (it.cy + it.bypass[1])) : '';
+      d = 'M' + it.cx + ',' + it.cy + ' L' + it.cx + ',' + it.cy + ' ' + bend + ' L' + (endX + textDx) + ',' + it.ly;
+    }
+    group.children.push(KorMapChartES5._node('path', {
+      d: d,
+      fill: 'none',
+      stroke: calloutOpts.lineColor != null ? calloutOpts.lineColor : '#9CA3AF',
+      'stroke-width': calloutOpts.lineWidth != null ? calloutOpts.lineWidth : 1,
+      'stroke-dasharray': calloutOpts.lineDash != null ? calloutOpts.lineDash : '0'
+    }));
+
+    group.children.push(KorMapChartES5._node('circle', {
+      cx: it.cx,
+      cy: it.cy,
+      r: calloutOpts.pinSize != null ? calloutOpts.pinSize : '2',
+      fill: calloutOpts.pinColor != null ? calloutOpts.pinColor : '#1B4EFF'
+    }));
+
+    var dv = dataMap && dataMap[it.name];
+    var count = (typeof dv === 'number') ? null : (dv && dv.count);
+    var format = KorMapChartES5._calloutFormatter(it.name, calloutOpts);
+
+    var label = KorMapChartES5._node('text', {
+      x: endX,
+      y: it.ly,
+      'text-anchor': it.leftSide ? 'end' : 'start',
+      'dominant-baseline': 'middle',
+      'font-size': textSize,
+      'font-weight': calloutOpts.textWeight != null ? calloutOpts.textWeight : 400,
+      fill: calloutOpts.textColor != null ? calloutOpts.textColor : '#6B7280'
+    }, [], format(count));
+    // 전환 애니메이션: 건수를 세어 올라감
+    if (typeof count === 'number' && isFinite(count)) label.tween = { kind: 'count', name: it.name, value: count, render: format };
+    group.children.push(label);
+  }
+
+  return { node: group, viewBox: viewBox };
+};
+
+KorMapChartES5._defaultTooltip = function (name, datum, pieData, slice, fmtRate, labels, axes) {
+  labels = labels || {};
+
+  var box = document.createElement('div');
+  var line = function (text, bold) {
+    var row = document.createElement('div');
+    if (bold) row.style.fontWeight = '600';
+    row.textContent = text;
+    box.appendChild(row);
+  };
+
+  if (slice) {
+    line(slice.label ? name + ' · ' + slice.label : name, true);
+    line(KorMapChartES5._fmtInt(slice.value) + ' (' + KorMapChartES5._fmtPct(slice.percentage) + ')');
+    return box;
+  }
+
+  line(name, true);
+  if (axes) {
+    // bivariate: 분류에 쓴 두 값
+    for (var a = 0; a < axes.length; a++) line(axes[a]);
+  } else {
+    var rate = (typeof datum === 'number') ? datum : (datum && datum.rate);
+    var count = (typeof datum === 'number') ? null : (datum && datum.count);
+    if (rate != null) line((labels.rate != null ? labels.rate : '비율') + ' ' + fmtRate(rate));
+    if (count != null) line((labels.count != null ? labels.count : '건수') + ' ' + KorMapChartES5._fmtInt(count));
+  }
+
+  var items = pieData || [];
+  var total = 0;
+  var i;
+  for (i = 0; i < items.length; i++) total += (items[i].data || 0);
+  for (i = 0; i < items.length; i++) {
+    var pct = total ? KorMapChartES5._fmtPct((items[i].data || 0) / total) : '-';
+    line((items[i].label != null ? items[i].label : '') + ' ' + KorMapChartES5._fmtInt(items[i].data) + ' (' + pct + ')');
+  }
+
+  return box;
+};
+
+// mount 기준으로 포인터를 따라다니는 HTML 툴팁 (지역 path / 파이 조각 / bar 행)
+KorMapChartES5._bindTooltip = function (el, codeMap, tooltipOpts, getDatum, getPieData, getScale) {
+  var formatter = tooltipOpts.formatter;
+  var offset = tooltipOpts.offset || [12, 12];
+  var ox = offset[0];
+  var oy = offset[1];
+
+  var codeToName = {};
+  for (var regionName in codeMap) {
+    if (codeMap.hasOwnProperty(regionName)) codeToName[codeMap[regionName]] = regionName;
+  }
+
+  var tip = document.createElement('div');
+  tip.className = tooltipOpts.className != null ? tooltipOpts.className : 'kor-map-chart-tooltip';
+  tip.style.position = 'absolute';
+  tip.style.zIndex = '2';
+  tip.style.pointerEvents = 'none';
+  tip.style.display = 'none';
+  tip.style.maxWidth = (tooltipOpts.maxWidth != null) ? tooltipOpts.maxWidth + 'px' : '240px';
+  tip.style.padding = '6px 8px';
+  tip.style.borderRadius = '4px';
+  tip.style.whiteSpace = 'pre-line';
+  tip.style.lineHeight = '1.5';
+  tip.style.fontSize = (tooltipOpts.fontSize != null) ? tooltipOpts.fontSize + 'px' : '12px';
+  tip.style.color = tooltipOpts.color != null ? tooltipOpts.color : '#FFFFFF';
+  tip.style.background = tooltipOpts.background != null ? tooltipOpts.background : 'rgba(17,24,39,0.9)';
+  var extraStyle = tooltipOpts.style || {};
+  for (var prop in extraStyle) {
+    if (extraStyle.hasOwnProperty(prop)) tip.style[prop] = extraStyle[prop];
+  }
+  el.appendChild(tip);
+
+  // 이벤트 대상에서 위로 올라가며 지역명과 파이 조각 index를 찾음
+  var resolve = function (target) {
+    var sliceIndex = null;
+    for (var node = target; node && node !== el && node.getAttribute; node = node.parentNode) {
+      if (sliceIndex == null && node.hasAttribute('data-kmc-slice')) {
+        sliceIndex = Number(node.getAttribute('data-kmc-slice'));
+      }
+      var name = node.getAttribute('data-kmc-region');
+      if (name == null && node.id && codeToName.hasOwnProperty(node.id)) name = codeToName[node.id];
+      if (name != null) return { name: name, sliceIndex: sliceIndex };
+    }
+    return null;
+  };
+
+  var currentKey = null;
+
+  var hide = function () {
+    currentKey = null;
+    tip.style.display = 'none';
+  };
+
+  var render = function (hit) {
+    var datum = getDatum(hit.name);
+    var pieData = getPieData(hit.name);
+    var slice = (hit.sliceIndex != null) ? KorMapChartES5._sliceInfo(pieData, hit.sliceIndex) : null;
+
+    var content = formatter
+      ? formatter(hit.name, datum, pieData, slice)
+      : KorMapChartES5._defaultTooltip(hit.name, datum, pieData, slice,
+        KorMapChartES5._legendFormatter(getScale()), tooltipOpts.labels,
+        getScale().describe ? getScale().describe(datum, hit.name) : null);
+
+    tip.textContent = '';
+    if (content == null || content === '') return false;
+    if (typeof content === 'string') tip.textContent = content;
+    else tip.appendChild(content);
+    return true;
+  };
+
+  // 포인터 오른쪽/아래에 두되 넘치면 반대편으로 뒤집고, 그래도 넘치면 mount 안으로 고정
+  var place = function (e) {
+    var rect = el.getBoundingClientRect();
+    var px = e.clientX - rect.left - el.clientLeft;
+    var py = e.clientY - rect.top - el.clientTop;
+    var maxX = el.clientWidth - tip.offsetWidth;
+    var maxY = el.clientHeight - tip.offsetHeight;
+
+    var x = px + ox;
+    var y = py + oy;
+    if (x > maxX) x = px - ox - tip.offsetWidth;
+    if (y > maxY) y = py - oy - tip.offsetHeight;
+
+    tip.style.left = Math.max(0, Math.min(x, maxX)) + 'px';
+    tip.style.top = Math.max(0, Math.min(y, maxY)) + 'px';
+  };
+
+  var onMove = function (e) {
+    var hit = resolve(e.target);
+    if (!hit) { hide(); return; }
+
+    var key = hit.name + '|' + hit.sliceIndex;
+    if (key !== currentKey) {
+      currentKey = key;
+      if (!render(hit)) { tip.style.display = 'none'; return; }
+      tip.style.display = 'block';
+    }
+    if (tip.style.display !== 'none') place(e);
+  };
+
+  el.addEventListener('mousemove', onMove);
+  el.addEventListener('mouseleave', hide);
+
+  return function () {
+    el.removeEventListener('mousemove', onMove);
+    el.removeEventListener('mouseleave', hide);
+    KorMapChartES5._removeNode(tip);
+  };
+};
+
+KorMapChartES5._createShadowFilter = function (svg, shadowOpts) {
+  shadowOpts = shadowOpts || {};
+
+  var defs = svg.querySelector('defs');
+  if (!defs) {
+    defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
+    var firstChild = svg.firstChild;
+    if (firstChild) svg.insertBefore(defs, firstChild);
+    else svg.appendChild(defs);
+  }
+
+  var filterId = 'drop-shadow-' + Math.random().toString(36).substr(2, 9);
+
+  var filter = document.createElementNS('http://www.w3.org/2000/svg', 'filter');
+  filter.setAttribute('id', filterId);
+  filter.setAttribute('x', '-50%');
+  filter.setAttribute('y', '-50%');
+  filter.setAttribute('width', '200%');
+  filter.setAttribute('height', '200%');
+
+  var feDropShadow = document.createElementNS('http://www.w3.org/2000/svg', 'feDropShadow');
+  feDropShadow.setAttribute('dx', String(shadowOpts.dx != null ? shadowOpts.dx : 0));
+  feDropShadow.setAttribute('dy', String(shadowOpts.dy != null ? shadowOpts.dy : 6));
+  feDropShadow.setAttribute('stdDeviation', String(shadowOpts.blur != null ? shadowOpts.blur : 4));
+  feDropShadow.setAttribute('flood-color', shadowOpts.color != null ? shadowOpts.color : '#000000');
+  feDropShadow.setAttribute('flood-opacity', String(shadowOpts.opacity != null ? shadowOpts.opacity : 0.3));
+
+  filter.appendChild(feDropShadow);
+  defs.appendChild(filter);
+
+  return filterId;
+};
+
+// 포커스된 요소를 DOM에서 옮기면 포커스가 풀리므로, 그 경우 뒤따르는 형제들을 앞으로 옮겨 같은 z-순서를 만듦
+KorMapChartES5._raise = function (node) {
+  var parent = node && node.parentNode;
+  if (!parent) return;
+  if (node !== document.activeElement) {
+    parent.appendChild(node);
+  } else {
+    while (node.nextSibling) parent.insertBefore(node.nextSibling, node);
+  }
+};
+
+KorMapChartES5._ARROW_KEYS = {
+  ArrowRight: [1, 0],
+  ArrowLeft: [-1, 0],
+  ArrowDown: [0, 1],
+  ArrowUp: [0, -1]
+};
+
+// 방향키 이동: 진행 방향 앞쪽에 있는 지역 중 (진행 거리 + 2 × 옆 거리)가 가장 작은 지역
+KorMapChartES5._nearestRegion = function (from, paths, dir) {
+  var center = function (p) {
+    var b = p.getBBox();
+    return [b.x + b.width / 2, b.y + b.height / 2];
+  };
+  var f = center(from);
+
+  var best = null;
+  var bestScore = Infinity;
+  for (var i = 0; i < paths.length; i++) {
+    if (paths[i] === from) continue;
+    var c = center(paths[i]);
+    var along = (c[0] - f[0]) * dir[0] + (c[1] - f[1]) * dir[1];
+    if (along <= 0) continue;
+    var across = Math.abs((c[0] - f[0]) * dir[1]) + Math.abs((c[1] - f[1]) * dir[0]);
+    var score = along + across * 2;
+    if (score < bestScore) {
+      bestScore = score;
+      best = paths[i];
+    }
+  }
+  return best;
+};
+
+KorMapChartES5._SELECTION_MODES = ['single', 'multi'];
+
+// opts.selection 정규화: 'single' | 'multi' | { mode, selectedStyle, dimUnselected } → { mode|null, ... }
+// ES5 버전은 이전 동작 호환을 위해 지정하지 않으면 'single' (false로 끔)
+KorMapChartES5._selectionOpts = function (opts) {
+  var sel = opts && opts.selection;
+  if (sel === undefined) return { mode: 'single' };
+  if (!sel) return { mode: null };
+  if (typeof sel === 'string') return { mode: sel };
+  return KorMapChartES5._extend(sel, { mode: sel.mode != null ? sel.mode : 'single' });
+};
+
+/**
+ * 지역 path의 hover/focus/선택 이벤트를 연결
+ * 스타일은 [원래 스타일] → [선택 또는 흐림] → [hover/focus] 순서로 매번 다시 계산하므로
+ * mouseleave 후에도 선택 스타일이 유지됨
+ * @returns {{ unbind: Function, refresh: Function, repaint: Function }}
+ *   refresh: 선택이 바뀐 뒤 스타일 재계산 / repaint: _paintRegions로 fill이 바뀐 뒤 원래 fill 갱신
+ */
+KorMapChartES5._bindRegionEvents = function (svg, codeMap, opts, getDatum, selection, getPieData) {
+  opts = opts || {};
+  var ev = opts.events || {};
+  var hoverStyle = ev.hoverStyle || { opacity: 0.8, cursor: 'pointer' };
+  var regionHoverStyles = ev.regionHoverStyles || {};
+  var shadow = ev.shadow;
+  var innerCities = opts.innerCities || [];
+  var keyboard = opts.a11y !== false && !(opts.a11y && opts.a11y.keyboard === false);
+
+  var selOpts = KorMapChartES5._selectionOpts(opts);
+  var dimOpacity = (typeof selOpts.dimUnselected === 'number') ? selOpts.dimUnselected : 0.35;
+  var hoverLook = function (name) { return regionHoverStyles[name] || hoverStyle; };
+  // selectedStyle이 없으면 선택된 지역은 hover와 같은 모양(그림자 포함)
+  var selectedLook = function (name) { return selOpts.selectedStyle || hoverLook(name); };
+
+  var shadowFilterId = null;
+  if (shadow) {
+    var shadowOpts = (typeof shadow === 'object') ? shadow : {};
+    shadowFilterId = KorMapChartES5._createShadowFilter(svg, shadowOpts);
+  }
+
+  // 해제 시 정리할 리스너 목록
+  var listeners = [];
+  var on = function (target, type, fn) {
+    target.addEventListener(type, fn);
+    listeners.push([target, type, fn]);
+  };
+
+  var apply = function (el, styleObj) {
+    for (var k in styleObj) {
+      if (!styleObj.hasOwnProperty(k)) continue;
+
+      var v = styleObj[k];
+      if (v == null) {
+        el.style.removeProperty(k);
+      } else {
+        var prop = k.replace(/[A-Z]/g, function (m) { return '-' + m.toLowerCase(); });
+        if (prop === 'fill') {
+          el.style.setProperty(prop, String(v), 'important');
+        } else {
+          el.style.setProperty(prop, String(v));
+        }
+      }
+    }
+  };
+
+  var restore = function (path, orig) {
+    apply(path, orig);
+
+    if (orig.fill !== undefined) {
+      path.style.setProperty('fill', orig.fill || '', 'important');
+    }
+
+    if (shadow) {
+      path.style.filter = orig.filter || '';
+    }
+  };
+
+  // 꾸밈 스타일이 건드리는 속성 (원래 값 저장/복원 대상)
+  var keys = ['stroke', 'strokeWidth', 'opacity', 'cursor', 'filter', 'fill'];
+  var addKeys = function (style) {
+    for (var k in style) {
+      if (style.hasOwnProperty(k) && keys.indexOf(k) === -1) keys.push(k);
+    }
+  };
+  addKeys(hoverStyle);
+  addKeys(selOpts.selectedStyle || {});
+  for (var styledName in regionHoverStyles) {
+    if (regionHoverStyles.hasOwnProperty(styledName)) addKeys(regionHoverStyles[styledName]);
+  }
+
+  // 지역 목록 (키보드 이동 순서는 codeMap 순서, hover로 DOM 순서가 바뀌어도 일정)
+  // 지역별 상태: orig(꾸밈 전 원래 스타일), sources(강조 중인 이유: 'mouse' | 'focus')
+  var regions = [];
+  var paths = [];
+  for (var regionName in codeMap) {
+    if (!codeMap.hasOwnProperty(regionName)) continue;
+    var regionPath = svg.getElementById(codeMap[regionName]);
+    if (!regionPath) continue;
+    regions.push({ name: regionName, path: regionPath, orig: null, sources: [] });
+    paths.push(regionPath);
+  }
+
+  // 내륙 도시들을 항상 최상위에 유지 (bubbles 원은 그보다 위)
+  var raiseInnerCities = function (except) {
+    for (var i = 0; i < regions.length; i++) {
+      if (innerCities.indexOf(regions[i].name) !== -1 && regions[i].name !== except) {
+        KorMapChartES5._raise(regions[i].path);
+      }
+    }
+    var bubbleLayers = svg.querySelectorAll('[data-kmc-bubbles]');
+    for (var b = 0; b < bubbleLayers.length; b++) KorMapChartES5._raise(bubbleLayers[b]);
+  };
+
+  var refreshRegion = function (region) {
+    var p = region.path;
+    var selected = selection.has(region.name);
+    var lit = region.sources.length > 0;
+    var layers = [];
+    if (selected) layers.push(selectedLook(region.name));
+    else if (selOpts.dimUnselected && selection.size()) layers.push({ opacity: dimOpacity });
+    if (lit) layers.push(hoverLook(region.name));
+
+    if (!layers.length) {
+      if (region.orig) restore(p, region.orig);
+      region.orig = null;
+      return;
+    }
+
+    // setData()로 fill이 바뀔 수 있으므로 처음 꾸미기 직전 스타일을 저장
+    if (!region.orig) {
+      region.orig = {};
+      for (var k = 0; k < keys.length; k++) region.orig[keys[k]] = p.style[keys[k]];
+    }
+
+    restore(p, region.orig);
+    for (var i = 0; i < layers.length; i++) apply(p, layers[i]);
+
+    if (shadowFilterId && (lit || (selected && !selOpts.selectedStyle))) {
+      p.style.filter = 'url(#' + shadowFilterId + ')';
+    }
+  };
+
+  var refresh = function () {
+    for (var i = 0; i < regions.length; i++) {
+      refreshRegion(regions[i]);
+      // 선택된 지역은 테두리가 가려지지 않도록 위로
+      if (selection.has(regions[i].name)) KorMapChartES5._raise(regions[i].path);
+    }
+    raiseInnerCities();
+  };
+
+  var highlight = function (region, source) {
+    if (region.sources.length) {
+      if (region.sources.indexOf(source) === -1) region.sources.push(source);
+      return;
+    }
+    region.sources.push(source);
+
+    // SVG에서 요소를 맨 위로 올리기
+    KorMapChartES5._raise(region.path);
+    raiseInnerCities(region.name);
+
+    // 지역별 커스텀 스타일 또는 전역 스타일 적용 (키보드 포커스도 같은 스타일)
+    refreshRegion(region);
+  };
+
+  var unhighlight = function (region, source) {
+    var idx = region.sources.indexOf(source);
+    if (idx === -1) return;
+    region.sources.splice(idx, 1);
+    if (region.sources.length) return;
+
+    refreshRegion(region);
+  };
+
+  // roving tabindex: 지도 안에서는 Tab/방향키로 이동하고, 지도 밖으로는 한 번의 Tab으로 나감
+  var moveFocus = function (from, to) {
+    if (!to) return;
+    from.setAttribute('tabindex', '-1');
+    to.setAttribute('tabindex', '0');
+    to.focus();
+  };
+
+  var activateRegion = function (region, e) {
+    if (selOpts.mode) selection.click(region.name, e);
+    if (ev.onRegionClick) ev.onRegionClick(region.name, region.path, getDatum(region.name), e);
+  };
+
+  var createEventHandler = function (region, index) {
+    var name = region.name;
+    var p = region.path;
+
+    var activate = function (e) {
+      activateRegion(region, e);
+    };
+
+    return {
+      mouseenter: function (e) {
+        highlight(region, 'mouse');
+        if (ev.onRegionEnter) ev.onRegionEnter(name, p, getDatum(name), e);
+      },
+
+      mouseleave: function (e) {
+        unhighlight(region, 'mouse');
+        if (ev.onRegionLeave) ev.onRegionLeave(name, p, getDatum(name), e);
+      },
+
+      click: activate,
+
+      focus: function () {
+        for (var i = 0; i < paths.length; i++) {
+          paths[i].setAttribute('tabindex', paths[i] === p ? '0' : '-1');
+        }
+        highlight(region, 'focus');
+      },
+
+      blur: function () {
+        unhighlight(region, 'focus');
+      },
+
+      keydown: function (e) {
+        if (e.key === 'Enter' || e.key === ' ') {
+          e.preventDefault();
+          activate(e);
+        } else if (e.key === 'Tab') {
+          // 첫/마지막 지역에서는 기본 동작으로 지도 밖으로 이동
+          var next = paths[index + (e.shiftKey ? -1 : 1)];
+          if (next) {
+            e.preventDefault();
+            moveFocus(p, next);
+          }
+        } else if (e.key === 'Home' || e.key === 'End') {
+          e.preventDefault();
+          moveFocus(p, (e.key === 'Home') ? paths[0] : paths[paths.length - 1]);
+        } else if (KorMapChartES5._ARROW_KEYS.hasOwnProperty(e.key)) {
+          e.preventDefault();
+          moveFocus(p, KorMapChartES5._nearestRegion(p, paths, KorMapChartES5._ARROW_KEYS[e.key]));
+        }
+      }
+    };
+  };
+
+  for (var i = 0; i < regions.length; i++) {
+    var p = regions[i].path;
+    p.style.pointerEvents = 'auto';
+
+    var handlers = createEventHandler(regions[i], i);
+    on(p, 'mouseenter', handlers.mouseenter);
+    on(p, 'mouseleave', handlers.mouseleave);
+    on(p, 'click', handlers.click);
+
+    if (!keyboard) continue;
+
+    p.setAttribute('tabindex', i === 0 ? '0' : '-1');
+    p.setAttribute('role', 'button');
+    if (selOpts.mode) p.setAttribute('aria-pressed', String(selection.has(regions[i].name)));
+
+    on(p, 'focus', handlers.focus);
+    on(p, 'blur', handlers.blur);
+    on(p, 'keydown', handlers.keydown);
+  }
+
+  // bubbles 원은 해당 지역 path와 같은 hover/클릭 동작 (setData로 다시 그려도 동작하도록 svg에 위임)
+  var bubbleRegion = function (target) {
+    if (!target || !target.hasAttribute || !target.hasAttribute('data-kmc-bubble')) return null;
+    var name = target.getAttribute('data-kmc-region');
+    for (var i = 0; i < regions.length; i++) {
+      if (regions[i].name === name) return regions[i];
+    }
+    return null;
+  };
+  on(svg, 'mouseover', function (e) {
+    var region = bubbleRegion(e.target);
+    if (!region) return;
+    highlight(region, 'bubble');
+    if (ev.onRegionEnter) ev.onRegionEnter(region.name, region.path, getDatum(region.name), e);
+  });
+  on(svg, 'mouseout', function (e) {
+    var region = bubbleRegion(e.target);
+    if (!region) return;
+    unhighlight(region, 'bubble');
+    if (ev.onRegionLeave) ev.onRegionLeave(region.name, region.path, getDatum(region.name), e);
+  });
+  on(svg, 'click', function (e) {
+    var region = bubbleRegion(e.target);
+    if (region) activateRegion(region, e);
+  });
+
+  // 파이 조각 hover: 나머지 조각을 흐리게 + explode 방향으로 이동, 도넛 가운데 라벨은 그 조각 비율로
+  var pieHover = (opts.labels && opts.labels.pieChart && opts.labels.pieChart.hover != null) ? opts.labels.pieChart.hover : true;
+  var sliceDim = (pieHover && pieHover.dimOpacity != null) ? pieHover.dimOpacity : 0.5;
+  var centerText = null;  // hover 전 도넛 가운데 라벨
+  var sliceAt = function (target) {
+    if (!target || !target.hasAttribute || !target.hasAttribute('data-kmc-slice')) return null;
+    var pie = target.parentNode;
+    var name = pie && pie.getAttribute && pie.getAttribute('data-kmc-region');
+    if (name == null) return null;
+    var pieData = getPieData ? getPieData(name) : null;
+    return { el: target, name: name, slice: KorMapChartES5._sliceInfo(pieData, Number(target.getAttribute('data-kmc-slice'))) };
+  };
+  var lightSlice = function (hit, lit) {
+    if (!pieHover) return;
+    var pie = hit.el.parentNode;
+    var slices = pie.querySelectorAll('[data-kmc-slice]');
+    for (var i = 0; i < slices.length; i++) {
+      slices[i].style.opacity = (lit && slices[i] !== hit.el) ? String(sliceDim) : '';
+    }
+    var offset = hit.el.getAttribute('data-kmc-explode');
+    if (offset && lit) hit.el.setAttribute('transform', 'translate(' + offset + ')');
+    else hit.el.removeAttribute('transform');
+
+    var center = pie.querySelector('[data-kmc-pie-center]');
+    if (!center || !hit.slice) return;
+    if (lit) {
+      centerText = center.textContent;
+      center.textContent = KorMapChartES5._fmtPct(hit.slice.percentage);
+    } else if (centerText != null) {
+      center.textContent = centerText;
+      centerText = null;
+    }
+  };
+  on(svg, 'mouseover', function (e) {
+    var hit = sliceAt(e.target);
+    if (!hit) return;
+    lightSlice(hit, true);
+    if (ev.onSliceEnter) ev.onSliceEnter(hit.name, hit.slice, e);
+  });
+  on(svg, 'mouseout', function (e) {
+    var hit = sliceAt(e.target);
+    if (!hit) return;
+    lightSlice(hit, false);
+    if (ev.onSliceLeave) ev.onSliceLeave(hit.name, hit.slice, e);
+  });
+  on(svg, 'click', function (e) {
+    var hit = sliceAt(e.target);
+    if (hit && ev.onSliceClick) ev.onSliceClick(hit.name, hit.slice, e);
+  });
+
+  // 지도 빈 곳 클릭 시 선택 해제
+  if (selOpts.mode) {
+    on(svg, 'click', function (e) {
+      if (e.target === svg) selection.clear();
+    });
+  }
+
+  refresh();
+
+  return {
+    refresh: function () {
+      refresh();
+      if (keyboard && selOpts.mode) {
+        for (var i = 0; i < regions.length; i++) {
+          regions[i].path.setAttribute('aria-pressed', String(selection.has(regions[i].name)));
+        }
+      }
+    },
+
+    repaint: function () {
+      for (var i = 0; i < regions.length; i++) {
+        if (regions[i].orig) regions[i].orig.fill = regions[i].path.style.fill;
+        refreshRegion(regions[i]);
+      }
+    },
+
+    // 리스너/그림자 필터/포커스 속성 제거
+    unbind: function () {
+      var i;
+      for (i = 0; i < listeners.length; i++) {
+        listeners[i][0].removeEventListener(listeners[i][1], listeners[i][2]);
+      }
+      for (i = 0; i < regions.length; i++) {
+        if (regions[i].orig) restore(regions[i].path, regions[i].orig);
+        regions[i].orig = null;
+        regions[i].sources = [];
+        if (keyboard) {
+          regions[i].path.removeAttribute('tabindex');
+          regions[i].path.removeAttribute('role');
+          regions[i].path.removeAttribute('aria-pressed');
+        }
+      }
+      if (shadowFilterId) KorMapChartES5._removeNode(svg.getElementById(shadowFilterId));
+    }
+  };
+};
+
+// 지역별 aria-label과 SVG <title>/<desc>(데이터 요약)를 설정, 다시 그릴 때 제거할 요소 반환
+KorMapChartES5._describeRegions = function (svg, codeMap, dataMap, fmtRate, a11yOpts, describe) {
+  a11yOpts = a11yOpts || {};
+
+  var valueText = function (datum, name) {
+    if (describe) {
+      var described = describe(datum, name);
+      return described.length ? described.join(', ') : '자료 없음';
+    }
+    var rate = (typeof datum === 'number') ? datum : (datum && datum.rate);
+    var count = (typeof datum === 'number') ? null : (datum && datum.count);
+    var parts = [];
+    if (rate != null) parts.push(fmtRate(rate));
+    if (count != null) parts.push(KorMapChartES5._fmtInt(count));
+    return parts.length ? parts.join(', ') : '자료 없음';
+  };
+
+  var values = [];
+  var total = 0;
+  for (var name in codeMap) {
+    if (!codeMap.hasOwnProperty(name)) continue;
+    var path = svg.getElementById(codeMap[name]);
+    if (!path) continue;
+    total++;
+
+    var datum = dataMap && dataMap[name];
+    path.setAttribute('aria-label', a11yOpts.labelFormatter
+      ? a11yOpts.labelFormatter(name, datum)
+      : name + ' ' + valueText(datum, name));
+
+    var rate = (typeof datum === 'number') ? datum : (datum && datum.rate);
+    var v = KorMapChartES5._toNumber(rate != null ? rate : (datum && datum.count));
+    if (v != null) values.push([name, v, datum]);
+  }
+
+  var summary = total + '개 지역 중 ' + values.length + '개 지역 자료';
+  if (values.length) {
+    var sorted = values.slice().sort(function (a, b) { return b[1] - a[1]; });
+    var max = sorted[0];
+    var min = sorted[sorted.length - 1];
+    summary += ', 최고 ' + max[0] + ' ' + valueText(max[2], max[0]) + ', 최저 ' + min[0] + ' ' + valueText(min[2], min[0]);
+  }
+
+  var uid = Math.random().toString(36).substr(2, 9);
+  var title = document.createElementNS('http://www.w3.org/2000/svg', 'title');
+  title.setAttribute('id', 'kmc-title-' + uid);
+  title.textContent = a11yOpts.title != null ? a11yOpts.title : '지역별 지도';
+  var desc = document.createElementNS('http://www.w3.org/2000/svg', 'desc');
+  desc.setAttribute('id', 'kmc-desc-' + uid);
+  desc.textContent = a11yOpts.description != null ? a11yOpts.description : summary;
+
+  // <title>은 SVG의 첫 자식이어야 접근성 이름으로 쓰임
+  svg.insertBefore(desc, svg.firstChild);
+  svg.insertBefore(title, desc);
+  svg.setAttribute('role', 'group');
+  svg.setAttribute('aria-labelledby', title.id);
+  svg.setAttribute('aria-describedby', desc.id);
+
+  return [title, desc];
+};
+
+// update({ a11y: false }) 시 이전에 설정한 aria 속성 제거
+KorMapChartES5._clearDescriptions = function (svg, codeMap) {
+  svg.removeAttribute('role');
+  svg.removeAttribute('aria-labelledby');
+  svg.removeAttribute('aria-describedby');
+  for (var name in codeMap) {
+    if (!codeMap.hasOwnProperty(name)) continue;
+    var path = svg.getElementById(codeMap[name]);
+    if (path) path.removeAttribute('aria-label');
+  }
+};
+
+// 구간 경계가 모두 0–1이면 비율(%)로, 아니면 숫자로 표시
+KorMapChartES5._legendFormatter = function (scale) {
+  var bounds = [];
+  var i;
+  if (scale.bins) {
+    for (i = 0; i < scale.bins.length; i++) bounds.push(scale.bins[i].min, scale.bins[i].max);
+  } else if (scale.stops) {
+    for (i = 0; i < scale.stops.length; i++) bounds.push(scale.stops[i].value);
+  }
+
+  var isRate = true;
+  for (i = 0; i < bounds.length; i++) {
+    if (isFinite(bounds[i]) && (bounds[i] < 0 || bounds[i] > 1)) isRate = false;
+  }
+  return isRate
+    ? KorMapChartES5._fmtPct
+    : function (v) { return Number(v).toLocaleString('ko-KR', { maximumFractionDigits: 2 }); };
+};
+
+KorMapChartES5._rangeLabel = function (bin, fmt) {
+  if (bin.max === Infinity) return fmt(bin.min) + ' 이상';
+  if (bin.min === -Infinity) return fmt(bin.max) + ' 미만';
+  return fmt(bin.min) + '–' + fmt(bin.max);
+};
+
+KorMapChartES5._LEGEND_INSIDE = ['top-left', 'top-right', 'bottom-left', 'bottom-right'];
+
+// 범례 상자 위치: 지도 위 모서리(겹침) 또는 mount flex 안에서 지도/bar 앞뒤·별도 줄
+KorMapChartES5._placeLegend = function (box, position, legendOpts) {
+  legendOpts = legendOpts || {};
+  if (KorMapChartES5._LEGEND_INSIDE.indexOf(position) !== -1) {
+    // 지도 위 모서리에 겹쳐 표시
+    var sides = position.split('-');
+    box.style.position = 'absolute';
+    box.style[sides[0]] = '8px';
+    box.style[sides[1]] = '8px';
+    box.style.padding = '6px 8px';
+    box.style.borderRadius = '4px';
+    box.style.background = legendOpts.background != null ? legendOpts.background : 'rgba(255,255,255,0.85)';
+  } else {
+    // mount flex 안에서 지도/bar 앞뒤 또는 별도 줄에 배치
+    box.style.order = (position === 'left' || position === 'top') ? '-1' : '1';
+    box.style.alignSelf = 'center';
+    if (position === 'top' || position === 'bottom') box.style.flexBasis = '100%';
+  }
+};
+
+KorMapChartES5._buildLegend = function (el, scale, legendOpts) {
+  legendOpts = legendOpts || {};
+
+  var position = legendOpts.position != null ? legendOpts.position : 'right';
+  var defaultOrientation = (position === 'top' || position === 'bottom') ? 'horizontal' : 'vertical';
+  var vertical = (legendOpts.orientation != null ? legendOpts.orientation : defaultOrientation) === 'vertical';
+  var fmt = legendOpts.formatter || KorMapChartES5._legendFormatter(scale);
+  var swatchSize = legendOpts.swatchSize != null ? legendOpts.swatchSize : 12;
+  var i;
+
+  var box = document.createElement('div');
+  box.style.display = 'flex';
+  box.style.flexDirection = 'column';
+  box.style.gap = '6px';
+  box.style.flexShrink = '0';
+  box.style.fontSize = (legendOpts.fontSize != null) ? legendOpts.fontSize + 'px' : '12px';
+  box.style.color = legendOpts.color != null ? legendOpts.color : '#374151';
+
+  KorMapChartES5._placeLegend(box, position, legendOpts);
+
+  if (legendOpts.title) {
+    var title = document.createElement('div');
+    title.style.fontWeight = '600';
+    title.textContent = legendOpts.title;
+    box.appendChild(title);
+  }
+
+  var swatch = function (color) {
+    var sw = document.createElement('span');
+    sw.style.display = 'inline-block';
+    sw.style.flexShrink = '0';
+    sw.style.width = swatchSize + 'px';
+    sw.style.height = swatchSize + 'px';
+    sw.style.borderRadius = '2px';
+    sw.style.background = color;
+    return sw;
+  };
+
+  var item = function (color, text) {
+    var row = document.createElement('div');
+    row.style.display = 'flex';
+    row.style.alignItems = 'center';
+    row.style.gap = '6px';
+    row.appendChild(swatch(color));
+    var label = document.createElement('span');
+    label.textContent = text;
+    row.appendChild(label);
+    return row;
+  };
+
+  if (scale.type === 'bivariate') {
+    // n×n 정사각 색상표: 오른쪽으로 x, 위로 y가 커짐 (칸에 마우스를 올리면 두 값의 범위)
+    var n = scale.n;
+    var cell = legendOpts.swatchSize != null ? legendOpts.swatchSize : 16;
+    var range = function (a, c) {
+      return KorMapChartES5._rangeLabel({
+        min: c ? a.breaks[c - 1] : -Infinity,
+        max: (c < n - 1) ? a.breaks[c] : Infinity
+      }, a.format);
+    };
+
+    var grid = document.createElement('div');
+    grid.style.display = 'grid';
+    grid.style.gridTemplateColumns = 'auto repeat(' + n + ', ' + cell + 'px)';
+    grid.style.gridTemplateRows = 'repeat(' + n + ', ' + cell + 'px) auto';
+    grid.style.gap = '1px';
+
+    var yLabel = document.createElement('span');
+    yLabel.textContent = scale.y.label + ' →';
+    yLabel.style.gridColumn = '1';
+    yLabel.style.gridRow = '1 / span ' + n;
+    yLabel.style.writingMode = 'vertical-rl';
+    yLabel.style.transform = 'rotate(180deg)';
+    yLabel.style.justifySelf = 'center';
+    yLabel.style.marginRight = '4px';
+    grid.appendChild(yLabel);
+
+    for (var yi = 0; yi < n; yi++) {
+      for (var xi = 0; xi < n; xi++) {
+        var sw = swatch(scale.colors[yi][xi]);
+        sw.setAttribute('data-kmc-class', xi + ',' + yi);
+        sw.title = scale.x.label + ' ' + range(scale.x, xi) + ' · ' + scale.y.label + ' ' + range(scale.y, yi);
+        sw.style.width = cell + 'px';
+        sw.style.height = cell + 'px';
+        sw.style.borderRadius = '0';
+        sw.style.gridColumn = String(xi + 2);
+        sw.style.gridRow = String(n - yi);
+        grid.appendChild(sw);
+      }
+    }
+
+    var xLabel = document.createElement('span');
+    xLabel.textContent = scale.x.label + ' →';
+    xLabel.style.gridColumn = '2 / span ' + n;
+    xLabel.style.gridRow = String(n + 1);
+    xLabel.style.marginTop = '4px';
+    grid.appendChild(xLabel);
+
+    box.appendChild(grid);
+  } else if (scale.bins) {
+    // 단계 스케일: 구간별 색상 견본 + 범위 라벨 (세로는 높은 값이 위)
+    var list = document.createElement('div');
+    list.style.display = 'flex';
+    list.style.flexDirection = vertical ? 'column' : 'row';
+    list.style.flexWrap = 'wrap';
+    list.style.gap = vertical ? '4px' : '12px';
+
+    var bins = vertical ? scale.bins.slice().reverse() : scale.bins;
+    for (i = 0; i < bins.length; i++) {
+      list.appendChild(item(bins[i].color, KorMapChartES5._rangeLabel(bins[i], fmt)));
+    }
+    box.appendChild(list);
+  } else {
+    // 연속 스케일: 그라디언트 막대 + 최솟값/(중간값)/최댓값 라벨
+    var length = legendOpts.length != null ? legendOpts.length : 120;
+    var thickness = legendOpts.thickness != null ? legendOpts.thickness : swatchSize;
+    var gradient = [];
+    for (i = 0; i < scale.stops.length; i++) {
+      gradient.push(scale.stops[i].color + ' ' + Math.round(scale.stops[i].offset * 100) + '%');
+    }
+
+    var wrap = document.createElement('div');
+    wrap.style.display = 'flex';
+    wrap.style.flexDirection = vertical ? 'row' : 'column';
+    wrap.style.gap = '6px';
+
+    var bar = document.createElement('div');
+    bar.style.width = (vertical ? thickness : length) + 'px';
+    bar.style.height = (vertical ? length : thickness) + 'px';
+    bar.style.borderRadius = '2px';
+    bar.style.background = 'linear-gradient(to ' + (vertical ? 'top' : 'right') + ', ' + gradient.join(', ') + ')';
+    wrap.appendChild(bar);
+
+    var ticks = [scale.domain[0]];
+    if (scale.midpoint != null) ticks.push(scale.midpoint);
+    ticks.push(scale.domain[1]);
+
+    var labels = document.createElement('div');
+    labels.style.display = 'flex';
+    labels.style.flexDirection = vertical ? 'column-reverse' : 'row';
+    labels.style.justifyContent = 'space-between';
+    labels.style.width = vertical ? 'auto' : length + 'px';
+    labels.style.height = vertical ? length + 'px' : 'auto';
+    for (i = 0; i < ticks.length; i++) {
+      var t = document.createElement('span');
+      t.textContent = fmt(ticks[i]);
+      labels.appendChild(t);
+    }
+    wrap.appendChild(labels);
+    box.appendChild(wrap);
+  }
+
+  if (legendOpts.missingLabel) box.appendChild(item(scale.missingColor, legendOpts.missingLabel));
+
+  el.appendChild(box);
+  return box;
+};
+
+// 파이 범주: pieChartData 전체에서 처음 나온 순서대로 label과 그 색상
+KorMapChartES5._pieCategories = function (pieChartData) {
+  var out = [];
+  var seen = {};
+  for (var name in pieChartData || {}) {
+    if (!pieChartData.hasOwnProperty(name)) continue;
+    var slices = pieChartData[name] || [];
+    for (var i = 0; i < slices.length; i++) {
+      var label = slices[i].label;
+      if (label == null || seen.hasOwnProperty(label)) continue;
+      seen[label] = true;
+      out.push({ label: label, color: slices[i].color || '#cccccc' });
+    }
+  }
+  return out;
+};
+
+// 모든 파이가 함께 쓰는 범주 범례 (labels.pieChart.legend)
+KorMapChartES5._buildPieLegend = function (el, pieChartData, legendOpts) {
+  legendOpts = legendOpts || {};
+  var position = legendOpts.position != null ? legendOpts.position : 'right';
+  var defaultOrientation = (position === 'top' || position === 'bottom') ? 'horizontal' : 'vertical';
+  var vertical = (legendOpts.orientation != null ? legendOpts.orientation : defaultOrientation) === 'vertical';
+  var swatchSize = legendOpts.swatchSize != null ? legendOpts.swatchSize : 12;
+
+  var box = document.createElement('div');
+  box.setAttribute('data-kmc-pie-legend', '');
+  box.style.display = 'flex';
+  box.style.flexDirection = 'column';
+  box.style.gap = '6px';
+  box.style.flexShrink = '0';
+  box.style.fontSize = (legendOpts.fontSize != null) ? legendOpts.fontSize + 'px' : '12px';
+  box.style.color = legendOpts.color != null ? legendOpts.color : '#374151';
+  KorMapChartES5._placeLegend(box, position, legendOpts);
+
+  if (legendOpts.title) {
+    var title = document.createElement('div');
+    title.style.fontWeight = '600';
+    title.textContent = legendOpts.title;
+    box.appendChild(title);
+  }
+
+  var list = document.createElement('div');
+  list.style.display = 'flex';
+  list.style.flexDirection = vertical ? 'column' : 'row';
+  list.style.flexWrap = 'wrap';
+  list.style.gap = vertical ? '4px' : '12px';
+  var categories = KorMapChartES5._pieCategories(pieChartData);
+  for (var i = 0; i < categories.length; i++) {
+    var row = document.createElement('div');
+    row.style.display = 'flex';
+    row.style.alignItems = 'center';
+    row.style.gap = '6px';
+    var sw = document.createElement('span');
+    sw.style.display = 'inline-block';
+    sw.style.flexShrink = '0';
+    sw.style.width = swatchSize + 'px';
+    sw.style.height = swatchSize + 'px';
+    sw.style.borderRadius = '50%';
+    sw.style.background = categories[i].color;
+    row.appendChild(sw);
+    var text = document.createElement('span');
+    text.textContent = categories[i].label;
+    row.appendChild(text);
+    list.appendChild(row);
+  }
+  box.appendChild(list);
+
+  el.appendChild(box);
+  return box;
+};
+
+KorMapChartES5._buildBreadcrumb = function (el, regionName, onUp, crumbOpts) {
+  crumbOpts = crumbOpts || {};
+
+  var nav = document.createElement('div');
+  nav.style.position = 'absolute';
+  nav.style.top = '0';
+  nav.style.left = '0';
+  nav.style.zIndex = '1';
+  nav.style.display = 'flex';
+  nav.style.alignItems = 'center';
+  nav.style.gap = '4px';
+  nav.style.fontSize = (crumbOpts.fontSize != null) ? crumbOpts.fontSize + 'px' : '13px';
+  nav.style.color = crumbOpts.color != null ? crumbOpts.color : '#111827';
+
+  // 상위(전국) 지도로 돌아가는 링크
+  var back = document.createElement('button');
+  back.type = 'button';
+  back.textContent = crumbOpts.rootLabel != null ? crumbOpts.rootLabel : '전국';
+  back.style.border = '0';
+  back.style.padding = '0';
+  back.style.background = 'none';
+  back.style.font = 'inherit';
+  back.style.cursor = 'pointer';
+  back.style.color = crumbOpts.linkColor != null ? crumbOpts.linkColor : '#1B4EFF';
+  back.addEventListener('click', onUp);
+  nav.appendChild(back);
+
+  var sep = document.createElement('span');
+  sep.textContent = crumbOpts.separator != null ? crumbOpts.separator : '›';
+  nav.appendChild(sep);
+
+  var current = document.createElement('span');
+  current.style.fontWeight = '600';
+  current.textContent = regionName;
+  nav.appendChild(current);
+
+  el.appendChild(nav);
+  return nav;
+};
+
+// ---------- bubbles ----------
+// 원 크기 기준 최댓값: bubbles.maxValue, 없으면 dataMaps(timeline이면 모든 기간) 전체 값의 최댓값
+KorMapChartES5._bubbleMax = function (bubbleOpts, dataMaps) {
+  bubbleOpts = bubbleOpts || {};
+  if (bubbleOpts.maxValue != null) return bubbleOpts.maxValue;
+  var getValue = KorMapChartES5._valueGetter(bubbleOpts.value != null ? bubbleOpts.value : 'count');
+  var max = 0;
+  for (var i = 0; i < (dataMaps || []).length; i++) {
+    var d = dataMaps[i] || {};
+    for (var name in d) {
+      if (!d.hasOwnProperty(name)) continue;
+      var v = getValue(name, d[name]);
+      if (v != null && v > max) max = v;
+    }
+  }
+  return max;
+};
+
+// 값 → 반지름: 면적이 값에 비례 (maxRadius × √(값 / 최댓값)), 0 이하·결측은 0
+KorMapChartES5._bubbleRadius = function (bubbleOpts, maxValue) {
+  var maxRadius = bubbleOpts.maxRadius != null ? bubbleOpts.maxRadius : 24;
+  var minRadius = bubbleOpts.minRadius != null ? bubbleOpts.minRadius : 0;
+  return function (v) {
+    if (v == null || v <= 0 || !(maxValue > 0)) return 0;
+    return Math.max(minRadius, maxRadius * Math.sqrt(Math.min(v, maxValue) / maxValue));
+  };
+};
+
+KorMapChartES5._bubbleFormatter = function (bubbleOpts) {
+  if (bubbleOpts.formatter) return bubbleOpts.formatter;
+  if ((bubbleOpts.value != null ? bubbleOpts.value : 'count') === 'rate') {
+    return function (v) { return KorMapChartES5._fmtPct(v); };
+  }
+  return function (v) { return Number(v).toLocaleString('ko-KR', { maximumFractionDigits: 2 }); };
+};
+
+// bubbles 레이어 노드: 지역 기준점(bubbles.anchor, 기본 'pole')에 값(기본 count)에 면적이 비례하는 원
+// 큰 원부터 그려 겹쳐도 작은 원이 위에 남아 가리키거나 클릭할 수 있음
+// fill: 색상 문자열 또는 'scale' (지역 색상 스케일로 rate를 칠함)
+KorMapChartES5._bubblesNode = function (codeMap, getRegion, dataMap, scale, bubbleOpts, maxValue, titles) {
+  bubbleOpts = bubbleOpts || {};
+  var getValue = KorMapChartES5._valueGetter(bubbleOpts.value != null ? bubbleOpts.value : 'count');
+  var radius = KorMapChartES5._bubbleRadius(bubbleOpts, maxValue || 0);
+  var fmt = KorMapChartES5._bubbleFormatter(bubbleOpts);
+  var fill = bubbleOpts.fill != null ? bubbleOpts.fill : '#1F48FF';
+
+  var items = [];
+  for (var name in codeMap || {}) {
+    if (!codeMap.hasOwnProperty(name)) continue;
+    var region = getRegion(codeMap[name]);
+    if (!region) continue;
+
+    var datum = dataMap ? dataMap[name] : undefined;
+    var value = getValue(name, datum);
+    var r = radius(value);
+    if (!r) continue;
+
+    var pt = KorMapChartES5._anchorPoint(region, bubbleOpts.anchor);
+    var off = (bubbleOpts.offsets && bubbleOpts.offsets[name]) || [0, 0];
+
+    var color = (fill === 'scale')
+      ? scale.color((typeof datum === 'number') ? datum : (datum ? datum.rate : undefined), name)
+      : fill;
+    items.push({ name: name, cx: pt[0] + off[0], cy: pt[1] + off[1], r: r, value: value, color: color });
+  }
+  items.sort(function (a, b) { return b.r - a.r; });
+
+  var group = KorMapChartES5._node('g', { 'data-kmc-bubbles': '' });
+  for (var i = 0; i < items.length; i++) {
+    var it = items[i];
+    var circle = KorMapChartES5._node('circle', {
+      cx: it.cx, cy: it.cy, r: it.r,
+      fill: it.color,
+      'fill-opacity': bubbleOpts.fillOpacity != null ? bubbleOpts.fillOpacity : 0.7,
+      stroke: bubbleOpts.stroke != null ? bubbleOpts.stroke : '#FFFFFF',
+      'stroke-width': bubbleOpts.strokeWidth != null ? bubbleOpts.strokeWidth : 1,
+      cursor: 'pointer',
+      'data-kmc-region': it.name,  // tooltip·지역 이벤트에서 지역 식별
+      'data-kmc-bubble': ''
+    });
+    if (titles !== false) circle.children.push(KorMapChartES5._node('title', {}, [], it.name + ': ' + fmt(it.value)));
+    circle.tween = { kind: 'bubble', name: it.name, value: it.r };
+    group.children.push(circle);
+  }
+  return group;
+};
+
+// 원 레이어를 SVG 맨 위에 추가하고 노드 반환 (요소는 node.el)
+KorMapChartES5._buildBubbles = function (svg, codeMap, dataMap, scale, bubbleOpts, maxValue, titles) {
+  var node = KorMapChartES5._bubblesNode(codeMap, KorMapChartES5._domRegions(svg), dataMap, scale, bubbleOpts, maxValue, titles);
+  svg.appendChild(KorMapChartES5._realize(node));
+  return node;
+};
+
+// 크기 범례: 아래쪽을 맞춘 겹친 원 + 지시선 + 값 (기본 최댓값과 그 1/2, 1/10을 보기 좋은 수로 반올림)
+KorMapChartES5._buildBubbleLegend = function (el, bubbleOpts, maxValue, legendOpts) {
+  legendOpts = legendOpts || {};
+  var radius = KorMapChartES5._bubbleRadius(bubbleOpts, maxValue);
+  var fmt = legendOpts.formatter || KorMapChartES5._bubbleFormatter(bubbleOpts);
+  var fontSize = legendOpts.fontSize != null ? legendOpts.fontSize : 12;
+  var stroke = legendOpts.stroke != null ? legendOpts.stroke : '#6B7280';
+  var nice = function (v) {
+    var p = Math.pow(10, Math.floor(Math.log(v) / Math.LN10));
+    return Math.round(v / p) * p;
+  };
+  var candidates = legendOpts.values || ((maxValue > 0) ? [nice(maxValue), nice(maxValue / 2), nice(maxValue / 10)] : []);
+  var values = [];
+  var i;
+  for (i = 0; i < candidates.length; i++) {
+    if (radius(candidates[i]) > 0 && values.indexOf(candidates[i]) === -1) values.push(candidates[i]);
+  }
+  values.sort(function (a, b) { return b - a; });
+
+  var box = document.createElement('div');
+  box.setAttribute('data-kmc-bubble-legend', '');
+  box.style.display = 'flex';
+  box.style.flexDirection = 'column';
+  box.style.gap = '6px';
+  box.style.flexShrink = '0';
+  box.style.fontSize = fontSize + 'px';
+  box.style.color = legendOpts.color != null ? legendOpts.color : '#374151';
+  KorMapChartES5._placeLegend(box, legendOpts.position != null ? legendOpts.position : 'right', legendOpts);
+
+  if (legendOpts.title) {
+    var title = document.createElement('div');
+    title.style.fontWeight = '600';
+    title.textContent = legendOpts.title;
+    box.appendChild(title);
+  }
+
+  var maxR = values.length ? radius(values[0]) : 0;
+  var lineEnd = maxR * 2 + 6;
+  var labelWidth = 0;
+  for (i = 0; i < values.length; i++) {
+    labelWidth = Math.max(labelWidth, KorMapChartES5._textWidth(fmt(values[i]), fontSize));
+  }
+  var width = lineEnd + 4 + labelWidth;
+  // 가장 큰 원 위의 라벨이 잘리지 않도록 글자 절반만큼 여백
+  var height = maxR * 2 + fontSize / 2 + 2;
+  var base = height - 1;
+
+  var svg = KorMapChartES5._node('svg', { width: width, height: height, viewBox: '0 0 ' + width + ' ' + height });
+  for (i = 0; i < values.length; i++) {
+    var r = radius(values[i]);
+    var top = base - 2 * r;
+    svg.children.push(
+      KorMapChartES5._node('circle', {
+        cx: maxR, cy: base - r, r: r,
+        fill: 'none', stroke: stroke, 'stroke-width': 1
+      }),
+      KorMapChartES5._node('line', {
+        x1: maxR, y1: top, x2: lineEnd, y2: top,
+        stroke: stroke, 'stroke-width': 0.5, 'stroke-dasharray': '2 2'
+      }),
+      KorMapChartES5._node('text', {
+        x: lineEnd + 4, y: top, 'dominant-baseline': 'middle', 'font-size': fontSize, fill: 'currentColor'
+      }, [], fmt(values[i]))
+    );
+  }
+  box.appendChild(KorMapChartES5._realize(svg));
+
+  el.appendChild(box);
+  return box;
+};
+
+// ---------- 표 데이터 ----------
+KorMapChartES5._PIE_COLORS = ['#ff6384', '#36a2eb', '#ffce56', '#4bc0c0', '#9966ff', '#ff9f40'];
+KorMapChartES5._NEGATIVE_SIGNS = ['-', '△', '▼', '\u2212', '\uFF0D'];  // 통계표의 감소 표시, 유니코드 빼기 기호와 전각 하이픈
+KorMapChartES5._TABLES_MAX = 16;
+KorMapChartES5._tables = [];  // 최근 변환 결과 [{ opts, input, columns, result }] (기간 이동 등 다시 그릴 때마다 파싱하지 않도록, 차트마다 따로)
+
+// CSV/TSV 문자열 → 칸 배열의 배열 (따옴표 안의 구분자·줄바꿈과 "" 이스케이프 지원, 빈 줄 무시)
+KorMapChartES5._parseDelimited = function (text, delimiter) {
+  var src = String(text).replace(/^\uFEFF/, '');
+  var sep = (delimiter != null) ? delimiter : (src.split(/\r?\n/, 1)[0].indexOf('\t') !== -1 ? '\t' : ',');
+  var grid = [];
+  var row = [];
+  var field = '';
+  var quoted = false;
+  var endRow = function () {
+    row.push(field);
+    for (var f = 0; f < row.length; f++) {
+      if (row[f].replace(/^\s+|\s+$/g, '') !== '') {
+        grid.push(row);
+        break;
+      }
+    }
+    row = [];
+    field = '';
+  };
+
+  for (var i = 0; i < src.length; i++) {
+    var ch = src.charAt(i);
+    if (quoted) {
+      if (ch === '"' && src.charAt(i + 1) === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        field += ch;
+      }
+    } else if (ch === '"' && field.trim() === '') {
+      // 따옴표 앞의 공백(', "서울, 중구"')은 버림
+      quoted = true;
+      field = '';
+    } else if (ch === sep) {
+      row.push(field);
+      field = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src.charAt(i + 1) === '\n') i++;
+      endRow();
+    } else {
+      field += ch;
+    }
+  }
+  endRow();
+  return grid;
+};
+
+// 표 입력 → { fields: 열 이름 목록, rows: 행 객체 배열 }
+KorMapChartES5._tableRows = function (input, delimiter) {
+  var grid = (typeof input === 'string') ? KorMapChartES5._parseDelimited(input, delimiter)
+    : (Array.isArray(input[0]) ? input : null);
+  var fields = [];
+  var rows = [];
+  var i, j;
+  if (!grid) {
+    for (i = 0; i < input.length; i++) {
+      if (!input[i]) continue;
+      rows.push(input[i]);
+      for (var k in input[i]) {
+        if (input[i].hasOwnProperty(k) && fields.indexOf(k) === -1) fields.push(k);
+      }
+    }
+    return { fields: fields, rows: rows };
+  }
+  var header = grid[0] || [];
+  for (i = 0; i < header.length; i++) fields.push(String(header[i] == null ? '' : header[i]).replace(/^\s+|\s+$/g, ''));
+  for (i = 1; i < grid.length; i++) {
+    var row = {};
+    for (j = 0; j < fields.length; j++) row[fields[j]] = grid[i][j];
+    rows.push(row);
+  }
+  return { fields: fields, rows: rows };
+};
+
+// 표의 숫자: 4339 / '4,339' / '87.5%'(→ 0.875) / '△12'·'▼12'·'−12'·'－12'(→ -12) / '▲12'(→ 12) / '1,234명'(단위 무시),
+// '-' '…' 'x' 등은 결측(null)
+KorMapChartES5._parseNumber = function (v) {
+  if (typeof v === 'number') return isFinite(v) ? v : null;
+  if (v == null) return null;
+  var m = /^([-+△▲▼\u2212\uFF0D]?)(\d*\.?\d+(?:e[-+]?\d+)?)(%?)/i.exec(String(v).replace(/[,\s]/g, ''));
+  if (!m) return null;
+  var n = Number(m[2]) * (KorMapChartES5._NEGATIVE_SIGNS.indexOf(m[1]) !== -1 ? -1 : 1);
+  return m[3] ? n / 100 : n;
+};
+
+KorMapChartES5._parseTable = function (input, columns, caller) {
+  var table = KorMapChartES5._tableRows(input, columns.delimiter);
+  var fields = table.fields;
+  var trim = function (v) { return String(v == null ? '' : v).replace(/^\s+|\s+$/g, ''); };
+  var col = function (option, ref) {
+    if (ref == null) return null;
+    var field = (typeof ref === 'number') ? fields[ref] : String(ref);
+    if (field == null || fields.indexOf(field) === -1) {
+      throw new Error(caller + ': 알 수 없는 columns.' + option + ' "' + ref + '" (열: ' + fields.join(', ') + ')');
+    }
+    return field;
+  };
+  var i;
+
+  var key = col('key', columns.key != null ? columns.key : 0);
+  var rate = col('rate', columns.rate);
+  var count = col('count', columns.count);
+  var period = col('period', columns.period);
+  var extra = [];
+  for (i = 0; i < (columns.fields || []).length; i++) extra.push(col('fields', columns.fields[i]));
+  var pie = columns.pie;
+  var wide = null;
+  var long = null;
+  if (Array.isArray(pie)) {
+    wide = [];
+    for (i = 0; i < pie.length; i++) wide.push(col('pie', pie[i]));
+  } else if (pie) {
+    long = { category: col('pie.category', pie.category), value: col('pie.value', pie.value) };
+  }
+
+  // 범주 색: pieColors(범주별 객체 또는 등장 순서 배열) → 기본 색 반복
+  var categories = [];
+  var colorOf = function (label) {
+    var c = categories.indexOf(label);
+    if (c === -1) c = categories.push(label) - 1;
+    var colors = columns.pieColors;
+    var color = Array.isArray(colors) ? colors[c] : (colors ? colors[label] : null);
+    return (color != null) ? color : KorMapChartES5._PIE_COLORS[c % KorMapChartES5._PIE_COLORS.length];
+  };
+
+  var data = {};
+  var pieChartData = {};
+  for (var r = 0; r < table.rows.length; r++) {
+    var row = table.rows[r];
+    var name = trim(row[key]);
+    if (!name) continue;
+
+    if (rate || count || extra.length) {
+      var target = data;
+      if (period) {
+        var p = trim(row[period]);
+        target = data[p] || (data[p] = {});
+      }
+      // rate만 있으면 숫자, 아니면 { rate, count, ...fields }
+      if (rate && !count && !extra.length) {
+        target[name] = KorMapChartES5._parseNumber(row[rate]);
+      } else {
+        var datum = {};
+        if (rate) datum.rate = KorMapChartES5._parseNumber(row[rate]);
+        if (count) datum.count = KorMapChartES5._parseNumber(row[count]);
+        for (i = 0; i < extra.length; i++) datum[extra[i]] = KorMapChartES5._parseNumber(row[extra[i]]);
+        target[name] = datum;
+      }
+    }
+
+    // 같은 지역(세로 형식은 같은 지역·범주)이 여러 행이면 마지막 행
+    if (wide) {
+      var slices = [];
+      for (i = 0; i < wide.length; i++) {
+        slices.push({ label: wide[i], data: KorMapChartES5._parseNumber(row[wide[i]]), color: colorOf(wide[i]) });
+      }
+      pieChartData[name] = slices;
+    } else if (long) {
+      var label = trim(row[long.category]);
+      var slice = { label: label, data: KorMapChartES5._parseNumber(row[long.value]), color: colorOf(label) };
+      var list = pieChartData[name] || (pieChartData[name] = []);
+      var found = -1;
+      for (i = 0; i < list.length; i++) {
+        if (list[i].label === label) found = i;
+      }
+      if (found === -1) list.push(slice);
+      else list[found] = slice;
+    }
+  }
+  return { data: data, pieChartData: pie ? pieChartData : null };
+};
+
+/**
+ * 표 형식 데이터(CSV/TSV 문자열, 행 배열)를 render의 data / pieChartData 형식으로 변환
+ * render / update / setData에 표를 그대로 data로 넘기면 opts.columns로 같은 변환을 함
+ * @param {string|Object[]|Array[]} input - CSV/TSV(첫 줄 머리글) | 행 객체 배열 | 첫 행이 머리글인 2차원 배열
+ * @param {Object} [columns] - 열 이름 또는 0부터 시작하는 열 번호
+ *   - key: 지역 열 (지역명·약칭·행정구역 코드 등 data 키로 쓸 수 있는 값, 기본 첫 열)
+ *   - rate / count: 값 열 (rate만 있으면 숫자, 그 외에는 { rate, count, ... })
+ *   - fields: datum에 숫자로 함께 넣을 열 목록 (bivariate.x/y, bubbles.value의 필드명 등)
+ *   - period: 기간 열 → data는 { 기간: { 지역: 값 } } (opts.timeline과 함께 사용)
+ *   - pie: 범주별 열 목록 (가로 형식) | { category, value } (세로 형식: 지역·범주마다 한 행)
+ *   - pieColors: { 범주: 색상 } | 색상 배열 (범주 등장 순서, 없으면 기본 6색 반복)
+ *   - delimiter: 구분자 (기본: 첫 줄에 탭이 있으면 탭, 아니면 쉼표)
+ *   숫자 칸은 '4,339' / '87.5%'(→ 0.875) / '△12'·'▼12'·'−12'·'－12'(→ -12) / '▲12' / '1,234명'도 가능, '-' 등 숫자가 아니면 결측
+ * @returns {{ data: Object, pieChartData: Object|null }} pieChartData는 columns.pie가 있을 때만
+ */
+KorMapChartES5.parseTable = function (input, columns) {
+  if (typeof input !== 'string' && !Array.isArray(input)) {
+    throw new Error('KorMapChartES5.parseTable: input은 CSV/TSV 문자열 또는 행 배열이어야 합니다.');
+  }
+  return KorMapChartES5._parseTable(input, columns || {}, 'KorMapChartES5.parseTable');
+};
+
+KorMapChartES5._isTable = function (v) {
+  return typeof v === 'string' || Array.isArray(v);
+};
+
+// 그릴 data / pieChartData: opts.data가 표이면 opts.columns로 변환 (opts.pieChartData를 주면 그쪽 우선)
+KorMapChartES5._sourceData = function (opts, caller) {
+  if (!opts || !KorMapChartES5._isTable(opts.data)) {
+    return { data: opts ? opts.data : undefined, pieChartData: opts ? opts.pieChartData : undefined };
+  }
+
+  // opts(차트마다 다른 객체)별로 보관 (WeakMap 대신 최근 _TABLES_MAX개)
+  var tables = KorMapChartES5._tables;
+  var table = null;
+  for (var i = 0; i < tables.length; i++) {
+    if (tables[i].opts !== opts) continue;
+    if (tables[i].input === opts.data && tables[i].columns === opts.columns) table = tables[i].result;
+    else tables.splice(i, 1);
+    break;
+  }
+  if (!table) {
+    table = KorMapChartES5._parseTable(opts.data, opts.columns || {}, caller || 'KorMapChartES5');
+    tables.push({ opts: opts, input: opts.data, columns: opts.columns, result: table });
+    if (tables.length > KorMapChartES5._TABLES_MAX) tables.shift();
+  }
+  return { data: table.data, pieChartData: opts.pieChartData != null ? opts.pieChartData : table.pieChartData };
+};
+
+// ---------- 기간 재생 ----------
+KorMapChartES5._TIMELINE_POSITIONS = ['bottom', 'top'];
+
+KorMapChartES5._timelineOpts = function (opts) {
+  return (opts && opts.timeline && typeof opts.timeline === 'object') ? opts.timeline : {};
+};
+
+// opts.timeline이면 기간 목록 (timeline.periods, 없으면 data 키를 숫자 인식 정렬: '2015' < '2016', '2024-2' < '2024-10')
+KorMapChartES5._periodsOf = function (opts) {
+  if (!opts || !opts.timeline) return null;
+  var periods = KorMapChartES5._timelineOpts(opts).periods;
+  var out = [];
+  var i;
+  if (periods) {
+    for (i = 0; i < periods.length; i++) out.push(String(periods[i]));
+    return out;
+  }
+  var data = KorMapChartES5._sourceData(opts).data || {};
+  for (var key in data) {
+    if (data.hasOwnProperty(key)) out.push(key);
+  }
+  return out.sort(function (a, b) { return a.localeCompare(b, 'ko', { numeric: true }); });
+};
+
+// opts.timeline이면 data는 { 기간: { 지역: 값 } } → { periods, period, data: 현재 기간, all: 기간별 data } (아니면 null)
+// period가 목록에 없으면 timeline.initial 또는 첫 기간
+KorMapChartES5._seriesOf = function (opts, aliases, period) {
+  var periods = KorMapChartES5._periodsOf(opts);
+  if (!periods) return null;
+
+  var initial = KorMapChartES5._timelineOpts(opts).initial;
+  var current;
+  if (period != null && periods.indexOf(period) !== -1) current = period;
+  else if (initial != null && periods.indexOf(String(initial)) !== -1) current = String(initial);
+  else current = periods.length ? periods[0] : null;
+
+  var data = KorMapChartES5._sourceData(opts).data;
+  var all = [];
+  for (var i = 0; i < periods.length; i++) {
+    all.push(KorMapChartES5._resolveKeys(data && data[periods[i]], aliases));
+  }
+  var index = periods.indexOf(current);
+  return { periods: periods, period: current, data: index === -1 ? null : all[index], all: all };
+};
+
+// 모든 기간의 rate (기간 사이에 같은 색상 스케일을 쓰도록)
+KorMapChartES5._seriesRates = function (series) {
+  var values = [];
+  for (var i = 0; i < series.all.length; i++) {
+    var d = series.all[i] || {};
+    for (var key in d) {
+      if (!d.hasOwnProperty(key)) continue;
+      var v = d[key];
+      values.push((v == null || typeof v === 'number') ? v : v.rate);
+    }
+  }
+  return values;
+};
+
+// 색상 스케일 경계/도메인 계산용 rate 목록 (timeline이면 모든 기간, 아니면 현재 data)
+KorMapChartES5._rateValues = function (series, data, getRate) {
+  if (series) return KorMapChartES5._seriesRates(series);
+  var values = [];
+  for (var key in data) {
+    if (data.hasOwnProperty(key)) values.push(getRate(key));
+  }
+  return values;
+};
+
+// 기간을 넘겨도 bar 길이 기준이 바뀌지 않도록 모든 기간의 bar 구간을 합침 (bar.domain을 주면 그대로)
+KorMapChartES5._seriesBarOpts = function (barOpts, series, scale) {
+  barOpts = barOpts || {};
+  if (!series || !series.all.length || barOpts.domain) return barOpts;
+
+  var lo = Infinity;
+  var hi = -Infinity;
+  for (var i = 0; i < series.all.length; i++) {
+    var domain = KorMapChartES5._barModel(series.all[i], scale, barOpts).domain;
+    lo = Math.min(lo, domain[0]);
+    hi = Math.max(hi, domain[1]);
+  }
+  return KorMapChartES5._extend(barOpts, { domain: [lo, hi] });
+};
+
+// 재생/일시정지 버튼 + 기간 슬라이더 + 현재 기간 → { el, sync(index, playing) }
+KorMapChartES5._buildTimeline = function (el, periods, handlers, timelineOpts) {
+  timelineOpts = timelineOpts || {};
+  var fmt = timelineOpts.formatter || String;
+
+  var box = document.createElement('div');
+  box.setAttribute('data-kmc-timeline', '');
+  box.setAttribute('role', 'group');
+  box.setAttribute('aria-label', timelineOpts.ariaLabel != null ? timelineOpts.ariaLabel : '기간 선택');
+  box.style.display = 'flex';
+  box.style.alignItems = 'center';
+  box.style.gap = '8px';
+  box.style.flexBasis = '100%';
+  // 위/아래 범례보다 바깥 줄에 배치
+  box.style.order = (timelineOpts.position === 'top') ? '-2' : '2';
+  box.style.fontSize = (timelineOpts.fontSize != null) ? timelineOpts.fontSize + 'px' : '13px';
+  box.style.color = timelineOpts.color || '#374151';
+
+  var button = document.createElement('button');
+  button.type = 'button';
+  button.style.border = '0';
+  button.style.padding = '0';
+  button.style.width = '24px';
+  button.style.background = 'none';
+  button.style.font = 'inherit';
+  button.style.cursor = 'pointer';
+  button.addEventListener('click', function () { handlers.toggle(); });
+  box.appendChild(button);
+
+  var slider = document.createElement('input');
+  slider.type = 'range';
+  slider.min = '0';
+  slider.max = String(Math.max(0, periods.length - 1));
+  slider.step = '1';
+  slider.setAttribute('aria-label', '기간');
+  slider.style.flex = '1';
+  slider.style.minWidth = '0';
+  if (timelineOpts.accentColor) slider.style.accentColor = timelineOpts.accentColor;
+  slider.addEventListener('input', function () { handlers.seek(Number(slider.value)); });
+  box.appendChild(slider);
+
+  var label = document.createElement('span');
+  label.setAttribute('aria-live', 'polite');
+  label.style.minWidth = '4em';
+  label.style.fontWeight = '600';
+  label.style.fontVariantNumeric = 'tabular-nums';
+  box.appendChild(label);
+
+  el.appendChild(box);
+
+  var sync = function (index, playing) {
+    var text = (index >= 0) ? fmt(periods[index]) : '';
+    slider.value = String(Math.max(0, index));
+    slider.setAttribute('aria-valuetext', text);
+    label.textContent = text;
+    button.textContent = playing ? '❚❚' : '▶';
+    button.setAttribute('aria-label', playing ? '일시정지' : '재생');
+  };
+  return { el: box, sync: sync };
+};
+
+// ---------- modes ----------
+// mode 이름 → 정의 (registerMode와 같은 형식, 내장 mode도 이 registry로 그림)
+KorMapChartES5._modes = {
+  // 지도(+라벨·파이)만 표시하고 추가 요소 없음
+  'normal': {},
+  'rate+bars': {
+    validate: function (opts, caller) {
+      if (!opts.bar) throw new Error(caller + ': "rate+bars" 모드에서는 bar 옵션이 필수입니다.');
+    },
+    render: function (ctx) {
+      ctx.addLayer(KorMapChartES5._buildBars(ctx.mount, ctx.data, ctx.scale, KorMapChartES5._seriesBarOpts(ctx.opts.bar, ctx.series, ctx.scale)));
+    },
+    side: function (ctx) {
+      var barOpts = KorMapChartES5._seriesBarOpts(ctx.opts.bar, ctx.series, ctx.scale);
+      var bars = KorMapChartES5._buildBarsSvg(KorMapChartES5._barModel(ctx.data, ctx.scale, barOpts), barOpts);
+      return { node: bars.g, width: bars.width, height: bars.height };
+    }
+  },
+  'count+callouts': {
+    center: true,
+    // callout 열은 viewBox 좌우에 padding + margin만큼 추가됨
+    inset: function (opts) {
+      var co = opts.callouts || {};
+      return (co.padding != null ? co.padding : 0) + (co.margin != null ? co.margin : 0);
+    },
+    validate: function (opts, caller) {
+      if (!opts.callouts) throw new Error(caller + ': "count+callouts" 모드에서는 callouts 옵션이 필수입니다.');
+    },
+    render: function (ctx) {
+      ctx.addLayer(KorMapChartES5._buildCallouts(ctx.svg, ctx.codeMap, ctx.data, ctx.bbox(), ctx.opts.callouts));
+    },
+    markup: function (ctx) {
+      var callouts = KorMapChartES5._calloutsNode(ctx.codeMap, ctx.regions, ctx.data, ctx.bbox(), ctx.viewBox, ctx.opts.callouts);
+      return { layers: [callouts.node], viewBox: callouts.viewBox };
+    }
+  },
+  'bivariate': {
+    validate: function (opts, caller) {
+      KorMapChartES5._validateBivariate(opts.bivariate, caller);
+    },
+    // datum 전체를 두 값으로 분류
+    paint: function (ctx) {
+      return {
+        scale: KorMapChartES5._makeBivariateScale(ctx.opts.bivariate, ctx.frames),
+        value: function (name) { return ctx.data && ctx.data[name]; }
+      };
+    }
+  },
+  'bubbles': {
+    // bubbles.regionFill: 지역은 한 색으로 칠하고 색상 스케일은 원에만 사용
+    paint: function (ctx) {
+      return { scale: ctx.defaultScale(), fill: ctx.opts.bubbles ? ctx.opts.bubbles.regionFill : null };
+    },
+    render: function (ctx) {
+      // 원 크기 기준은 timeline이면 모든 기간 값으로 공유
+      var bubbleOpts = ctx.opts.bubbles || {};
+      var maxValue = KorMapChartES5._bubbleMax(bubbleOpts, ctx.frames);
+      ctx.addLayer(KorMapChartES5._buildBubbles(ctx.svg, ctx.codeMap, ctx.data, ctx.scale, bubbleOpts, maxValue, ctx.titles));
+      if (bubbleOpts.legend !== false) {
+        var sizeLegendOpts = (typeof bubbleOpts.legend === 'object') ? bubbleOpts.legend : {};
+        // 크기 범례는 화면 px로 그리므로 responsive 배율을 되돌림
+        var k = ctx.fit ? ctx.fit.k : 1;
+        var legendBubbles = KorMapChartES5._extend(bubbleOpts, {
+          maxRadius: (bubbleOpts.maxRadius != null ? bubbleOpts.maxRadius : 24) / k,
+          minRadius: (bubbleOpts.minRadius != null ? bubbleOpts.minRadius : 0) / k
+        });
+        ctx.addLayer(KorMapChartES5._buildBubbleLegend(ctx.mount, legendBubbles, maxValue, sizeLegendOpts));
+      }
+    },
+    markup: function (ctx) {
+      var bubbleOpts = ctx.opts.bubbles || {};
+      var maxValue = KorMapChartES5._bubbleMax(bubbleOpts, ctx.frames);
+      return { layers: [KorMapChartES5._bubblesNode(ctx.codeMap, ctx.regions, ctx.data, ctx.scale, bubbleOpts, maxValue, ctx.titles)] };
+    }
+  }
+};
+KorMapChartES5._BUILTIN_MODES = ['normal', 'rate+bars', 'count+callouts', 'bivariate', 'bubbles'];
+
+/**
+ * mode 등록: render / update / renderToString의 opts.mode에 name을 지정해 사용
+ * 한 번 그릴 때마다 지역 칠하기(paint) → 라벨·파이 → render 또는 update → 범례 순서로 호출
+ * @param {string} name - 내장 mode('normal' | 'rate+bars' | 'count+callouts' | 'bivariate' | 'bubbles') 외의 이름
+ * @param {Object} def
+ *   - validate?: function (opts, caller)  // opts 검증, 잘못되면 Error throw
+ *   - paint?: function (ctx) → { scale, value?: function (name), fill?: string }  // 지역 색: fill 또는 scale.color(value(name), name)
+ *       (기본: ctx.defaultScale()와 rate), scale은 범례·툴팁·bar에도 사용
+ *   - render: function (ctx) → state  // 지도 위/옆 요소를 그림, 반환값은 update/destroy에 전달
+ *   - update?: function (ctx, state) → state  // 같은 mode로 다시 그릴 때 (없으면 destroy 후 render)
+ *   - destroy?: function (state)  // mode나 지도가 바뀌거나 차트를 destroy할 때
+ *   - markup?: function (ctx) → { layers?: node[], viewBox?: string }  // renderToString에서 지도 위에 놓을 { tag, attrs, children, text } 노드
+ *   - side?: function (ctx) → { node, width, height }  // toSVG / toPNG / renderToString에서 지도 오른쪽에 붙일 SVG 노드
+ *   - center?: boolean  // mount 안에서 지도와 부가 요소를 가운데 정렬
+ *   - inset?: (opts) => number  // viewBox 좌우에 더하는 여백 (opts.responsive 배율 계산에서 지도 너비에서 뺌)
+ *   ctx: { opts, codeMap, data, series, frames (timeline이면 모든 기간 data, 아니면 [data]), scale, titles (툴팁이 없으면 true),
+ *     geometry (KorMapChartES5.geometry), regions(id) → { box, d } | null, anchor(name, kind) → [x, y] | null, bbox() (지도 전체 경계),
+ *     node(tag, attrs, children, text) }
+ *   render / update의 ctx에는 chart, svg, mount, addLayer(el | 노드)와
+ *   fit (opts.responsive일 때 { width, stacked, k: 화면 1px당 SVG 좌표 }, 아니면 null)도 있음
+ *   (opts.responsive면 ctx.opts의 labels/callouts/bubbles 크기 옵션은 k를 곱한 SVG 좌표 값)
+ *   (노드는 svg에 추가, 등록한 요소는 다음에 그리기 전에 자동 제거 → update를 쓰는 mode는 요소를 직접 관리)
+ */
+KorMapChartES5.registerMode = function (name, def) {
+  if (typeof name !== 'string' || !name) throw new Error('KorMapChartES5.registerMode: name은 문자열이어야 합니다.');
+  if (KorMapChartES5._BUILTIN_MODES.indexOf(name) !== -1) {
+    throw new Error('KorMapChartES5.registerMode: 내장 mode와 같은 이름은 등록할 수 없습니다. ("' + name + '")');
+  }
+  if (!def || typeof def.render !== 'function') throw new Error('KorMapChartES5.registerMode: render는 함수여야 합니다.');
+  KorMapChartES5._modes[name] = def;
+};
+
+KorMapChartES5._modeDef = function (mode) {
+  return (mode != null && KorMapChartES5._modes.hasOwnProperty(mode)) ? KorMapChartES5._modes[mode] : null;
+};
+
+KorMapChartES5._modeNames = function () {
+  var names = [];
+  for (var m in KorMapChartES5._modes) {
+    if (KorMapChartES5._modes.hasOwnProperty(m)) names.push('"' + m + '"');
+  }
+  return names.join(' | ');
+};
+
+// render/markup 공통 ctx (regions: SVG id → { box, d })
+KorMapChartES5._modeContext = function (base, regions) {
+  var codeMap = base.codeMap;
+  return KorMapChartES5._extend(base, {
+    frames: base.series ? base.series.all : [base.data],
+    geometry: KorMapChartES5.geometry,
+    regions: regions,
+    anchor: function (name, kind) {
+      var region = (codeMap[name] != null) ? regions(codeMap[name]) : null;
+      return region ? KorMapChartES5._anchorPoint(region, kind || 'pole') : null;
+    },
+    node: KorMapChartES5._node
+  });
+};
+
+// mode의 paint 결과 { scale, value, fill } (value 기본은 rate)
+KorMapChartES5._paintSpec = function (def, ctx, getRate) {
+  var spec = (def.paint && def.paint(ctx)) || { scale: ctx.defaultScale() };
+  return { scale: spec.scale, value: spec.value || getRate, fill: spec.fill != null ? spec.fill : null };
+};
+
+KorMapChartES5._validateBivariate = function (biv, caller) {
+  if (!biv || biv.x == null || biv.y == null) {
+    throw new Error(caller + ': "bivariate" 모드에서는 bivariate.x와 bivariate.y 옵션이 필수입니다.');
+  }
+  var n = biv.n != null ? biv.n : (biv.colors ? biv.colors.length : 3);
+  if (typeof n !== 'number' || n % 1 !== 0 || n < 2) {
+    throw new Error(caller + ': bivariate.n은 2 이상의 정수여야 합니다.');
+  }
+  if (biv.colors) {
+    var square = biv.colors.length === n;
+    for (var r = 0; r < biv.colors.length; r++) {
+      if (!biv.colors[r] || biv.colors[r].length !== n) square = false;
+    }
+    if (!square) throw new Error(caller + ': bivariate.colors는 ' + n + '×' + n + ' 배열이어야 합니다.');
+  }
+  var axes = ['x', 'y'];
+  for (var a = 0; a < axes.length; a++) {
+    var breaks = biv.breaks && biv.breaks[axes[a]];
+    if (breaks && breaks.length !== n - 1) {
+      throw new Error(caller + ': bivariate.breaks.' + axes[a] + '에는 경계 ' + (n - 1) + '개가 필요합니다.');
+    }
+  }
+};
+
+KorMapChartES5._validateOpts = function (opts, caller) {
+  // mode는 필수
+  if (!opts.mode) {
+    throw new Error(caller + ': mode는 필수입니다. (' + KorMapChartES5._modeNames() + ')');
+  }
+  var modeDef = KorMapChartES5._modeDef(opts.mode);
+  if (!modeDef) {
+    throw new Error(caller + ': 알 수 없는 mode "' + opts.mode + '" (' + KorMapChartES5._modeNames() + ')');
+  }
+
+  if (opts.svg != null && typeof opts.svg !== 'string' && !KorMapChartES5._isSvgElement(opts.svg)) {
+    throw new Error(caller + ': svg는 URL·SVG 마크업 문자열 또는 <svg> 요소여야 합니다.');
+  }
+  if (opts.signal != null && typeof opts.signal.aborted !== 'boolean') {
+    throw new Error(caller + ': signal은 AbortSignal이어야 합니다.');
+  }
+
+  var scaleType = opts.scale && opts.scale.type;
+  if (scaleType != null && KorMapChartES5._SCALE_TYPES.indexOf(scaleType) === -1) {
+    throw new Error(caller + ': 알 수 없는 scale.type "' + scaleType + '" ("' + KorMapChartES5._SCALE_TYPES.join('" | "') + '")');
+  }
+
+  var selection = opts.selection;
+  var selectionMode = (selection && typeof selection === 'object') ? selection.mode : selection;
+  if (selection && selectionMode != null && KorMapChartES5._SELECTION_MODES.indexOf(selectionMode) === -1) {
+    throw new Error(caller + ': 알 수 없는 selection 모드 "' + selectionMode + '" ("single" | "multi")');
+  }
+
+  var bubbleLegendOpts = (opts.bubbles && opts.bubbles.legend) || {};
+  var pieLegendOpts = (opts.labels && opts.labels.pieChart && opts.labels.pieChart.legend) || {};
+  var legendPositions = [
+    ['legend', opts.legend ? opts.legend.position : null],
+    ['bubbles.legend', bubbleLegendOpts.position],
+    ['labels.pieChart.legend', pieLegendOpts.position]
+  ];
+  for (var lp = 0; lp < legendPositions.length; lp++) {
+    var legendPos = legendPositions[lp][1];
+    if (legendPos != null && ['right', 'left', 'top', 'bottom'].concat(KorMapChartES5._LEGEND_INSIDE).indexOf(legendPos) === -1) {
+      throw new Error(caller + ': 알 수 없는 ' + legendPositions[lp][0] + '.position "' + legendPos + '"');
+    }
+  }
+
+  var anchors = [['labels', opts.labels && opts.labels.anchor], ['callouts', opts.callouts && opts.callouts.anchor], ['bubbles', opts.bubbles && opts.bubbles.anchor]];
+  for (var i = 0; i < anchors.length; i++) {
+    var anchor = anchors[i][1];
+    if (anchor != null && KorMapChartES5._ANCHORS.indexOf(anchor) === -1) {
+      throw new Error(caller + ': 알 수 없는 ' + anchors[i][0] + '.anchor "' + anchor + '" ("' + KorMapChartES5._ANCHORS.join('" | "') + '")');
+    }
+  }
+
+  var glyphs = opts.glyphs || {};
+  for (var gName in glyphs) {
+    if (!glyphs.hasOwnProperty(gName)) continue;
+    var gType = glyphs[gName] ? glyphs[gName].type : undefined;
+    if (typeof gType !== 'function' && !KorMapChartES5._GLYPH_SIZES.hasOwnProperty(gType) && !KorMapChartES5._customGlyphs.hasOwnProperty(gType)) {
+      var glyphTypes = [];
+      var gt;
+      for (gt in KorMapChartES5._GLYPH_SIZES) {
+        if (KorMapChartES5._GLYPH_SIZES.hasOwnProperty(gt)) glyphTypes.push(gt);
+      }
+      for (gt in KorMapChartES5._customGlyphs) {
+        if (KorMapChartES5._customGlyphs.hasOwnProperty(gt)) glyphTypes.push(gt);
+      }
+      throw new Error(caller + ': 알 수 없는 glyphs["' + gName + '"].type "' + gType + '" ("' + glyphTypes.join('" | "') + '" | (glyph, ctx) => node)');
+    }
+  }
+
+  var easing = opts.animation && opts.animation.easing;
+  if (typeof easing === 'string' && !KorMapChartES5._EASINGS.hasOwnProperty(easing)) {
+    var easingNames = [];
+    for (var e in KorMapChartES5._EASINGS) {
+      if (KorMapChartES5._EASINGS.hasOwnProperty(e)) easingNames.push(e);
+    }
+    throw new Error(caller + ': 알 수 없는 animation.easing "' + easing + '" ("' + easingNames.join('" | "') + '" | (t) => number)');
+  }
+
+  var barSort = opts.bar && opts.bar.sort;
+  if (typeof barSort === 'string' && KorMapChartES5._BAR_SORTS.indexOf(barSort) === -1) {
+    throw new Error(caller + ': 알 수 없는 bar.sort "' + barSort + '" ("' + KorMapChartES5._BAR_SORTS.join('" | "') + '" | 지역명 배열 | 비교 함수)');
+  }
+  var barValue = opts.bar && opts.bar.value;
+  if (typeof barValue === 'string' && KorMapChartES5._BAR_VALUES.indexOf(barValue) === -1) {
+    throw new Error(caller + ': 알 수 없는 bar.value "' + barValue + '" ("rate" | "count" | (name, datum) => number)');
+  }
+
+  // 표 data는 열 이름을 미리 확인 (변환 결과는 그릴 때 재사용)
+  if (KorMapChartES5._isTable(opts.data)) KorMapChartES5._sourceData(opts, caller);
+
+  if (opts.timeline) {
+    var t = KorMapChartES5._timelineOpts(opts);
+    if (t.position != null && KorMapChartES5._TIMELINE_POSITIONS.indexOf(t.position) === -1) {
+      throw new Error(caller + ': 알 수 없는 timeline.position "' + t.position + '" ("bottom" | "top")');
+    }
+    var periods = KorMapChartES5._periodsOf(opts);
+    if (t.initial != null && periods.indexOf(String(t.initial)) === -1) {
+      throw new Error(caller + ': timeline.initial "' + t.initial + '"이(가) 기간 목록에 없습니다. (' + periods.join(', ') + ')');
+    }
+  }
+
+  // mode별 필수 옵션 검증
+  if (modeDef.validate) modeDef.validate(opts, caller);
+};
+
+KorMapChartES5._applyMountStyles = function (el, opts) {
+  KorMapChartES5._setCss(el, 'position', 'relative');
+  KorMapChartES5._setCss(el, 'display', 'flex');
+  var modeDef = KorMapChartES5._modeDef(opts.mode);
+  var center = modeDef && modeDef.center;
+  KorMapChartES5._setCss(el, 'align-items', center ? 'center' : null);
+  KorMapChartES5._setCss(el, 'justify-content', center ? 'center' : null);
+  KorMapChartES5._setCss(el, 'flex-shrink', '0');
+  KorMapChartES5._setCss(el, 'gap', (opts.gap != null) ? opts.gap + 'px' : null);
+
+  // 위/아래 범례(색상·bubbles 크기·파이 범주)와 기간 슬라이더는 별도 줄로 배치
+  var pieOpts = (opts.labels && opts.labels.pieChart) || {};
+  var positions = [
+    opts.legend && opts.legend.position,
+    opts.bubbles && opts.bubbles.legend && opts.bubbles.legend.position,
+    pieOpts.legend && pieOpts.legend.position
+  ];
+  var stacked = false;
+  for (var i = 0; i < positions.length; i++) {
+    if (positions[i] === 'top' || positions[i] === 'bottom') stacked = true;
+  }
+  KorMapChartES5._setCss(el, 'flex-wrap', (stacked || opts.timeline) ? 'wrap' : null);
+};
+
+// ---------- 내보내기 ----------
+KorMapChartES5._EXPORT_STYLE_PROPS = ['fill', 'stroke', 'stroke-width', 'opacity', 'font-family'];
+
+// 페이지 CSS로 칠해진 값도 남도록 계산된 스타일을 복제본에 인라인으로 복사
+KorMapChartES5._inlineComputedStyles = function (source, clone) {
+  var view = source.ownerDocument && source.ownerDocument.defaultView;
+  if (!view || !view.getComputedStyle) return;
+
+  var selector = 'path, polygon, polyline, rect, circle, ellipse, line, text';
+  var sources = source.querySelectorAll(selector);
+  var targets = clone.querySelectorAll(selector);
+  var props = KorMapChartES5._EXPORT_STYLE_PROPS;
+
+  for (var i = 0; i < sources.length; i++) {
+    var target = targets[i];
+    if (!target) continue;
+
+    var computed = view.getComputedStyle(sources[i]);
+    for (var j = 0; j < props.length; j++) {
+      if (target.style.getPropertyValue(props[j])) continue;
+      var value = computed.getPropertyValue(props[j]);
+      if (value) target.style.setProperty(props[j], value);
+    }
+  }
+};
+
+// 포커스/포인터 관련 속성은 정적 이미지에 필요 없으므로 제거
+KorMapChartES5._stripInteraction = function (svg) {
+  var attrs = ['tabindex', 'role', 'aria-pressed', 'data-kmc-region', 'data-kmc-slice'];
+  var els = svg.querySelectorAll('*');
+  for (var i = 0; i < els.length; i++) {
+    for (var j = 0; j < attrs.length; j++) els[i].removeAttribute(attrs[j]);
+    if (els[i].style) {
+      els[i].style.removeProperty('pointer-events');
+      els[i].style.removeProperty('cursor');
+    }
+  }
+};
+
+// _buildBars와 같은 치수(px)의 SVG bar 목록 (g는 _node 형식), model은 _barModel 결과
+KorMapChartES5._buildBarsSvg = function (model, barOpts) {
+  barOpts = barOpts || {};
+  var rows = model.rows;
+  var references = model.references;
+
+  var height = barOpts.height != null ? barOpts.height : 20;
+  var gap = barOpts.gap != null ? barOpts.gap : 20;
+  var rowGap = barOpts.rowGap != null ? barOpts.rowGap : 8;
+  var labelWidth = barOpts.labelWidth != null ? barOpts.labelWidth : 56;
+  var top = barOpts.paddingTop != null ? barOpts.paddingTop : 0;
+  var labelAlign = barOpts.labelAlign != null ? barOpts.labelAlign : 'right';
+  var valueSize = barOpts.valueSize != null ? barOpts.valueSize : 12;
+
+  var text = function (x, y, anchor, content, size, weight, color) {
+    return KorMapChartES5._node('text', {
+      x: x, y: y, 'text-anchor': anchor, 'dominant-baseline': 'central', 'font-size': size, 'font-weight': weight, fill: color
+    }, [], content);
+  };
+
+  var labelX = (labelAlign === 'left') ? 0 : (labelAlign === 'center') ? labelWidth / 2 : labelWidth;
+  var anchor = (labelAlign === 'left') ? 'start' : (labelAlign === 'center') ? 'middle' : 'end';
+
+  var g = KorMapChartES5._node('g');
+  for (var i = 0; i < rows.length; i++) {
+    var row = rows[i];
+    var y = top + i * (height + gap);
+    var cy = y + height / 2;
+
+    g.children.push(text(labelX, cy, anchor, row.name,
+      barOpts.labelSize != null ? barOpts.labelSize : 12,
+      barOpts.labelWeight != null ? barOpts.labelWeight : 600,
+      barOpts.labelColor != null ? barOpts.labelColor : '#111827'));
+
+    g.children.push(KorMapChartES5._node('rect', {
+      x: labelWidth + rowGap + row.x,
+      y: y,
+      width: row.width,
+      height: height,
+      rx: Math.min(barOpts.rounded != null ? barOpts.rounded : 4, height / 2),
+      fill: row.color
+    }));
+
+    g.children.push(text(labelWidth + rowGap + row.x + row.width + rowGap, cy, 'start', row.text,
+      valueSize,
+      barOpts.valueWeight != null ? barOpts.valueWeight : 600,
+      barOpts.valueColor != null ? barOpts.valueColor : '#111827'));
+  }
+
+  var listHeight = top + rows.length * height + Math.max(0, rows.length - 1) * gap;
+  var labelSpace = references.length ? KorMapChartES5._barRefLabelSpace(references, barOpts) : 0;
+  for (var r = 0; r < references.length; r++) {
+    var ref = references[r];
+    var x = labelWidth + rowGap + ref.x;
+    g.children.push(KorMapChartES5._node('line', {
+      x1: x, y1: 0, x2: x, y2: listHeight,
+      stroke: ref.color, 'stroke-width': ref.width, 'stroke-dasharray': ref.dash || 'none', 'pointer-events': 'none'
+    }));
+    if (ref.label != null) {
+      g.children.push(text(x, listHeight + labelSpace / 2, 'middle', ref.label,
+        barOpts.referenceLabelSize != null ? barOpts.referenceLabelSize : 11, 400, ref.color));
+    }
+  }
+
+  // 값 텍스트 폭은 가장 긴 값 기준 추정 (최소 '100%' 정도)
+  var valueWidth = valueSize * 3;
+  for (i = 0; i < rows.length; i++) valueWidth = Math.max(valueWidth, KorMapChartES5._textWidth(rows[i].text, valueSize));
+  return {
+    g: g,
+    width: labelWidth + rowGap * 2 + (barOpts.width != null ? barOpts.width : 100) + valueWidth,
+    height: listHeight + labelSpace
+  };
+};
+
+// ---------- 도형 기하 ----------
+// path d / 기본 도형을 직접 해석 (getBBox 없이 경계 상자, 면적 중심, 내부 극점 계산)
+
+// 3차 베지어 한 축의 극값 t (0 < t < 1)
+KorMapChartES5._cubicExtrema = function (p0, p1, p2, p3) {
+  var a = -p0 + 3 * p1 - 3 * p2 + p3;
+  var b = 2 * (p0 - 2 * p1 + p2);
+  var c = p1 - p0;
+  if (Math.abs(a) < 1e-12) return (Math.abs(b) < 1e-12) ? [] : [-c / b];
+  var disc = b * b - 4 * a * c;
+  if (disc < 0) return [];
+  var sq = Math.sqrt(disc);
+  return [(-b + sq) / (2 * a), (-b - sq) / (2 * a)];
+};
+
+// 호(A) 끝점 표기 → 중심 표기 (SVG 명세 F.6.5), 반지름이 0이면 null (직선)
+KorMapChartES5._arcCenter = function (x0, y0, rx, ry, deg, large, sweep, x, y) {
+  rx = Math.abs(rx); ry = Math.abs(ry);
+  if (!rx || !ry) return null;
+
+  var phi = deg * Math.PI / 180;
+  var cos = Math.cos(phi), sin = Math.sin(phi);
+  var x1p = cos * (x0 - x) / 2 + sin * (y0 - y) / 2;
+  var y1p = -sin * (x0 - x) / 2 + cos * (y0 - y) / 2;
+
+  var lambda = (x1p * x1p) / (rx * rx) + (y1p * y1p) / (ry * ry);
+  if (lambda > 1) { rx *= Math.sqrt(lambda); ry *= Math.sqrt(lambda); }
+
+  var num = rx * rx * ry * ry - rx * rx * y1p * y1p - ry * ry * x1p * x1p;
+  var den = rx * rx * y1p * y1p + ry * ry * x1p * x1p;
+  var coef = ((large === sweep) ? -1 : 1) * Math.sqrt(Math.max(0, num / den));
+  var cxp = coef * rx * y1p / ry;
+  var cyp = -coef * ry * x1p / rx;
+  var cx = cos * cxp - sin * cyp + (x0 + x) / 2;
+  var cy = sin * cxp + cos * cyp + (y0 + y) / 2;
+
+  var angle = function (ux, uy, vx, vy) { return Math.atan2(ux * vy - uy * vx, ux * vx + uy * vy); };
+  var ux = (x1p - cxp) / rx, uy = (y1p - cyp) / ry;
+  var delta = angle(ux, uy, (-x1p - cxp) / rx, (-y1p - cyp) / ry);
+  if (!sweep && delta > 0) delta -= 2 * Math.PI;
+  if (sweep && delta < 0) delta += 2 * Math.PI;
+
+  var frx = rx, fry = ry;
+  return {
+    rx: rx,
+    ry: ry,
+    delta: delta,
+    theta1: angle(1, 0, ux, uy),
+    at: function (t) {
+      return [
+        cx + frx * cos * Math.cos(t) - fry * sin * Math.sin(t),
+        cy + frx * sin * Math.cos(t) + fry * cos * Math.sin(t)
+      ];
+    },
+    cos: cos,
+    sin: sin
+  };
+};
+
+// 호의 끝점과 축 방향 극값
+KorMapChartES5._arcPoints = function (x0, y0, rx, ry, deg, large, sweep, x, y) {
+  var arc = KorMapChartES5._arcCenter(x0, y0, rx, ry, deg, large, sweep, x, y);
+  if (!arc) return [[x, y]];
+
+  var TAU = 2 * Math.PI;
+  var tx = Math.atan2(-arc.ry * arc.sin, arc.rx * arc.cos);
+  var ty = Math.atan2(arc.ry * arc.cos, arc.rx * arc.sin);
+  var candidates = [tx, tx + Math.PI, ty, ty + Math.PI];
+
+  var points = [[x, y]];
+  for (var i = 0; i < candidates.length; i++) {
+    var t = candidates[i];
+    var dt = (arc.delta >= 0) ? (t - arc.theta1) : (arc.theta1 - t);
+    if (((dt % TAU) + TAU) % TAU > Math.abs(arc.delta)) continue;
+    points.push(arc.at(t));
+  }
+  return points;
+};
+
+// path d를 절대 좌표 세그먼트로 풀어서 visit(type, args) 호출
+// H/V → 'L', S → 'C', T → 'Q'로 정규화
+// M: [x, y] / L: [x0, y0, x, y] / C: [x0, y0, x1, y1, x2, y2, x, y] / Q: [x0, y0, qx, qy, x, y]
+// A: [x0, y0, rx, ry, deg, large, sweep, x, y] / Z: [x, y, sx, sy]
+KorMapChartES5._walkPath = function (d, visit) {
+  var tokens = String(d != null ? d : '').match(/[a-zA-Z]|[-+]?(?:\d*\.\d+|\d+\.?)(?:[eE][-+]?\d+)?/g) || [];
+
+  var i = 0;
+  var num = function () { return Number(tokens[i++]); };
+  // 호의 플래그는 '0110'처럼 붙여 쓸 수 있어 한 글자씩 읽음
+  var flag = function () {
+    var t = tokens[i];
+    if (t.length > 1) { tokens[i] = t.slice(1); return Number(t.charAt(0)); }
+    i++;
+    return Number(t);
+  };
+
+  var cmd = null;
+  var x = 0, y = 0, sx = 0, sy = 0;
+  var ctrl = null;  // 직전 곡선의 마지막 제어점 [종류, x, y] (S/T 반사용)
+
+  while (i < tokens.length) {
+    if (/^[a-zA-Z]$/.test(tokens[i])) cmd = tokens[i++];
+    else if (cmd == null || /^[zZ]$/.test(cmd)) { i++; continue; }  // 잘못된 숫자는 건너뜀
+
+    var rel = cmd === cmd.toLowerCase();
+    var ox = rel ? x : 0, oy = rel ? y : 0;
+    var C = cmd.toUpperCase();
+    if (C !== 'Z' && i >= tokens.length) break;
+
+    var nx = x, ny = y;
+    if (C === 'M') {
+      nx = num() + ox; ny = num() + oy;
+      sx = nx; sy = ny;
+      cmd = rel ? 'l' : 'L';
+      ctrl = null;
+      visit('M', [nx, ny]);
+    } else if (C === 'L' || C === 'H' || C === 'V') {
+      if (C !== 'V') nx = num() + ox;
+      if (C !== 'H') ny = num() + oy;
+      ctrl = null;
+      visit('L', [x, y, nx, ny]);
+    } else if (C === 'C' || C === 'S') {
+      var x1 = (ctrl && ctrl[0] === 'C') ? 2 * x - ctrl[1] : x;
+      var y1 = (ctrl && ctrl[0] === 'C') ? 2 * y - ctrl[2] : y;
+      if (C === 'C') { x1 = num() + ox; y1 = num() + oy; }
+      var x2 = num() + ox, y2 = num() + oy;
+      nx = num() + ox; ny = num() + oy;
+      ctrl = ['C', x2, y2];
+      visit('C', [x, y, x1, y1, x2, y2, nx, ny]);
+    } else if (C === 'Q' || C === 'T') {
+      var qx = (ctrl && ctrl[0] === 'Q') ? 2 * x - ctrl[1] : x;
+      var qy = (ctrl && ctrl[0] === 'Q') ? 2 * y - ctrl[2] : y;
+      if (C === 'Q') { qx = num() + ox; qy = num() + oy; }
+      nx = num() + ox; ny = num() + oy;
+      ctrl = ['Q', qx, qy];
+      visit('Q', [x, y, qx, qy, nx, ny]);
+    } else if (C === 'A') {
+      var rx = num(), ry = num(), deg = num(), large = flag(), sweep = flag();
+      nx = num() + ox; ny = num() + oy;
+      ctrl = null;
+      visit('A', [x, y, rx, ry, deg, large, sweep, nx, ny]);
+    } else if (C === 'Z') {
+      nx = sx; ny = sy;
+      ctrl = null;
+      visit('Z', [x, y, sx, sy]);
+    } else {
+      break;  // 알 수 없는 명령
+    }
+    x = nx; y = ny;
+  }
+};
+
+// path d 문자열의 경계 상자 (getBBox와 같이 곡선 제어점이 아닌 실제 곡선 기준)
+KorMapChartES5._pathBBox = function (d) {
+  var minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  var add = function (px, py) {
+    if (!isFinite(px) || !isFinite(py)) return;
+    minX = Math.min(minX, px); minY = Math.min(minY, py);
+    maxX = Math.max(maxX, px); maxY = Math.max(maxY, py);
+  };
+
+  KorMapChartES5._walkPath(d, function (type, a) {
+    var k, t, u;
+    if (type === 'M') {
+      add(a[0], a[1]);
+    } else if (type === 'L') {
+      add(a[2], a[3]);
+    } else if (type === 'C') {
+      var ts = KorMapChartES5._cubicExtrema(a[0], a[2], a[4], a[6]).concat(KorMapChartES5._cubicExtrema(a[1], a[3], a[5], a[7]));
+      for (k = 0; k < ts.length; k++) {
+        t = ts[k];
+        if (!(t > 0 && t < 1)) continue;
+        u = 1 - t;
+        add(u * u * u * a[0] + 3 * u * u * t * a[2] + 3 * u * t * t * a[4] + t * t * t * a[6],
+          u * u * u * a[1] + 3 * u * u * t * a[3] + 3 * u * t * t * a[5] + t * t * t * a[7]);
+      }
+      add(a[6], a[7]);
+    } else if (type === 'Q') {
+      var qs = [(a[0] - a[2]) / (a[0] - 2 * a[2] + a[4]), (a[1] - a[3]) / (a[1] - 2 * a[3] + a[5])];
+      for (k = 0; k < qs.length; k++) {
+        t = qs[k];
+        if (!(t > 0 && t < 1)) continue;
+        u = 1 - t;
+        add(u * u * a[0] + 2 * u * t * a[2] + t * t * a[4], u * u * a[1] + 2 * u * t * a[3] + t * t * a[5]);
+      }
+      add(a[4], a[5]);
+    } else if (type === 'A') {
+      var pts = KorMapChartES5._arcPoints.apply(null, a);
+      for (k = 0; k < pts.length; k++) add(pts[k][0], pts[k][1]);
+    }
+  });
+
+  return (minX === Infinity) ? null : { x: minX, y: minY, width: maxX - minX, height: maxY - minY };
+};
+
+// path d → 닫힌 고리(점 목록) 배열, 곡선/호는 segments개 직선으로 근사
+KorMapChartES5._pathRings = function (d, segments) {
+  segments = segments || 8;
+
+  var rings = [];
+  var ring = null;
+  var push = function (x0, y0, x, y) {
+    if (!ring) { ring = [[x0, y0]]; rings.push(ring); }
+    if (isFinite(x) && isFinite(y)) ring.push([x, y]);
+  };
+
+  KorMapChartES5._walkPath(d, function (type, a) {
+    if (type === 'M') { ring = [[a[0], a[1]]]; rings.push(ring); return; }
+    if (type === 'Z') { ring = null; return; }
+
+    var x0 = a[0], y0 = a[1];
+    if (type === 'L') { push(x0, y0, a[2], a[3]); return; }
+
+    var arc = (type === 'A') ? KorMapChartES5._arcCenter.apply(null, a) : null;
+    if (type === 'A' && !arc) { push(x0, y0, a[7], a[8]); return; }
+
+    var n = (type === 'A') ? Math.max(2, Math.ceil(Math.abs(arc.delta) / (Math.PI / 8))) : segments;
+    for (var k = 1; k <= n; k++) {
+      var t = k / n, u = 1 - t;
+      if (type === 'C') {
+        push(x0, y0, u * u * u * x0 + 3 * u * u * t * a[2] + 3 * u * t * t * a[4] + t * t * t * a[6],
+          u * u * u * y0 + 3 * u * u * t * a[3] + 3 * u * t * t * a[5] + t * t * t * a[7]);
+      } else if (type === 'Q') {
+        push(x0, y0, u * u * x0 + 2 * u * t * a[2] + t * t * a[4], u * u * y0 + 2 * u * t * a[3] + t * t * a[5]);
+      } else {
+        // 마지막 점은 오차 없이 끝점으로
+        var p = (k === n) ? [a[7], a[8]] : arc.at(arc.theta1 + arc.delta * t);
+        push(x0, y0, p[0], p[1]);
+      }
+    }
+  });
+
+  var out = [];
+  for (var i = 0; i < rings.length; i++) {
+    if (rings[i].length >= 3) out.push(rings[i]);
+  }
+  return out;
+};
+
+// 기본 도형 요소 → 같은 모양의 path d (transform은 고려하지 않음)
+KorMapChartES5._SVG_SHAPES = ['path', 'polygon', 'polyline', 'rect', 'circle', 'ellipse', 'line'];
+
+KorMapChartES5._shapePath = function (tag, attrs) {
+  var n = function (k) { return Number(attrs[k]) || 0; };
+  switch (tag) {
+    case 'path':
+      return attrs.d || null;
+    case 'polygon':
+    case 'polyline':
+      var v = (attrs.points || '').replace(/^\s+|\s+$/g, '').split(/[\s,]+/).map(Number);
+      var pts = [];
+      for (var k = 0; k + 1 < v.length; k += 2) pts.push(v[k] + ',' + v[k + 1]);
+      return pts.length ? 'M' + pts.join('L') + ((tag === 'polygon') ? 'Z' : '') : null;
+    case 'rect':
+      return 'M' + n('x') + ',' + n('y') + 'h' + n('width') + 'v' + n('height') + 'h' + (-n('width')) + 'Z';
+    case 'circle':
+    case 'ellipse':
+      var rx = (tag === 'circle') ? n('r') : n('rx');
+      var ry = (tag === 'circle') ? n('r') : n('ry');
+      return 'M' + (n('cx') - rx) + ',' + n('cy') +
+        'a' + rx + ',' + ry + ' 0 1 0 ' + (rx * 2) + ',0' +
+        'a' + rx + ',' + ry + ' 0 1 0 ' + (-rx * 2) + ',0Z';
+    case 'line':
+      return 'M' + n('x1') + ',' + n('y1') + 'L' + n('x2') + ',' + n('y2');
+    default:
+      return null;
+  }
+};
+
+// 요소(또는 g 아래 모든 도형)의 path d를 이어 붙인 문자열
+KorMapChartES5._elementPathData = function (el) {
+  var shapes = (KorMapChartES5._SVG_SHAPES.indexOf(el.tagName) !== -1)
+    ? [el]
+    : el.querySelectorAll(KorMapChartES5._SVG_SHAPES.join(','));
+
+  var parts = [];
+  for (var i = 0; i < shapes.length; i++) {
+    var attrs = {};
+    for (var j = 0; j < shapes[i].attributes.length; j++) {
+      attrs[shapes[i].attributes[j].name] = shapes[i].attributes[j].value;
+    }
+    var d = KorMapChartES5._shapePath(shapes[i].tagName, attrs);
+    if (d) parts.push(d);
+  }
+  return parts.join(' ');
+};
+
+// 점이 고리들 안에 있는지 (even-odd)
+KorMapChartES5._insideRings = function (x, y, rings) {
+  var inside = false;
+  for (var r = 0; r < rings.length; r++) {
+    var ring = rings[r];
+    for (var i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      var xi = ring[i][0], yi = ring[i][1], xj = ring[j][0], yj = ring[j][1];
+      if ((yi > y) !== (yj > y) && x < (xj - xi) * (y - yi) / (yj - yi) + xi) inside = !inside;
+    }
+  }
+  return inside;
+};
+
+// 점과 고리 경계 사이 거리 (안쪽이면 양수, 바깥이면 음수)
+KorMapChartES5._ringDistance = function (x, y, rings) {
+  var min = Infinity;
+  for (var r = 0; r < rings.length; r++) {
+    var ring = rings[r];
+    for (var i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      var ax = ring[j][0], ay = ring[j][1];
+      var dx = ring[i][0] - ax, dy = ring[i][1] - ay;
+      var len = dx * dx + dy * dy;
+      var t = len ? Math.max(0, Math.min(1, ((x - ax) * dx + (y - ay) * dy) / len)) : 0;
+      var px = ax + t * dx - x, py = ay + t * dy - y;
+      min = Math.min(min, px * px + py * py);
+    }
+  }
+  return (KorMapChartES5._insideRings(x, y, rings) ? 1 : -1) * Math.sqrt(min);
+};
+
+// 면적 가중 중심. 다른 고리 안에 홀수 번 들어간 고리(경기 안의 서울 등)는 구멍으로 빼서 계산
+KorMapChartES5._centroid = function (rings) {
+  var sumA = 0, sumX = 0, sumY = 0;
+  for (var r = 0; r < rings.length; r++) {
+    var ring = rings[r];
+    var a = 0, cx = 0, cy = 0;
+    for (var i = 0, j = ring.length - 1; i < ring.length; j = i++) {
+      var x0 = ring[j][0], y0 = ring[j][1], x1 = ring[i][0], y1 = ring[i][1];
+      var f = x0 * y1 - x1 * y0;
+      a += f; cx += (x0 + x1) * f; cy += (y0 + y1) * f;
+    }
+    if (!a) continue;
+
+    var depth = 0;
+    for (var o = 0; o < rings.length; o++) {
+      if (o !== r && KorMapChartES5._insideRings(ring[0][0], ring[0][1], [rings[o]])) depth++;
+    }
+    var w = Math.abs(a / 2) * ((depth % 2) ? -1 : 1);
+    sumA += w;
+    sumX += w * cx / (3 * a);
+    sumY += w * cy / (3 * a);
+  }
+  return sumA ? { x: sumX / sumA, y: sumY / sumA } : null;
+};
+
+// 내부 극점(pole of inaccessibility): 경계에서 가장 먼 내부 점 (격자 분할 + 우선순위 탐색)
+KorMapChartES5._pole = function (rings, precision) {
+  var boxes = [];
+  for (var r = 0; r < rings.length; r++) boxes.push(KorMapChartES5._pathBBox('M' + rings[r].join('L') + 'Z'));
+  var box = KorMapChartES5._unionBBox(boxes);
+  var size = Math.min(box.w, box.h);
+  if (!(size > 0)) return null;
+  if (precision == null) precision = Math.max(box.w, box.h) / 200;
+
+  var cell = function (x, y, h) {
+    var d = KorMapChartES5._ringDistance(x, y, rings);
+    return { x: x, y: y, h: h, d: d, max: d + h * Math.SQRT2 };
+  };
+
+  // max 오름차순 배열 (끝에서 꺼냄)
+  var queue = [];
+  var enqueue = function (c) {
+    var lo = 0, hi = queue.length;
+    while (lo < hi) {
+      var mid = (lo + hi) >> 1;
+      if (queue[mid].max < c.max) lo = mid + 1; else hi = mid;
+    }
+    queue.splice(lo, 0, c);
+  };
+
+  var h = size / 2;
+  for (var x = box.x; x < box.x + box.w; x += size) {
+    for (var y = box.y; y < box.y + box.h; y += size) enqueue(cell(x + h, y + h, h));
+  }
+
+  var c = KorMapChartES5._centroid(rings);
+  var best = c ? cell(c.x, c.y, 0) : cell(box.x + box.w / 2, box.y + box.h / 2, 0);
+  var center = cell(box.x + box.w / 2, box.y + box.h / 2, 0);
+  if (center.d > best.d) best = center;
+
+  while (queue.length) {
+    var next = queue.pop();
+    if (next.d > best.d) best = next;
+    if (next.max - best.d <= precision) break;
+
+    var q = next.h / 2;
+    enqueue(cell(next.x - q, next.y - q, q));
+    enqueue(cell(next.x + q, next.y - q, q));
+    enqueue(cell(next.x - q, next.y + q, q));
+    enqueue(cell(next.x + q, next.y + q, q));
+  }
+
+  return { x: best.x, y: best.y, distance: best.d };
+};
+
+KorMapChartES5._ANCHORS = ['pole', 'centroid', 'bbox'];
+
+// 라벨/파이/callout 핀 기준점 [x, y]
+// region: { box, d, cache? } - cache가 있으면 계산 결과를 저장해 재사용 (DOM 요소별)
+// kind: 'pole'(기본, 항상 지역 안) | 'centroid'(면적 중심) | 'bbox'(경계 상자 중심, 이전 동작)
+KorMapChartES5._anchorPoint = function (region, kind) {
+  kind = kind || 'pole';
+
+  var b = region.box;
+  if (kind !== 'bbox' && region.d) {
+    var cache = region.cache || {};
+    if (!cache.hasOwnProperty(kind)) {
+      var rings = KorMapChartES5._pathRings(region.d);
+      cache[kind] = rings.length
+        ? ((kind === 'centroid') ? KorMapChartES5._centroid(rings) : KorMapChartES5._pole(rings))
+        : null;
+    }
+    var p = cache[kind];
+    if (p) return [p.x, p.y];
+  }
+  return [b.x + b.width / 2, b.y + b.height / 2];
+};
+
+// path d 기하 도구 (브라우저 없이 사용 가능, d는 여러 path를 공백으로 이어도 됨)
+// - bbox(d): { x, y, width, height } | null
+// - rings(d): 곡선/호를 직선으로 근사한 고리 배열 [[[x, y], ...], ...]
+// - centroid(d): 면적 가중 중심 { x, y } | null (even-odd 구멍 제외)
+// - pole(d, precision?): 내부 극점 { x, y, distance } | null (distance: 가장 가까운 경계까지 거리)
+// - contains(d, x, y): even-odd 기준 내부 여부
+KorMapChartES5.geometry = {
+  bbox: function (d) { return KorMapChartES5._pathBBox(d); },
+  rings: function (d) { return KorMapChartES5._pathRings(d); },
+  centroid: function (d) { return KorMapChartES5._centroid(KorMapChartES5._pathRings(d)); },
+  pole: function (d, precision) {
+    var rings = KorMapChartES5._pathRings(d);
+    return rings.length ? KorMapChartES5._pole(rings, precision) : null;
+  },
+  contains: function (d, x, y) { return KorMapChartES5._insideRings(x, y, KorMapChartES5._pathRings(d)); }
+};
+
+// ---------- 정적 렌더링 (DOM 없음) ----------
+KorMapChartES5._unescapeXml = function (v) {
+  var named = { amp: '&', lt: '<', gt: '>', quot: '"', apos: "'" };
+  return v.replace(/&(#x[0-9a-fA-F]+|#\d+|amp|lt|gt|quot|apos);/g, function (m, e) {
+    if (e.charAt(0) === '#') return String.fromCharCode((e.charAt(1) === 'x') ? parseInt(e.slice(2), 16) : Number(e.slice(1)));
+    return named[e];
+  });
+};
+
+// 주석/CDATA/선언(<?, <!)은 통째로, 그 외에는 시작·끝 태그
+KorMapChartES5._SVG_TOKEN = /<!--[\s\S]*?-->|<!\[CDATA\[[\s\S]*?\]\]>|<[?!][\s\S]*?>|<(\/?)([A-Za-z_][\w:.-]*)((?:\s+[^\s=/>]+(?:\s*=\s*(?:"[^"]*"|'[^']*'))?)*)\s*(\/?)>/g;
+
+// SVG 문자열을 한 번 훑어서 원본 fill 제거(_clearSvgFillStyles) + 지역 칠하기(_paintRegions)를 적용하고
+// 지역 id별 경계 상자와 path d(g는 하위 도형의 합), 전체 path 경계(_computeBBox)를 계산
+// → { chunks, rootIndex, closeIndex, rootAttrs, regions: { id: { box, d } }, ids: { id: true }, shapes: [id], mapBox }
+KorMapChartES5._rewriteSvgMarkup = function (text, fillById) {
+  var chunks = [];
+  var regions = {};
+  var pathBoxes = [];
+  var stack = [];   // 열린 요소 [{ tag, collect: id | null, skip }] (skip: 안의 도형은 codeMap 검사 제외)
+  var ids = {};
+  var shapes = [];  // codeMap 지역 밖의 path/polygon id (_collectSvgIds와 같은 기준)
+  var rootIndex = -1, closeIndex = -1, rootAttrs = null, svgDepth = 0;
+  var inStyle = false;
+  var last = 0;
+
+  var stripFill = function (css) { return css.replace(/fill\s*:[^;]+;?/g, ''); };
+  var grow = function (id, b, d) {
+    var r = regions.hasOwnProperty(id) ? regions[id] : null;
+    if (!r) { regions[id] = { box: b, d: d }; return; }
+    var p = r.box;
+    var x = Math.min(p.x, b.x), y = Math.min(p.y, b.y);
+    r.box = {
+      x: x, y: y,
+      width: Math.max(p.x + p.width, b.x + b.width) - x,
+      height: Math.max(p.y + p.height, b.y + b.height) - y
+    };
+    r.d += ' ' + d;
+  };
+
+  var re = new RegExp(KorMapChartES5._SVG_TOKEN.source, 'g');
+  var m;
+  while ((m = re.exec(text))) {
+    var between = text.slice(last, m.index);
+    chunks.push(inStyle ? stripFill(between) : between);
+    last = re.lastIndex;
+
+    var raw = m[0], closing = m[1], tag = m[2], selfClose = m[4];
+    if (!tag) {
+      chunks.push(inStyle ? stripFill(raw) : raw);
+      continue;
+    }
+
+    if (closing) {
+      if (tag === 'style') inStyle = false;
+      if (tag === 'svg' && --svgDepth === 0 && closeIndex < 0) closeIndex = chunks.length;
+      stack.pop();
+      chunks.push(raw);
+      continue;
+    }
+
+    var attrs = {};
+    var attrRe = /([^\s=/>]+)(?:\s*=\s*(?:"([^"]*)"|'([^']*)'))?/g;
+    var a;
+    while ((a = attrRe.exec(m[3]))) {
+      attrs[a[1]] = KorMapChartES5._unescapeXml(a[2] != null ? a[2] : (a[3] != null ? a[3] : ''));
+    }
+
+    var hadFill = attrs.hasOwnProperty('fill');
+    delete attrs.fill;
+
+    var id = attrs.id;
+    var painted = id != null && fillById.hasOwnProperty(id);
+    if (id != null) {
+      ids[id] = true;
+      var skipped = false;
+      for (var k = 0; k < stack.length; k++) {
+        if (stack[k].skip) skipped = true;
+      }
+      if ((tag === 'path' || tag === 'polygon') && !painted && !skipped) shapes.push(id);
+    }
+    if (painted) {
+      var style = (attrs.style || '').replace(/(^|;)\s*fill\s*:[^;]*/g, '$1').replace(/^;+|;+$/g, '');
+      attrs.style = (style ? style + ';' : '') + 'fill:' + fillById[id] + ' !important';
+    }
+
+    if (KorMapChartES5._SVG_SHAPES.indexOf(tag) !== -1) {
+      var d = KorMapChartES5._shapePath(tag, attrs);
+      var b = d && KorMapChartES5._pathBBox(d);
+      if (b) {
+        if (tag === 'path') pathBoxes.push(b);
+        if (id != null) grow(id, b, d);
+        for (var s = 0; s < stack.length; s++) {
+          if (stack[s].collect != null) grow(stack[s].collect, b, d);
+        }
+      }
+    }
+
+    if (tag === 'svg' && rootIndex < 0) {
+      rootIndex = chunks.length;
+      rootAttrs = attrs;
+    }
+    chunks.push((hadFill || painted) ? KorMapChartES5._openTag(tag, attrs, !!selfClose) : raw);
+
+    if (!selfClose) {
+      if (tag === 'svg') svgDepth++;
+      if (tag === 'style') inStyle = true;
+      stack.push({
+        tag: tag,
+        collect: (tag === 'g' && painted) ? id : null,
+        skip: painted || KorMapChartES5._SVG_DEFS.indexOf(tag) !== -1
+      });
+    }
+  }
+  chunks.push(text.slice(last));
+
+  if (rootIndex < 0 || closeIndex < 0) throw new Error('KorMapChartES5.renderToString: <svg> 요소를 찾을 수 없음');
+  return {
+    chunks: chunks,
+    rootIndex: rootIndex,
+    closeIndex: closeIndex,
+    rootAttrs: rootAttrs,
+    regions: regions,
+    ids: ids,
+    shapes: shapes,
+    mapBox: KorMapChartES5._unionBBox(pathBoxes)
+  };
+};
+
+// ---------- 지역 레지스트리 ----------
+// 시도: [약칭, 정식 명칭, 행정구역 코드, ISO 3166-2 코드, 시군구 map key 접두어, 추가 별칭]
+KorMapChartES5._SIDO = [
+  ['서울', '서울특별시', '11', 'KR-11', 'seoul'],
+  ['부산', '부산광역시', '26', 'KR-26', 'busan'],
+  ['대구', '대구광역시', '27', 'KR-27', 'daegu'],
+  ['인천', '인천광역시', '28', 'KR-28', 'incheon'],
+  ['광주', '광주광역시', '29', 'KR-29', 'gwangju'],
+  ['대전', '대전광역시', '30', 'KR-30', 'daejeon'],
+  ['울산', '울산광역시', '31', 'KR-31', 'ulsan'],
+  ['세종', '세종특별자치시', '36', 'KR-50', 'sejong'],
+  ['경기', '경기도', '41', 'KR-41', 'gyeonggi'],
+  ['강원', '강원도', '42', 'KR-42', 'gangwon', ['강원특별자치도', '51']],
+  ['충북', '충청북도', '43', 'KR-43', 'chungbuk'],
+  ['충남', '충청남도', '44', 'KR-44', 'chungnam'],
+  ['전북', '전라북도', '45', 'KR-45', 'jeonbuk', ['전북특별자치도', '52']],
+  ['전남', '전라남도', '46', 'KR-46', 'jeonnam'],
+  ['경북', '경상북도', '47', 'KR-47', 'gyeongbuk'],
+  ['경남', '경상남도', '48', 'KR-48', 'gyeongnam'],
+  ['제주', '제주특별자치도', '50', 'KR-49', 'jeju']
+];
+
+// 시군구: 시도 약칭 → { 시군구명(map/*_시군구_경계.svg의 path id): 행정구역 코드 }
+KorMapChartES5._SIGUNGU = {
+  '서울': {
+    '종로구': '11110', '중구': '11140', '용산구': '11170', '성동구': '11200', '광진구': '11215', '동대문구': '11230',
+    '중랑구': '11260', '성북구': '11290', '강북구': '11305', '도봉구': '11320', '노원구': '11350', '은평구': '11380',
+    '서대문구': '11410', '마포구': '11440', '양천구': '11470', '강서구': '11500', '구로구': '11530', '금천구': '11545',
+    '영등포구': '11560', '동작구': '11590', '관악구': '11620', '서초구': '11650', '강남구': '11680', '송파구': '11710',
+    '강동구': '11740'
+  },
+  '부산': {
+    '중구': '26110', '서구': '26140', '동구': '26170', '영도구': '26200', '부산진구': '26230', '동래구': '26260',
+    '남구': '26290', '북구': '26320', '해운대구': '26350', '사하구': '26380', '금정구': '26410', '강서구': '26440',
+    '연제구': '26470', '수영구': '26500', '사상구': '26530', '기장군': '26710'
+  },
+  // 군위군은 2023년 경북에서 편입 (대구 SVG에는 도형 없음)
+  '대구': {
+    '중구': '27110', '동구': '27140', '서구': '27170', '남구': '27200', '북구': '27230', '수성구': '27260',
+    '달서구': '27290', '달성군': '27710', '군위군': '27720'
+  },
+  '인천': {
+    '중구': '28110', '동구': '28140', '미추홀구': '28177', '연수구': '28185', '남동구': '28200', '부평구': '28237',
+    '계양구': '28245', '서구': '28260', '강화군': '28710', '옹진군': '28720'
+  },
+  '광주': {
+    '동구': '29110', '서구': '29140', '남구': '29155', '북구': '29170', '광산구': '29200'
+  },
+  '대전': {
+    '동구': '30110', '중구': '30140', '서구': '30170', '유성구': '30200', '대덕구': '30230'
+  },
+  '울산': {
+    '중구': '31110', '남구': '31140', '동구': '31170', '북구': '31200', '울주군': '31710'
+  },
+  '세종': {
+    '세종시': '36110'
+  },
+  '경기': {
+    '수원시': '41110', '성남시': '41130', '의정부시': '41150', '안양시': '41170', '부천시': '41190', '광명시': '41210',
+    '평택시': '41220', '동두천시': '41250', '안산시': '41270', '고양시': '41280', '과천시': '41290', '구리시': '41310',
+    '남양주시': '41360', '오산시': '41370', '시흥시': '41390', '군포시': '41410', '의왕시': '41430', '하남시': '41450',
+    '용인시': '41460', '파주시': '41480', '이천시': '41500', '안성시': '41550', '김포시': '41570', '화성시': '41590',
+    '광주시': '41610', '양주시': '41630', '포천시': '41650', '여주시': '41670', '연천군': '41800', '가평군': '41820',
+    '양평군': '41830'
+  },
+  '강원': {
+    '춘천시': '42110', '원주시': '42130', '강릉시': '42150', '동해시': '42170', '태백시': '42190', '속초시': '42210',
+    '삼척시': '42230', '홍천군': '42720', '횡성군': '42730', '영월군': '42750', '평창군': '42760', '정선군': '42770',
+    '철원군': '42780', '화천군': '42790', '양구군': '42800', '인제군': '42810', '고성군': '42820', '양양군': '42830'
+  },
+  '충북': {
+    '청주시': '43110', '충주시': '43130', '제천시': '43150', '보은군': '43720', '옥천군': '43730', '영동군': '43740',
+    '증평군': '43745', '진천군': '43750', '괴산군': '43760', '음성군': '43770', '단양군': '43800'
+  },
+  '충남': {
+    '천안시': '44130', '공주시': '44150', '보령시': '44180', '아산시': '44200', '서산시': '44210', '논산시': '44230',
+    '계룡시': '44250', '당진시': '44270', '금산군': '44710', '부여군': '44760', '서천군': '44770', '청양군': '44790',
+    '홍성군': '44800', '예산군': '44810', '태안군': '44825'
+  },
+  '전북': {
+    '전주시 완산구': '45111', '전주시 덕진구': '45113', '군산시': '45130', '익산시': '45140', '정읍시': '45180', '남원시': '45190',
+    '김제시': '45210', '완주군': '45710', '진안군': '45720', '무주군': '45730', '장수군': '45740', '임실군': '45750',
+    '순창군': '45770', '고창군': '45790', '부안군': '45800'
+  },
+  '전남': {
+    '목포시': '46110', '여수시': '46130', '순천시': '46150', '나주시': '46170', '광양시': '46230', '담양군': '46710',
+    '곡성군': '46720', '구례군': '46730', '고흥군': '46770', '보성군': '46780', '화순군': '46790', '장흥군': '46800',
+    '강진군': '46810', '해남군': '46820', '영암군': '46830', '무안군': '46840', '함평군': '46860', '영광군': '46870',
+    '장성군': '46880', '완도군': '46890', '진도군': '46900', '신안군': '46910'
+  },
+  // 군위군은 2023년 대구로 편입 (경북 SVG에서도 주석 처리됨)
+  '경북': {
+    '포항시': '47110', '경주시': '47130', '김천시': '47150', '안동시': '47170', '구미시': '47190', '영주시': '47210',
+    '영천시': '47230', '상주시': '47250', '문경시': '47280', '경산시': '47290', '의성군': '47730',
+    '청송군': '47750', '영양군': '47760', '영덕군': '47770', '청도군': '47820', '고령군': '47830', '성주군': '47840',
+    '칠곡군': '47850', '예천군': '47900', '봉화군': '47920', '울진군': '47930', '울릉군': '47940'
+  },
+  '경남': {
+    '창원시': '48120', '진주시': '48170', '통영시': '48220', '사천시': '48240', '김해시': '48250', '밀양시': '48270',
+    '거제시': '48310', '양산시': '48330', '의령군': '48720', '함안군': '48730', '창녕군': '48740', '고성군': '48820',
+    '남해군': '48840', '하동군': '48850', '산청군': '48860', '함양군': '48870', '거창군': '48880', '합천군': '48890'
+  },
+  '제주': {
+    '제주시': '50110', '서귀포시': '50130'
+  }
+};
+
+// 다른 시도로 편입된 시군구의 새 코드 → 편입 전 명칭/코드
+KorMapChartES5._SIGUNGU_FORMER = {
+  '27720': ['경북 군위군', '경상북도 군위군', '47720']
+};
+
+// seoul.svg의 path id
+KorMapChartES5._SEOUL_SVG_IDS = {
+  '도봉구': 'SEOUL-1', '동대문구': 'SEOUL-2', '동작구': 'SEOUL-3', '은평구': 'SEOUL-4', '강북구': 'SEOUL-5',
+  '강동구': 'SEOUL-6', '강서구': 'SEOUL-7', '금천구': 'SEOUL-8', '구로구': 'SEOUL-9', '관악구': 'SEOUL-10',
+  '광진구': 'SEOUL-11', '강남구': 'SEOUL-12', '종로구': 'SEOUL-13', '중구': 'SEOUL-14', '중랑구': 'SEOUL-15',
+  '마포구': 'SEOUL-16', '노원구': 'SEOUL-17', '서초구': 'SEOUL-18', '서대문구': 'SEOUL-19', '성북구': 'SEOUL-20',
+  '성동구': 'SEOUL-21', '송파구': 'SEOUL-22', '양천구': 'SEOUL-23', '영등포구': 'SEOUL-24', '용산구': 'SEOUL-25'
+};
+
+KorMapChartES5._maps = null;
+
+// map key → { file, parent?, regions: [{ name, id, aliases }] }
+KorMapChartES5._mapRegistry = function () {
+  if (KorMapChartES5._maps) return KorMapChartES5._maps;
+
+  var maps = {};
+  var SIDO = KorMapChartES5._SIDO;
+  var i, j;
+
+  var sidoRegions = function (useIso) {
+    var regions = [];
+    for (var k = 0; k < SIDO.length; k++) {
+      var row = SIDO[k];
+      regions.push({
+        name: row[0],
+        id: useIso ? row[3] : row[1],
+        aliases: [row[0], row[1], row[2], row[3]].concat(row[5] || [])
+      });
+    }
+    return regions;
+  };
+
+  maps['sido'] = { file: 'map/전국_시도_경계.svg', regions: sidoRegions(false) };
+  maps['south-korea'] = { file: 'south_korea.svg', regions: sidoRegions(true) };
+
+  for (i = 0; i < SIDO.length; i++) {
+    var short = SIDO[i][0];
+    var full = SIDO[i][1];
+    var slug = SIDO[i][4];
+    // 특별자치도 출범으로 바뀐 명칭/코드(강원 42→51, 전북 45→52)도 별칭으로 인정
+    var extra = SIDO[i][5] || [];
+    var table = KorMapChartES5._SIGUNGU[short];
+    var regions = [];
+
+    for (var name in table) {
+      if (!table.hasOwnProperty(name)) continue;
+
+      var code = table[name];
+      var aliases = [name, short + ' ' + name, full + ' ' + name, code];
+      if (extra.length) aliases.push(extra[0] + ' ' + name, extra[1] + code.slice(2));
+      aliases = aliases.concat(KorMapChartES5._SIGUNGU_FORMER[code] || []);
+      regions.push({ name: name, id: name, aliases: aliases });
+    }
+
+    maps[slug + '-sigungu'] = { file: 'map/' + full + '_시군구_경계.svg', parent: short, regions: regions };
+  }
+
+  var seoulRegions = [];
+  var base = maps['seoul-sigungu'].regions;
+  for (j = 0; j < base.length; j++) {
+    seoulRegions.push({ name: base[j].name, id: KorMapChartES5._SEOUL_SVG_IDS[base[j].name], aliases: base[j].aliases });
+  }
+  maps['seoul'] = { file: 'seoul.svg', parent: '서울', regions: seoulRegions };
+
+  KorMapChartES5._maps = maps;
+  return maps;
+};
+
+// 별칭 → codeMap의 지역명. map key가 없으면 codeMap의 id를 모두 포함하는 내장 지도의 별칭을 사용
+KorMapChartES5._buildAliases = function (codeMap, mapKey) {
+  codeMap = codeMap || {};
+
+  var nameById = {};
+  var ids = [];
+  var aliases = {};
+  var name;
+
+  for (name in codeMap) {
+    if (!codeMap.hasOwnProperty(name)) continue;
+    nameById[codeMap[name]] = name;
+    ids.push(codeMap[name]);
+    aliases[name] = name;
+  }
+
+  var maps = KorMapChartES5._mapRegistry();
+  var def = null;
+
+  if (mapKey) {
+    def = maps[mapKey];
+  } else if (ids.length) {
+    for (var key in maps) {
+      if (!maps.hasOwnProperty(key)) continue;
+
+      var mapIds = {};
+      for (var m = 0; m < maps[key].regions.length; m++) mapIds[maps[key].regions[m].id] = true;
+
+      var covered = true;
+      for (var n = 0; n < ids.length; n++) {
+        if (!mapIds[ids[n]]) { covered = false; break; }
+      }
+      if (covered) { def = maps[key]; break; }
+    }
+  }
+
+  if (!def) return aliases;
+
+  for (var i = 0; i < def.regions.length; i++) {
+    var r = def.regions[i];
+    name = nameById.hasOwnProperty(r.id) ? nameById[r.id] : null;
+    if (name == null) continue;
+
+    for (var j = 0; j < r.aliases.length; j++) {
+      if (!aliases.hasOwnProperty(r.aliases[j])) aliases[r.aliases[j]] = name;
+    }
+  }
+  return aliases;
+};
+
+// data/pieChartData의 키를 codeMap의 지역명으로 정규화 (매칭되지 않는 키는 그대로 유지)
+KorMapChartES5._resolveKeys = function (obj, aliases) {
+  if (!obj) return obj;
+
+  var out = {};
+  for (var k in obj) {
+    if (!obj.hasOwnProperty(k)) continue;
+
+    var key = String(k).replace(/^\s+|\s+$/g, '');
+    var name = aliases.hasOwnProperty(key) ? aliases[key] : k;
+    // 같은 지역을 여러 별칭으로 넣은 경우 지역명 그대로 쓴 키가 우선
+    if (!out.hasOwnProperty(name) || k === name) out[name] = obj[k];
+  }
+  return out;
+};
+
+/**
+ * 내장 지도 key 목록
+ * @returns {string[]} 예: ['sido', 'south-korea', 'seoul-sigungu', ..., 'seoul']
+ */
+KorMapChartES5.mapKeys = function () {
+  var keys = [];
+  var maps = KorMapChartES5._mapRegistry();
+  for (var key in maps) {
+    if (maps.hasOwnProperty(key)) keys.push(key);
+  }
+  return keys;
+};
+
+/**
+ * 내장 지도 정보 조회
+ * @param {string} key - 'sido' | 'south-korea' | 'seoul' | '<시도>-sigungu' (예: 'seoul-sigungu', 'gyeonggi-sigungu')
+ * @returns {Object|null} { key, svgUrl, parent?, codeMap, aliases } - svgUrl은 저장소 루트 기준 상대 경로, aliases는 별칭 → 지역명
+ */
+KorMapChartES5.getMap = function (key) {
+  var maps = KorMapChartES5._mapRegistry();
+  if (!maps.hasOwnProperty(key)) return null;
+
+  var def = maps[key];
+  var codeMap = {};
+  for (var i = 0; i < def.regions.length; i++) {
+    codeMap[def.regions[i].name] = def.regions[i].id;
+  }
+
+  return { key: key, svgUrl: def.file, parent: def.parent, codeMap: codeMap, aliases: KorMapChartES5._buildAliases(codeMap, key) };
+};
+
+/**
+ * URL별 SVG 캐시 비우기 (서버의 SVG 파일이 바뀌어 다시 받아야 할 때 등, 최근 32개 URL까지 보관)
+ */
+KorMapChartES5.clearSvgCache = function () {
+  KorMapChartES5._svgCache = {};
+  KorMapChartES5._svgCacheKeys = [];
+};
+
+// ---------- 전환 애니메이션 ----------
+KorMapChartES5._EASINGS = {
+  linear: function (t) { return t; },
+  'ease-in': function (t) { return t * t * t; },
+  'ease-out': function (t) { return 1 - Math.pow(1 - t, 3); },
+  'ease-in-out': function (t) { return (t < 0.5) ? 4 * t * t * t : 1 - Math.pow(-2 * t + 2, 3) / 2; }
+};
+
+// opts.animation → { duration, easing } (끄거나 사용자가 동작 줄이기를 설정했으면 null)
+KorMapChartES5._animationOpts = function (opts) {
+  var anim = opts && opts.animation;
+  if (!anim) return null;
+  if (typeof window !== 'undefined' && window.matchMedia) {
+    var mq = window.matchMedia('(prefers-reduced-motion: reduce)');
+    if (mq && mq.matches) return null;
+  }
+
+  var o = (typeof anim === 'object') ? anim : {};
+  return {
+    duration: o.duration != null ? o.duration : 400,
+    easing: (typeof o.easing === 'function') ? o.easing : KorMapChartES5._EASINGS[o.easing != null ? o.easing : 'ease-in-out']
+  };
+};
+
+// duration(ms) 동안 매 프레임 frame(easing 적용 진행률)을 호출, 마지막은 frame(1) / 취소 함수 반환
+KorMapChartES5._animate = function (duration, easing, frame) {
+  var hasRaf = typeof window !== 'undefined' && window.requestAnimationFrame;
+  var raf = hasRaf ? function (fn) { return window.requestAnimationFrame(fn); } : function (fn) { return setTimeout(fn, 16); };
+  var cancel = hasRaf ? function (id) { window.cancelAnimationFrame(id); } : function (id) { clearTimeout(id); };
+  var now = function () {
+    return (typeof performance !== 'undefined' && performance.now) ? performance.now() : new Date().getTime();
+  };
+
+  var start = now();
+  var id = null;
+  var tick = function () {
+    var t = (duration > 0) ? Math.min(1, (now() - start) / duration) : 1;
+    id = (t < 1) ? raf(tick) : null;
+    frame((t < 1) ? easing(t) : 1);
+  };
+  id = raf(tick);
+
+  return function () {
+    if (id != null) cancel(id);
+    id = null;
+  };
+};
+
+// vnode 트리에서 tween 정보가 있는 노드 (파이, callout 건수)
+KorMapChartES5._tweenNodes = function (node, out) {
+  out = out || [];
+  if (!node) return out;
+  if (node.tween) out.push(node);
+  for (var i = 0; i < node.children.length; i++) KorMapChartES5._tweenNodes(node.children[i], out);
+  return out;
+};
+
+// ---------- 반응형 ----------
+KorMapChartES5._responsiveOpts = function (opts) {
+  if (!opts || !opts.responsive) return null;
+  return (typeof opts.responsive === 'object') ? opts.responsive : {};
+};
+
+// padding을 뺀 요소 내용 너비 (px, 화면에 없으면 0)
+KorMapChartES5._contentWidth = function (el) {
+  var width = el.clientWidth;
+  if (!width) return 0;
+  var style = window.getComputedStyle(el);
+  return width - (parseFloat(style.paddingLeft) || 0) - (parseFloat(style.paddingRight) || 0);
+};
+
+// responsive: px로 지정하는 라벨·callout 크기 옵션에 k(화면 1px당 SVG 좌표)를 곱해 화면 크기 그대로 유지
+KorMapChartES5._fitOpts = function (opts, k) {
+  var scaled = function (src, defaults) {
+    var out = KorMapChartES5._extend(src);
+    for (var key in defaults) {
+      if (defaults.hasOwnProperty(key)) out[key] = ((src && src[key] != null) ? src[key] : defaults[key]) * k;
+    }
+    return out;
+  };
+  var callouts = opts.callouts;
+  var labels = opts.labels || {};
+  return KorMapChartES5._extend(opts, {
+    labels: KorMapChartES5._extend(scaled(labels, { fontSize: 12, strokeWidth: 2.5, minWidth: 16, minHeight: 12 }), {
+      pieChart: scaled(labels.pieChart, { radius: 15, innerRadius: 0, gap: 15 }),
+      // glyph 크기는 type마다 기본값이 달라 배율(scale)로 넘김
+      glyphs: scaled(labels.glyphs, { gap: 15, scale: 1 })
+    }),
+    callouts: callouts && scaled(callouts, {
+      padding: 0, margin: 0, textSize: 12, textOffset: 0, minGap: (callouts.textSize != null ? callouts.textSize : 12) + 4
+    }),
+    bubbles: scaled(opts.bubbles, { maxRadius: 24, minRadius: 0 })
+  });
+};
+
+// ---------- 진단 ----------
+// 정의용 요소 (안의 도형은 지도에 그려지지 않으므로 codeMap 검사에서 제외)
+KorMapChartES5._SVG_DEFS = ['defs', 'clipPath', 'mask', 'symbol', 'pattern', 'marker'];
+
+// SVG의 id → { ids: { id: true }, shapes: codeMap 지역 밖의 path/polygon id }
+KorMapChartES5._collectSvgIds = function (svg, codeMap) {
+  var mapped = {};
+  for (var name in codeMap) {
+    if (codeMap.hasOwnProperty(name)) mapped[codeMap[name]] = true;
+  }
+
+  var ids = {};
+  var all = svg.querySelectorAll('[id]');
+  for (var i = 0; i < all.length; i++) ids[all[i].id] = true;
+
+  var shapes = [];
+  var candidates = svg.querySelectorAll('path[id], polygon[id]');
+  for (var j = 0; j < candidates.length; j++) {
+    var skip = false;
+    for (var p = candidates[j]; p && p !== svg; p = p.parentNode) {
+      if (mapped.hasOwnProperty(p.id) || KorMapChartES5._SVG_DEFS.indexOf(p.tagName) !== -1) skip = true;
+    }
+    if (!skip) shapes.push(candidates[j].id);
+  }
+  return { ids: ids, shapes: shapes };
+};
+
+// rate 허용 범위: scale.domain, 없으면 임계값이 모두 0~1인 threshold(비율)만 [0, 1] (그 외는 검사 안 함)
+KorMapChartES5._rateRange = function (opts) {
+  var spec = (opts && opts.scale) || {};
+  var type = spec.type != null ? spec.type : 'threshold';
+  if ((type === 'sequential' || type === 'diverging') && spec.domain) return spec.domain;
+  if (type !== 'threshold') return null;
+
+  var th = (spec.thresholds && spec.thresholds.length) ? spec.thresholds
+    : (opts && opts.rates && opts.rates.length) ? opts.rates : [0.8, 0.6, 0.4, 0.2];
+  for (var i = 0; i < th.length; i++) {
+    if (!(th[i] >= 0 && th[i] <= 1)) return null;
+  }
+  return [0, 1];
+};
+
+// 내장 지도 SVG에 도형이 아직 없는 지역 (별칭으로 찾으므로 같은 이름을 쓰는 사용자 codeMap에는 해당 안 됨)
+KorMapChartES5._NO_SHAPE = ['대구 군위군'];
+
+// codeMap·SVG·data가 서로 맞지 않는 곳을 모음 (그리기는 그대로 진행, events.onWarning / opts.strict로 알림)
+// svgIds: _collectSvgIds 또는 _rewriteSvgMarkup 결과
+// → { missingPaths: [{ name, id }], unmappedPaths: [id], unknownKeys: [{ source, key, period? }],
+//     invalidValues: [{ name, field, value, reason: 'non-numeric' | 'out-of-range', period? }], emptyPies: [name], messages: [문자열] }
+KorMapChartES5._diagnose = function (opts, codeMap, aliases, svgIds) {
+  var report = { missingPaths: [], unmappedPaths: [], unknownKeys: [], invalidValues: [], emptyPies: [], messages: [] };
+  var note = function (list, item, message) {
+    list.push(item);
+    report.messages.push(message);
+  };
+  var at = function (period) { return (period != null) ? ' (기간 ' + period + ')' : ''; };
+  var show = function (v) { return (typeof v === 'string') ? '"' + v + '"' : String(v); };
+  var withPeriod = function (item, period) {
+    if (period != null) item.period = period;
+    return item;
+  };
+  codeMap = codeMap || {};
+
+  var noShape = function (name) {
+    for (var k = 0; k < KorMapChartES5._NO_SHAPE.length; k++) {
+      if (aliases && aliases[KorMapChartES5._NO_SHAPE[k]] === name) return true;
+    }
+    return false;
+  };
+
+  var name;
+  for (name in codeMap) {
+    if (codeMap.hasOwnProperty(name) && !svgIds.ids.hasOwnProperty(codeMap[name]) && !noShape(name)) {
+      note(report.missingPaths, { name: name, id: codeMap[name] }, 'codeMap "' + name + '"의 id "' + codeMap[name] + '" 요소가 SVG에 없습니다.');
+    }
+  }
+  for (var i = 0; i < svgIds.shapes.length; i++) {
+    note(report.unmappedPaths, svgIds.shapes[i], 'SVG 도형 id "' + svgIds.shapes[i] + '"가 codeMap에 없습니다.');
+  }
+
+  var unknown = function (source, obj, period) {
+    for (var key in obj || {}) {
+      if (!obj.hasOwnProperty(key) || codeMap[key]) continue;
+      note(report.unknownKeys, withPeriod({ source: source, key: key }, period),
+        source + ' 키 "' + key + '"에 해당하는 지역이 없습니다.' + at(period));
+    }
+  };
+  var invalid = function (name, field, value, reason, period, message) {
+    note(report.invalidValues, withPeriod({ name: name, field: field, value: value, reason: reason }, period), message + at(period));
+  };
+
+  // timeline이면 기간마다 검사
+  var range = KorMapChartES5._rateRange(opts);
+  var series = KorMapChartES5._seriesOf(opts, aliases);
+  var source = KorMapChartES5._sourceData(opts);
+  var frames = [];
+  if (series) {
+    for (var f = 0; f < series.periods.length; f++) frames.push({ period: series.periods[f], data: series.all[f] });
+  } else {
+    frames.push({ period: null, data: KorMapChartES5._resolveKeys(source.data, aliases) });
+  }
+  for (var fi = 0; fi < frames.length; fi++) {
+    var period = frames[fi].period;
+    var data = frames[fi].data || {};
+    unknown('data', data, period);
+    for (name in data) {
+      if (!data.hasOwnProperty(name) || data[name] == null) continue;
+      var datum = data[name];
+      if (typeof datum !== 'number' && typeof datum !== 'object') {
+        invalid(name, 'value', datum, 'non-numeric', period, '"' + name + '" 값 ' + show(datum) + '은(는) 숫자나 { rate, count } 객체가 아닙니다.');
+        continue;
+      }
+      var fields = (typeof datum === 'number') ? [['rate', datum]] : [['rate', datum.rate], ['count', datum.count]];
+      for (var fj = 0; fj < fields.length; fj++) {
+        var field = fields[fj][0], value = fields[fj][1];
+        if (value == null) continue;
+        var v = KorMapChartES5._toNumber(value);
+        if (v == null) {
+          invalid(name, field, value, 'non-numeric', period, '"' + name + '" ' + field + ' 값 ' + show(value) + '은(는) 숫자가 아닙니다.');
+        } else if (field === 'rate' && range && (v < range[0] || v > range[1])) {
+          invalid(name, field, value, 'out-of-range', period, '"' + name + '" rate 값 ' + v + '이(가) 범위 [' + range[0] + ', ' + range[1] + ']를 벗어났습니다.');
+        } else if (field === 'count' && v < 0) {
+          invalid(name, field, value, 'out-of-range', period, '"' + name + '" count 값 ' + v + '이(가) 음수입니다.');
+        }
+      }
+    }
+  }
+
+  var pieChartData = KorMapChartES5._resolveKeys(source.pieChartData, aliases);
+  unknown('pieChartData', pieChartData);
+  for (name in pieChartData || {}) {
+    if (!pieChartData.hasOwnProperty(name)) continue;
+    var slices = pieChartData[name];
+    var drawable = false;
+    if (Array.isArray(slices)) {
+      for (var s = 0; s < slices.length; s++) {
+        if (slices[s] && KorMapChartES5._toNumber(slices[s].data) > 0) drawable = true;
+      }
+    }
+    if (!drawable) note(report.emptyPies, name, 'pieChartData "' + name + '"에 그릴 값이 없습니다.');
+  }
+  unknown('glyphs', KorMapChartES5._resolveKeys(opts && opts.glyphs, aliases));
+
+  return report;
+};
+
+// opts.strict면 진단 결과에 문제가 있을 때 throw
+KorMapChartES5._assertClean = function (report, opts, caller) {
+  if (!(opts && opts.strict) || !report.messages.length) return;
+  throw new Error(caller + ': strict 검사에서 문제 ' + report.messages.length + '건\n- ' + report.messages.join('\n- '));
+};
+
+// ---------- 인스턴스 메서드 ----------
+// SVG 원본: opts.svg > opts.svgUrl > 내장 지도 (mapBaseUrl + 파일)
+KorMapChartES5.prototype._svgSource = function (opts, mapKey) {
+  opts = opts || this._opts;
+  mapKey = mapKey !== undefined ? mapKey : this._mapKey;
+  var source = (opts.svg != null) ? opts.svg : opts.svgUrl;
+  if (source != null || !mapKey) return source;
+  return (opts.mapBaseUrl != null ? opts.mapBaseUrl : '') + KorMapChartES5._mapRegistry()[mapKey].file;
+};
+
+// opts의 SVG를 받아 반환 (붙이는 것은 호출한 쪽에서, 그때까지 기존 화면 유지)
+KorMapChartES5.prototype._nextSvg = function (opts, caller) {
+  var self = this;
+  var loadId = ++self._loadId;
+
+  return KorMapChartES5._loadSVG(self._svgSource(opts), { signal: opts.signal, caller: caller }).then(function (svg) {
+    // 기다리는 동안 destroy(같은 mount의 새 render 포함)되었거나 더 최근 호출이 있었으면 붙이지 않음
+    if (self._destroyed || loadId !== self._loadId) throw KorMapChartES5._abortError(caller, '더 최근 호출로 취소되었습니다.');
+    return svg;
+  });
+};
+
+KorMapChartES5.prototype._attachSvg = function (svg, baseViewBox) {
+  this._svg = svg;
+  this._svgIds = KorMapChartES5._collectSvgIds(svg, this._codeMap);
+  this._baseViewBox = baseViewBox !== undefined ? baseViewBox : svg.getAttribute('viewBox');
+  this._shown = null;  // 다른 지도로 바뀌면 전환 없이 그림
+  this._endMode();
+  this._el.appendChild(svg);
+
+  KorMapChartES5._clearSvgFillStyles(svg);
+};
+
+// 시도 지역명 → 시군구 map key (시도 지도가 아니면 null)
+KorMapChartES5.prototype._childMapKey = function (name) {
+  var SIDO = KorMapChartES5._SIDO;
+  for (var i = 0; i < SIDO.length; i++) {
+    if (this._aliases.hasOwnProperty(SIDO[i][0]) && this._aliases[SIDO[i][0]] === name) {
+      return SIDO[i][4] + '-sigungu';
+    }
+  }
+  return null;
+};
+
+// mode 정리 (다음 _draw에서 render부터 다시 호출)
+KorMapChartES5.prototype._endMode = function () {
+  var mode = this._mode;
+  this._mode = null;
+  if (mode && mode.def.destroy) mode.def.destroy(mode.state);
+};
+
+KorMapChartES5.prototype._clearLayers = function () {
+  for (var i = 0; i < this._layers.length; i++) {
+    KorMapChartES5._removeNode(this._layers[i]);
   }
+  this._layers = [];
 
-  var pad = (calloutOpts.padding || 0);
-  var extra = (calloutOpts.margin || 0);
-  var padding = pad + extra;
+  if (!this._svg) return;
+  if (this._baseViewBox == null) this._svg.removeAttribute('viewBox');
+  else this._svg.setAttribute('viewBox', this._baseViewBox);
+};
 
-  svg.setAttribute('viewBox', (vx - padding) + ' ' + vy + ' ' + (vw + (padding * 2)) + ' ' + vh);
+// opts를 현재 지도(codeMap·SVG) 기준으로 진단 (strict면 문제가 있을 때 throw)
+KorMapChartES5.prototype._check = function (opts, caller) {
+  var report = KorMapChartES5._diagnose(opts, this._codeMap, this._aliases, this._svgIds);
+  KorMapChartES5._assertClean(report, opts, caller);
+  return report;
+};
 
-  var leftX = bbox.x - pad;
-  var rightX = bbox.x + bbox.w + pad;
+// 진단 결과에 문제가 있으면 events.onWarning 호출 (기간 이동 등으로 다시 그려도 같은 내용이면 생략)
+KorMapChartES5.prototype._warn = function (report) {
+  var key = report.messages.join('\n');
+  var events = this._opts.events;
+  if (key && key !== this._warned && events && events.onWarning) events.onWarning(report);
+  this._warned = key;
+};
 
-  var group = document.createElementNS('http://www.w3.org/2000/svg', 'g');
-  svg.appendChild(group);
+// responsive: mount 너비에 맞춘 지도 너비, 세로 배치 여부(breakpoint 미만), k(화면 1px당 SVG 좌표)
+// 너비를 모르면 (화면에 없음) null → map.width/height 사용 / sideWidth: 지도 옆 mode.side 너비
+KorMapChartES5.prototype._fit = function (opts, def, sideWidth) {
+  var fitOpts = KorMapChartES5._responsiveOpts(opts);
+  if (!fitOpts) return null;
+  var width = KorMapChartES5._contentWidth(this._el);
+  this._fitWidth = width;
+  if (!width) return null;
+
+  var stacked = width < (fitOpts.breakpoint != null ? fitOpts.breakpoint : 600);
+  var mapWidth = Math.max(1, stacked ? width : width - sideWidth() - (opts.gap != null ? opts.gap : 0));
+  var vbW = Number((this._baseViewBox || '').replace(/^\s+|\s+$/g, '').split(/[\s,]+/)[2]);
+  var baseWidth = vbW || KorMapChartES5._computeBBox(this._svg).w;
+  var inset = def.inset ? def.inset(opts) : 0;
+  return { width: mapWidth, stacked: stacked, k: baseWidth / Math.max(1, mapWidth - inset * 2) };
+};
 
-  for (var name in codeMap) {
-    if (!codeMap.hasOwnProperty(name)) continue;
+// responsive: mount 너비가 바뀌면 다시 그림 (ResizeObserver가 없으면 그릴 때의 너비로만 맞춤)
+KorMapChartES5.prototype._observeSize = function () {
+  if (typeof ResizeObserver === 'undefined') return null;
+  var self = this;
+  var observer = new ResizeObserver(function () {
+    if (Math.abs(KorMapChartES5._contentWidth(self._el) - (self._fitWidth || 0)) < 1) return;
+    self._draw();
+    if (self._regionEvents) self._regionEvents.repaint();
+  });
+  observer.observe(this._el);
+  return function () { observer.disconnect(); };
+};
 
-    var code = codeMap[name];
-    var path = svg.getElementById(code);
-    if (!path) continue;
+KorMapChartES5.prototype._draw = function (caller) {
+  var svg = this._svg;
+  var opts = this._opts;
+  var codeMap = this._codeMap;
+
+  // strict면 화면을 건드리기 전에 throw
+  // (caller가 없는 크기 변경·기간 이동 등 내부 다시 그리기는 throw할 곳이 없으므로 onWarning으로만 알림)
+  var report = caller ? this._check(opts, caller) : KorMapChartES5._diagnose(opts, codeMap, this._aliases, this._svgIds);
+  this._diagnostics = report;
+
+  // 진행 중인 전환은 멈추고 그 시점의 화면 값에서 다시 시작
+  if (this._cancelTween) this._cancelTween();
+  this._cancelTween = null;
+  var shown = this._shown;
+
+  this._clearLayers();
+  KorMapChartES5._applyMountStyles(this._el, opts);
+  KorMapChartES5._setCss(svg, 'width', (opts.map && opts.map.width != null) ? opts.map.width + 'px' : null);
+  KorMapChartES5._setCss(svg, 'height', (opts.map && opts.map.height != null) ? opts.map.height + 'px' : null);
+
+  // opts.timeline이면 data는 기간별 → 현재 기간 data로 그림
+  var series = KorMapChartES5._seriesOf(opts, this._aliases, this._period);
+  this._series = series;
+  if (series) this._period = series.period;
+
+  // 서울/서울특별시/KR-11/11 등 별칭 키를 지역명으로 정규화
+  var source = KorMapChartES5._sourceData(opts);
+  var data = series ? series.data : KorMapChartES5._resolveKeys(source.data, this._aliases);
+  var pieChartData = KorMapChartES5._resolveKeys(source.pieChartData, this._aliases);
+  this._data = data;
+  this._pieData = pieChartData;
+
+  var getRate = function (name) {
+    var v = data && data[name];
+    if (v == null) return null;
+    return (typeof v === 'number') ? v : v.rate;
+  };
 
-    var b = path.getBBox();
-    var cx = b.x + b.width / 2;
-    var cy = b.y + b.height / 2;
+  var def = KorMapChartES5._modeDef(opts.mode);
+  var ctx = KorMapChartES5._modeContext({
+    opts: opts, codeMap: codeMap, data: data, series: series, titles: !opts.tooltip,
+    bbox: function () { return KorMapChartES5._computeBBox(svg); },
+    // quantile/sequential 등은 data 전체 값으로 경계/도메인을 계산 (timeline이면 모든 기간 값)
+    defaultScale: function () { return KorMapChartES5._makeScale(opts, KorMapChartES5._rateValues(series, data, getRate)); }
+  }, KorMapChartES5._domRegions(svg));
+
+  var paint = KorMapChartES5._paintSpec(def, ctx, getRate);
+  var scale = paint.scale;
+  ctx.scale = scale;
+  this._scale = scale;
+
+  // responsive: mount 너비에 맞춰 지도 크기를 정하고 라벨·callout 크기 옵션은 화면 px 기준으로 환산
+  var fit = this._fit(opts, def, function () {
+    var side = KorMapChartES5._modeSide(opts, codeMap, data, series, scale);
+    return side ? side.width : 0;
+  });
+  var drawOpts = fit ? KorMapChartES5._fitOpts(opts, fit.k) : opts;
+  if (fit) {
+    KorMapChartES5._setCss(svg, 'width', fit.width + 'px');
+    // 세로 배치: 지도가 한 줄을 채워 bar 등 부가 요소는 아래로 내려감
+    if (fit.stacked) KorMapChartES5._setCss(this._el, 'flex-wrap', 'wrap');
+  }
 
-    var off = (calloutOpts.offsets && calloutOpts.offsets[name]) || [0, 0];
-    var bypass = (calloutOpts.bypass && calloutOpts.bypass[name]);
-    cx += off[0];
-    cy += off[1];
+  var fillScale = (paint.fill != null) ? { color: function () { return paint.fill; } } : scale;
+  KorMapChartES5._paintRegions(svg, codeMap, paint.value, fillScale);
+  if (opts.a11y !== false) {
+    var a11yOpts = (typeof opts.a11y === 'object') ? opts.a11y : {};
+    var described = KorMapChartES5._describeRegions(svg, codeMap, data, KorMapChartES5._legendFormatter(scale), a11yOpts, scale.describe);
+    this._layers.push(described[0], described[1]);
+  } else {
+    KorMapChartES5._clearDescriptions(svg, codeMap);
+  }
+  var glyphData = KorMapChartES5._resolveKeys(opts.glyphs, this._aliases);
+  // onLabelDrop은 이전 그리기와 달라진 라벨만 (기간 이동·크기 변경으로 다시 그려도 같은 라벨은 다시 알리지 않음)
+  var prevDropped = this._dropped;
+  var dropped = {};
+  var onDrop = function (name, reason) {
+    var key = name + '\n' + reason;
+    dropped[key] = true;
+    if (!prevDropped.hasOwnProperty(key) && opts.events && opts.events.onLabelDrop) opts.events.onLabelDrop(name, reason);
+  };
+  var labels = KorMapChartES5._placeRegionLabels(svg, codeMap, drawOpts.labels, pieChartData, glyphData, !opts.tooltip, onDrop);
+  this._dropped = dropped;
+  this._layers.push(labels.el);
+
+  // addLayer: 요소는 그대로 (bar 행 전환 대상), 노드는 아직 요소가 없으면 svg에 추가 (node.tween 전환 대상)
+  var self = this;
+  var nodes = [labels];
+  var els = [];
+  ctx.opts = drawOpts;
+  ctx.fit = fit;
+  ctx.chart = this;
+  ctx.svg = svg;
+  ctx.mount = this._el;
+  ctx.addLayer = function (layer) {
+    if (!layer || !layer.tag) {
+      els.push(layer);
+      self._layers.push(layer);
+      return layer;
+    }
+    var node = layer.el ? layer : KorMapChartES5._asNode(layer);
+    if (!node.el) svg.appendChild(KorMapChartES5._realize(node));
+    nodes.push(node);
+    self._layers.push(node.el);
+    return node;
+  };
+  if (this._mode && this._mode.def === def && def.update) {
+    this._mode.state = def.update(ctx, this._mode.state);
+  } else {
+    this._endMode();
+    this._mode = { def: def, state: def.render ? def.render(ctx) : undefined };
+  }
 
-    var leftSide = cx < bbox.cx;
-    var startX = cx;
-    var endX = leftSide ? leftX : rightX;
-    var bend = bypass ? ('L' + (startX + bypass[0]) + ',' + (cy + bypass[1])) : '';
-    var textDx = (calloutOpts.textOffset || 0) * (leftSide ? -1 : +1);
-
-    var line = document.createElementNS('http://www.w3.org/2000/svg', 'path');
-    var d = 'M' + cx + ',' + cy + ' L' + startX + ',' + cy + ' ' + bend + ' L' + (endX + textDx) + ',' + (cy + (bypass && bypass[1] || 0));
-    line.setAttribute('d', d);
-    line.setAttribute('fill', 'none');
-    line.setAttribute('stroke', calloutOpts.lineColor != null ? calloutOpts.lineColor : '#9CA3AF');
-    line.setAttribute('stroke-width', calloutOpts.lineWidth != null ? calloutOpts.lineWidth : 1);
-    line.setAttribute('stroke-dasharray', calloutOpts.lineDash != null ? calloutOpts.lineDash : '0');
-    group.appendChild(line);
-
-    var pin = document.createElementNS('http://www.w3.org/2000/svg', 'circle');
-    pin.setAttribute('cx', cx);
-    pin.setAttribute('cy', cy);
-    pin.setAttribute('r', calloutOpts.pinSize != null ? calloutOpts.pinSize : '2');
-    pin.setAttribute('fill', calloutOpts.pinColor != null ? calloutOpts.pinColor : '#1B4EFF');
-    group.appendChild(pin);
-
-    var label = document.createElementNS('http://www.w3.org/2000/svg', 'text');
-    label.setAttribute('x', endX);
-    label.setAttribute('y', cy + (bypass && bypass[1] || 0));
-    label.setAttribute('text-anchor', leftSide ? 'end' : 'start');
-    label.setAttribute('dominant-baseline', 'middle');
-    label.setAttribute('font-size', calloutOpts.textSize != null ? calloutOpts.textSize : 12);
-    label.setAttribute('font-weight', calloutOpts.textWeight != null ? calloutOpts.textWeight : 400);
-    label.setAttribute('fill', calloutOpts.textColor != null ? calloutOpts.textColor : '#6B7280');
-
-    var dv = dataMap && dataMap[name];
-    var count = (typeof dv === 'number') ? null : (dv && dv.count);
-    label.textContent = calloutOpts.formatter
-      ? calloutOpts.formatter(name, count)
-      : name + ' : ' + KorMapChartES5._fmtInt(count);
+  // responsive: 높이는 최종 viewBox 비율 그대로 (viewBox가 없으면 지도 경계로 지정해야 크기에 맞춰 축소·확대됨)
+  if (fit) {
+    if (!svg.getAttribute('viewBox')) {
+      var b = KorMapChartES5._computeBBox(svg);
+      svg.setAttribute('viewBox', b.x + ' ' + b.y + ' ' + b.w + ' ' + b.h);
+    }
+    var vb = svg.getAttribute('viewBox').replace(/^\s+|\s+$/g, '').split(/[\s,]+/);
+    var vbW = Number(vb[2]), vbH = Number(vb[3]);
+    KorMapChartES5._setCss(svg, 'height', (vbW && vbH) ? (fit.width * vbH / vbW) + 'px' : null);
+  }
+
+  if (opts.legend) {
+    this._layers.push(KorMapChartES5._buildLegend(this._el, scale, (opts.legend === true) ? {} : opts.legend));
+  }
+  var pieLegend = opts.labels && opts.labels.pieChart && opts.labels.pieChart.legend;
+  if (pieLegend && pieChartData) {
+    this._layers.push(KorMapChartES5._buildPieLegend(this._el, pieChartData, (pieLegend === true) ? {} : pieLegend));
+  }
 
-    group.appendChild(label);
+  var crumbOpts = this._drill && this._drill.root.opts.drillDown && this._drill.root.opts.drillDown.breadcrumb;
+  if (this._drill && crumbOpts !== false) {
+    var onUp = function () { self.drillUp(); };
+    this._layers.push(KorMapChartES5._buildBreadcrumb(this._el, this._drill.name, onUp, (typeof crumbOpts === 'object') ? crumbOpts : {}));
   }
+
+  this._syncTimeline();
+  this._transition(shown, nodes, els);
+  this._warn(report);
 };
 
-KorMapChartES5._createShadowFilter = function (svg, shadowOpts) {
-  shadowOpts = shadowOpts || {};
+// 기간 슬라이더는 다시 그려도 유지 (슬라이더를 끌던 중에도 포커스 유지)
+// 기간 목록이나 timeline 옵션이 바뀌면 새로 만들고, timeline이 없으면 제거하고 재생 중지
+KorMapChartES5.prototype._syncTimeline = function () {
+  var self = this;
+  var series = this._series;
+  if (!series) {
+    this._stopPlayer();
+    if (this._timeline) KorMapChartES5._removeNode(this._timeline.el);
+    this._timeline = null;
+    return;
+  }
 
-  var defs = svg.querySelector('defs');
-  if (!defs) {
-    defs = document.createElementNS('http://www.w3.org/2000/svg', 'defs');
-    var firstChild = svg.firstChild;
-    if (firstChild) svg.insertBefore(defs, firstChild);
-    else svg.appendChild(defs);
+  var key = series.periods.join('\n');
+  var timelineOpts = KorMapChartES5._timelineOpts(this._opts);
+  if (!this._timeline || this._timeline.key !== key || this._timeline.opts !== timelineOpts) {
+    if (this._timeline) KorMapChartES5._removeNode(this._timeline.el);
+    var handlers = {
+      toggle: function () {
+        if (self._playTimer != null) self.pause();
+        else self.play();
+      },
+      seek: function (index) { self._goTo(self._series.periods[index]); }
+    };
+    var ui = KorMapChartES5._buildTimeline(this._el, series.periods, handlers, timelineOpts);
+    this._timeline = { el: ui.el, sync: ui.sync, key: key, opts: timelineOpts };
   }
+  this._syncTimelineState();
+};
 
-  var filterId = 'drop-shadow-' + Math.random().toString(36).substr(2, 9);
+KorMapChartES5.prototype._syncTimelineState = function () {
+  if (!this._timeline) return;
+  this._timeline.sync(this._series ? this._series.periods.indexOf(this._period) : -1, this._playTimer != null);
+};
 
-  var filter = document.createElementNS('http://www.w3.org/2000/svg', 'filter');
-  filter.setAttribute('id', filterId);
-  filter.setAttribute('x', '-50%');
-  filter.setAttribute('y', '-50%');
-  filter.setAttribute('width', '200%');
-  filter.setAttribute('height', '200%');
+KorMapChartES5.prototype._goTo = function (period) {
+  if (!this._series || period == null || period === this._period) return;
 
-  var feDropShadow = document.createElementNS('http://www.w3.org/2000/svg', 'feDropShadow');
-  feDropShadow.setAttribute('dx', String(shadowOpts.dx != null ? shadowOpts.dx : 0));
-  feDropShadow.setAttribute('dy', String(shadowOpts.dy != null ? shadowOpts.dy : 6));
-  feDropShadow.setAttribute('stdDeviation', String(shadowOpts.blur != null ? shadowOpts.blur : 4));
-  feDropShadow.setAttribute('flood-color', shadowOpts.color != null ? shadowOpts.color : '#000000');
-  feDropShadow.setAttribute('flood-opacity', String(shadowOpts.opacity != null ? shadowOpts.opacity : 0.3));
+  this._period = period;
+  this._draw();
+  if (this._regionEvents) this._regionEvents.repaint();
+  var events = this._opts.events;
+  if (events && events.onPeriodChange) events.onPeriodChange(period, this._series.periods.indexOf(period));
+};
 
-  filter.appendChild(feDropShadow);
-  defs.appendChild(filter);
+// 재생: 다음 기간으로, 마지막이면 loop일 때 처음으로 아니면 정지
+KorMapChartES5.prototype._step = function () {
+  var periods = this._series.periods;
+  var next = periods.indexOf(this._period) + 1;
+  if (next < periods.length) this._goTo(periods[next]);
+  else if (KorMapChartES5._timelineOpts(this._opts).loop) this._goTo(periods[0]);
+  else this._stopPlayer();
+};
 
-  return filterId;
+KorMapChartES5.prototype._stopPlayer = function () {
+  if (this._playTimer == null) return;
+  clearInterval(this._playTimer);
+  this._playTimer = null;
+  this._syncTimelineState();
 };
 
-KorMapChartES5._bindRegionEvents = function (svg, codeMap, opts, getDatum) {
-  opts = opts || {};
-  var ev = opts.events || {};
-  var hoverStyle = ev.hoverStyle || { opacity: 0.8, cursor: 'pointer' };
-  var regionHoverStyles = ev.regionHoverStyles || {};
-  var shadow = ev.shadow;
-  var innerCities = opts.innerCities || [];
+// 방금 그린 값을 _shown에 기록하고, opts.animation이면 이전 화면 값(from)에서 보간
+// 지역 fill 색상 / bar 길이 / 파이 조각 값 / callout 건수 / bubble 반지름 (처음 그릴 때나 reduced-motion이면 바로 표시)
+// nodes: node.tween이 있는 노드 트리, els: bar 행(data-kmc-region | data-kmc-others)을 자식으로 가진 요소
+KorMapChartES5.prototype._transition = function (from, nodes, els) {
+  var self = this;
+  var to = { fills: {}, bars: {}, pies: {}, counts: {}, bubbles: {} };
+  var jobs = [];
+  var anim = from && KorMapChartES5._animationOpts(this._opts);
+  var has = function (map, key) { return !!map && map.hasOwnProperty(key); };
+  var lerp = function (a, b, t) { return a + (b - a) * t; };
+  var i;
+
+  var fillJob = function (name, p, prev, color) {
+    return function (t) {
+      var c = (t < 1) ? KorMapChartES5._lerpColor(prev, color, t) : color;
+      p.style.setProperty('fill', c, 'important');
+      self._shown.fills[name] = c;
+    };
+  };
+  var barJob = function (key, bar, prev, span) {
+    return function (t) {
+      var x = lerp(prev[0], span[0], t);
+      var w = lerp(prev[1], span[1], t);
+      KorMapChartES5._setCss(bar, 'margin-left', x ? x + 'px' : null);
+      bar.style.width = w + 'px';
+      self._shown.bars[key] = [x, w];
+    };
+  };
+  var pieJob = function (node, prev) {
+    return function (t) {
+      var value = node.tween.value;
+      var values = [];
+      for (var k = 0; k < value.length; k++) values.push(lerp(prev[k] != null ? prev[k] : 0, value[k], t));
+      var fresh = KorMapChartES5._realize(node.tween.render(values));
+      while (node.el.firstChild) node.el.removeChild(node.el.firstChild);
+      while (fresh.firstChild) node.el.appendChild(fresh.firstChild);
+      self._shown.pies[node.tween.name] = values;
+    };
+  };
+  var bubbleJob = function (node, prev) {
+    return function (t) {
+      var r = lerp(prev, node.tween.value, t);
+      node.el.setAttribute('r', r);
+      self._shown.bubbles[node.tween.name] = r;
+    };
+  };
+  var countJob = function (node, prev) {
+    return function (t) {
+      var value = node.tween.value;
+      var c = (t < 1) ? Math.round(lerp(prev, value, t)) : value;
+      node.el.textContent = node.tween.render(c);
+      self._shown.counts[node.tween.name] = c;
+    };
+  };
 
-  var shadowFilterId = null;
-  if (shadow) {
-    var shadowOpts = (typeof shadow === 'object') ? shadow : {};
-    shadowFilterId = KorMapChartES5._createShadowFilter(svg, shadowOpts);
+  var fillsChanged = false;
+  for (var name in this._codeMap) {
+    if (!this._codeMap.hasOwnProperty(name)) continue;
+    var p = this._svg.getElementById(this._codeMap[name]);
+    if (!p) continue;
+    var color = p.style.getPropertyValue('fill');
+    to.fills[name] = color;
+
+    if (!anim || !has(from.fills, name) || from.fills[name] == null || from.fills[name] === color) continue;
+    fillsChanged = true;
+    jobs.push(fillJob(name, p, from.fills[name], color));
+  }
+
+  // bar 행은 라벨(지역명 또는 others 라벨) 기준 [시작 x, 길이], 새 행은 0 위치에서 시작
+  var rows = [];
+  for (i = 0; i < (els || []).length; i++) {
+    if (els[i] && els[i].children) rows.push.apply(rows, els[i].children);
+  }
+  for (i = 0; i < rows.length; i++) {
+    if (!rows[i].hasAttribute('data-kmc-region') && !rows[i].hasAttribute('data-kmc-others')) continue;
+    var key = rows[i].children[0].textContent;
+    var bar = rows[i].children[1];
+    var barX = parseFloat(bar.style.marginLeft) || 0;
+    var width = parseFloat(bar.style.width) || 0;
+    to.bars[key] = [barX, width];
+
+    var prevSpan = has(from && from.bars, key) ? from.bars[key]
+      : [rows[i].hasAttribute('data-kmc-negative') ? barX + width : barX, 0];
+    if (!anim || (prevSpan[0] === barX && prevSpan[1] === width)) continue;
+    jobs.push(barJob(key, bar, prevSpan, [barX, width]));
   }
 
-  var selectedPath = null;
+  var tweened = [];
+  for (i = 0; i < nodes.length; i++) KorMapChartES5._tweenNodes(nodes[i], tweened);
+  for (i = 0; i < tweened.length; i++) {
+    var tween = tweened[i].tween;
+    if (tween.kind === 'pie') {
+      to.pies[tween.name] = tween.value;
+      var prev = has(from && from.pies, tween.name) ? from.pies[tween.name] : null;
+      if (!anim || !prev || prev.join(',') === tween.value.join(',')) continue;
+      jobs.push(pieJob(tweened[i], prev));
+    } else if (tween.kind === 'bubble') {
+      // 새 원은 0에서 커짐
+      to.bubbles[tween.name] = tween.value;
+      var prevR = has(from && from.bubbles, tween.name) ? from.bubbles[tween.name] : 0;
+      if (!anim || prevR === tween.value) continue;
+      jobs.push(bubbleJob(tweened[i], prevR));
+    } else {
+      to.counts[tween.name] = tween.value;
+      var prevCount = has(from && from.counts, tween.name) ? from.counts[tween.name] : 0;
+      if (!anim || prevCount === tween.value) continue;
+      jobs.push(countJob(tweened[i], prevCount));
+    }
+  }
 
-  var apply = function (el, styleObj) {
-    for (var k in styleObj) {
-      if (!styleObj.hasOwnProperty(k)) continue;
+  this._shown = to;
+  if (!jobs.length) return;
 
-      var v = styleObj[k];
-      if (v == null) {
-        el.style.removeProperty(k);
-      } else {
-        var prop = k.replace(/[A-Z]/g, function (m) { return '-' + m.toLowerCase(); });
-        if (prop === 'fill') {
-          el.style.setProperty(prop, String(v), 'important');
-        } else {
-          el.style.setProperty(prop, String(v));
+  var frame = function (t) {
+    for (var j = 0; j < jobs.length; j++) jobs[j](t);
+    if (fillsChanged && self._regionEvents) self._regionEvents.repaint();
+  };
+  frame(0);
+  this._cancelTween = KorMapChartES5._animate(anim.duration, anim.easing, function (t) {
+    frame(t);
+    if (t === 1) self._cancelTween = null;
+  });
+};
+
+KorMapChartES5.prototype._bind = function () {
+  var self = this;
+  var opts = self._opts;
+
+  // drillDown 사용 시 전국 지도의 시도 클릭 → 시군구 지도로 이동
+  if (opts.drillDown && !self._drill) {
+    var ev = opts.events || {};
+    opts = KorMapChartES5._extend(opts, {
+      events: KorMapChartES5._extend(ev, {
+        onRegionClick: function (name, p, datum, e) {
+          if (ev.onRegionClick) ev.onRegionClick(name, p, datum, e);
+          // 클릭으로 시작한 drillDown은 reject를 받을 곳이 없으므로 onDrillError로 알림 (취소는 무시)
+          if (self._childMapKey(name)) {
+            self.drillDown(name)['catch'](function (err) {
+              if ((!err || err.name !== 'AbortError') && ev.onDrillError) ev.onDrillError(err, name);
+            });
+          }
         }
-      }
-    }
+      })
+    });
+  }
+
+  // 핸들러는 항상 최신 data를 읽음 → setData() 후 재바인딩 불필요
+  var getDatum = function (n) { return self._data && self._data[n]; };
+  var selection = {
+    has: function (n) { return self._selection.indexOf(n) !== -1; },
+    size: function () { return self._selection.length; },
+    click: function (n, e) { self._clickSelect(n, e); },
+    clear: function () { self._setSelection([]); }
+  };
+  var getPieData = function (n) { return self._pieData && self._pieData[n]; };
+  var regionEvents = KorMapChartES5._bindRegionEvents(self._svg, self._codeMap, opts, getDatum, selection, getPieData);
+  self._regionEvents = regionEvents;
+  var unbindTooltip = opts.tooltip
+    ? KorMapChartES5._bindTooltip(self._el, self._codeMap, (opts.tooltip === true) ? {} : opts.tooltip, getDatum,
+      function (n) { return self._pieData && self._pieData[n]; },
+      function () { return self._scale; })
+    : null;
+
+  var unobserve = opts.responsive ? self._observeSize() : null;
+
+  self._unbindEvents = function () {
+    regionEvents.unbind();
+    if (unbindTooltip) unbindTooltip();
+    if (unobserve) unobserve();
   };
+};
+
+KorMapChartES5.prototype._unbind = function () {
+  if (this._unbindEvents) this._unbindEvents();
+  this._unbindEvents = null;
+  this._regionEvents = null;
+};
 
-  var selectRegion = function (path, name) {
-    if (!path) return;
-    selectedPath = path;
+// single: 클릭한 지역만 선택(다시 클릭하면 해제) / multi: Ctrl·Cmd·Shift+클릭으로 추가·해제
+KorMapChartES5.prototype._clickSelect = function (name, e) {
+  var mode = KorMapChartES5._selectionOpts(this._opts).mode;
+  var additive = mode === 'multi' && e && (e.ctrlKey || e.metaKey || e.shiftKey);
+  var current = this._selection;
+
+  var next;
+  if (additive) {
+    next = current.slice();
+    var idx = next.indexOf(name);
+    if (idx !== -1) next.splice(idx, 1);
+    else next.push(name);
+  } else {
+    next = (current.length === 1 && current[0] === name) ? [] : [name];
+  }
+  this._setSelection(next);
+};
 
-    var styleToApply = regionHoverStyles[name] || hoverStyle;
-    apply(path, styleToApply);
+KorMapChartES5.prototype._setSelection = function (names) {
+  // codeMap 순서로 정렬
+  var next = [];
+  for (var n in this._codeMap) {
+    if (this._codeMap.hasOwnProperty(n) && names.indexOf(n) !== -1) next.push(n);
+  }
 
-    if (shadow && shadowFilterId) {
-      path.style.filter = 'url(#' + shadowFilterId + ')';
-    }
-  };
+  var prev = this._selection;
+  if (next.length === prev.length && next.join('\u0000') === prev.join('\u0000')) return;
 
-  var deselectRegion = function () {
-    if (!selectedPath) return;
+  this._selection = next;
+  if (this._regionEvents) this._regionEvents.refresh();
+  if (this._opts.events && this._opts.events.onSelectionChange) {
+    this._opts.events.onSelectionChange(next.slice());
+  }
+};
 
-    apply(selectedPath, selectedPath._originalStyles);
+KorMapChartES5.prototype._assertAlive = function (caller) {
+  if (this._destroyed) throw new Error(caller + ': destroy()된 차트입니다.');
+};
 
-    if (selectedPath._originalStyles.fill !== undefined) {
-      selectedPath.style.setProperty('fill', selectedPath._originalStyles.fill || '', 'important');
+/**
+ * 옵션 일부를 바꿔 같은 SVG 위에 다시 그림 (svg/svgUrl이 바뀐 경우에만 SVG를 다시 로드, 로드 중 다시 호출하면 마지막 호출만 반영)
+ * 새 SVG 로드가 실패·취소되면 기존 옵션과 화면을 그대로 유지
+ * @param {Object} newOpts - render opts와 같은 형식, 기존 옵션에 얕게 병합
+ * @returns {Promise<KorMapChartES5>}
+ */
+KorMapChartES5.prototype.update = function (newOpts) {
+  var self = this;
+
+  return Promise.resolve().then(function () {
+    self._assertAlive('KorMapChartES5.update');
+
+    var prev = self._opts;
+    var next = KorMapChartES5._extend(prev, newOpts);
+    KorMapChartES5._validateOpts(next, 'KorMapChartES5.update');
+
+    // 새 SVG를 먼저 받아 둠 (로드가 실패·취소되면 기존 옵션과 화면을 그대로 유지)
+    if (self._svgSource(next) !== self._svgSource(prev)) return self._nextSvg(next, 'KorMapChartES5.update');
+
+    // strict: 바꾸기 전에 검사
+    if (next.strict) self._check(next, 'KorMapChartES5.update');
+    self._loadId++;  // 진행 중인 이전 update의 로드는 버림 (마지막 호출만 반영)
+    return null;
+  }).then(function (svg) {
+    // 기다리는 동안 setData 등으로 바뀐 옵션 위에 다시 병합
+    var next = KorMapChartES5._extend(self._opts, newOpts);
+    // strict: 새 SVG로 바꾸기 전에 검사
+    if (svg && next.strict) {
+      var report = KorMapChartES5._diagnose(next, self._codeMap, self._aliases, KorMapChartES5._collectSvgIds(svg, self._codeMap));
+      KorMapChartES5._assertClean(report, next, 'KorMapChartES5.update');
     }
 
-    if (shadow) {
-      selectedPath.style.filter = selectedPath._originalStyles.filter || '';
+    self._unbind();
+    self._opts = next;
+    // 시군구 화면에서 바꾼 옵션은 전국 지도로 돌아갈 때도 유지
+    if (self._drill) self._drill.root.opts = KorMapChartES5._extend(self._drill.root.opts, newOpts);
+    // selection을 명시적으로 끄면 선택도 해제
+    if (newOpts && newOpts.hasOwnProperty('selection') && !KorMapChartES5._selectionOpts(next).mode) self._setSelection([]);
+
+    if (svg) {
+      self._clearLayers();
+      KorMapChartES5._removeNode(self._svg);
+      self._attachSvg(svg);
     }
 
-    selectedPath = null;
-  };
-
-  var createEventHandler = function (name, code) {
-    return {
-      mouseenter: function (e) {
-        var p = svg.getElementById(code);
-        if (!p) return;
+    self._draw('KorMapChartES5.update');
+    self._bind();
+    return self;
+  });
+};
 
-        // 내륙 도시가 아닐 때만 z-index 재배치
-        var isInnerCity = innerCities.indexOf(name) !== -1;
+/**
+ * data만 교체하여 지역 색상/라벨/bar/callout을 다시 그림
+ * opts.timeline이면 { 기간: data } 형식이며, 현재 기간이 새 data에도 있으면 그 기간을 유지
+ * @param {Object|string|Array} data - 표(CSV/TSV, 행 배열)는 opts.columns로 변환
+ * @returns {KorMapChartES5}
+ */
+KorMapChartES5.prototype.setData = function (data) {
+  this._assertAlive('KorMapChartES5.setData');
+
+  var next = KorMapChartES5._extend(this._opts, { data: data });
+  // 표 열 이름과 strict 검사를 먼저 확인 (잘못되면 기존 화면 유지)
+  if (KorMapChartES5._isTable(data)) KorMapChartES5._sourceData(next, 'KorMapChartES5.setData');
+  if (next.strict) this._check(next, 'KorMapChartES5.setData');
+  this._opts = next;
+  this._draw('KorMapChartES5.setData');
+  if (this._regionEvents) this._regionEvents.repaint();
+  return this;
+};
 
-        if (!isInnerCity) {
-          // SVG에서 요소를 맨 위로 올리기
-          p.parentNode.appendChild(p);
+/**
+ * 표시할 기간을 바꿈 (opts.timeline 사용 시, 재생 중이면 그 기간부터 이어서 재생)
+ * @param {string|number} period - data의 기간 키 (예: 2020, '2024-03')
+ * @returns {KorMapChartES5}
+ */
+KorMapChartES5.prototype.setPeriod = function (period) {
+  this._assertAlive('KorMapChartES5.setPeriod');
+  if (!this._series) throw new Error('KorMapChartES5.setPeriod: timeline 옵션이 없습니다.');
 
-          // 선택된 요소를 그 위에 유지
-          if (selectedPath && selectedPath.parentNode) {
-            selectedPath.parentNode.appendChild(selectedPath);
-          }
+  var key = String(period);
+  if (this._series.periods.indexOf(key) === -1) {
+    throw new Error('KorMapChartES5.setPeriod: 알 수 없는 기간 "' + period + '" (' + this._series.periods.join(', ') + ')');
+  }
+  this._goTo(key);
+  return this;
+};
 
-          // 내륙 도시들을 항상 최상위에 유지
-          for (var innerName in codeMap) {
-            if (!codeMap.hasOwnProperty(innerName)) continue;
-
-            var innerCode = codeMap[innerName];
-            if (innerCities.indexOf(innerName) !== -1) {
-              var innerPath = svg.getElementById(innerCode);
-              if (innerPath && innerPath.parentNode) {
-                innerPath.parentNode.appendChild(innerPath);
-              }
-            }
-          }
-        }
+/**
+ * 현재 기간 (opts.timeline이 없으면 null)
+ * @returns {string|null}
+ */
+KorMapChartES5.prototype.getPeriod = function () {
+  return this._series ? this._period : null;
+};
 
-        // 지역별 커스텀 스타일 또는 전역 스타일 적용
-        var styleToApply = regionHoverStyles[name] || hoverStyle;
-        apply(p, styleToApply);
+/**
+ * timeline.interval마다 다음 기간으로 넘김 (마지막 기간에서 호출하면 처음부터)
+ * @returns {KorMapChartES5}
+ */
+KorMapChartES5.prototype.play = function () {
+  this._assertAlive('KorMapChartES5.play');
+  if (!this._series || !this._series.periods.length || this._playTimer != null) return this;
+
+  var self = this;
+  var periods = this._series.periods;
+  if (this._period === periods[periods.length - 1]) this._goTo(periods[0]);
+  var interval = KorMapChartES5._timelineOpts(this._opts).interval;
+  this._playTimer = setInterval(function () { self._step(); }, interval != null ? interval : 1000);
+  this._syncTimelineState();
+  return this;
+};
 
-        if (shadow && shadowFilterId) {
-          p.style.filter = 'url(#' + shadowFilterId + ')';
-        }
+/**
+ * 재생 중지
+ * @returns {KorMapChartES5}
+ */
+KorMapChartES5.prototype.pause = function () {
+  this._assertAlive('KorMapChartES5.pause');
+  this._stopPlayer();
+  return this;
+};
 
-        if (ev.onRegionEnter) {
-          ev.onRegionEnter(name, p, getDatum(name), e);
-        }
-      },
+/**
+ * 지역을 선택 (기존 선택은 교체, single 모드에서는 마지막 지역만 선택)
+ * @param {string|string[]} names - 지역명 또는 별칭 (예: '서울', ['서울특별시', 'KR-41'])
+ * @returns {KorMapChartES5}
+ */
+KorMapChartES5.prototype.select = function (names) {
+  this._assertAlive('KorMapChartES5.select');
+
+  var list = (names == null) ? [] : [].concat(names);
+  var resolved = [];
+  for (var i = 0; i < list.length; i++) {
+    var key = String(list[i]).replace(/^\s+|\s+$/g, '');
+    var name = this._aliases.hasOwnProperty(key) ? this._aliases[key] : list[i];
+    if (!this._codeMap || !this._codeMap.hasOwnProperty(name)) {
+      throw new Error('KorMapChartES5.select: "' + list[i] + '" 지역이 없습니다.');
+    }
+    resolved.push(name);
+  }
+  if (KorMapChartES5._selectionOpts(this._opts).mode === 'single') resolved = resolved.slice(-1);
 
-      mouseleave: function (e) {
-        var p = svg.getElementById(code);
-        if (!p) return;
+  this._setSelection(resolved);
+  return this;
+};
 
-        // If this region is selected, don't remove hover styles
-        if (p === selectedPath) {
-          if (ev.onRegionLeave) {
-            ev.onRegionLeave(name, p, getDatum(name), e);
-          }
-          return;
-        }
+/**
+ * 선택 해제
+ * @returns {KorMapChartES5}
+ */
+KorMapChartES5.prototype.clearSelection = function () {
+  this._assertAlive('KorMapChartES5.clearSelection');
+  this._setSelection([]);
+  return this;
+};
 
-        apply(p, p._originalStyles);
+/**
+ * 선택된 지역명 목록 (codeMap 순서)
+ * @returns {string[]}
+ */
+KorMapChartES5.prototype.getSelection = function () {
+  return this._selection.slice();
+};
 
-        if (p._originalStyles.fill !== undefined) {
-          p.style.setProperty('fill', p._originalStyles.fill || '', 'important');
-        }
+/**
+ * 마지막으로 그린 화면의 진단 결과 (codeMap·SVG·data가 맞지 않는 곳, 숫자가 아니거나 범위를 벗어난 값)
+ * @returns {{ missingPaths: Array, unmappedPaths: string[], unknownKeys: Array, invalidValues: Array, emptyPies: string[], messages: string[] }}
+ */
+KorMapChartES5.prototype.getDiagnostics = function () {
+  return this._diagnostics;
+};
 
-        if (shadow) {
-          p.style.filter = p._originalStyles.filter || '';
-        }
+// 화면 크기(px) 그대로의 독립 SVG 요소 (지도는 중첩 svg, rate+bars는 오른쪽에 SVG bar)
+// mode.side 결과 { node, width, height } | null (rate+bars의 SVG bar 등)
+KorMapChartES5._modeSide = function (opts, codeMap, data, series, scale) {
+  var def = KorMapChartES5._modeDef(opts.mode);
+  if (!def || !def.side) return null;
+  var ctx = KorMapChartES5._modeContext({ opts: opts, codeMap: codeMap, data: data, series: series, scale: scale, titles: true },
+    function () { return null; });
+  var side = def.side(ctx);
+  var node = side ? KorMapChartES5._asNode(side.node) : null;
+  return node ? { node: node, width: side.width || 0, height: side.height || 0 } : null;
+};
 
-        if (ev.onRegionLeave) {
-          ev.onRegionLeave(name, p, getDatum(name), e);
-        }
-      },
+KorMapChartES5.prototype._exportSvg = function (exportOpts) {
+  exportOpts = exportOpts || {};
+
+  var src = this._svg;
+  var opts = this._opts;
+
+  var clone = src.cloneNode(true);
+  KorMapChartES5._inlineComputedStyles(src, clone);
+  KorMapChartES5._stripInteraction(clone);
+  clone.style.removeProperty('width');
+  clone.style.removeProperty('height');
+
+  // 화면에 그려진 크기, 없으면(숨김 등) map 옵션 또는 viewBox 비율로 계산
+  var vb = (src.getAttribute('viewBox') || '').split(/[\s,]+/);
+  var vbW = Number(vb[2]);
+  var vbH = Number(vb[3]);
+  var rect = src.getBoundingClientRect();
+  var mapOpts = opts.map || {};
+  var mapW = rect.width || mapOpts.width || vbW || Number(src.getAttribute('width')) || 0;
+  var mapH = rect.height || mapOpts.height || (vbW ? mapW * vbH / vbW : Number(src.getAttribute('height')) || 0);
+  clone.setAttribute('x', 0);
+  clone.setAttribute('y', 0);
+  clone.setAttribute('width', mapW);
+  clone.setAttribute('height', mapH);
+
+  var root = document.createElementNS('http://www.w3.org/2000/svg', 'svg');
+  var view = this._el.ownerDocument.defaultView;
+  var fontFamily = view && view.getComputedStyle ? view.getComputedStyle(this._el).fontFamily : '';
+  root.style.fontFamily = fontFamily || 'sans-serif';
+
+  var width = mapW;
+  var height = mapH;
+
+  if (exportOpts.background) {
+    var bg = document.createElementNS('http://www.w3.org/2000/svg', 'rect');
+    bg.setAttribute('width', '100%');
+    bg.setAttribute('height', '100%');
+    bg.setAttribute('fill', exportOpts.background);
+    root.appendChild(bg);
+  }
+  root.appendChild(clone);
+
+  var side = KorMapChartES5._modeSide(opts, this._codeMap, this._data, this._series, this._scale);
+  if (side) {
+    var x = mapW + (opts.gap != null ? opts.gap : 0);
+    side.node.attrs.transform = 'translate(' + x + ',0)';
+    root.appendChild(KorMapChartES5._realize(side.node));
+    width = x + side.width;
+    height = Math.max(mapH, side.height);
+  }
 
-      click: function (e) {
-        var p = svg.getElementById(code);
-        if (!p) return;
+  root.setAttribute('width', width);
+  root.setAttribute('height', height);
+  root.setAttribute('viewBox', '0 0 ' + width + ' ' + height);
+  return { root: root, width: width, height: height };
+};
 
-        // Handle selection
-        if (selectedPath && selectedPath !== p) {
-          // Deselect previous region
-          deselectRegion();
-        }
+/**
+ * 현재 화면을 독립 SVG 문자열로 내보냄
+ * 지역 fill(계산된 스타일 인라인), 라벨, 파이, callout, 그림자 필터 defs 포함 / rate+bars의 bar 목록은 SVG로 변환
+ * HTML 범례·툴팁·breadcrumb는 포함하지 않음
+ * @param {{ background?: string }} [exportOpts] - background: 배경색 (기본 투명)
+ * @returns {string}
+ */
+KorMapChartES5.prototype.toSVG = function (exportOpts) {
+  this._assertAlive('KorMapChartES5.toSVG');
+  return new XMLSerializer().serializeToString(this._exportSvg(exportOpts).root);
+};
 
-        // Select this region (or keep it selected if already selected)
-        if (selectedPath !== p) {
-          selectRegion(p, name);
-          // 선택된 요소를 맨 위로 올리기
-          if (p.parentNode) {
-            p.parentNode.appendChild(p);
-          }
+/**
+ * 현재 화면을 PNG로 내보냄 (toSVG 결과를 canvas에 그림)
+ * @param {{ scale?: number, background?: string }} [exportOpts] - scale: 배율 (기본 2), background: 기본 '#FFFFFF'
+ * @returns {Promise<Blob>}
+ */
+KorMapChartES5.prototype.toPNG = function (exportOpts) {
+  var self = this;
+  exportOpts = exportOpts || {};
+
+  return Promise.resolve().then(function () {
+    self._assertAlive('KorMapChartES5.toPNG');
+
+    var scale = exportOpts.scale != null ? exportOpts.scale : 2;
+    var out = self._exportSvg(KorMapChartES5._extend(exportOpts, {
+      background: exportOpts.background != null ? exportOpts.background : '#FFFFFF'
+    }));
+    var svgText = new XMLSerializer().serializeToString(out.root);
+    var url = URL.createObjectURL(new Blob([svgText], { type: 'image/svg+xml;charset=utf-8' }));
+
+    return new Promise(function (resolve, reject) {
+      var image = new Image();
+      image.onload = function () { resolve(image); };
+      image.onerror = function () { reject(new Error('KorMapChartES5.toPNG: SVG 이미지를 불러오지 못했습니다.')); };
+      image.src = url;
+    }).then(function (img) {
+      var canvas = document.createElement('canvas');
+      canvas.width = Math.round(out.width * scale);
+      canvas.height = Math.round(out.height * scale);
+      var ctx = canvas.getContext('2d');
+      ctx.scale(scale, scale);
+      ctx.drawImage(img, 0, 0, out.width, out.height);
+
+      return new Promise(function (resolve, reject) {
+        canvas.toBlob(function (blob) {
+          if (blob) resolve(blob);
+          else reject(new Error('KorMapChartES5.toPNG: PNG 생성에 실패했습니다.'));
+        }, 'image/png');
+      });
+    }).then(function (blob) {
+      URL.revokeObjectURL(url);
+      return blob;
+    }, function (err) {
+      URL.revokeObjectURL(url);
+      throw err;
+    });
+  });
+};
 
-          // 내륙 도시들을 항상 최상위에 유지
-          for (var innerName in codeMap) {
-            if (!codeMap.hasOwnProperty(innerName)) continue;
-
-            var innerCode = codeMap[innerName];
-            if (innerCities.indexOf(innerName) !== -1) {
-              var innerPath = svg.getElementById(innerCode);
-              if (innerPath && innerPath.parentNode) {
-                innerPath.parentNode.appendChild(innerPath);
-              }
-            }
-          }
-        }
+/**
+ * SVG 또는 PNG 파일로 저장 (확장자가 .png이면 PNG, 그 외 SVG)
+ * @param {string} [filename='kor-map-chart.svg']
+ * @param {{ scale?: number, background?: string }} [exportOpts] - toSVG/toPNG 옵션
+ * @returns {Promise<KorMapChartES5>}
+ */
+KorMapChartES5.prototype.download = function (filename, exportOpts) {
+  var self = this;
+  filename = filename || 'kor-map-chart.svg';
+
+  return Promise.resolve().then(function () {
+    self._assertAlive('KorMapChartES5.download');
+
+    if (/\.png$/i.test(filename)) return self.toPNG(exportOpts);
+    return new Blob([self.toSVG(exportOpts)], { type: 'image/svg+xml;charset=utf-8' });
+  }).then(function (blob) {
+    var url = URL.createObjectURL(blob);
+    var a = document.createElement('a');
+    a.href = url;
+    a.download = filename;
+    document.body.appendChild(a);
+    a.click();
+    KorMapChartES5._removeNode(a);
+    setTimeout(function () { URL.revokeObjectURL(url); }, 0);
+    return self;
+  });
+};
 
-        if (ev.onRegionClick) {
-          ev.onRegionClick(name, p, getDatum(name), e);
-        }
-      }
+/**
+ * 시도를 해당 시군구 지도로 교체 (opts.drillDown이 있으면 지역 클릭 시 자동 호출)
+ * @param {string} name - 시도명 또는 별칭 (예: '경기', '경기도', 'KR-41', '41')
+ * @returns {Promise<KorMapChartES5>}
+ */
+KorMapChartES5.prototype.drillDown = function (name) {
+  var self = this;
+  var regionName, childKey, rootOpts, dd, data;
+
+  return Promise.resolve().then(function () {
+    self._assertAlive('KorMapChartES5.drillDown');
+    if (self._drill || self._drilling) return null;
+
+    var key = String(name).replace(/^\s+|\s+$/g, '');
+    regionName = self._aliases.hasOwnProperty(key) ? self._aliases[key] : name;
+    childKey = self._childMapKey(regionName);
+    if (!childKey) throw new Error('KorMapChartES5.drillDown: "' + name + '"의 시군구 지도가 없습니다.');
+
+    rootOpts = self._opts;
+    dd = (typeof rootOpts.drillDown === 'object') ? rootOpts.drillDown : {};
+
+    // 시군구 data는 { 시도명: data } 객체 또는 (시도명, mapKey) => data | Promise
+    var levelData = function (source) {
+      if (typeof source === 'function') return source(regionName, childKey);
+      var resolved = KorMapChartES5._resolveKeys(source, self._aliases);
+      return resolved ? resolved[regionName] : undefined;
     };
-  };
 
-  for (var name in codeMap) {
-    if (!codeMap.hasOwnProperty(name)) continue;
+    self._drilling = true;
+    return Promise.all([
+      // 시군구는 항상 내장 지도 (전국 지도의 svg/svgUrl은 물려주지 않음)
+      KorMapChartES5._loadSVG(self._svgSource({ mapBaseUrl: rootOpts.mapBaseUrl }, childKey), { signal: rootOpts.signal, caller: 'KorMapChartES5.drillDown' }),
+      levelData(dd.data),
+      levelData(dd.pieChartData),
+      levelData(dd.glyphs)
+    ]);
+  }).then(function (loaded) {
+    if (!loaded) return self;
+    self._drilling = false;
+    if (self._destroyed) return self;
+
+    var svg = loaded[0];
+    data = loaded[1];
+
+    var child = KorMapChartES5.getMap(childKey);
+    var inherited = KorMapChartES5._extend(rootOpts);
+    delete inherited.svg;
+    delete inherited.svgUrl;
+    delete inherited.timeline;
+    var childOpts = KorMapChartES5._extend(inherited, dd.childOpts, { data: data, pieChartData: loaded[2], glyphs: loaded[3] });
+    // strict: 시도 화면을 떠나기 전에 시군구 data 검사
+    if (childOpts.strict) {
+      var report = KorMapChartES5._diagnose(childOpts, child.codeMap, child.aliases, KorMapChartES5._collectSvgIds(svg, child.codeMap));
+      KorMapChartES5._assertClean(report, childOpts, 'KorMapChartES5.drillDown');
+    }
 
-    var code = codeMap[name];
-    var p = svg.getElementById(code);
-    if (!p) continue;
+    self._loadId++;  // 진행 중인 update의 로드는 버림
+    self._unbind();
+    self._clearLayers();
+    KorMapChartES5._removeNode(self._svg);
 
-    // 원래 스타일 저장
-    p._originalStyles = {
-      stroke: p.style.stroke,
-      strokeWidth: p.style.strokeWidth,
-      opacity: p.style.opacity,
-      cursor: p.style.cursor,
-      filter: p.style.filter,
-      fill: p.style.fill
+    self._drill = {
+      name: regionName,
+      root: {
+        codeMap: self._codeMap, mapKey: self._mapKey, aliases: self._aliases, opts: rootOpts,
+        svg: self._svg, baseViewBox: self._baseViewBox, selection: self._selection
+      }
     };
+    self._selection = [];
+    self._codeMap = child.codeMap;
+    self._mapKey = childKey;
+    self._aliases = child.aliases;
+    self._opts = childOpts;
+
+    self._attachSvg(svg);
+    self._draw('KorMapChartES5.drillDown');
+    self._bind();
+
+    if (rootOpts.events && rootOpts.events.onDrillDown) {
+      rootOpts.events.onDrillDown(regionName, childKey, data);
+    }
+    return self;
+  }, function (err) {
+    self._drilling = false;
+    throw err;
+  });
+};
 
-    p.style.pointerEvents = 'auto';
+/**
+ * drillDown() 이전의 전국 지도로 복귀 (SVG는 다시 받지 않음)
+ * @returns {Promise<KorMapChartES5>}
+ */
+KorMapChartES5.prototype.drillUp = function () {
+  var self = this;
+
+  return Promise.resolve().then(function () {
+    self._assertAlive('KorMapChartES5.drillUp');
+    if (!self._drill || self._drilling) return self;
+
+    var name = self._drill.name;
+    var root = self._drill.root;
+    var childKey = self._mapKey;
+
+    self._loadId++;  // 진행 중인 update의 로드는 버림
+    self._unbind();
+    self._clearLayers();
+    KorMapChartES5._removeNode(self._svg);
+
+    self._drill = null;
+    self._codeMap = root.codeMap;
+    self._mapKey = root.mapKey;
+    self._aliases = root.aliases;
+    self._opts = root.opts;
+    self._selection = root.selection;
+
+    self._attachSvg(root.svg, root.baseViewBox);
+    self._draw('KorMapChartES5.drillUp');
+    self._bind();
+
+    if (self._opts.events && self._opts.events.onDrillUp) {
+      self._opts.events.onDrillUp(name, childKey);
+    }
+    return self;
+  });
+};
 
-    var handlers = createEventHandler(name, code);
-    p.addEventListener('mouseenter', handlers.mouseenter);
-    p.addEventListener('mouseleave', handlers.mouseleave);
-    p.addEventListener('click', handlers.click);
+/**
+ * 리스너, 그림자 필터, SVG/bar DOM을 모두 제거
+ */
+KorMapChartES5.prototype.destroy = function () {
+  if (this._destroyed) return;
+
+  if (this._cancelTween) this._cancelTween();
+  this._cancelTween = null;
+  this._stopPlayer();
+  if (this._timeline) KorMapChartES5._removeNode(this._timeline.el);
+  this._timeline = null;
+  this._unbind();
+  this._endMode();
+  this._clearLayers();
+  KorMapChartES5._removeNode(this._svg);
+  this._svg = null;
+
+  var props = ['position', 'display', 'align-items', 'justify-content', 'flex-shrink', 'gap', 'flex-wrap'];
+  for (var i = 0; i < props.length; i++) {
+    KorMapChartES5._setCss(this._el, props[i], null);
   }
 
-  // Add window click handler for deselecting when clicking on empty areas
-  window.addEventListener('click', function (e) {
-    // Check if the click target is the SVG itself (not a path or other element)
-    if (e.target === svg || e.target.tagName === 'svg') {
-      deselectRegion();
-    }
-  });
+  if (this._el._korMapChart === this) this._el._korMapChart = null;
+  this._destroyed = true;
 };
 
-// 메인 렌더 메서드
+// 메인 렌더 메서드 (차트 인스턴스로 resolve)
+// codeMap: 지역명 → SVG id 또는 내장 map key ('sido', 'south-korea', 'seoul', 'seoul-sigungu' 등 / KorMapChartES5.mapKeys())
+// opts.svgUrl은 map key를 쓰면 생략 가능 (opts.mapBaseUrl + 내장 SVG 경로)
+// opts.svg: svgUrl 대신 URL, 인라인 마크업 또는 <svg> 요소 (요소는 복제, URL은 해석 결과 캐시, HTTP/해석 오류는 reject)
+// opts.signal: SVG 로드 취소 (AbortSignal) / 같은 mount에 로드가 끝나기 전 다시 render하면 마지막 호출만 그림
+//   (취소된 호출은 name 'AbortError'인 Error로 reject)
+// opts.responsive: true | { breakpoint } → mount 너비에 맞춰 다시 그림 (renderToString에는 적용하지 않음)
 KorMapChartES5.render = function (codeMap, mount, opts) {
   opts = opts || {};
 
@@ -687,58 +5923,139 @@ KorMapChartES5.render = function (codeMap, mount, opts) {
 
   if (!el) throw new Error('KorMapChartES5.render: mount 요소를 찾을 수 없음');
 
-  el.innerHTML = '';
-  KorMapChartES5._setCss(el, 'position', 'relative');
-  KorMapChartES5._setCss(el, 'display', 'flex');
-  KorMapChartES5._setCss(el, 'align-items', opts.mode === 'count+callouts' ? 'center' : null);
-  KorMapChartES5._setCss(el, 'justify-content', opts.mode === 'count+callouts' ? 'center' : null);
-  KorMapChartES5._setCss(el, 'flex-shrink', '0');
-  KorMapChartES5._setCss(el, 'gap', (opts.gap != null) ? opts.gap + 'px' : null);
+  var mapKey = null;
+  if (typeof codeMap === 'string') {
+    mapKey = codeMap;
+    var def = KorMapChartES5.getMap(mapKey);
+    if (!def) throw new Error('KorMapChartES5.render: 알 수 없는 map key "' + mapKey + '" (' + KorMapChartES5.mapKeys().join(', ') + ')');
+    codeMap = def.codeMap;
+  }
 
-  return KorMapChartES5._loadSVG(opts.svgUrl).then(function (svg) {
-    KorMapChartES5._setCss(svg, 'width', (opts.map && opts.map.width != null) ? opts.map.width + 'px' : null);
-    KorMapChartES5._setCss(svg, 'height', (opts.map && opts.map.height != null) ? opts.map.height + 'px' : null);
-    el.appendChild(svg);
+  return Promise.resolve().then(function () {
+    KorMapChartES5._validateOpts(opts, 'KorMapChartES5.render');
 
-    KorMapChartES5._clearSvgFillStyles(svg);
+    // 같은 mount에 이전 차트가 있으면 리스너까지 정리
+    if (el._korMapChart) el._korMapChart.destroy();
+    el.innerHTML = '';
 
-    var colorForRate = KorMapChartES5._makeColorForRate(opts.rates, opts.colors);
+    var chart = new KorMapChartES5(codeMap, el, opts, mapKey);
+    el._korMapChart = chart;
 
-    // mode는 필수
-    if (!opts.mode) {
-      throw new Error('KorMapChartES5.render: mode는 필수입니다. ("normal" | "rate+bars" | "count+callouts")');
-    }
+    KorMapChartES5._applyMountStyles(el, opts);
 
-    var mode = opts.mode;
+    return chart._nextSvg(opts, 'KorMapChartES5.render').then(function (svg) {
+      chart._attachSvg(svg);
+      chart._draw('KorMapChartES5.render');
+      chart._bind();
+      if (opts.timeline && KorMapChartES5._timelineOpts(opts).autoplay) chart.play();
+      return chart;
+    });
+  });
+};
 
-    // mode별 필수 옵션 검증
-    if (mode === 'rate+bars' && !opts.bar) {
-      throw new Error('KorMapChartES5.render: "rate+bars" 모드에서는 bar 옵션이 필수입니다.');
-    }
+/**
+ * 브라우저 없이 (Node 야간 배치, 메일 보고서 등) 완성된 SVG 문자열을 만듦
+ * render와 같은 codeMap/옵션을 받고, 경계 상자는 getBBox 대신 path d 등을 직접 해석해 계산
+ * 지역 fill, 라벨, 파이, callout, rate+bars의 bar(SVG)를 포함 / 이벤트·툴팁·범례·a11y 등 상호작용 요소는 제외
+ * 도형의 transform 속성은 경계 상자 계산에 반영하지 않음
+ * @param {Object.<string,string>|string} codeMap - 지역명 → SVG id 또는 내장 map key
+ * @param {string} svgText - SVG 원본 문자열 (내장 지도는 KorMapChartES5.getMap(key).svgUrl 파일 내용)
+ * @param {Object} opts - render와 같은 옵션 (map.width/height는 width/height 속성으로 지정, timeline이면 timeline.initial 또는 첫 기간)
+ * @returns {string}
+ */
+KorMapChartES5.renderToString = function (codeMap, svgText, opts) {
+  opts = opts || {};
 
-    if (mode === 'count+callouts' && !opts.callouts) {
-      throw new Error('KorMapChartES5.render: "count+callouts" 모드에서는 callouts 옵션이 필수입니다.');
-    }
+  var mapKey = null;
+  if (typeof codeMap === 'string') {
+    mapKey = codeMap;
+    var def = KorMapChartES5.getMap(mapKey);
+    if (!def) throw new Error('KorMapChartES5.renderToString: 알 수 없는 map key "' + mapKey + '" (' + KorMapChartES5.mapKeys().join(', ') + ')');
+    codeMap = def.codeMap;
+  }
+  if (typeof svgText !== 'string') throw new Error('KorMapChartES5.renderToString: svgText는 SVG 문자열이어야 합니다.');
 
-    var getRate = function (name) {
-      var v = opts.data && opts.data[name];
-      if (v == null) return null;
-      return (typeof v === 'number') ? v : v.rate;
-    };
+  KorMapChartES5._validateOpts(opts, 'KorMapChartES5.renderToString');
 
-    KorMapChartES5._paintRegions(svg, codeMap, getRate, colorForRate);
-    KorMapChartES5._placeRegionLabels(svg, codeMap, opts.labels, opts.pieChartData);
+  var aliases = KorMapChartES5._buildAliases(codeMap, mapKey);
+  var series = KorMapChartES5._seriesOf(opts, aliases);
+  var source = KorMapChartES5._sourceData(opts);
+  var data = series ? series.data : KorMapChartES5._resolveKeys(source.data, aliases);
+  var pieChartData = KorMapChartES5._resolveKeys(source.pieChartData, aliases);
 
-    KorMapChartES5._bindRegionEvents(svg, codeMap, opts, function (n) { return opts.data && opts.data[n]; });
+  var getRate = function (name) {
+    var v = data && data[name];
+    if (v == null) return null;
+    return (typeof v === 'number') ? v : v.rate;
+  };
+  var modeDef = KorMapChartES5._modeDef(opts.mode);
+  // 지역 경계는 SVG 문자열을 훑은 뒤에 알 수 있으므로 regions는 나중에 연결
+  var doc = null;
+  var getRegion = function (id) { return (doc && doc.regions.hasOwnProperty(id)) ? doc.regions[id] : null; };
+  var ctx = KorMapChartES5._modeContext({
+    opts: opts, codeMap: codeMap, data: data, series: series, titles: true,
+    defaultScale: function () { return KorMapChartES5._makeScale(opts, KorMapChartES5._rateValues(series, data, getRate)); }
+  }, getRegion);
+  var paint = KorMapChartES5._paintSpec(modeDef, ctx, getRate);
+  var scale = paint.scale;
+  ctx.scale = scale;
+
+  var fillById = {};
+  for (var name in codeMap) {
+    if (codeMap.hasOwnProperty(name)) fillById[codeMap[name]] = (paint.fill != null) ? paint.fill : scale.color(paint.value(name), name);
+  }
+  doc = KorMapChartES5._rewriteSvgMarkup(svgText, fillById);
+  var report = KorMapChartES5._diagnose(opts, codeMap, aliases, doc);
+  KorMapChartES5._assertClean(report, opts, 'KorMapChartES5.renderToString');
+  if (report.messages.length && opts.events && opts.events.onWarning) opts.events.onWarning(report);
+  var root = doc.rootAttrs;
+  if (!root.xmlns) root.xmlns = 'http://www.w3.org/2000/svg';
+  if (!root['font-family']) root['font-family'] = 'sans-serif';
+
+  var glyphData = KorMapChartES5._resolveKeys(opts.glyphs, aliases);
+  var layers = [KorMapChartES5._labelsNode(codeMap, getRegion, opts.labels, pieChartData, glyphData, true,
+    opts.events && opts.events.onLabelDrop)];
+  ctx.bbox = function () { return doc.mapBox; };
+  ctx.viewBox = root.viewBox;
+  var markup = modeDef.markup ? modeDef.markup(ctx) : null;
+  if (markup && markup.viewBox != null) root.viewBox = markup.viewBox;
+  var extra = (markup && markup.layers) || [];
+  for (var l = 0; l < extra.length; l++) {
+    var layerNode = KorMapChartES5._asNode(extra[l]);
+    if (layerNode) layers.push(layerNode);
+  }
 
-    if (mode === 'rate+bars') {
-      KorMapChartES5._buildBars(el, opts.data, colorForRate, opts.bar);
-    } else if (mode === 'count+callouts') {
-      var bbox = KorMapChartES5._computeBBox(svg);
-      KorMapChartES5._buildCallouts(svg, codeMap, opts.data, bbox, opts.callouts);
-    }
-    // mode === 'normal'일 때는 지도만 표시하고 추가 요소 없음
-  });
+  // map.width/height 중 하나만 있으면 viewBox 비율로 나머지 계산 (화면의 height:auto와 같은 결과)
+  var mapOpts = opts.map || {};
+  var vb = (root.viewBox || '').replace(/^\s+|\s+$/g, '').split(/[\s,]+/).map(Number);
+  var vbW = vb[2], vbH = vb[3];
+  var ratio = (vbW && vbH) ? vbH / vbW : null;
+  if (mapOpts.width != null) root.width = mapOpts.width;
+  if (mapOpts.height != null) root.height = mapOpts.height;
+  else if (mapOpts.width != null && ratio) root.height = mapOpts.width * ratio;
+  if (mapOpts.width == null && mapOpts.height != null && ratio) root.width = mapOpts.height / ratio;
+
+  var mapW = parseFloat(root.width) || vbW || doc.mapBox.w;
+  var mapH = parseFloat(root.height) || (ratio ? mapW * ratio : doc.mapBox.h);
+
+  var body = doc.chunks.slice(doc.rootIndex + 1, doc.closeIndex).join('');
+  for (var i = 0; i < layers.length; i++) body += KorMapChartES5._serialize(layers[i]);
+  var side = KorMapChartES5._modeSide(opts, codeMap, data, series, scale);
+  if (!side) return KorMapChartES5._openTag('svg', root) + body + '</svg>';
+
+  // mode.side (rate+bars의 bar 등): _exportSvg와 같이 지도(중첩 svg) 오른쪽에 SVG
+  root.x = 0;
+  root.y = 0;
+  root.width = mapW;
+  root.height = mapH;
+  var x = mapW + (opts.gap != null ? opts.gap : 0);
+  side.node.attrs.transform = 'translate(' + x + ',0)';
+  var width = x + side.width;
+  var height = Math.max(mapH, side.height);
+
+  return KorMapChartES5._openTag('svg', {
+    xmlns: 'http://www.w3.org/2000/svg', width: width, height: height, viewBox: '0 0 ' + width + ' ' + height, 'font-family': 'sans-serif'
+  }) + KorMapChartES5._openTag('svg', root) + body + '</svg>' + KorMapChartES5._serialize(side.node) + '</svg>';
 };
 
 // ES5에서 Array.at() 폴리필
@@ -764,3 +6081,6 @@ if (!Number.isFinite) {
     return typeof value === 'number' && isFinite(value);
   };
 }
+
+// Node(CommonJS)에서 require로 사용 (renderToString)
+if (typeof module !== 'undefined' && module.exports) module.exports = KorMapChartES5;